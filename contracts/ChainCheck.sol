@@ -1,6 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import {ChainCheckStorage} from "./ChainCheckStorage.sol";
+
+/**
+ * @notice Hook implemented by the companion ownership token (ChainCheckTwin)
+ */
+interface IOwnershipToken {
+    function onOwnershipRecorded(bytes32 serialHash, uint256 batchId, address from, address to, bool firstClaim) external;
+}
+
 /**
  * @title ChainCheck
  * @author ChainCheck Team
@@ -12,300 +21,536 @@ pragma solidity ^0.8.20;
  * 3. First scan marks the product as verified (authentic)
  * 4. Subsequent scans indicate the product may be counterfeit
  * 
+ * Batches can also be registered as a Merkle root of their serial hashes,
+ * in which case consumers verify with a Merkle proof (see verifyWithProof).
+ * Since anyone's tree can list any serial hash, per-serial state (claims,
+ * owners, claim codes, revocations, history) is kept per batch and serial
+ * (see _serialKey).
+ * Per-serial batches can grow over several transactions (appendSerials)
+ * until their manufacturer seals them (sealBatch).
+ * 
+ * Brands are registered on-chain: a manufacturer manager assigns each brand
+ * to a manufacturer, and only that manufacturer can register batches under
+ * it. Batches under unassigned brands are marked with a zero brandId so
+ * frontends can show the brand as unverified.
+ * 
+ * Manufacturers can commit a hashed claim code per serial (printed under a
+ * scratch-off). Such serials cannot be consumed by a plain scan: shoppers use
+ * the free checkSerial view, and only the buyer holding the code can claim().
+ * 
+ * The first successful scan or claim records the scanner as the product's
+ * owner. Owners can transfer products on resale, building a provenance chain
+ * (see getOwnershipHistory).
+ * 
+ * Distributors and retailers, authorized by the contract owner or by a
+ * batch's manufacturer, log custody checkpoints per batch or per serial
+ * (see recordCheckpoint and getCheckpointTrail).
+ * 
+ * Manufacturers can recall a whole batch or revoke individual serials with a
+ * reason code. Verification reports a VerificationStatus (authentic, already
+ * claimed, recalled, revoked, unknown) alongside the reason.
+ * 
+ * Administration is split into roles (admin, manufacturer manager, pauser,
+ * auditor, metadata editor) so the admin key can stay cold while operational
+ * keys handle day-to-day tasks such as pausing.
+ * 
+ * Sensitive admin actions (revoking a manufacturer, unpausing, transferring
+ * ownership) go through a timelocked queue: they are queued, become
+ * executable after TIMELOCK_DELAY and can be cancelled until then. Ownership
+ * is handed over with a propose/accept handshake (see acceptOwnership).
+ * 
+ * Consumers can verify, claim and transfer without gas: they sign an EIP-712
+ * request that a relayer submits through the trusted ERC-2771 forwarder
+ * (ChainCheckForwarder), and those functions act for the signer.
+ * 
+ * Verification history is kept in storage by default. Deployments created
+ * with storeHistory = false only keep a compact scan state per serial (scan
+ * count and last scanner) and leave the full history to the Verified events,
+ * which makes every scan considerably cheaper.
+ * 
+ * ChainCheck is deployed behind an upgradeable proxy (ChainCheckProxy), so
+ * fixes ship without changing the address or losing registered serials. The
+ * proxy calls initialize() in place of a constructor; upgrades must only
+ * append storage variables (checked by scripts/upgrade.js).
+ * 
+ * To stay under the 24KB contract size limit, batch and paged views,
+ * manufacturer profiles and operators, metadata updates, the per-operation
+ * and per-batch pause switches and fee administration live in
+ * ChainCheckExtension. ChainCheck forwards calls it has no function for to
+ * the extension, which runs on the same storage (ChainCheckStorage), so they
+ * are called at the ChainCheck address as usual.
+ * 
+ * An optional companion ERC-721 (ChainCheckTwin, see setOwnershipToken) mints
+ * a token to the owner on each first authentic claim. Resales move the token,
+ * and transferring the token records a resale here.
+ * 
  * Security features:
  * - Only authorized manufacturers can register products
  * - Serial numbers are hashed to prevent guessing
  * - One-time verification prevents replay attacks
  * - Reentrancy guard protection
  */
-contract ChainCheck {
+contract ChainCheck is ChainCheckStorage {
     /**
-     * @notice Reentrancy guard state
+     * @notice ChainCheckExtension, which runs the functions ChainCheck does not implement
+     * @dev Deployed with each implementation, so upgrades replace both together
      */
-    uint256 private _locked;
+    address public immutable extension;
 
     /**
-     * @notice Reentrancy guard modifier
+     * @notice Lock the implementation contract
+     * @dev ChainCheck runs behind ChainCheckProxy, which calls initialize();
+     *      the implementation itself can never be initialized
+     * @param extension_ ChainCheckExtension deployed for this implementation
      */
-    modifier nonReentrant() {
-        require(_locked != 1, "ReentrancyGuard: reentrant call");
-        _locked = 1;
-        _;
-        _locked = 0;
+    constructor(address extension_) {
+        if (extension_.code.length == 0) revert InvalidAddress();
+        _initialized = true;
+        extension = extension_;
     }
+
     /**
-     * @notice Custom errors for gas optimization
+     * @notice Run functions ChainCheck does not implement in ChainCheckExtension
+     * @dev Delegates on this contract's storage and returns or reverts with the
+     *      extension's result; unknown functions revert there
      */
-    error NotOwner();
-    error NotAuthorized();
-    error InvalidAddress();
-    error InvalidBatchId();
-    error BatchExists();
-    error BatchNotFound();
-    error EmptyName();
-    error EmptyBrand();
-    error NoSerials();
-    error InvalidOwner();
-    error ContractPaused();
-    error ContractNotPaused();
-    error SerialNotInBatch();
-    error ArraysLengthMismatch();
-    error TooManySerials();
+    fallback() external {
+        address target = extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
     /**
-     * @notice Product information structure
-     * @param name Product name
-     * @param brand Brand name
-     * @param exists Whether the product batch exists
-     * @param registeredAt Timestamp when product was registered
-     * @param ipfsHash IPFS hash for product metadata (optional)
-     * @param description Product description (optional)
-     * @param imageUrl Product image URL (optional)
+     * @notice Initialize a proxied deployment: the caller becomes owner and an
+     *         authorized manufacturer
+     * @dev Replaces the constructor, which cannot set up proxy storage. The
+     *      caller starts with the admin, manufacturer manager and pauser roles
+     * @param storeHistory_ Keep full verification history in storage; pass
+     *        false for the cheaper events-only mode
      */
-    struct Product {
-        string name;
-        string brand;
-        uint256 registeredAt;
-        bool exists;
-        string ipfsHash;
-        string description;
-        string imageUrl;
+    function initialize(bool storeHistory_) external {
+        if (_initialized) revert AlreadyInitialized();
+        _initialized = true;
+        storeHistory = storeHistory_;
+        owner = msg.sender;
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(MANUFACTURER_MANAGER_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+
+        authorizedMakers[msg.sender] = true;
+        manufacturerList.push(msg.sender);
+        emit ManufacturerAuthorized(msg.sender, true);
     }
 
     /**
-     * @notice Mapping to track if a serial number has been verified
-     * @dev serialHash => hasBeenVerified
+     * @notice Grant a role to an account
+     * @dev Only admins can call this
+     * @param role Role identifier
+     * @param account Account to grant the role to
      */
-    mapping(bytes32 => bool) public serialVerified;
+    function grantRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) nonReentrant {
+        if (account == address(0)) revert InvalidAddress();
+        _grantRole(role, account);
+    }
 
     /**
-     * @notice Mapping to track which batch a serial number belongs to
-     * @dev serialHash => batchId
-     * @dev Used to validate that a serial belongs to the claimed batch
+     * @notice Revoke a role from an account
+     * @dev Only admins can call this. The last admin cannot be removed.
+     * @param role Role identifier
+     * @param account Account to revoke the role from
      */
-    mapping(bytes32 => uint256) public serialToBatch;
+    function revokeRole(bytes32 role, address account) external onlyRole(ADMIN_ROLE) nonReentrant {
+        _revokeRole(role, account);
+    }
 
     /**
-     * @notice Mapping to store product batch information
-     * @dev batchId => Product struct
+     * @notice Give up a role held by the caller
+     * @dev The last admin cannot renounce ADMIN_ROLE
+     * @param role Role identifier
      */
-    mapping(uint256 => Product) public products;
+    function renounceRole(bytes32 role) external nonReentrant {
+        _revokeRole(role, msg.sender);
+    }
 
     /**
-     * @notice Mapping to track authorized manufacturers
-     * @dev manufacturer address => isAuthorized
+     * @notice Check whether an account holds a role
+     * @param role Role identifier
+     * @param account Account to check
+     * @return True if the account holds the role
      */
-    mapping(address => bool) public authorizedMakers;
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _roles[role][account];
+    }
 
     /**
-     * @notice Contract owner address
-     * @dev Only owner can authorize manufacturers
+     * @notice Get all holders of a role
+     * @param role Role identifier
+     * @return members Role members (unordered)
      */
-    address public owner;
+    function getRoleMembers(bytes32 role) external view returns (address[] memory) {
+        return _roleMembers[role];
+    }
 
     /**
-     * @notice Total number of products registered
+     * @notice Add a role member, emitting RoleGranted if it is new
      */
-    uint256 public totalProducts;
+    function _grantRole(bytes32 role, address account) internal {
+        if (_roles[role][account]) return;
+
+        _roles[role][account] = true;
+        _roleMembers[role].push(account);
+
+        emit RoleGranted(role, account, msg.sender);
+    }
 
     /**
-     * @notice Total number of verifications performed
+     * @notice Remove a role member, emitting RoleRevoked if it was a member
      */
-    uint256 public totalVerifications;
+    function _revokeRole(bytes32 role, address account) internal {
+        if (!_roles[role][account]) return;
+        if (role == ADMIN_ROLE && _roleMembers[role].length == 1) revert LastAdmin();
+
+        _roles[role][account] = false;
+
+        // Remove from list (keep last element, swap with current, pop)
+        address[] storage members = _roleMembers[role];
+        for (uint256 i = 0; i < members.length; i++) {
+            if (members[i] == account) {
+                members[i] = members[members.length - 1];
+                members.pop();
+                break;
+            }
+        }
+
+        emit RoleRevoked(role, account, msg.sender);
+    }
 
     /**
-     * @notice Mapping to track verification count per product batch
-     * @dev batchId => verification count
+     * @notice Authorize a manufacturer's registration rights
+     * @dev Only manufacturer managers can call this function. Revocation is
+     *      timelocked: queue TimelockAction.RevokeManufacturer instead.
+     * @param maker Address of the manufacturer
+     * @param authorized Must be true
      */
-    mapping(uint256 => uint256) public batchVerificationCount;
+    function authorizeManufacturer(
+        address maker,
+        bool authorized
+    ) external onlyRole(MANUFACTURER_MANAGER_ROLE) nonReentrant {
+        if (maker == address(0)) revert InvalidAddress();
+        if (!authorized) revert TimelockRequired();
+        _setManufacturer(maker, true);
+    }
 
     /**
-     * @notice Array to track all authorized manufacturers
-     * @dev Used for statistics and enumeration
+     * @notice Add or remove a manufacturer's registration rights
+     * @param maker Address of the manufacturer
+     * @param authorized True to authorize, false to revoke
      */
-    address[] public manufacturerList;
+    function _setManufacturer(address maker, bool authorized) internal {
+        bool wasAuthorized = authorizedMakers[maker];
+        authorizedMakers[maker] = authorized;
+        
+        // Add to or remove from manufacturer list
+        if (authorized && !wasAuthorized) {
+            manufacturerList.push(maker);
+        } else if (!authorized && wasAuthorized) {
+            // Remove from list (keep last element, swap with current, pop)
+            for (uint256 i = 0; i < manufacturerList.length; i++) {
+                if (manufacturerList[i] == maker) {
+                    manufacturerList[i] = manufacturerList[manufacturerList.length - 1];
+                    manufacturerList.pop();
+                    break;
+                }
+            }
+        }
+        
+        emit ManufacturerAuthorized(maker, authorized);
+    }
 
     /**
-     * @notice Pause state of the contract
-     * @dev When paused, only owner functions work, verification is disabled
+     * @notice Assign a brand to the manufacturer allowed to register it
+     * @dev Only manufacturer managers can call this. Reassigning does not
+     *      change batches that were already registered.
+     * @param name Canonical display name, e.g. "Nike"
+     * @param manufacturer Brand owner, or zero to release the brand
      */
-    bool public paused;
+    function assignBrand(
+        string calldata name,
+        address manufacturer
+    ) external onlyRole(MANUFACTURER_MANAGER_ROLE) nonReentrant {
+        if (bytes(name).length == 0) revert EmptyBrand();
+
+        bytes32 brandId = brandIdOf(name);
+        brands[brandId] = Brand({name: name, manufacturer: manufacturer});
+
+        emit BrandAssigned(brandId, name, manufacturer);
+    }
 
     /**
-     * @notice Maximum number of serials allowed per batch registration
-     * @dev Prevents gas limit issues and DoS attacks
+     * @notice Registry ID of a brand name
+     * @dev keccak256 of the name with ASCII letters lower-cased, so "NIKE" and
+     *      "nike" cannot be used to get around the owner of "Nike"
+     * @param name Brand name
+     * @return Brand ID
      */
-    uint256 public constant MAX_SERIALS_PER_BATCH = 10000;
+    function brandIdOf(string memory name) public pure returns (bytes32) {
+        // Copy so the caller's string is left untouched
+        bytes memory lowered = abi.encodePacked(name);
+        for (uint256 i = 0; i < lowered.length; i++) {
+            if (lowered[i] >= "A" && lowered[i] <= "Z") {
+                lowered[i] = bytes1(uint8(lowered[i]) + 32);
+            }
+        }
+        return keccak256(lowered);
+    }
 
     /**
-     * @notice Event emitted when a product is registered
-     * @param batchId Unique batch identifier
+     * @notice Register a new product batch with serial numbers
+     * @dev Only authorized manufacturers and their operators can call this.
+     *      Batches registered by an operator belong to its manufacturer.
+     *      msg.value must equal batchFee + serialFee per serial (see
+     *      quoteRegistrationFee).
+     * @param batchId Unique identifier for this product batch
      * @param name Product name
      * @param brand Brand name
-     * @param serialCount Number of serials registered in this batch
+     * @param serialHashes Array of hashed serial numbers for this batch
+     * @param ipfsHash IPFS hash for product metadata (can be empty)
+     * @param description Product description (can be empty)
+     * @param imageUrl Product image URL (can be empty)
+     * @param manufacturedAt Manufacture timestamp (0 if not tracked)
+     * @param expiresAt Expiry timestamp (0 if the batch does not expire)
+     * 
+     * Note: Serial numbers should be hashed off-chain before calling this function
+     * Example: keccak256(abi.encodePacked(batchId, serialNumber))
      */
-    event ProductRegistered(
-        uint256 indexed batchId,
-        string name,
-        string brand,
-        uint256 serialCount
-    );
+    function registerProduct(
+        uint256 batchId,
+        string memory name,
+        string memory brand,
+        bytes32[] memory serialHashes,
+        string memory ipfsHash,
+        string memory description,
+        string memory imageUrl,
+        uint256 manufacturedAt,
+        uint256 expiresAt
+    ) external payable whenActive(PausableOperation.Registration, batchId) nonReentrant {
+        address maker = _registrant(batchId, serialHashes.length);
+        if (serialHashes.length == 0) revert NoSerials();
+        if (serialHashes.length > MAX_SERIALS_PER_BATCH) revert TooManySerials();
+        _collectFee(batchId, serialHashes.length, true);
 
-    /**
-     * @notice Event emitted when a product is verified
-     * @param serialHash Hashed serial number
-     * @param batchId Product batch ID
-     * @param isAuthentic Whether the product is authentic (first scan)
-     * @param verifier Address that performed the verification
-     * @param timestamp Block timestamp of verification
-     */
-    event Verified(
-        bytes32 indexed serialHash,
-        uint256 indexed batchId,
-        bool isAuthentic,
-        address verifier,
-        uint256 timestamp
-    );
+        _storeProduct(maker, batchId, name, brand, ipfsHash, description, imageUrl, manufacturedAt, expiresAt);
 
-    /**
-     * @notice Verification record structure
-     * @param serialHash Hashed serial number
-     * @param batchId Product batch ID
-     * @param verifier Address that performed verification
-     * @param timestamp Block timestamp
-     * @param isAuthentic Whether it was authentic (first scan)
-     */
-    struct VerificationRecord {
-        bytes32 serialHash;
-        uint256 batchId;
-        address verifier;
-        uint256 timestamp;
-        bool isAuthentic;
+        _storeSerials(batchId, serialHashes);
+
+        emit ProductRegistered(batchId, maker, name, brand, serialHashes.length);
     }
 
     /**
-     * @notice Mapping to store verification history
-     * @dev serialHash => array of verification records
+     * @notice Append serials to an existing batch
+     * @dev Only the batch's manufacturer and its operators can call this, until
+     *      the batch is sealed. Lets production runs larger than
+     *      MAX_SERIALS_PER_BATCH keep one batch ID. msg.value must equal
+     *      serialFee per serial.
+     * @param batchId Product batch ID
+     * @param serialHashes Hashed serial numbers to add
      */
-    mapping(bytes32 => VerificationRecord[]) public verificationHistory;
+    function appendSerials(
+        uint256 batchId,
+        bytes32[] memory serialHashes
+    ) external payable whenActive(PausableOperation.Registration, batchId) nonReentrant {
+        _checkOpenBatch(batchId, serialHashes.length);
+        if (serialHashes.length == 0) revert NoSerials();
+        if (serialHashes.length > MAX_SERIALS_PER_BATCH) revert TooManySerials();
+        _collectFee(batchId, serialHashes.length, false);
 
-    /**
-     * @notice Event emitted when a manufacturer is authorized
-     * @param maker Manufacturer address
-     * @param authorized Whether authorized or revoked
-     */
-    event ManufacturerAuthorized(address indexed maker, bool authorized);
+        _storeSerials(batchId, serialHashes);
 
-    /**
-     * @notice Event emitted when contract is paused or unpaused
-     * @param paused True if paused, false if unpaused
-     */
-    event Paused(bool paused);
+        emit SerialsAppended(batchId, serialHashes.length, batchSerialCount[batchId]);
+    }
 
     /**
-     * @notice Modifier to restrict function access to contract owner
+     * @notice Seal a batch so no more serials can be appended
+     * @dev Only the batch's manufacturer and its operators can call this
+     * @param batchId Product batch ID
      */
-    modifier onlyOwner() {
-        if (msg.sender != owner) revert NotOwner();
-        _;
+    function sealBatch(uint256 batchId) external nonReentrant {
+        _checkOpenBatch(batchId, 0);
+
+        batchSealed[batchId] = true;
+        emit BatchSealed(batchId, batchSerialCount[batchId]);
     }
 
     /**
-     * @notice Modifier to restrict function access to authorized manufacturers
+     * @notice Revert unless the caller manufactured the batch and is still
+     *         authorized, or is an operator of its authorized manufacturer with
+     *         room for serialCount serials, and the batch is not sealed
      */
-    modifier onlyMaker() {
-        if (!authorizedMakers[msg.sender]) revert NotAuthorized();
-        _;
+    function _checkOpenBatch(uint256 batchId, uint256 serialCount) internal {
+        if (!products[batchId].exists) revert BatchNotFound();
+        address maker = products[batchId].manufacturer;
+        if (maker == msg.sender) {
+            if (!authorizedMakers[maker]) revert NotAuthorized();
+        } else {
+            if (operators[msg.sender].manufacturer != maker || !authorizedMakers[maker]) {
+                revert NotBatchManufacturer();
+            }
+            _chargeOperator(batchId, maker, serialCount);
+        }
+        if (batchSealed[batchId]) revert BatchIsSealed();
     }
 
     /**
-     * @notice Modifier to check if contract is not paused
+     * @notice Manufacturer a registration is made for
+     * @dev Authorized manufacturers register for themselves; operators register
+     *      for their manufacturer while it is authorized
+     * @param batchId Batch being registered
+     * @param serialCount Serials being registered
+     * @return maker Manufacturer that will own the batch
      */
-    modifier whenNotPaused() {
-        if (paused) revert ContractPaused();
-        _;
+    function _registrant(uint256 batchId, uint256 serialCount) internal returns (address maker) {
+        if (authorizedMakers[msg.sender]) return msg.sender;
+
+        maker = operators[msg.sender].manufacturer;
+        if (!authorizedMakers[maker]) revert NotAuthorized();
+        _chargeOperator(batchId, maker, serialCount);
     }
 
     /**
-     * @notice Modifier to check if contract is paused
+     * @notice Check the caller's operator scope and count serials against its quota
      */
-    modifier whenPaused() {
-        if (!paused) revert ContractNotPaused();
-        _;
+    function _chargeOperator(uint256 batchId, address maker, uint256 serialCount) internal {
+        Operator storage operator = operators[msg.sender];
+        if (batchId < operator.minBatchId || (operator.maxBatchId != 0 && batchId > operator.maxBatchId)) {
+            revert OutsideOperatorRange();
+        }
+        uint256 registered = operator.serialsRegistered + serialCount;
+        if (operator.serialQuota != 0 && registered > operator.serialQuota) revert OperatorQuotaExceeded();
+        operator.serialsRegistered = registered;
+
+        if (serialCount > 0) {
+            emit OperatorRegistration(batchId, maker, msg.sender, serialCount);
+        }
     }
 
     /**
-     * @notice Constructor sets the contract deployer as owner and authorizes them as manufacturer
+     * @notice Revert unless the call pays exactly the registration fee
+     * @dev An exact amount means a fee change between quote and submission
+     *      makes the transaction revert instead of overcharging
      */
-    constructor() {
-        owner = msg.sender;
-        authorizedMakers[msg.sender] = true;
-        manufacturerList.push(msg.sender);
-        emit ManufacturerAuthorized(msg.sender, true);
+    function _collectFee(uint256 batchId, uint256 serialCount, bool newBatch) internal {
+        uint256 fee = _registrationFee(serialCount, newBatch);
+        if (msg.value != fee) revert IncorrectFee(fee);
+        if (fee > 0) emit RegistrationFeePaid(batchId, msg.sender, fee);
     }
 
     /**
-     * @notice Authorize or revoke a manufacturer's registration rights
-     * @dev Only owner can call this function
-     * @param maker Address of the manufacturer
-     * @param authorized True to authorize, false to revoke
+     * @notice Map serials to their batch and update the batch's serial count
+     * @dev Reverts if a serial is already registered (in any batch, or twice in
+     *      serialHashes), so a batch can never take over another batch's serial
      */
-    function authorizeManufacturer(
-        address maker,
-        bool authorized
-    ) external onlyOwner nonReentrant {
-        if (maker == address(0)) revert InvalidAddress();
-        
-        bool wasAuthorized = authorizedMakers[maker];
-        authorizedMakers[maker] = authorized;
-        
-        // Add to or remove from manufacturer list
-        if (authorized && !wasAuthorized) {
-            manufacturerList.push(maker);
-        } else if (!authorized && wasAuthorized) {
-            // Remove from list (keep last element, swap with current, pop)
-            for (uint256 i = 0; i < manufacturerList.length; i++) {
-                if (manufacturerList[i] == maker) {
-                    manufacturerList[i] = manufacturerList[manufacturerList.length - 1];
-                    manufacturerList.pop();
-                    break;
-                }
-            }
+    function _storeSerials(uint256 batchId, bytes32[] memory serialHashes) internal {
+        // Store serial-to-batch mapping for validation
+        // This prevents attackers from verifying serials with wrong batch IDs
+        for (uint256 i = 0; i < serialHashes.length; i++) {
+            if (serialToBatch[serialHashes[i]] != 0) revert SerialAlreadyRegistered();
+            serialToBatch[serialHashes[i]] = batchId;
         }
-        
-        emit ManufacturerAuthorized(maker, authorized);
+        batchSerialCount[batchId] += serialHashes.length;
     }
 
     /**
-     * @notice Register a new product batch with serial numbers
-     * @dev Only authorized manufacturers can call this
+     * @notice Register a new product batch by committing a Merkle root of its serial hashes
+     * @dev Only authorized manufacturers and their operators without a serial
+     *      quota can call this. Costs
+     *      the same regardless of batch size since no per-serial storage is
+     *      written; consumers must then verify with a Merkle proof via
+     *      verifyWithProof or batchVerifyWithProof. msg.value must equal
+     *      batchFee + serialFee per serial in serialCount. The root does not
+     *      prove serialCount, so the per-serial fee trusts the manufacturer's
+     *      declaration; an under-declared count pays less.
      * @param batchId Unique identifier for this product batch
      * @param name Product name
      * @param brand Brand name
-     * @param serialHashes Array of hashed serial numbers for this batch
+     * @param merkleRoot Merkle root over keccak256(serialHash) leaves, pairs hashed in sorted order
+     * @param serialCount Number of serials committed in the tree (informational)
+     *      The batch is sealed: a Merkle root already commits to every serial.
      * @param ipfsHash IPFS hash for product metadata (can be empty)
      * @param description Product description (can be empty)
      * @param imageUrl Product image URL (can be empty)
-     * 
-     * Note: Serial numbers should be hashed off-chain before calling this function
-     * Example: keccak256(abi.encodePacked(batchId, serialNumber))
+     * @param manufacturedAt Manufacture timestamp (0 if not tracked)
+     * @param expiresAt Expiry timestamp (0 if the batch does not expire)
      */
-    function registerProduct(
+    function registerProductMerkle(
+        uint256 batchId,
+        string memory name,
+        string memory brand,
+        bytes32 merkleRoot,
+        uint256 serialCount,
+        string memory ipfsHash,
+        string memory description,
+        string memory imageUrl,
+        uint256 manufacturedAt,
+        uint256 expiresAt
+    ) external payable whenActive(PausableOperation.Registration, batchId) nonReentrant {
+        address maker = _registrant(batchId, serialCount);
+        // A Merkle root does not prove serialCount, so it cannot count against a quota
+        if (maker != msg.sender && operators[msg.sender].serialQuota != 0) revert QuotaOperatorMerkle();
+        if (merkleRoot == bytes32(0)) revert InvalidMerkleRoot();
+        if (serialCount == 0) revert NoSerials();
+        _collectFee(batchId, serialCount, true);
+
+        _storeProduct(maker, batchId, name, brand, ipfsHash, description, imageUrl, manufacturedAt, expiresAt);
+        batchMerkleRoot[batchId] = merkleRoot;
+        batchSerialCount[batchId] = serialCount;
+        batchSealed[batchId] = true;
+
+        emit ProductRegistered(batchId, maker, name, brand, serialCount);
+    }
+
+    /**
+     * @notice Validate and store a new product batch owned by a manufacturer
+     * @dev Shared by registerProduct and registerProductMerkle
+     */
+    function _storeProduct(
+        address maker,
         uint256 batchId,
         string memory name,
         string memory brand,
-        bytes32[] memory serialHashes,
         string memory ipfsHash,
         string memory description,
-        string memory imageUrl
-    ) external onlyMaker whenNotPaused nonReentrant {
+        string memory imageUrl,
+        uint256 manufacturedAt,
+        uint256 expiresAt
+    ) internal {
         if (batchId == 0) revert InvalidBatchId();
         if (bytes(name).length == 0) revert EmptyName();
         if (bytes(brand).length == 0) revert EmptyBrand();
-        if (serialHashes.length == 0) revert NoSerials();
-        if (serialHashes.length > MAX_SERIALS_PER_BATCH) revert TooManySerials();
         if (products[batchId].exists) revert BatchExists();
+        if (expiresAt != 0 && expiresAt <= manufacturedAt) revert InvalidShelfLife();
+
+        // Assigned brands can only be used by their owner and are stored under
+        // their canonical name; other brands stay unverified
+        bytes32 brandId = brandIdOf(brand);
+        Brand storage registered = brands[brandId];
+        if (registered.manufacturer == address(0)) {
+            brandId = bytes32(0);
+        } else if (registered.manufacturer != maker) {
+            revert NotBrandOwner();
+        } else {
+            brand = registered.name;
+        }
 
-        // Register the product batch
         products[batchId] = Product({
             name: name,
             brand: brand,
@@ -313,18 +558,16 @@ contract ChainCheck {
             exists: true,
             ipfsHash: ipfsHash,
             description: description,
-            imageUrl: imageUrl
+            imageUrl: imageUrl,
+            manufacturer: maker,
+            brandId: brandId,
+            manufacturedAt: manufacturedAt,
+            expiresAt: expiresAt
         });
 
-        // Store serial-to-batch mapping for validation
-        // This prevents attackers from verifying serials with wrong batch IDs
-        for (uint256 i = 0; i < serialHashes.length; i++) {
-            serialToBatch[serialHashes[i]] = batchId;
-        }
-
+        registeredBatchIds.push(batchId);
+        manufacturerBatchIds[maker].push(batchId);
         totalProducts++;
-
-        emit ProductRegistered(batchId, name, brand, serialHashes.length);
     }
 
     /**
@@ -335,7 +578,7 @@ contract ChainCheck {
      * 
      * @param serialHash Hashed serial number to verify
      * @param batchId Product batch ID this serial belongs to
-     * @return isAuthentic True if product is authentic (first scan), false otherwise
+     * @return status Authentic on the first scan; AlreadyClaimed, Expired, Recalled or Revoked otherwise
      * 
      * Security: Serial must be hashed off-chain using:
      * keccak256(abi.encodePacked(batchId, serialNumber))
@@ -343,49 +586,457 @@ contract ChainCheck {
     function verify(
         bytes32 serialHash,
         uint256 batchId
-    ) external whenNotPaused nonReentrant returns (bool) {
+    )
+        external
+        whenActive(PausableOperation.Verification, batchId)
+        nonReentrant
+        returns (VerificationStatus)
+    {
         if (batchId == 0) revert InvalidBatchId();
         if (!products[batchId].exists) revert BatchNotFound();
         
         // Validate that the serial hash belongs to the claimed batch
         if (serialToBatch[serialHash] != batchId) revert SerialNotInBatch();
 
-        // Check if this serial has been verified before
-        bool isAuthentic = !serialVerified[serialHash];
+        // Serials protected by a claim code can only be consumed via claim()
+        if (claimCodeHash[_serialKey(batchId, serialHash)] != bytes32(0)) revert ClaimCodeRequired();
+
+        return _recordVerification(serialHash, batchId);
+    }
+
+    /**
+     * @notice Verify a serial from a Merkle-registered batch
+     * @dev Same semantics as verify, but batch membership is proven with a
+     *      Merkle proof against batchMerkleRoot instead of serialToBatch
+     * @param serialHash Hashed serial number to verify
+     * @param batchId Product batch ID this serial belongs to
+     * @param proof Sibling hashes from the serial's leaf up to the root
+     * @return status Authentic on the first scan; AlreadyClaimed, Expired, Recalled or Revoked otherwise
+     */
+    function verifyWithProof(
+        bytes32 serialHash,
+        uint256 batchId,
+        bytes32[] memory proof
+    )
+        external
+        whenActive(PausableOperation.Verification, batchId)
+        nonReentrant
+        returns (VerificationStatus)
+    {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+        if (!_isInMerkleBatch(serialHash, batchId, proof)) revert InvalidProof();
+        if (claimCodeHash[_serialKey(batchId, serialHash)] != bytes32(0)) revert ClaimCodeRequired();
+
+        return _recordVerification(serialHash, batchId);
+    }
+
+    /**
+     * @notice Commit hashed claim codes for serials in a batch
+     * @dev Only the batch's manufacturer can call this, once per serial. Call it
+     *      right after registration, before the batch ships.
+     *      Serials of Merkle batches need a proof each. A tree may list another
+     *      manufacturer's serial hash, but codes are kept per batch and serial, so
+     *      they never lock another batch's copy of the serial.
+     * @param batchId Product batch ID
+     * @param serialHashes Hashed serial numbers
+     * @param codeHashes keccak256(abi.encode(serialHash, claimCode)) for each serial
+     * @param proofs Merkle proof for each serial (empty for per-serial batches)
+     */
+    function commitClaimCodes(
+        uint256 batchId,
+        bytes32[] memory serialHashes,
+        bytes32[] memory codeHashes,
+        bytes32[][] memory proofs
+    ) external onlyMaker whenActive(PausableOperation.Registration, batchId) nonReentrant {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+        if (products[batchId].manufacturer != msg.sender) revert NotBatchManufacturer();
+        if (serialHashes.length != codeHashes.length) revert ArraysLengthMismatch();
+        if (serialHashes.length == 0) revert NoSerials();
+
+        for (uint256 i = 0; i < serialHashes.length; i++) {
+            _requireInBatch(serialHashes[i], batchId, proofs, i);
+            bytes32 key = _serialKey(batchId, serialHashes[i]);
+            if (claimCodeHash[key] != bytes32(0)) revert ClaimCodeExists();
+            if (codeHashes[i] == bytes32(0)) revert InvalidClaimCode();
+
+            claimCodeHash[key] = codeHashes[i];
+        }
+
+        emit ClaimCodesCommitted(batchId, serialHashes.length);
+    }
+
+    /**
+     * @notice Claim a product as its first owner using the code under its scratch-off
+     * @dev Consumes the serial's first-scan flag. A correct code on an already
+     *      claimed serial is recorded as a non-authentic scan. The code is revealed
+     *      in calldata, so the claimer must first commit to it with commitClaim in
+     *      an earlier block; whoever sees the pending claim cannot front-run it.
+     * @param serialHash Hashed serial number to claim
+     * @param batchId Product batch ID this serial belongs to
+     * @param proof Merkle proof for Merkle-registered batches (empty otherwise)
+     * @param claimCode Plain-text claim code printed with the product
+     * @return status Authentic if this call claimed the product
+     */
+    function claim(
+        bytes32 serialHash,
+        uint256 batchId,
+        bytes32[] memory proof,
+        string memory claimCode
+    )
+        external
+        whenActive(PausableOperation.Verification, batchId)
+        nonReentrant
+        returns (VerificationStatus)
+    {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+        if (!_belongsToBatch(serialHash, batchId, proof)) revert SerialNotInBatch();
+
+        bytes32 committed = claimCodeHash[_serialKey(batchId, serialHash)];
+        if (committed == bytes32(0)) revert NoClaimCode();
+        if (keccak256(abi.encode(serialHash, claimCode)) != committed) revert InvalidClaimCode();
+
+        bytes32 commitment = keccak256(abi.encode(serialHash, claimCode, _msgSender()));
+        uint256 committedAt = claimCommitments[commitment];
+        if (committedAt == 0 || committedAt >= block.number) revert ClaimNotCommitted();
+        delete claimCommitments[commitment];
+
+        return _recordVerification(serialHash, batchId);
+    }
+
+    /**
+     * @notice Read-only status check for a serial; does not consume anything
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID the serial claims to belong to
+     * @param proof Merkle proof for Merkle-registered batches (empty otherwise)
+     * @return registered True if the serial belongs to an existing batch
+     * @return claimed True if the serial's first scan has been consumed
+     * @return requiresClaimCode True if claiming requires the scratch-off code
+     * @return currentOwner Current owner of the serial (zero if unclaimed)
+     * @return status Outcome a scan would have right now (Unknown if not registered)
+     * @return reason Recall or revocation reason (None otherwise)
+     */
+    function checkSerial(
+        bytes32 serialHash,
+        uint256 batchId,
+        bytes32[] memory proof
+    ) external view returns (
+        bool registered,
+        bool claimed,
+        bool requiresClaimCode,
+        address currentOwner,
+        VerificationStatus status,
+        ReasonCode reason
+    ) {
+        registered =
+            batchId != 0 &&
+            products[batchId].exists &&
+            _belongsToBatch(serialHash, batchId, proof);
+        bytes32 key = _serialKey(batchId, serialHash);
+        claimed = serialVerified[key];
+        requiresClaimCode = claimCodeHash[key] != bytes32(0);
+        currentOwner = serialOwner[key];
+        (status, reason) = registered
+            ? _serialStatus(serialHash, batchId)
+            : (VerificationStatus.Unknown, ReasonCode.None);
+    }
+
+    /**
+     * @notice Recall a whole batch, or lift a recall by passing ReasonCode.None
+     * @dev Only the batch's manufacturer can call this. Scans of recalled serials
+     *      are recorded but never claim the product.
+     * @param batchId Product batch ID
+     * @param reason Recall reason
+     */
+    function recallBatch(uint256 batchId, ReasonCode reason) external nonReentrant {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+        if (products[batchId].manufacturer != msg.sender) revert NotBatchManufacturer();
+
+        batchRecallReason[batchId] = reason;
+
+        emit BatchRecalled(batchId, reason);
+    }
+
+    /**
+     * @notice Revoke individual serials (e.g. stolen or voided units), or reinstate
+     *         them by passing ReasonCode.None
+     * @dev Only the batch's manufacturer can call this. Serials of Merkle batches
+     *      need a proof each. A tree may list another manufacturer's serial hash,
+     *      but revocations are kept per batch and serial, so only this batch's copy
+     *      of the serial is revoked.
+     * @param batchId Product batch ID
+     * @param serialHashes Hashed serial numbers to revoke
+     * @param proofs Merkle proof for each serial (empty for per-serial batches)
+     * @param reason Revocation reason
+     */
+    function revokeSerials(
+        uint256 batchId,
+        bytes32[] memory serialHashes,
+        bytes32[][] memory proofs,
+        ReasonCode reason
+    ) external nonReentrant {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+        if (products[batchId].manufacturer != msg.sender) revert NotBatchManufacturer();
+        if (serialHashes.length == 0) revert NoSerials();
+
+        for (uint256 i = 0; i < serialHashes.length; i++) {
+            _requireInBatch(serialHashes[i], batchId, proofs, i);
+
+            serialRevocationReason[_serialKey(batchId, serialHashes[i])] = reason;
+
+            emit SerialRevoked(serialHashes[i], batchId, reason);
+        }
+    }
+
+    /**
+     * @notice Report a suspected counterfeit to the batch's manufacturer
+     * @dev Anyone can report, also through the trusted forwarder. The serial does not
+     *      have to belong to the batch, since cloned labels often do not.
+     * @param serialHash Hashed serial number printed on the suspect product
+     * @param batchId Batch ID printed on the suspect product
+     * @param region ISO 3166-1 alpha-2 country code where it was found (zero if not given)
+     * @param evidenceHash IPFS hash of photos or receipts (can be empty)
+     */
+    function reportCounterfeit(
+        bytes32 serialHash,
+        uint256 batchId,
+        bytes2 region,
+        string memory evidenceHash
+    ) external whenNotPaused nonReentrant {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+
+        address reporter = _msgSender();
+        mapping(address => bool) storage reported = counterfeitReported[_serialKey(batchId, serialHash)];
+        if (reported[reporter]) revert AlreadyReported();
+
+        reported[reporter] = true;
+        batchCounterfeitReports[batchId]++;
+
+        emit CounterfeitReported(serialHash, batchId, reporter, region, evidenceHash);
+    }
+
+    /**
+     * @notice Status a scan of a registered serial would have right now
+     * @dev Revocation takes precedence over a batch recall, then expiry, then claims
+     */
+    function _serialStatus(
+        bytes32 serialHash,
+        uint256 batchId
+    ) internal view returns (VerificationStatus, ReasonCode) {
+        bytes32 key = _serialKey(batchId, serialHash);
+        ReasonCode reason = serialRevocationReason[key];
+        if (reason != ReasonCode.None) return (VerificationStatus.Revoked, reason);
+
+        reason = batchRecallReason[batchId];
+        if (reason != ReasonCode.None) return (VerificationStatus.Recalled, reason);
+
+        uint256 expiresAt = products[batchId].expiresAt;
+        if (expiresAt != 0 && block.timestamp >= expiresAt) return (VerificationStatus.Expired, ReasonCode.None);
+
+        if (serialVerified[key]) return (VerificationStatus.AlreadyClaimed, ReasonCode.None);
+
+        return (VerificationStatus.Authentic, ReasonCode.None);
+    }
+
+    /**
+     * @notice Transfer a claimed product to a new owner, e.g. on resale
+     * @dev Only the current owner can call this
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID this serial belongs to
+     * @param newOwner Address of the buyer
+     */
+    function transferProduct(
+        bytes32 serialHash,
+        uint256 batchId,
+        address newOwner
+    ) external whenNotPaused nonReentrant {
+        _transferProduct(serialHash, batchId, _msgSender(), newOwner);
+    }
+
+    /**
+     * @notice Record a resale made by transferring the companion ownership token
+     * @dev Only the ownership token can call this, after checking the caller may
+     *      move the token
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID this serial belongs to
+     * @param from Current owner
+     * @param to Address of the buyer
+     */
+    function syncTokenTransfer(
+        bytes32 serialHash,
+        uint256 batchId,
+        address from,
+        address to
+    ) external whenNotPaused nonReentrant {
+        if (msg.sender != ownershipToken) revert NotOwnershipToken();
+
+        _transferProduct(serialHash, batchId, from, to);
+    }
+
+    /**
+     * @notice Check and record a resale from the current owner
+     * @dev Only claimed serials can be resold: an unclaimed serial has no owner,
+     *      and moving it "from" the zero address would skip the first scan
+     */
+    function _transferProduct(bytes32 serialHash, uint256 batchId, address from, address to) internal {
+        bytes32 key = _serialKey(batchId, serialHash);
+        if (from == address(0) || !serialVerified[key]) revert NotProductOwner();
+        if (serialOwner[key] != from) revert NotProductOwner();
+        if (to == address(0)) revert InvalidAddress();
+        if (to == from) revert InvalidOwner();
+
+        _recordOwnership(serialHash, batchId, from, to, false);
+    }
+
+    /**
+     * @notice Set a serial's owner and append it to the ownership history
+     * @dev Also mints or moves the companion ownership token
+     * @param firstClaim Whether this is the first authentic scan of the serial
+     */
+    function _recordOwnership(
+        bytes32 serialHash,
+        uint256 batchId,
+        address from,
+        address to,
+        bool firstClaim
+    ) internal {
+        bytes32 key = _serialKey(batchId, serialHash);
+        serialOwner[key] = to;
+        ownershipHistory[key].push(OwnershipRecord({
+            from: from,
+            to: to,
+            timestamp: block.timestamp
+        }));
+
+        emit ProductTransferred(serialHash, batchId, from, to, block.timestamp);
+
+        if (ownershipToken != address(0)) {
+            IOwnershipToken(ownershipToken).onOwnershipRecorded(serialHash, batchId, from, to, firstClaim);
+        }
+    }
+
+    /**
+     * @notice Revert unless a serial listed by its batch's manufacturer belongs to the batch
+     * @dev Serials of Merkle batches are checked against proofs[index]
+     */
+    function _requireInBatch(
+        bytes32 serialHash,
+        uint256 batchId,
+        bytes32[][] memory proofs,
+        uint256 index
+    ) internal view {
+        if (batchMerkleRoot[batchId] == bytes32(0)) {
+            if (serialToBatch[serialHash] != batchId) revert SerialNotInBatch();
+        } else {
+            if (index >= proofs.length) revert ArraysLengthMismatch();
+            if (!_isInMerkleBatch(serialHash, batchId, proofs[index])) revert InvalidProof();
+        }
+    }
+
+    /**
+     * @notice Check that a serial belongs to a batch by either registration path
+     */
+    function _belongsToBatch(
+        bytes32 serialHash,
+        uint256 batchId,
+        bytes32[] memory proof
+    ) internal view returns (bool) {
+        return serialToBatch[serialHash] == batchId || _isInMerkleBatch(serialHash, batchId, proof);
+    }
+
+    /**
+     * @notice Mark a serial as scanned and record the verification
+     * @dev Callers must have already validated that the serial belongs to the batch
+     * @return status Authentic if this is the first scan of a serial in good standing
+     */
+    function _recordVerification(
+        bytes32 serialHash,
+        uint256 batchId
+    ) internal returns (VerificationStatus status) {
+        ReasonCode reason;
+        (status, reason) = _serialStatus(serialHash, batchId);
+        address verifier = _msgSender();
+        bytes32 key = _serialKey(batchId, serialHash);
+
+        // Only the first scan of a serial that is not recalled, revoked or expired is authentic
+        bool isAuthentic = status == VerificationStatus.Authentic;
 
         // Mark as verified (even if it was already verified)
         // This prevents replay attacks
         if (isAuthentic) {
-            serialVerified[serialHash] = true;
+            serialVerified[key] = true;
             totalVerifications++;
             batchVerificationCount[batchId]++;
+
+            // The first authentic scan makes the scanner the owner
+            _recordOwnership(serialHash, batchId, address(0), verifier, true);
+        } else if (status == VerificationStatus.AlreadyClaimed) {
+            batchDuplicateScans[batchId]++;
         }
 
-        // Record verification history
+        // Record verification history, or only the compact scan state in
+        // events-only mode
         uint256 timestamp = block.timestamp;
-        verificationHistory[serialHash].push(VerificationRecord({
-            serialHash: serialHash,
-            batchId: batchId,
-            verifier: msg.sender,
-            timestamp: timestamp,
-            isAuthentic: isAuthentic
-        }));
+        if (storeHistory) {
+            verificationHistory[key].push(VerificationRecord({
+                serialHash: serialHash,
+                batchId: batchId,
+                verifier: verifier,
+                timestamp: timestamp,
+                isAuthentic: isAuthentic,
+                owner: serialOwner[key],
+                status: status
+            }));
+        } else {
+            ScanState storage scan = scanState[key];
+            scan.lastScanner = verifier;
+            scan.scans++;
+        }
+
+        emit Verified(serialHash, batchId, isAuthentic, verifier, timestamp, status, reason);
+    }
 
-        emit Verified(serialHash, batchId, isAuthentic, msg.sender, timestamp);
+    /**
+     * @notice Check a Merkle proof for a serial against its batch's root
+     * @return True if the batch has a Merkle root and the proof is valid
+     */
+    function _isInMerkleBatch(
+        bytes32 serialHash,
+        uint256 batchId,
+        bytes32[] memory proof
+    ) internal view returns (bool) {
+        bytes32 root = batchMerkleRoot[batchId];
+        if (root == bytes32(0)) return false;
 
-        return isAuthentic;
+        bytes32 computed = keccak256(abi.encodePacked(serialHash));
+        for (uint256 i = 0; i < proof.length; i++) {
+            bytes32 sibling = proof[i];
+            computed = computed < sibling
+                ? keccak256(abi.encodePacked(computed, sibling))
+                : keccak256(abi.encodePacked(sibling, computed));
+        }
+        return computed == root;
     }
 
     /**
      * @notice Get product batch information
      * @param batchId Product batch ID
      * @return name Product name
-     * @return brand Brand name
+     * @return brand Brand display name (canonical name for registered brands)
      * @return exists Whether the batch exists
      * @return registeredAt Registration timestamp
      * @return ipfsHash IPFS hash for product metadata
      * @return description Product description
      * @return imageUrl Product image URL
+     * @return manufacturer Address of the registering manufacturer
+     * @return brandId Brand registry ID, zero if the brand was not verified at registration
+     * @return manufacturedAt Manufacture timestamp (0 if not tracked)
+     * @return expiresAt Expiry timestamp (0 if the batch does not expire)
      */
     function getProduct(
         uint256 batchId
@@ -399,7 +1050,11 @@ contract ChainCheck {
             uint256 registeredAt,
             string memory ipfsHash,
             string memory description,
-            string memory imageUrl
+            string memory imageUrl,
+            address manufacturer,
+            bytes32 brandId,
+            uint256 manufacturedAt,
+            uint256 expiresAt
         )
     {
         Product memory product = products[batchId];
@@ -410,17 +1065,27 @@ contract ChainCheck {
             product.registeredAt,
             product.ipfsHash,
             product.description,
-            product.imageUrl
+            product.imageUrl,
+            product.manufacturer,
+            product.brandId,
+            product.manufacturedAt,
+            product.expiresAt
         );
     }
 
     /**
-     * @notice Check if a serial number has been verified
-     * @param serialHash Hashed serial number
-     * @return verified True if this serial has been verified before
+     * @notice Get statistics for a product batch
+     * @param batchId Product batch ID
+     * @return serialCount Number of serials registered in the batch
+     * @return claims Number of authentic first scans (claims)
+     * @return duplicateScans Number of scans of already-claimed serials
      */
-    function isSerialVerified(bytes32 serialHash) external view returns (bool) {
-        return serialVerified[serialHash];
+    function getBatchStats(uint256 batchId)
+        public
+        view
+        returns (uint256 serialCount, uint256 claims, uint256 duplicateScans)
+    {
+        return (batchSerialCount[batchId], batchVerificationCount[batchId], batchDuplicateScans[batchId]);
     }
 
     /**
@@ -442,223 +1107,383 @@ contract ChainCheck {
     }
 
     /**
-     * @notice Get all authorized manufacturers
-     * @return manufacturers Array of manufacturer addresses
+     * @notice Queue a timelocked admin action
+     * @dev Requires the role that guards the action: MANUFACTURER_MANAGER_ROLE to
+     *      revoke a manufacturer, PAUSER_ROLE to unpause, ADMIN_ROLE to transfer
+     *      ownership. The action can be executed after TIMELOCK_DELAY.
+     * @param action Action to queue
+     * @param target Manufacturer to revoke or proposed owner (ignored for Unpause)
+     * @return actionId Queue entry id
      */
-    function getManufacturers() external view returns (address[] memory) {
-        return manufacturerList;
+    function queueAction(
+        TimelockAction action,
+        address target
+    ) external nonReentrant returns (uint256 actionId) {
+        _checkActionRole(action);
+
+        if (action == TimelockAction.Unpause) {
+            target = address(0);
+        } else if (target == address(0)) {
+            revert InvalidAddress();
+        } else if (action == TimelockAction.TransferOwnership && target == owner) {
+            revert InvalidOwner();
+        }
+
+        return _queueAction(action, target);
     }
 
     /**
-     * @notice Transfer contract ownership to a new address
-     * @dev Only current owner can call this
-     * @param newOwner Address of the new owner
+     * @notice Execute a queued action once its delay has passed
+     * @dev Requires the role that guards the action. Executing TransferOwnership
+     *      only proposes the new owner, who must then call acceptOwnership.
+     * @param actionId Queue entry id
      */
-    function transferOwnership(address newOwner) external onlyOwner nonReentrant {
-        if (newOwner == address(0)) revert InvalidAddress();
-        if (newOwner == owner) revert InvalidOwner();
-        
+    function executeAction(uint256 actionId) external nonReentrant {
+        QueuedAction storage queued = _pendingAction(actionId);
+        _checkActionRole(queued.action);
+        if (block.timestamp < queued.executableAt) revert ActionNotReady(queued.executableAt);
+
+        queued.executed = true;
+
+        if (queued.action == TimelockAction.RevokeManufacturer) {
+            _setManufacturer(queued.target, false);
+        } else if (queued.action == TimelockAction.Unpause) {
+            if (!paused) revert ContractNotPaused();
+            paused = false;
+            emit Paused(false);
+        } else {
+            pendingOwner = queued.target;
+            emit OwnershipTransferProposed(owner, queued.target);
+        }
+
+        emit ActionExecuted(actionId);
+    }
+
+    /**
+     * @notice Cancel a queued action before it is executed
+     * @dev Requires the role that guards the action
+     * @param actionId Queue entry id
+     */
+    function cancelAction(uint256 actionId) external nonReentrant {
+        QueuedAction storage queued = _pendingAction(actionId);
+        _checkActionRole(queued.action);
+
+        queued.cancelled = true;
+        emit ActionCancelled(actionId);
+    }
+
+    /**
+     * @notice Get a queued action that is neither executed nor cancelled
+     */
+    function _pendingAction(uint256 actionId) internal view returns (QueuedAction storage queued) {
+        queued = queuedActions[actionId];
+        if (actionId >= queuedActionCount || queued.executed || queued.cancelled) {
+            revert ActionNotQueued();
+        }
+    }
+
+    /**
+     * @notice Revert unless the caller holds the role that guards a timelocked action
+     */
+    function _checkActionRole(TimelockAction action) internal view {
+        bytes32 role = action == TimelockAction.RevokeManufacturer
+            ? MANUFACTURER_MANAGER_ROLE
+            : action == TimelockAction.Unpause
+                ? PAUSER_ROLE
+                : ADMIN_ROLE;
+        _checkRole(role);
+    }
+
+    /**
+     * @notice Accept a proposed ownership transfer
+     * @dev Only the pending owner can call this. ADMIN_ROLE moves from the old
+     *      owner to the new one, and the new owner is authorized as a manufacturer.
+     *      The old owner keeps its other roles and its manufacturer authorization;
+     *      revoking that is a separate, timelocked RevokeManufacturer action.
+     */
+    function acceptOwnership() external nonReentrant {
+        if (msg.sender != pendingOwner) revert NotPendingOwner();
+
         address oldOwner = owner;
-        owner = newOwner;
-        
-        // Update authorization status
-        authorizedMakers[oldOwner] = false;
-        authorizedMakers[newOwner] = true;
-        
-        emit ManufacturerAuthorized(oldOwner, false);
-        emit ManufacturerAuthorized(newOwner, true);
+        owner = msg.sender;
+        pendingOwner = address(0);
+
+        _grantRole(ADMIN_ROLE, msg.sender);
+        _revokeRole(ADMIN_ROLE, oldOwner);
+
+        _setManufacturer(msg.sender, true);
+
+        emit OwnershipTransferred(oldOwner, msg.sender);
+    }
+
+    /**
+     * @notice Set the ERC-2771 forwarder used for gasless verification
+     * @dev Only admins can call this. A forwarder can act for any consumer, so
+     *      only point this at a deployed ChainCheckForwarder.
+     * @param forwarder Forwarder address (zero disables relaying)
+     */
+    function setTrustedForwarder(address forwarder) external onlyRole(ADMIN_ROLE) nonReentrant {
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    /**
+     * @notice Set the companion ERC-721 that mirrors product ownership
+     * @dev Only admins can call this. Serials claimed before the token is set
+     *      get no token.
+     * @param token ChainCheckTwin address (zero disables minting)
+     */
+    function setOwnershipToken(address token) external onlyRole(ADMIN_ROLE) nonReentrant {
+        ownershipToken = token;
+        emit OwnershipTokenUpdated(token);
+    }
+
+    /**
+     * @notice ERC-2771: whether an address is the trusted forwarder
+     * @param forwarder Address to check
+     * @return True if calls from this address carry the original sender
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
     }
 
     /**
-     * @notice Batch verify multiple products at once
-     * @dev More gas efficient for verifying multiple products
+     * @notice Original sender of a consumer-facing call
+     * @dev For calls from the trusted forwarder, the sender is appended to the calldata
+     */
+    function _msgSender() internal view returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @notice Batch verify multiple products at once, e.g. when scanning a pallet
+     * @dev More gas efficient for verifying multiple products. Invalid items do
+     *      not revert the call: they are skipped with a VerificationRejected event
      * @param serialHashes Array of hashed serial numbers
      * @param batchIds Array of corresponding batch IDs
-     * @return results Array of verification results (true = authentic, false = fake)
+     * @return statuses Status per item: the verification outcome for recorded items,
+     *         InvalidBatchId, BatchNotFound, SerialNotInBatch, ClaimCodeRequired or
+     *         BatchFrozen otherwise
      */
     function batchVerify(
         bytes32[] memory serialHashes,
         uint256[] memory batchIds
-    ) external whenNotPaused nonReentrant returns (bool[] memory results) {
+    )
+        external
+        whenActive(PausableOperation.Verification, 0)
+        nonReentrant
+        returns (VerificationStatus[] memory statuses)
+    {
         if (serialHashes.length != batchIds.length) revert ArraysLengthMismatch();
 
-        results = new bool[](serialHashes.length);
+        statuses = new VerificationStatus[](serialHashes.length);
 
         for (uint256 i = 0; i < serialHashes.length; i++) {
-            if (batchIds[i] == 0) {
-                results[i] = false;
-                continue;
-            }
-            if (!products[batchIds[i]].exists) {
-                results[i] = false;
-                continue;
-            }
-            
-            // Validate that the serial hash belongs to the claimed batch
-            if (serialToBatch[serialHashes[i]] != batchIds[i]) {
-                results[i] = false;
-                continue;
-            }
+            statuses[i] = _batchVerifyItem(
+                serialHashes[i],
+                batchIds[i],
+                serialToBatch[serialHashes[i]] == batchIds[i]
+            );
+        }
+    }
 
-            bool isAuthentic = !serialVerified[serialHashes[i]];
-            results[i] = isAuthentic;
+    /**
+     * @notice Batch verify serials from Merkle-registered batches
+     * @dev Same per-item statuses as batchVerify; an invalid proof is reported
+     *      as SerialNotInBatch
+     * @param serialHashes Array of hashed serial numbers
+     * @param batchIds Array of corresponding batch IDs
+     * @param proofs Array of Merkle proofs, one per serial
+     * @return statuses Status per item, see batchVerify
+     */
+    function batchVerifyWithProof(
+        bytes32[] memory serialHashes,
+        uint256[] memory batchIds,
+        bytes32[][] memory proofs
+    )
+        external
+        whenActive(PausableOperation.Verification, 0)
+        nonReentrant
+        returns (VerificationStatus[] memory statuses)
+    {
+        if (serialHashes.length != batchIds.length || serialHashes.length != proofs.length) {
+            revert ArraysLengthMismatch();
+        }
 
-            if (isAuthentic) {
-                serialVerified[serialHashes[i]] = true;
-                totalVerifications++;
-                batchVerificationCount[batchIds[i]]++;
-            }
+        statuses = new VerificationStatus[](serialHashes.length);
 
-            // Record verification history
-            uint256 verifyTimestamp = block.timestamp;
-            verificationHistory[serialHashes[i]].push(VerificationRecord({
-                serialHash: serialHashes[i],
-                batchId: batchIds[i],
-                verifier: msg.sender,
-                timestamp: verifyTimestamp,
-                isAuthentic: isAuthentic
-            }));
+        for (uint256 i = 0; i < serialHashes.length; i++) {
+            statuses[i] = _batchVerifyItem(
+                serialHashes[i],
+                batchIds[i],
+                _isInMerkleBatch(serialHashes[i], batchIds[i], proofs[i])
+            );
+        }
+    }
 
-            emit Verified(serialHashes[i], batchIds[i], isAuthentic, msg.sender, verifyTimestamp);
+    /**
+     * @notice Verify one batch item, or reject it with the check verify would revert on
+     * @param inBatch Whether the serial was shown to belong to the batch
+     */
+    function _batchVerifyItem(
+        bytes32 serialHash,
+        uint256 batchId,
+        bool inBatch
+    ) internal returns (VerificationStatus status) {
+        if (batchId == 0) {
+            status = VerificationStatus.InvalidBatchId;
+        } else if (!products[batchId].exists) {
+            status = VerificationStatus.BatchNotFound;
+        } else if (!inBatch) {
+            status = VerificationStatus.SerialNotInBatch;
+        } else if (claimCodeHash[_serialKey(batchId, serialHash)] != bytes32(0)) {
+            // Claim-code serials must go through claim()
+            status = VerificationStatus.ClaimCodeRequired;
+        } else if (batchFrozen[batchId]) {
+            status = VerificationStatus.BatchFrozen;
+        } else {
+            return _recordVerification(serialHash, batchId);
         }
+
+        emit VerificationRejected(serialHash, batchId, status);
     }
 
     /**
      * @notice Pause the contract (emergency stop)
-     * @dev Only owner can pause. When paused:
+     * @dev Only pausers can pause. When paused:
      *      - Product registration is disabled
      *      - Product verification is disabled
-     *      - Owner functions still work
+     *      - Role-gated admin functions still work
+     *      Unpausing is timelocked: unpause() queues TimelockAction.Unpause.
+     *      To stop a single operation or batch instead, use setOperationPaused
+     *      or setBatchFrozen.
      */
-    function pause() external onlyOwner whenNotPaused nonReentrant {
+    function pause() external onlyRole(PAUSER_ROLE) whenNotPaused nonReentrant {
         paused = true;
         emit Paused(true);
     }
 
     /**
-     * @notice Unpause the contract
-     * @dev Only owner can unpause
+     * @notice Allow or disallow another manufacturer to edit a batch's metadata
+     * @dev Only the manufacturer that registered the batch can call this.
+     *      Delegates must themselves be authorized manufacturers to edit.
+     * @param batchId Product batch ID
+     * @param delegate Address to add or remove as a delegate
+     * @param allowed True to add, false to remove
      */
-    function unpause() external onlyOwner whenPaused nonReentrant {
-        paused = false;
-        emit Paused(false);
+    function setBatchDelegate(
+        uint256 batchId,
+        address delegate,
+        bool allowed
+    ) external onlyMaker nonReentrant {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+        if (products[batchId].manufacturer != msg.sender) revert NotBatchManufacturer();
+        if (delegate == address(0)) revert InvalidAddress();
+
+        batchDelegates[batchId][delegate] = allowed;
+
+        emit BatchDelegateUpdated(batchId, delegate, allowed);
     }
 
     /**
-     * @notice Get multiple product batches by their IDs
-     * @param batchIds Array of batch IDs to query
-     * @return names Array of product names
-     * @return brands Array of brand names
-     * @return existsArray Array of existence flags
-     * @return registeredAtArray Array of registration timestamps
-     * @return ipfsHashes Array of IPFS hashes
-     * @return descriptions Array of descriptions
-     * @return imageUrls Array of image URLs
+     * @notice Authorize or revoke a distributor/retailer for all batches
+     * @dev Only admins can call this
+     * @param partner Partner address
+     * @param role Distributor, Retailer, or None to revoke
      */
-    function getProductsBatch(uint256[] memory batchIds)
-        external
-        view
-        returns (
-            string[] memory names,
-            string[] memory brands,
-            bool[] memory existsArray,
-            uint256[] memory registeredAtArray,
-            string[] memory ipfsHashes,
-            string[] memory descriptions,
-            string[] memory imageUrls
-        )
-    {
-        uint256 length = batchIds.length;
-        names = new string[](length);
-        brands = new string[](length);
-        existsArray = new bool[](length);
-        registeredAtArray = new uint256[](length);
-        ipfsHashes = new string[](length);
-        descriptions = new string[](length);
-        imageUrls = new string[](length);
-
-        for (uint256 i = 0; i < length; i++) {
-            Product memory product = products[batchIds[i]];
-            names[i] = product.name;
-            brands[i] = product.brand;
-            existsArray[i] = product.exists;
-            registeredAtArray[i] = product.registeredAt;
-            ipfsHashes[i] = product.ipfsHash;
-            descriptions[i] = product.description;
-            imageUrls[i] = product.imageUrl;
-        }
+    function setSupplyChainPartner(
+        address partner,
+        SupplyChainRole role
+    ) external onlyRole(ADMIN_ROLE) nonReentrant {
+        if (partner == address(0)) revert InvalidAddress();
+        if (role == SupplyChainRole.Manufacturer) revert InvalidRole();
+
+        supplyChainPartners[partner] = role;
+
+        emit SupplyChainPartnerUpdated(0, partner, role);
     }
 
     /**
-     * @notice Update product metadata (IPFS hash, description, image URL)
-     * @dev Only authorized manufacturers can update their products
+     * @notice Authorize or revoke a distributor/retailer for one batch
+     * @dev Only the batch's manufacturer can call this
      * @param batchId Product batch ID
-     * @param ipfsHash New IPFS hash (empty string to keep existing)
-     * @param description New description (empty string to keep existing)
-     * @param imageUrl New image URL (empty string to keep existing)
+     * @param partner Partner address
+     * @param role Distributor, Retailer, or None to revoke
      */
-    function updateProductMetadata(
+    function setBatchSupplyChainPartner(
         uint256 batchId,
-        string memory ipfsHash,
-        string memory description,
-        string memory imageUrl
-    ) external onlyMaker whenNotPaused nonReentrant {
+        address partner,
+        SupplyChainRole role
+    ) external nonReentrant {
         if (batchId == 0) revert InvalidBatchId();
         if (!products[batchId].exists) revert BatchNotFound();
+        if (products[batchId].manufacturer != msg.sender) revert NotBatchManufacturer();
+        if (partner == address(0)) revert InvalidAddress();
+        if (role == SupplyChainRole.Manufacturer) revert InvalidRole();
 
-        // Update only non-empty fields
-        if (bytes(ipfsHash).length > 0) {
-            products[batchId].ipfsHash = ipfsHash;
-        }
-        if (bytes(description).length > 0) {
-            products[batchId].description = description;
-        }
-        if (bytes(imageUrl).length > 0) {
-            products[batchId].imageUrl = imageUrl;
-        }
-    }
+        batchSupplyChainPartners[batchId][partner] = role;
 
-    /**
-     * @notice Get verification history for a serial number
-     * @param serialHash Hashed serial number
-     * @return records Array of verification records
-     */
-    function getVerificationHistory(bytes32 serialHash)
-        external
-        view
-        returns (VerificationRecord[] memory)
-    {
-        return verificationHistory[serialHash];
+        emit SupplyChainPartnerUpdated(batchId, partner, role);
     }
 
     /**
-     * @notice Get verification count for a serial number
-     * @param serialHash Hashed serial number
-     * @return count Number of times this serial has been verified
+     * @notice Record a custody checkpoint for a batch or a single serial
+     * @dev Callable by the batch's manufacturer and by authorized partners
+     * @param batchId Product batch ID
+     * @param serialHash Hashed serial number, or zero for a batch-wide checkpoint
+     * @param proof Merkle proof for serials in Merkle-registered batches (empty otherwise)
+     * @param locationCode Location code, e.g. a UN/LOCODE or warehouse ID
+     * @param status Custody status
      */
-    function getVerificationCount(bytes32 serialHash)
-        external
-        view
-        returns (uint256)
-    {
-        return verificationHistory[serialHash].length;
+    function recordCheckpoint(
+        uint256 batchId,
+        bytes32 serialHash,
+        bytes32[] memory proof,
+        bytes32 locationCode,
+        CheckpointStatus status
+    ) external whenNotPaused nonReentrant {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+
+        SupplyChainRole role = getSupplyChainRole(batchId, msg.sender);
+        if (role == SupplyChainRole.None) revert NotSupplyChainPartner();
+
+        Checkpoint memory checkpoint = Checkpoint({
+            serialHash: serialHash,
+            locationCode: locationCode,
+            actor: msg.sender,
+            role: role,
+            status: status,
+            timestamp: block.timestamp
+        });
+
+        if (serialHash == bytes32(0)) {
+            batchCheckpoints[batchId].push(checkpoint);
+        } else {
+            if (!_belongsToBatch(serialHash, batchId, proof)) revert SerialNotInBatch();
+            serialCheckpoints[_serialKey(batchId, serialHash)].push(checkpoint);
+        }
+
+        emit CheckpointRecorded(batchId, serialHash, msg.sender, locationCode, role, status, block.timestamp);
     }
 
     /**
-     * @notice Get verification history for multiple serials
-     * @param serialHashes Array of hashed serial numbers
-     * @return records Array of verification record arrays
+     * @notice Get an address's supply-chain role for a batch
+     * @dev The batch manufacturer wins, then batch-level roles, then global roles
+     * @param batchId Product batch ID
+     * @param actor Address to check
+     * @return role Effective role (None if not authorized)
      */
-    function getVerificationHistoryBatch(bytes32[] memory serialHashes)
-        external
-        view
-        returns (VerificationRecord[][] memory)
-    {
-        VerificationRecord[][] memory records = new VerificationRecord[][](serialHashes.length);
-        for (uint256 i = 0; i < serialHashes.length; i++) {
-            records[i] = verificationHistory[serialHashes[i]];
-        }
-        return records;
+    function getSupplyChainRole(uint256 batchId, address actor) public view returns (SupplyChainRole) {
+        if (products[batchId].manufacturer == actor) return SupplyChainRole.Manufacturer;
+
+        SupplyChainRole role = batchSupplyChainPartners[batchId][actor];
+        if (role != SupplyChainRole.None) return role;
+
+        return supplyChainPartners[actor];
     }
 }
-
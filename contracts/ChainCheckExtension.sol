@@ -0,0 +1,647 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {ChainCheckStorage} from "./ChainCheckStorage.sol";
+
+/**
+ * @title ChainCheckExtension
+ * @author ChainCheck Team
+ * @notice Batch and paged views, manufacturer profiles, operators, claim
+ *         commitments, metadata updates, pause switches and fee administration
+ *         of ChainCheck
+ *
+ * ChainCheck is close to the 24KB contract size limit, so functions that
+ * are not on the registration or verification path live here. ChainCheck
+ * forwards every call it has no function for to this contract with
+ * delegatecall: these functions run on ChainCheck's storage and are called at
+ * the ChainCheck (proxy) address. Calling this contract directly only sees
+ * its own, empty, storage.
+ *
+ * scripts/utils/proxy.js deploys the extension with each ChainCheck
+ * implementation, and its chainCheckAt helper attaches both ABIs.
+ */
+contract ChainCheckExtension is ChainCheckStorage {
+    /**
+     * @notice Set a manufacturer's profile
+     * @dev Only manufacturer managers can call this. Profiles can be set before
+     *      the manufacturer is authorized.
+     * @param maker Manufacturer address
+     * @param name Display name
+     * @param website Website URL
+     * @param country ISO 3166-1 alpha-2 country code (zero if not given)
+     * @param logoIpfsHash IPFS hash of the logo image
+     * @param tier Verification tier
+     */
+    function setManufacturerProfile(
+        address maker,
+        string memory name,
+        string memory website,
+        bytes2 country,
+        string memory logoIpfsHash,
+        VerificationTier tier
+    ) external onlyRole(MANUFACTURER_MANAGER_ROLE) nonReentrant {
+        if (maker == address(0)) revert InvalidAddress();
+        if (bytes(name).length == 0) revert EmptyName();
+        _checkProfileField(name);
+
+        manufacturerProfiles[maker] = ManufacturerProfile({
+            name: name,
+            website: website,
+            country: country,
+            logoIpfsHash: logoIpfsHash,
+            tier: tier
+        });
+        _updateProfileLinks(maker, website, logoIpfsHash);
+    }
+
+    /**
+     * @notice Edit the caller's own profile
+     * @dev Only authorized manufacturers can call this. Name, country and tier
+     *      are vetted by manufacturer managers and cannot be changed here.
+     * @param website Website URL
+     * @param logoIpfsHash IPFS hash of the logo image
+     */
+    function updateManufacturerProfile(
+        string memory website,
+        string memory logoIpfsHash
+    ) external onlyMaker nonReentrant {
+        _updateProfileLinks(msg.sender, website, logoIpfsHash);
+    }
+
+    /**
+     * @notice Get a manufacturer's profile
+     * @param maker Manufacturer address
+     * @return profile Profile (empty name if none was set)
+     */
+    function getManufacturerProfile(address maker) external view returns (ManufacturerProfile memory) {
+        return manufacturerProfiles[maker];
+    }
+
+    /**
+     * @notice Store a profile's website and logo and emit ManufacturerProfileUpdated
+     */
+    function _updateProfileLinks(address maker, string memory website, string memory logoIpfsHash) internal {
+        _checkProfileField(website);
+        _checkProfileField(logoIpfsHash);
+
+        ManufacturerProfile storage profile = manufacturerProfiles[maker];
+        profile.website = website;
+        profile.logoIpfsHash = logoIpfsHash;
+        emit ManufacturerProfileUpdated(maker, msg.sender, profile.name, profile.tier);
+    }
+
+    /**
+     * @notice Revert if a profile string is longer than MAX_PROFILE_FIELD_LENGTH
+     */
+    function _checkProfileField(string memory value) internal pure {
+        if (bytes(value).length > MAX_PROFILE_FIELD_LENGTH) revert ProfileFieldTooLong();
+    }
+
+    /**
+     * @notice Add an operator that registers batches on the caller's behalf, or change its scope
+     * @dev Only authorized manufacturers can call this. Operators can register
+     *      batches, append serials and seal batches; the batches belong to the
+     *      manufacturer. Changing the scope keeps the serials already counted.
+     * @param operator Operator address, e.g. the key of one production line
+     * @param minBatchId Lowest batch ID the operator may register
+     * @param maxBatchId Highest batch ID the operator may register (0 for no limit)
+     * @param serialQuota Serials the operator may register in total (0 for no
+     *        limit); an operator with a quota cannot register Merkle batches
+     */
+    function setOperator(
+        address operator,
+        uint256 minBatchId,
+        uint256 maxBatchId,
+        uint256 serialQuota
+    ) external onlyMaker nonReentrant {
+        if (operator == address(0) || operator == msg.sender) revert InvalidAddress();
+        if (maxBatchId != 0 && maxBatchId < minBatchId) revert InvalidBatchId();
+
+        // An address registers for one manufacturer only
+        Operator storage scope = operators[operator];
+        if (authorizedMakers[operator]) revert OperatorTaken();
+        if (scope.manufacturer == address(0)) {
+            scope.manufacturer = msg.sender;
+            manufacturerOperators[msg.sender].push(operator);
+        } else if (scope.manufacturer != msg.sender) {
+            revert OperatorTaken();
+        }
+
+        scope.minBatchId = minBatchId;
+        scope.maxBatchId = maxBatchId;
+        scope.serialQuota = serialQuota;
+        emit OperatorUpdated(msg.sender, operator, minBatchId, maxBatchId, serialQuota);
+    }
+
+    /**
+     * @notice Remove one of the caller's operators
+     * @dev Also works after the caller's authorization was revoked
+     * @param operator Operator address
+     */
+    function removeOperator(address operator) external nonReentrant {
+        if (operators[operator].manufacturer != msg.sender) revert NotAuthorized();
+        delete operators[operator];
+
+        // Remove from list (keep last element, swap with current, pop)
+        address[] storage list = manufacturerOperators[msg.sender];
+        for (uint256 i = 0; i < list.length; i++) {
+            if (list[i] == operator) {
+                list[i] = list[list.length - 1];
+                list.pop();
+                break;
+            }
+        }
+
+        emit OperatorRemoved(msg.sender, operator);
+    }
+
+    /**
+     * @notice Get an operator's manufacturer and scope
+     * @param operator Operator address
+     * @return scope Scope (zero manufacturer if the address is not an operator)
+     */
+    function getOperator(address operator) external view returns (Operator memory) {
+        return operators[operator];
+    }
+
+    /**
+     * @notice Get a manufacturer's operators
+     * @param manufacturer Manufacturer address
+     * @return addresses Operator addresses
+     * @return scopes Scope per operator
+     */
+    function getOperators(address manufacturer)
+        external
+        view
+        returns (address[] memory addresses, Operator[] memory scopes)
+    {
+        addresses = manufacturerOperators[manufacturer];
+        scopes = new Operator[](addresses.length);
+        for (uint256 i = 0; i < addresses.length; i++) {
+            scopes[i] = operators[addresses[i]];
+        }
+    }
+
+    /**
+     * @notice Commit to a claim code before revealing it with claim()
+     * @dev The commitment hides the code and binds it to the claimer, so anyone
+     *      (e.g. a relayer) can submit it. A commitment keeps the block it was
+     *      first made in.
+     * @param commitment keccak256(abi.encode(serialHash, claimCode, claimer))
+     */
+    function commitClaim(
+        bytes32 commitment
+    ) external whenActive(PausableOperation.Verification, 0) nonReentrant {
+        if (claimCommitments[commitment] == 0) {
+            claimCommitments[commitment] = block.number;
+        }
+        emit ClaimCommitted(commitment);
+    }
+
+    /**
+     * @notice Update product metadata (IPFS hash, description, image URL)
+     * @dev Only the batch's manufacturer, one of its delegates, or a metadata
+     *      editor can update it. Every update bumps metadataVersion and emits
+     *      ProductMetadataUpdated, so consumers can see what changed.
+     * @param batchId Product batch ID
+     * @param ipfsHash New IPFS hash (empty string to keep existing)
+     * @param description New description (empty string to keep existing)
+     * @param imageUrl New image URL (empty string to keep existing)
+     */
+    function updateProductMetadata(
+        uint256 batchId,
+        string memory ipfsHash,
+        string memory description,
+        string memory imageUrl
+    ) external whenActive(PausableOperation.Metadata, batchId) nonReentrant {
+        bool isEditor = _roles[METADATA_EDITOR_ROLE][msg.sender];
+        if (!isEditor && !authorizedMakers[msg.sender]) revert NotAuthorized();
+        if (batchId == 0) revert InvalidBatchId();
+        Product storage product = products[batchId];
+        if (!product.exists) revert BatchNotFound();
+        if (
+            !isEditor &&
+            product.manufacturer != msg.sender &&
+            !batchDelegates[batchId][msg.sender]
+        ) revert NotBatchManufacturer();
+
+        string memory oldIpfsHash = product.ipfsHash;
+        string memory oldDescription = product.description;
+        string memory oldImageUrl = product.imageUrl;
+
+        // Update only non-empty fields
+        if (bytes(ipfsHash).length > 0) {
+            product.ipfsHash = ipfsHash;
+        } else {
+            ipfsHash = oldIpfsHash;
+        }
+        if (bytes(description).length > 0) {
+            product.description = description;
+        } else {
+            description = oldDescription;
+        }
+        if (bytes(imageUrl).length > 0) {
+            product.imageUrl = imageUrl;
+        } else {
+            imageUrl = oldImageUrl;
+        }
+
+        uint256 version = ++metadataVersion[batchId];
+        emit ProductMetadataUpdated(
+            batchId,
+            version,
+            msg.sender,
+            oldIpfsHash,
+            ipfsHash,
+            oldDescription,
+            description,
+            oldImageUrl,
+            imageUrl
+        );
+    }
+
+    /**
+     * @notice Queue unpausing the contract
+     * @dev Only pausers can call this. Same as queueAction(TimelockAction.Unpause):
+     *      the contract resumes once executeAction runs after TIMELOCK_DELAY.
+     * @return actionId Queue entry id
+     */
+    function unpause() external onlyRole(PAUSER_ROLE) nonReentrant returns (uint256 actionId) {
+        if (!paused) revert ContractNotPaused();
+        return _queueAction(TimelockAction.Unpause, address(0));
+    }
+
+    /**
+     * @notice Pause or resume one operation without pausing the whole contract
+     * @dev Only pausers can call this. Both directions take effect immediately;
+     *      only lifting the global pause goes through the timelock.
+     * @param operation Registration (register, append, claim codes), Verification
+     *        (verify, claim, batch verify) or Metadata (metadata updates)
+     * @param isPaused True to pause, false to resume
+     */
+    function setOperationPaused(
+        PausableOperation operation,
+        bool isPaused
+    ) external onlyRole(PAUSER_ROLE) nonReentrant {
+        operationPaused[operation] = isPaused;
+        emit OperationPauseUpdated(operation, isPaused);
+    }
+
+    /**
+     * @notice Freeze or unfreeze a single batch
+     * @dev Only pausers can call this. A frozen batch cannot be appended to,
+     *      verified, claimed or have its metadata updated; batch verifications
+     *      skip its items with the BatchFrozen status. Other batches are unaffected.
+     * @param batchId Product batch ID
+     * @param frozen True to freeze, false to unfreeze
+     */
+    function setBatchFrozen(uint256 batchId, bool frozen) external onlyRole(PAUSER_ROLE) nonReentrant {
+        if (batchId == 0) revert InvalidBatchId();
+        if (!products[batchId].exists) revert BatchNotFound();
+
+        batchFrozen[batchId] = frozen;
+        emit BatchFreezeUpdated(batchId, frozen);
+    }
+
+    /**
+     * @notice Set the registration fee schedule
+     * @dev Only admins can call this. Registrations must pay the exact fee, so
+     *      transactions quoted under the old schedule revert instead of
+     *      paying a different amount.
+     * @param batchFee_ Flat fee per new batch, in wei (0 for none)
+     * @param serialFee_ Fee per serial, in wei (0 for none)
+     */
+    function setFees(uint256 batchFee_, uint256 serialFee_) external onlyRole(ADMIN_ROLE) nonReentrant {
+        batchFee = batchFee_;
+        serialFee = serialFee_;
+        emit FeesUpdated(batchFee_, serialFee_);
+    }
+
+    /**
+     * @notice Set the address that collected fees are withdrawn to
+     * @dev Only admins can call this
+     * @param treasury_ Treasury address
+     */
+    function setTreasury(address treasury_) external onlyRole(ADMIN_ROLE) nonReentrant {
+        if (treasury_ == address(0)) revert InvalidAddress();
+        treasury = treasury_;
+        emit TreasuryUpdated(treasury_);
+    }
+
+    /**
+     * @notice Send all collected fees to the treasury
+     * @dev Only admins can call this, once a treasury is set
+     * @return amount Amount withdrawn
+     */
+    function withdrawFees() external onlyRole(ADMIN_ROLE) nonReentrant returns (uint256 amount) {
+        address recipient = treasury;
+        if (recipient == address(0)) revert InvalidAddress();
+        amount = address(this).balance;
+        if (amount == 0) revert NoFeesToWithdraw();
+
+        (bool sent, ) = recipient.call{value: amount}("");
+        if (!sent) revert FeeTransferFailed();
+        emit FeesWithdrawn(recipient, amount);
+    }
+
+    /**
+     * @notice Fee a registration or append has to send as msg.value
+     * @param serialCount Serials being registered or appended
+     * @param newBatch True for registerProduct / registerProductMerkle, false for appendSerials
+     * @return fee Fee in wei
+     */
+    function quoteRegistrationFee(uint256 serialCount, bool newBatch) external view returns (uint256 fee) {
+        return _registrationFee(serialCount, newBatch);
+    }
+
+    /**
+     * @notice Get multiple product batches by their IDs
+     * @param batchIds Array of batch IDs to query
+     * @return names Array of product names
+     * @return brands Array of brand names
+     * @return existsArray Array of existence flags
+     * @return registeredAtArray Array of registration timestamps
+     * @return ipfsHashes Array of IPFS hashes
+     * @return descriptions Array of descriptions
+     * @return imageUrls Array of image URLs
+     * @return manufacturers Array of registering manufacturer addresses
+     * @return manufacturedAtArray Array of manufacture timestamps
+     * @return expiresAtArray Array of expiry timestamps (0 if the batch does not expire)
+     */
+    function getProductsBatch(uint256[] memory batchIds)
+        external
+        view
+        returns (
+            string[] memory names,
+            string[] memory brands,
+            bool[] memory existsArray,
+            uint256[] memory registeredAtArray,
+            string[] memory ipfsHashes,
+            string[] memory descriptions,
+            string[] memory imageUrls,
+            address[] memory manufacturers,
+            uint256[] memory manufacturedAtArray,
+            uint256[] memory expiresAtArray
+        )
+    {
+        uint256 length = batchIds.length;
+        names = new string[](length);
+        brands = new string[](length);
+        existsArray = new bool[](length);
+        registeredAtArray = new uint256[](length);
+        ipfsHashes = new string[](length);
+        descriptions = new string[](length);
+        imageUrls = new string[](length);
+        manufacturers = new address[](length);
+        manufacturedAtArray = new uint256[](length);
+        expiresAtArray = new uint256[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            Product memory product = products[batchIds[i]];
+            names[i] = product.name;
+            brands[i] = product.brand;
+            existsArray[i] = product.exists;
+            registeredAtArray[i] = product.registeredAt;
+            ipfsHashes[i] = product.ipfsHash;
+            descriptions[i] = product.description;
+            imageUrls[i] = product.imageUrl;
+            manufacturers[i] = product.manufacturer;
+            manufacturedAtArray[i] = product.manufacturedAt;
+            expiresAtArray[i] = product.expiresAt;
+        }
+    }
+
+    /**
+     * @notice Get statistics for multiple product batches
+     * @param batchIds Array of batch IDs to query
+     * @return serialCounts Serials registered per batch
+     * @return claims Authentic first scans per batch
+     * @return duplicateScans Scans of already-claimed serials per batch
+     */
+    function getBatchStatsBatch(uint256[] memory batchIds)
+        external
+        view
+        returns (uint256[] memory serialCounts, uint256[] memory claims, uint256[] memory duplicateScans)
+    {
+        uint256 length = batchIds.length;
+        serialCounts = new uint256[](length);
+        claims = new uint256[](length);
+        duplicateScans = new uint256[](length);
+
+        for (uint256 i = 0; i < length; i++) {
+            serialCounts[i] = batchSerialCount[batchIds[i]];
+            claims[i] = batchVerificationCount[batchIds[i]];
+            duplicateScans[i] = batchDuplicateScans[batchIds[i]];
+        }
+    }
+
+    /**
+     * @notice Get all authorized manufacturers with their profiles
+     * @return makers Manufacturer addresses
+     * @return profiles Profile per manufacturer (empty name if none was set)
+     */
+    function getManufacturers()
+        external
+        view
+        returns (address[] memory makers, ManufacturerProfile[] memory profiles)
+    {
+        makers = manufacturerList;
+        profiles = new ManufacturerProfile[](makers.length);
+        for (uint256 i = 0; i < makers.length; i++) {
+            profiles[i] = manufacturerProfiles[makers[i]];
+        }
+    }
+
+    /**
+     * @notice Get a page of authorized manufacturers with their profiles
+     * @param offset Index of the first manufacturer to return
+     * @param limit Maximum number of manufacturers to return
+     * @return makers Manufacturer addresses
+     * @return profiles Profile per manufacturer (empty name if none was set)
+     * @return total Total number of manufacturers
+     */
+    function getManufacturersPage(uint256 offset, uint256 limit)
+        external
+        view
+        returns (address[] memory makers, ManufacturerProfile[] memory profiles, uint256 total)
+    {
+        total = manufacturerList.length;
+        makers = new address[](_pageLength(total, offset, limit));
+        profiles = new ManufacturerProfile[](makers.length);
+        for (uint256 i = 0; i < makers.length; i++) {
+            makers[i] = manufacturerList[offset + i];
+            profiles[i] = manufacturerProfiles[makers[i]];
+        }
+    }
+
+    /**
+     * @notice Get a page of registered batch IDs, in registration order
+     * @param offset Index of the first batch ID to return
+     * @param limit Maximum number of batch IDs to return
+     * @return ids Batch IDs
+     * @return total Total number of registered batches
+     */
+    function getBatchIds(uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        return _page(registeredBatchIds, offset, limit);
+    }
+
+    /**
+     * @notice Get a page of the batch IDs registered by a manufacturer
+     * @param manufacturer Manufacturer address
+     * @param offset Index of the first batch ID to return
+     * @param limit Maximum number of batch IDs to return
+     * @return ids Batch IDs
+     * @return total Total number of batches registered by the manufacturer
+     */
+    function getManufacturerBatchIds(address manufacturer, uint256 offset, uint256 limit)
+        external
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        return _page(manufacturerBatchIds[manufacturer], offset, limit);
+    }
+
+    /**
+     * @notice Key of a serial in the public per-serial mappings (serialOwner,
+     *         claimCodeHash, serialRevocationReason, scanState, counterfeitReported)
+     * @param batchId Product batch ID
+     * @param serialHash Hashed serial number
+     * @return key keccak256(abi.encode(batchId, serialHash))
+     */
+    function serialKey(uint256 batchId, bytes32 serialHash) external pure returns (bytes32) {
+        return _serialKey(batchId, serialHash);
+    }
+
+    /**
+     * @notice Check if a serial number has been verified
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID this serial belongs to
+     * @return verified True if this serial has been verified before
+     */
+    function isSerialVerified(bytes32 serialHash, uint256 batchId) external view returns (bool) {
+        return serialVerified[_serialKey(batchId, serialHash)];
+    }
+
+    /**
+     * @notice Get verification history for a serial number
+     * @dev Empty in events-only mode (storeHistory false); rebuild it from Verified events
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID this serial belongs to
+     * @return records Array of verification records
+     */
+    function getVerificationHistory(bytes32 serialHash, uint256 batchId)
+        external
+        view
+        returns (VerificationRecord[] memory)
+    {
+        return verificationHistory[_serialKey(batchId, serialHash)];
+    }
+
+    /**
+     * @notice Get verification count for a serial number
+     * @dev Works in both storage and events-only mode
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID this serial belongs to
+     * @return count Number of times this serial has been verified
+     */
+    function getVerificationCount(bytes32 serialHash, uint256 batchId)
+        external
+        view
+        returns (uint256)
+    {
+        bytes32 key = _serialKey(batchId, serialHash);
+        return storeHistory ? verificationHistory[key].length : scanState[key].scans;
+    }
+
+    /**
+     * @notice Get ownership history for a serial number
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID this serial belongs to
+     * @return records Array of ownership records, oldest first
+     */
+    function getOwnershipHistory(bytes32 serialHash, uint256 batchId)
+        external
+        view
+        returns (OwnershipRecord[] memory)
+    {
+        return ownershipHistory[_serialKey(batchId, serialHash)];
+    }
+
+    /**
+     * @notice Get a page of the verification history for a serial number
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID this serial belongs to
+     * @param offset Index of the first record to return (oldest first)
+     * @param limit Maximum number of records to return
+     * @return records Verification records
+     * @return total Total number of records for the serial
+     */
+    function getVerificationHistoryPage(bytes32 serialHash, uint256 batchId, uint256 offset, uint256 limit)
+        external
+        view
+        returns (VerificationRecord[] memory records, uint256 total)
+    {
+        VerificationRecord[] storage history = verificationHistory[_serialKey(batchId, serialHash)];
+        total = history.length;
+        records = new VerificationRecord[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < records.length; i++) {
+            records[i] = history[offset + i];
+        }
+    }
+
+    /**
+     * @notice Get the checkpoint trail for a serial, including batch-wide checkpoints
+     * @dev Pass a zero serialHash to get only the batch-wide trail
+     * @param batchId Product batch ID
+     * @param serialHash Hashed serial number
+     * @return trail Checkpoints in chronological order
+     */
+    function getCheckpointTrail(uint256 batchId, bytes32 serialHash)
+        external
+        view
+        returns (Checkpoint[] memory trail)
+    {
+        Checkpoint[] storage batchTrail = batchCheckpoints[batchId];
+        Checkpoint[] storage serialTrail = serialCheckpoints[_serialKey(batchId, serialHash)];
+        trail = new Checkpoint[](batchTrail.length + serialTrail.length);
+
+        // Both trails are append-only, so merging by timestamp keeps the result chronological
+        uint256 b = 0;
+        uint256 s = 0;
+        for (uint256 i = 0; i < trail.length; i++) {
+            if (s >= serialTrail.length || (b < batchTrail.length && batchTrail[b].timestamp <= serialTrail[s].timestamp)) {
+                trail[i] = batchTrail[b++];
+            } else {
+                trail[i] = serialTrail[s++];
+            }
+        }
+    }
+
+    /**
+     * @notice Copy a page of a batch ID list
+     */
+    function _page(uint256[] storage list, uint256 offset, uint256 limit)
+        internal
+        view
+        returns (uint256[] memory ids, uint256 total)
+    {
+        total = list.length;
+        ids = new uint256[](_pageLength(total, offset, limit));
+        for (uint256 i = 0; i < ids.length; i++) {
+            ids[i] = list[offset + i];
+        }
+    }
+
+    /**
+     * @notice Number of items in a page, zero once offset is past the end
+     */
+    function _pageLength(uint256 total, uint256 offset, uint256 limit) internal pure returns (uint256) {
+        if (offset >= total) return 0;
+        uint256 remaining = total - offset;
+        return remaining < limit ? remaining : limit;
+    }
+}
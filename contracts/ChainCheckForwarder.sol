@@ -0,0 +1,174 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ChainCheckForwarder
+ * @author ChainCheck Team
+ * @notice ERC-2771 trusted forwarder for gasless ChainCheck verification
+ *
+ * How it works:
+ * 1. A consumer signs an EIP-712 ForwardRequest (no gas, no MATIC needed)
+ * 2. A relayer submits the request with execute() and pays the gas
+ * 3. The forwarder checks the signature and nonce, then calls the target with
+ *    the signer's address appended to the calldata
+ * 4. ChainCheck, which trusts this forwarder, reads the signer from the calldata
+ *
+ * Security features:
+ * - Per-signer nonces prevent replaying a request
+ * - Deadlines bound how long a signed request stays valid
+ * - Malleable (high-s) signatures are rejected
+ * - Requests from the zero address are rejected, since malformed signatures
+ *   recover to it
+ */
+contract ChainCheckForwarder {
+    /**
+     * @notice Custom errors for gas optimization
+     */
+    error InvalidSignature();
+    error RequestExpired();
+    error InsufficientGas();
+
+    /**
+     * @notice Signed meta-transaction
+     * @param from Signer the call is executed for
+     * @param to Target contract
+     * @param gas Gas forwarded to the target call
+     * @param nonce Signer's current nonce
+     * @param deadline Timestamp after which the request is rejected
+     * @param data Calldata for the target
+     */
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant _DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+
+    bytes32 private constant _REQUEST_TYPEHASH =
+        keccak256(
+            "ForwardRequest(address from,address to,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+        );
+
+    /**
+     * @notice Next nonce per signer
+     * @dev signer => nonce
+     */
+    mapping(address => uint256) public nonces;
+
+    /**
+     * @notice Event emitted when a request is executed
+     * @param from Signer of the request
+     * @param to Target contract
+     * @param nonce Nonce consumed by the request
+     */
+    event RequestExecuted(address indexed from, address indexed to, uint256 nonce);
+
+    /**
+     * @notice EIP-712 domain separator (name "ChainCheckForwarder", version "1")
+     * @dev Computed on every call so it stays correct after a chain fork
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                _DOMAIN_TYPEHASH,
+                keccak256("ChainCheckForwarder"),
+                keccak256("1"),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @notice Check a request's nonce, deadline and signature
+     * @param req Signed request
+     * @param signature 65-byte ECDSA signature over the EIP-712 digest
+     * @return True if execute() would accept the request
+     */
+    function verify(ForwardRequest calldata req, bytes calldata signature) public view returns (bool) {
+        return req.from != address(0)
+            && nonces[req.from] == req.nonce
+            && block.timestamp <= req.deadline
+            && _recover(_digest(req), signature) == req.from;
+    }
+
+    /**
+     * @notice Execute a signed request
+     * @dev Reverts with the target's revert data if the call fails, so relayers
+     *      can estimate gas and surface the contract's custom errors
+     * @param req Signed request
+     * @param signature 65-byte ECDSA signature over the EIP-712 digest
+     * @return returndata Data returned by the target
+     */
+    function execute(
+        ForwardRequest calldata req,
+        bytes calldata signature
+    ) external returns (bytes memory returndata) {
+        if (block.timestamp > req.deadline) revert RequestExpired();
+        if (
+            req.from == address(0)
+                || nonces[req.from] != req.nonce
+                || _recover(_digest(req), signature) != req.from
+        ) revert InvalidSignature();
+
+        nonces[req.from] = req.nonce + 1;
+
+        bool success;
+        (success, returndata) = req.to.call{gas: req.gas}(abi.encodePacked(req.data, req.from));
+
+        // The call only gets 63/64 of the remaining gas; make sure the relayer
+        // did not starve it below the gas the signer asked for
+        if (gasleft() <= req.gas / 63) revert InsufficientGas();
+
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+
+        emit RequestExecuted(req.from, req.to, req.nonce);
+    }
+
+    /**
+     * @notice EIP-712 digest of a request
+     */
+    function _digest(ForwardRequest calldata req) internal view returns (bytes32) {
+        bytes32 structHash = keccak256(
+            abi.encode(
+                _REQUEST_TYPEHASH,
+                req.from,
+                req.to,
+                req.gas,
+                req.nonce,
+                req.deadline,
+                keccak256(req.data)
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @notice Recover the signer of a digest
+     * @return signer Recovered address, or zero for malformed signatures; callers
+     *         must never accept a zero signer
+     */
+    function _recover(bytes32 digest, bytes calldata signature) internal pure returns (address signer) {
+        if (signature.length != 65) return address(0);
+
+        bytes32 r = bytes32(signature[0:32]);
+        bytes32 s = bytes32(signature[32:64]);
+        uint8 v = uint8(signature[64]);
+
+        // Reject malleable signatures (s in the upper half of the curve order)
+        if (uint256(s) > 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0) {
+            return address(0);
+        }
+
+        return ecrecover(digest, v, r, s);
+    }
+}
@@ -0,0 +1,317 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ChainCheckProxy
+ * @author ChainCheck Team
+ * @notice Upgradeable proxy for ChainCheck, so fixes can ship without a new
+ *         address and without losing registered serials
+ *
+ * How it works:
+ * 1. The proxy holds all ChainCheck state and delegates every call to the
+ *    current implementation contract
+ * 2. The constructor calls ChainCheck.initialize() through the proxy, in
+ *    place of ChainCheck's constructor
+ * 3. The proxy admin proposes a new implementation, which can be installed
+ *    with upgrade() once UPGRADE_DELAY has passed
+ *
+ * This is a transparent proxy: calls from the proxy admin are never forwarded,
+ * and calls from anyone else never reach the admin functions, so function
+ * selectors cannot clash. The proxy admin must therefore be a different
+ * account from ChainCheck's owner and roles.
+ *
+ * The implementation and admin live in the ERC-1967 storage slots, so block
+ * explorers recognise the proxy and the slots cannot collide with ChainCheck's
+ * own storage.
+ *
+ * Security features:
+ * - Upgrades are timelocked and can be cancelled until executed
+ * - Initialization happens atomically with deployment, so it cannot be front-run
+ * - New implementations must be contracts
+ */
+contract ChainCheckProxy {
+    /**
+     * @notice Custom errors for gas optimization
+     */
+    error NotContract();
+    error InvalidAddress();
+    error NoPendingUpgrade();
+    error UpgradeNotReady(uint256 executableAt);
+    error AdminCannotFallback();
+
+    /**
+     * @notice Delay between proposing and executing an upgrade
+     * @dev Matches ChainCheck.TIMELOCK_DELAY
+     */
+    uint256 public constant UPGRADE_DELAY = 2 days;
+
+    /**
+     * @notice ERC-1967 implementation slot: keccak256("eip1967.proxy.implementation") - 1
+     */
+    bytes32 internal constant _IMPLEMENTATION_SLOT =
+        0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    /**
+     * @notice ERC-1967 admin slot: keccak256("eip1967.proxy.admin") - 1
+     */
+    bytes32 internal constant _ADMIN_SLOT =
+        0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103;
+
+    /**
+     * @notice Proposed implementation: keccak256("chaincheck.proxy.pendingImplementation") - 1
+     */
+    bytes32 internal constant _PENDING_IMPLEMENTATION_SLOT =
+        bytes32(uint256(keccak256("chaincheck.proxy.pendingImplementation")) - 1);
+
+    /**
+     * @notice Time the proposed upgrade becomes executable: keccak256("chaincheck.proxy.upgradeReadyAt") - 1
+     */
+    bytes32 internal constant _UPGRADE_READY_AT_SLOT =
+        bytes32(uint256(keccak256("chaincheck.proxy.upgradeReadyAt")) - 1);
+
+    /**
+     * @notice Event emitted when the implementation changes (ERC-1967)
+     * @param implementation New implementation
+     */
+    event Upgraded(address indexed implementation);
+
+    /**
+     * @notice Event emitted when the admin changes (ERC-1967)
+     * @param previousAdmin Previous proxy admin
+     * @param newAdmin New proxy admin
+     */
+    event AdminChanged(address previousAdmin, address newAdmin);
+
+    /**
+     * @notice Event emitted when an upgrade is proposed
+     * @param implementation Proposed implementation
+     * @param executableAt Timestamp after which upgrade() can install it
+     */
+    event UpgradeProposed(address indexed implementation, uint256 executableAt);
+
+    /**
+     * @notice Event emitted when a proposed upgrade is cancelled
+     * @param implementation Implementation that was proposed
+     */
+    event UpgradeCancelled(address indexed implementation);
+
+    /**
+     * @notice Only the proxy admin runs the proxy's own functions; everyone else
+     *         is forwarded to the implementation
+     */
+    modifier ifAdmin() {
+        if (msg.sender == _getAddress(_ADMIN_SLOT)) {
+            _;
+        } else {
+            _delegate(_getAddress(_IMPLEMENTATION_SLOT));
+        }
+    }
+
+    /**
+     * @notice Deploy the proxy and initialize ChainCheck's state through it
+     * @param implementation_ Initial ChainCheck implementation
+     * @param admin_ Proxy admin; must not be the account that will own ChainCheck
+     * @param data Initializer call, e.g. ChainCheck.initialize(storeHistory)
+     */
+    constructor(address implementation_, address admin_, bytes memory data) payable {
+        _setImplementation(implementation_);
+        _changeAdmin(admin_);
+        if (data.length > 0) {
+            _functionDelegateCall(implementation_, data);
+        }
+    }
+
+    /**
+     * @notice Current proxy admin
+     * @dev Only callable by the admin; others can read the ERC-1967 admin slot
+     */
+    function admin() external ifAdmin returns (address) {
+        return _getAddress(_ADMIN_SLOT);
+    }
+
+    /**
+     * @notice Current implementation
+     * @dev Only callable by the admin; others can read the ERC-1967 implementation slot
+     */
+    function implementation() external ifAdmin returns (address) {
+        return _getAddress(_IMPLEMENTATION_SLOT);
+    }
+
+    /**
+     * @notice Proposed upgrade, if any
+     * @dev Only callable by the admin
+     * @return pendingImplementation Proposed implementation (zero if none)
+     * @return executableAt Timestamp after which it can be installed
+     */
+    function pendingUpgrade()
+        external
+        ifAdmin
+        returns (address pendingImplementation, uint256 executableAt)
+    {
+        return (_getAddress(_PENDING_IMPLEMENTATION_SLOT), _getUint(_UPGRADE_READY_AT_SLOT));
+    }
+
+    /**
+     * @notice Propose a new implementation, replacing any pending proposal
+     * @dev Only callable by the admin. Check the new implementation's storage
+     *      layout first (scripts/upgrade.js does this)
+     * @param newImplementation Implementation to install after UPGRADE_DELAY
+     */
+    function proposeUpgrade(address newImplementation) external ifAdmin {
+        if (newImplementation.code.length == 0) revert NotContract();
+
+        uint256 executableAt = block.timestamp + UPGRADE_DELAY;
+        _setAddress(_PENDING_IMPLEMENTATION_SLOT, newImplementation);
+        _setUint(_UPGRADE_READY_AT_SLOT, executableAt);
+
+        emit UpgradeProposed(newImplementation, executableAt);
+    }
+
+    /**
+     * @notice Cancel the pending upgrade
+     * @dev Only callable by the admin
+     */
+    function cancelUpgrade() external ifAdmin {
+        address pending = _getAddress(_PENDING_IMPLEMENTATION_SLOT);
+        if (pending == address(0)) revert NoPendingUpgrade();
+
+        _clearPendingUpgrade();
+
+        emit UpgradeCancelled(pending);
+    }
+
+    /**
+     * @notice Install the pending implementation once its delay has passed
+     * @dev Only callable by the admin
+     * @param data Optional migration call to run through the proxy after the upgrade
+     */
+    function upgrade(bytes calldata data) external payable ifAdmin {
+        address pending = _getAddress(_PENDING_IMPLEMENTATION_SLOT);
+        if (pending == address(0)) revert NoPendingUpgrade();
+        uint256 executableAt = _getUint(_UPGRADE_READY_AT_SLOT);
+        if (block.timestamp < executableAt) revert UpgradeNotReady(executableAt);
+
+        _clearPendingUpgrade();
+        _setImplementation(pending);
+        if (data.length > 0) {
+            _functionDelegateCall(pending, data);
+        }
+    }
+
+    /**
+     * @notice Hand the proxy admin over to another account
+     * @dev Only callable by the admin
+     * @param newAdmin New proxy admin
+     */
+    function changeAdmin(address newAdmin) external ifAdmin {
+        _changeAdmin(newAdmin);
+    }
+
+    /**
+     * @notice Forward calls to the implementation
+     */
+    fallback() external payable {
+        _fallback();
+    }
+
+    /**
+     * @notice Forward plain transfers to the implementation
+     */
+    receive() external payable {
+        _fallback();
+    }
+
+    /**
+     * @notice Forward a call, refusing the admin so admin keys never act on ChainCheck
+     */
+    function _fallback() internal {
+        if (msg.sender == _getAddress(_ADMIN_SLOT)) revert AdminCannotFallback();
+        _delegate(_getAddress(_IMPLEMENTATION_SLOT));
+    }
+
+    /**
+     * @notice Delegate the current call and return or revert with its result
+     * @param target Implementation to run
+     */
+    function _delegate(address target) internal {
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(gas(), target, 0, calldatasize(), 0, 0)
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    /**
+     * @notice Delegatecall the implementation, bubbling up its revert data
+     * @param target Implementation to run
+     * @param data Calldata
+     */
+    function _functionDelegateCall(address target, bytes memory data) internal {
+        (bool success, bytes memory returndata) = target.delegatecall(data);
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+    }
+
+    /**
+     * @notice Point the proxy at a new implementation
+     */
+    function _setImplementation(address newImplementation) internal {
+        if (newImplementation.code.length == 0) revert NotContract();
+        _setAddress(_IMPLEMENTATION_SLOT, newImplementation);
+        emit Upgraded(newImplementation);
+    }
+
+    /**
+     * @notice Store a new proxy admin
+     */
+    function _changeAdmin(address newAdmin) internal {
+        if (newAdmin == address(0)) revert InvalidAddress();
+        emit AdminChanged(_getAddress(_ADMIN_SLOT), newAdmin);
+        _setAddress(_ADMIN_SLOT, newAdmin);
+    }
+
+    /**
+     * @notice Forget the proposed upgrade
+     */
+    function _clearPendingUpgrade() internal {
+        _setAddress(_PENDING_IMPLEMENTATION_SLOT, address(0));
+        _setUint(_UPGRADE_READY_AT_SLOT, 0);
+    }
+
+    /**
+     * @notice Raw slot accessors for the ERC-1967 and upgrade slots
+     */
+    function _getAddress(bytes32 slot) internal view returns (address value) {
+        assembly {
+            value := sload(slot)
+        }
+    }
+
+    function _setAddress(bytes32 slot, address value) internal {
+        assembly {
+            sstore(slot, value)
+        }
+    }
+
+    function _getUint(bytes32 slot) internal view returns (uint256 value) {
+        assembly {
+            value := sload(slot)
+        }
+    }
+
+    function _setUint(bytes32 slot, uint256 value) internal {
+        assembly {
+            sstore(slot, value)
+        }
+    }
+}
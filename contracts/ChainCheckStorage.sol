@@ -0,0 +1,1102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ChainCheckStorage
+ * @author ChainCheck Team
+ * @notice State, types, events and access checks shared by ChainCheck and
+ *         ChainCheckExtension
+ *
+ * ChainCheck forwards the functions it does not implement to
+ * ChainCheckExtension, which runs on ChainCheck's storage. Both inherit this
+ * contract so they agree on the storage layout. Only append state variables,
+ * after all existing ones (checked by scripts/upgrade.js).
+ */
+abstract contract ChainCheckStorage {
+    /**
+     * @notice Reentrancy guard state
+     */
+    uint256 private _locked;
+
+    /**
+     * @notice Whether initialize has run
+     */
+    bool internal _initialized;
+
+    /**
+     * @notice Reentrancy guard modifier
+     */
+    modifier nonReentrant() {
+        _nonReentrantBefore();
+        _;
+        _locked = 0;
+    }
+
+    /**
+     * @notice Enter the reentrancy guard
+     * @dev Kept out of the modifier so its code is not inlined into every function
+     */
+    function _nonReentrantBefore() private {
+        require(_locked != 1, "ReentrancyGuard: reentrant call");
+        _locked = 1;
+    }
+    /**
+     * @notice Custom errors for gas optimization
+     */
+    error MissingRole(bytes32 role, address account);
+    error LastAdmin();
+    error NotAuthorized();
+    error InvalidAddress();
+    error InvalidBatchId();
+    error BatchExists();
+    error BatchNotFound();
+    error EmptyName();
+    error EmptyBrand();
+    error NoSerials();
+    error InvalidOwner();
+    error ContractPaused();
+    error ContractNotPaused();
+    error SerialNotInBatch();
+    error ArraysLengthMismatch();
+    error TooManySerials();
+    error NotBatchManufacturer();
+    error InvalidMerkleRoot();
+    error InvalidProof();
+    error ClaimCodeRequired();
+    error ClaimCodeExists();
+    error NoClaimCode();
+    error InvalidClaimCode();
+    error NotProductOwner();
+    error NotSupplyChainPartner();
+    error InvalidRole();
+    error TimelockRequired();
+    error ActionNotQueued();
+    error ActionNotReady(uint256 executableAt);
+    error NotPendingOwner();
+    error NotBrandOwner();
+    error BatchIsSealed();
+    error AlreadyInitialized();
+    error InvalidShelfLife();
+    error AlreadyReported();
+    error NotOwnershipToken();
+    error ProfileFieldTooLong();
+    error OperatorTaken();
+    error OutsideOperatorRange();
+    error OperatorQuotaExceeded();
+    error OperationPaused(PausableOperation operation);
+    error BatchIsFrozen(uint256 batchId);
+    error IncorrectFee(uint256 requiredFee);
+    error NoFeesToWithdraw();
+    error FeeTransferFailed();
+    error ClaimNotCommitted();
+    error QuotaOperatorMerkle();
+    error SerialAlreadyRegistered();
+    /**
+     * @notice Product information structure
+     * @param name Product name
+     * @param brand Brand name
+     * @param exists Whether the product batch exists
+     * @param registeredAt Timestamp when product was registered
+     * @param ipfsHash IPFS hash for product metadata (optional)
+     * @param description Product description (optional)
+     * @param imageUrl Product image URL (optional)
+     * @param manufacturer Address of the manufacturer that registered the batch
+     * @param brandId Registry ID of the brand, zero if the brand is not assigned
+     */
+    struct Product {
+        string name;
+        string brand;
+        uint256 registeredAt;
+        bool exists;
+        string ipfsHash;
+        string description;
+        string imageUrl;
+        address manufacturer;
+        bytes32 brandId;
+        uint256 manufacturedAt;
+        uint256 expiresAt;
+    }
+
+    /**
+     * @notice Brand registry entry
+     * @param name Canonical display name
+     * @param manufacturer Manufacturer allowed to register batches under the brand
+     */
+    struct Brand {
+        string name;
+        address manufacturer;
+    }
+
+    /**
+     * @notice Supply-chain roles that can record checkpoints
+     * @dev Manufacturer is implied by batch ownership and cannot be assigned
+     */
+    enum SupplyChainRole { None, Manufacturer, Distributor, Retailer }
+
+    /**
+     * @notice Custody status recorded at a checkpoint
+     */
+    enum CheckpointStatus { Shipped, Received, Delivered }
+
+    /**
+     * @notice Outcome of verifying a serial
+     * @dev Unknown is only reported by checkSerial; verify reverts for unknown serials.
+     *      InvalidBatchId through ClaimCodeRequired are only reported per item by
+     *      batchVerify and batchVerifyWithProof, where verify would revert.
+     *      Expired scans of batches past their expiry are recorded but never claim
+     */
+    enum VerificationStatus {
+        Authentic,
+        AlreadyClaimed,
+        Recalled,
+        Revoked,
+        Unknown,
+        InvalidBatchId,
+        BatchNotFound,
+        SerialNotInBatch,
+        ClaimCodeRequired,
+        Expired,
+        BatchFrozen
+    }
+
+    /**
+     * @notice Reason code attached to a batch recall or serial revocation
+     */
+    enum ReasonCode { None, Safety, Quality, Regulatory, Stolen, Voided, Other }
+
+    /**
+     * @notice Operations that pausers can pause independently of the global pause
+     */
+    enum PausableOperation { Registration, Verification, Metadata }
+
+    /**
+     * @notice Admin actions that must go through the timelock queue
+     */
+    enum TimelockAction { RevokeManufacturer, Unpause, TransferOwnership }
+
+    /**
+     * @notice Timelock queue entry
+     * @param action Queued action
+     * @param target Manufacturer to revoke or proposed owner (zero for Unpause)
+     * @param proposer Address that queued the action
+     * @param executableAt Timestamp from which the action can be executed
+     * @param executed Whether the action was executed
+     * @param cancelled Whether the action was cancelled
+     */
+    struct QueuedAction {
+        TimelockAction action;
+        address target;
+        address proposer;
+        uint256 executableAt;
+        bool executed;
+        bool cancelled;
+    }
+
+    /**
+     * @notice Supply-chain checkpoint structure
+     * @param serialHash Hashed serial number (zero for batch-wide checkpoints)
+     * @param locationCode Location code, e.g. a UN/LOCODE or warehouse ID
+     * @param actor Address that recorded the checkpoint
+     * @param role Role of the actor for this batch
+     * @param status Custody status
+     * @param timestamp Block timestamp
+     */
+    struct Checkpoint {
+        bytes32 serialHash;
+        bytes32 locationCode;
+        address actor;
+        SupplyChainRole role;
+        CheckpointStatus status;
+        uint256 timestamp;
+    }
+
+    /**
+     * @notice Mapping to track if a serial number has been verified
+     * @dev serial key (see _serialKey) => hasBeenVerified. Read with isSerialVerified
+     */
+    mapping(bytes32 => bool) internal serialVerified;
+
+    /**
+     * @notice Mapping to track which batch a serial number belongs to
+     * @dev serialHash => batchId
+     * @dev Used to validate that a serial belongs to the claimed batch
+     */
+    mapping(bytes32 => uint256) public serialToBatch;
+
+    /**
+     * @notice Mapping to store committed claim code hashes
+     * @dev serial key (see _serialKey) => keccak256(abi.encode(serialHash, claimCode))
+     * @dev Serials with a committed code can only be consumed through claim()
+     */
+    mapping(bytes32 => bytes32) public claimCodeHash;
+
+    /**
+     * @notice Mapping to track the current owner of each claimed serial
+     * @dev serial key (see _serialKey) => owner (zero until the first authentic scan)
+     */
+    mapping(bytes32 => address) public serialOwner;
+
+    /**
+     * @notice Mapping to store product batch information
+     * @dev batchId => Product struct. Read with getProduct or getProductsBatch
+     */
+    mapping(uint256 => Product) internal products;
+
+    /**
+     * @notice Mapping to store the Merkle root of serial hashes for Merkle-registered batches
+     * @dev batchId => Merkle root (zero for batches registered with explicit serials)
+     * @dev Leaves are keccak256(serialHash); pairs are hashed in sorted order
+     */
+    mapping(uint256 => bytes32) public batchMerkleRoot;
+
+    /**
+     * @notice Number of serials registered per batch
+     * @dev batchId => count; declared count for Merkle batches
+     */
+    mapping(uint256 => uint256) public batchSerialCount;
+
+    /**
+     * @notice Whether a batch is sealed against appending serials
+     * @dev batchId => sealed; Merkle batches are sealed at registration
+     */
+    mapping(uint256 => bool) public batchSealed;
+
+    /**
+     * @notice Brand registry
+     * @dev brandId (see brandIdOf) => brand
+     */
+    mapping(bytes32 => Brand) public brands;
+
+    /**
+     * @notice Mapping to track authorized manufacturers
+     * @dev manufacturer address => isAuthorized
+     */
+    mapping(address => bool) public authorizedMakers;
+
+    /**
+     * @notice Mapping to track addresses allowed to edit a batch on behalf of its manufacturer
+     * @dev batchId => delegate address => isDelegate
+     */
+    mapping(uint256 => mapping(address => bool)) public batchDelegates;
+
+    /**
+     * @notice Supply-chain partners authorized by the contract owner for all batches
+     * @dev partner address => role. Read with getSupplyChainRole
+     */
+    mapping(address => SupplyChainRole) internal supplyChainPartners;
+
+    /**
+     * @notice Recall reason per batch
+     * @dev batchId => reason (None if not recalled)
+     */
+    mapping(uint256 => ReasonCode) public batchRecallReason;
+
+    /**
+     * @notice Revocation reason per serial, e.g. stolen or voided units
+     * @dev serial key (see _serialKey) => reason (None if not revoked)
+     */
+    mapping(bytes32 => ReasonCode) public serialRevocationReason;
+
+    /**
+     * @notice Supply-chain partners authorized by a batch's manufacturer
+     * @dev batchId => partner address => role. Read with getSupplyChainRole
+     */
+    mapping(uint256 => mapping(address => SupplyChainRole)) internal batchSupplyChainPartners;
+
+    /**
+     * @notice Batch-wide checkpoints
+     * @dev batchId => checkpoints, oldest first. Read with getCheckpointTrail
+     */
+    mapping(uint256 => Checkpoint[]) internal batchCheckpoints;
+
+    /**
+     * @notice Per-serial checkpoints
+     * @dev serial key (see _serialKey) => checkpoints, oldest first. Read with getCheckpointTrail
+     */
+    mapping(bytes32 => Checkpoint[]) internal serialCheckpoints;
+
+    /**
+     * @notice Contract owner address
+     * @dev The owner holds ADMIN_ROLE; day-to-day permissions are granted through roles
+     */
+    address public owner;
+
+    /**
+     * @notice Proposed owner that still has to call acceptOwnership
+     */
+    address public pendingOwner;
+
+    /**
+     * @notice Delay between queueing a timelocked action and executing it
+     */
+    uint256 public constant TIMELOCK_DELAY = 2 days;
+
+    /**
+     * @notice Timelock queue
+     * @dev actionId => queued action; ids start at 0
+     */
+    mapping(uint256 => QueuedAction) public queuedActions;
+
+    /**
+     * @notice Number of actions ever queued (the next action id)
+     */
+    uint256 public queuedActionCount;
+
+    /**
+     * @notice ERC-2771 forwarder whose calls carry the original sender
+     * @dev Zero disables relaying. Only consumer-facing functions (verification,
+     *      claims, transfers) honour the relayed sender; role-gated functions
+     *      always use msg.sender.
+     */
+    address public trustedForwarder;
+
+    /**
+     * @notice Role that grants and revokes every role, manages supply-chain partners
+     *         and transfers ownership
+     */
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+
+    /**
+     * @notice Role that authorizes and revokes manufacturers
+     */
+    bytes32 public constant MANUFACTURER_MANAGER_ROLE = keccak256("MANUFACTURER_MANAGER_ROLE");
+
+    /**
+     * @notice Role that pauses and unpauses the contract
+     */
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+
+    /**
+     * @notice Read-only role recognised by off-chain tooling (dashboards, exports)
+     */
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
+
+    /**
+     * @notice Role that can update any batch's metadata
+     */
+    bytes32 public constant METADATA_EDITOR_ROLE = keccak256("METADATA_EDITOR_ROLE");
+
+    /**
+     * @notice Role membership
+     * @dev role => account => hasRole
+     */
+    mapping(bytes32 => mapping(address => bool)) internal _roles;
+
+    /**
+     * @notice Role members, for enumeration
+     * @dev role => members (unordered)
+     */
+    mapping(bytes32 => address[]) internal _roleMembers;
+
+    /**
+     * @notice Total number of products registered
+     */
+    uint256 public totalProducts;
+
+    /**
+     * @notice Total number of verifications performed
+     */
+    uint256 public totalVerifications;
+
+    /**
+     * @notice Mapping to track verification count per product batch
+     * @dev batchId => verification count
+     */
+    mapping(uint256 => uint256) public batchVerificationCount;
+
+    /**
+     * @notice Scans of already-claimed serials per product batch
+     * @dev batchId => duplicate scan count; a high count suggests cloned QR codes
+     */
+    mapping(uint256 => uint256) public batchDuplicateScans;
+
+    /**
+     * @notice Array to track all authorized manufacturers
+     * @dev Used for statistics and enumeration. Read with getManufacturers(Page)
+     */
+    address[] internal manufacturerList;
+
+    /**
+     * @notice Registered batch IDs in registration order
+     * @dev Enumerated with getBatchIds
+     */
+    uint256[] internal registeredBatchIds;
+
+    /**
+     * @notice Batch IDs registered by each manufacturer
+     * @dev manufacturer => batch IDs, enumerated with getManufacturerBatchIds
+     */
+    mapping(address => uint256[]) internal manufacturerBatchIds;
+
+    /**
+     * @notice Pause state of the contract
+     * @dev When paused, only role-gated admin functions work, verification is disabled
+     */
+    bool public paused;
+
+    /**
+     * @notice Maximum number of serials allowed per registration or append call
+     * @dev Prevents gas limit issues and DoS attacks; larger runs use appendSerials
+     */
+    uint256 public constant MAX_SERIALS_PER_BATCH = 10000;
+
+    /**
+     * @notice Event emitted when a product is registered
+     * @param batchId Unique batch identifier
+     * @param manufacturer Address of the registering manufacturer
+     * @param name Product name
+     * @param brand Brand name
+     * @param serialCount Number of serials registered in this batch
+     */
+    event ProductRegistered(
+        uint256 indexed batchId,
+        address indexed manufacturer,
+        string name,
+        string brand,
+        uint256 serialCount
+    );
+
+    /**
+     * @notice Event emitted when a product is verified
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID
+     * @param isAuthentic Whether the product is authentic (first scan)
+     * @param verifier Address that performed the verification
+     * @param timestamp Block timestamp of verification
+     * @param status Verification outcome
+     * @param reason Recall or revocation reason (None otherwise)
+     */
+    event Verified(
+        bytes32 indexed serialHash,
+        uint256 indexed batchId,
+        bool isAuthentic,
+        address verifier,
+        uint256 timestamp,
+        VerificationStatus status,
+        ReasonCode reason
+    );
+
+    /**
+     * @notice Event emitted when a batch verification item is rejected without being recorded
+     * @param serialHash Hashed serial number
+     * @param batchId Batch ID given for the serial
+     * @param status Why the item was rejected (InvalidBatchId to ClaimCodeRequired)
+     */
+    event VerificationRejected(bytes32 indexed serialHash, uint256 indexed batchId, VerificationStatus status);
+
+    /**
+     * @notice Event emitted when a batch is recalled or its recall is lifted
+     * @param batchId Product batch ID
+     * @param reason Recall reason (None when lifted)
+     */
+    event BatchRecalled(uint256 indexed batchId, ReasonCode reason);
+
+    /**
+     * @notice Event emitted when a serial is revoked or reinstated
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID
+     * @param reason Revocation reason (None when reinstated)
+     */
+    event SerialRevoked(bytes32 indexed serialHash, uint256 indexed batchId, ReasonCode reason);
+
+    /**
+     * @notice Event emitted when a consumer reports a suspected counterfeit
+     * @param serialHash Hashed serial number printed on the suspect product
+     * @param batchId Batch ID printed on the suspect product
+     * @param reporter Address that filed the report
+     * @param region ISO 3166-1 alpha-2 country code where it was found, e.g. "DE" (zero if not given)
+     * @param evidenceHash IPFS hash of photos or receipts (can be empty)
+     */
+    event CounterfeitReported(
+        bytes32 indexed serialHash,
+        uint256 indexed batchId,
+        address indexed reporter,
+        bytes2 region,
+        string evidenceHash
+    );
+
+    /**
+     * @notice Verification record structure
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID
+     * @param verifier Address that performed verification
+     * @param timestamp Block timestamp
+     * @param isAuthentic Whether it was authentic (first scan)
+     * @param owner Owner of the serial after the scan
+     * @param status Verification outcome
+     */
+    struct VerificationRecord {
+        bytes32 serialHash;
+        uint256 batchId;
+        address verifier;
+        uint256 timestamp;
+        bool isAuthentic;
+        address owner;
+        VerificationStatus status;
+    }
+
+    /**
+     * @notice Mapping to store verification history
+     * @dev serial key (see _serialKey) => array of verification records; empty when storeHistory
+     *      is false. Read with getVerificationHistory(Page)
+     */
+    mapping(bytes32 => VerificationRecord[]) internal verificationHistory;
+
+    /**
+     * @notice Whether verifications are recorded in verificationHistory
+     * @dev Set by initialize; when false, history is only available from Verified events
+     */
+    bool public storeHistory;
+
+    /**
+     * @notice Compact per-serial scan state, used instead of verificationHistory
+     *         when storeHistory is false
+     * @param lastScanner Address of the most recent scan
+     * @param scans Number of scans
+     */
+    struct ScanState {
+        address lastScanner;
+        uint96 scans;
+    }
+
+    /**
+     * @notice Scan state per serial (events-only deployments)
+     * @dev serial key (see _serialKey) => scan state; packed into one storage slot
+     */
+    mapping(bytes32 => ScanState) public scanState;
+
+    /**
+     * @notice Ownership record structure
+     * @param from Previous owner (zero for the first claim)
+     * @param to New owner
+     * @param timestamp Block timestamp
+     */
+    struct OwnershipRecord {
+        address from;
+        address to;
+        uint256 timestamp;
+    }
+
+    /**
+     * @notice Mapping to store ownership history
+     * @dev serial key (see _serialKey) => array of ownership records, oldest first. Read with
+     *      getOwnershipHistory
+     */
+    mapping(bytes32 => OwnershipRecord[]) internal ownershipHistory;
+
+    /**
+     * @notice Counterfeit reports filed by consumers per product batch
+     * @dev batchId => report count
+     */
+    mapping(uint256 => uint256) public batchCounterfeitReports;
+
+    /**
+     * @notice Whether an account has reported a serial as counterfeit
+     * @dev serial key (see _serialKey) => reporter => reported; one report per account and serial
+     */
+    mapping(bytes32 => mapping(address => bool)) public counterfeitReported;
+
+    /**
+     * @notice Companion ERC-721 that mirrors product ownership (ChainCheckTwin)
+     * @dev Zero disables minting. It is called on every claim and transfer, so
+     *      only point this at a deployed ChainCheckTwin.
+     */
+    address public ownershipToken;
+
+    /**
+     * @notice How thoroughly a manufacturer's identity has been checked
+     * @dev Set by manufacturer managers; manufacturers cannot change it
+     */
+    enum VerificationTier { Unverified, Basic, Verified, Premium }
+
+    /**
+     * @notice Public identity of a manufacturer
+     * @param name Display name, e.g. "Acme Footwear Ltd"
+     * @param website Website URL
+     * @param country ISO 3166-1 alpha-2 country code, e.g. 0x4445 for "DE" (zero if not given)
+     * @param logoIpfsHash IPFS hash of the logo image
+     * @param tier Verification tier
+     */
+    struct ManufacturerProfile {
+        string name;
+        string website;
+        bytes2 country;
+        string logoIpfsHash;
+        VerificationTier tier;
+    }
+
+    /**
+     * @notice Manufacturer profiles, kept when a manufacturer is revoked so
+     *         their batches still show who registered them
+     * @dev manufacturer => profile. Read with getManufacturerProfile or getManufacturers
+     */
+    mapping(address => ManufacturerProfile) internal manufacturerProfiles;
+
+    /**
+     * @notice Maximum length in bytes of a manufacturer profile string
+     */
+    uint256 public constant MAX_PROFILE_FIELD_LENGTH = 256;
+
+    /**
+     * @notice Registration key a manufacturer delegates to, e.g. one per production line
+     * @param manufacturer Manufacturer the operator registers for (zero if not an operator)
+     * @param minBatchId Lowest batch ID the operator may register
+     * @param maxBatchId Highest batch ID the operator may register (0 for no limit)
+     * @param serialQuota Serials the operator may register in total (0 for no limit).
+     *        Operators with a quota cannot register Merkle batches, whose serial
+     *        count is declared rather than proven.
+     * @param serialsRegistered Serials the operator has registered so far
+     */
+    struct Operator {
+        address manufacturer;
+        uint256 minBatchId;
+        uint256 maxBatchId;
+        uint256 serialQuota;
+        uint256 serialsRegistered;
+    }
+
+    /**
+     * @notice Operators of all manufacturers
+     * @dev operator => scope. Read with getOperator or getOperators
+     */
+    mapping(address => Operator) internal operators;
+
+    /**
+     * @notice Operator addresses of each manufacturer
+     * @dev manufacturer => operators
+     */
+    mapping(address => address[]) internal manufacturerOperators;
+
+    /**
+     * @notice Number of metadata updates per batch
+     * @dev batchId => version (0 until the first update). Each update emits
+     *      ProductMetadataUpdated with the old and new values.
+     */
+    mapping(uint256 => uint256) public metadataVersion;
+
+    /**
+     * @notice Operations paused on their own, without the global pause
+     * @dev PausableOperation => paused
+     */
+    mapping(PausableOperation => bool) public operationPaused;
+
+    /**
+     * @notice Batches frozen by a pauser
+     * @dev batchId => frozen. Registration, verification and metadata updates
+     *      of a frozen batch are blocked while the rest of the contract runs.
+     */
+    mapping(uint256 => bool) public batchFrozen;
+
+    /**
+     * @notice Flat registration fee per new batch, in wei of the native token
+     */
+    uint256 public batchFee;
+
+    /**
+     * @notice Registration fee per serial, in wei of the native token
+     * @dev Charged on registration and on appendSerials. For registerProductMerkle
+     *      it is charged on the declared serialCount, which the root does not prove.
+     */
+    uint256 public serialFee;
+
+    /**
+     * @notice Address that withdrawFees sends the collected fees to
+     */
+    address public treasury;
+
+    /**
+     * @notice Claim commitments made with commitClaim
+     * @dev keccak256(abi.encode(serialHash, claimCode, claimer)) => block number
+     *      it was committed in. claim() only accepts commitments from an earlier
+     *      block, so a claim code seen in a pending claim cannot be front-run.
+     */
+    mapping(bytes32 => uint256) public claimCommitments;
+
+    /**
+     * @notice Event emitted when a manufacturer is authorized
+     * @param maker Manufacturer address
+     * @param authorized Whether authorized or revoked
+     */
+    event ManufacturerAuthorized(address indexed maker, bool authorized);
+
+    /**
+     * @notice Event emitted when a manufacturer profile is set or edited
+     * @param maker Manufacturer address
+     * @param editor Manufacturer manager, or the manufacturer itself
+     * @param name Display name
+     * @param tier Verification tier
+     */
+    event ManufacturerProfileUpdated(
+        address indexed maker,
+        address indexed editor,
+        string name,
+        VerificationTier tier
+    );
+
+    /**
+     * @notice Event emitted when a manufacturer adds an operator or changes its scope
+     * @param manufacturer Manufacturer the operator registers for
+     * @param operator Operator address
+     * @param minBatchId Lowest batch ID the operator may register
+     * @param maxBatchId Highest batch ID the operator may register (0 for no limit)
+     * @param serialQuota Serials the operator may register in total (0 for no limit)
+     */
+    event OperatorUpdated(
+        address indexed manufacturer,
+        address indexed operator,
+        uint256 minBatchId,
+        uint256 maxBatchId,
+        uint256 serialQuota
+    );
+
+    /**
+     * @notice Event emitted when a manufacturer removes an operator
+     * @param manufacturer Manufacturer the operator registered for
+     * @param operator Operator address
+     */
+    event OperatorRemoved(address indexed manufacturer, address indexed operator);
+
+    /**
+     * @notice Event emitted when an operator registers serials for its manufacturer
+     * @dev ProductRegistered names the manufacturer; this records which operator did it
+     * @param batchId Product batch ID
+     * @param manufacturer Manufacturer the batch belongs to
+     * @param operator Operator that sent the transaction
+     * @param serialCount Serials registered or appended
+     */
+    event OperatorRegistration(
+        uint256 indexed batchId,
+        address indexed manufacturer,
+        address indexed operator,
+        uint256 serialCount
+    );
+
+    /**
+     * @notice Event emitted when a batch's metadata is updated
+     * @dev Fields that were not changed have equal old and new values
+     * @param batchId Product batch ID
+     * @param version Metadata version after the update (1 for the first update)
+     * @param editor Manufacturer, batch delegate or metadata editor that made the update
+     */
+    event ProductMetadataUpdated(
+        uint256 indexed batchId,
+        uint256 indexed version,
+        address indexed editor,
+        string oldIpfsHash,
+        string newIpfsHash,
+        string oldDescription,
+        string newDescription,
+        string oldImageUrl,
+        string newImageUrl
+    );
+
+    /**
+     * @notice Event emitted when a brand is assigned to a manufacturer
+     * @param brandId Registry ID of the brand
+     * @param name Canonical display name
+     * @param manufacturer Manufacturer that owns the brand (zero when released)
+     */
+    event BrandAssigned(bytes32 indexed brandId, string name, address indexed manufacturer);
+
+    /**
+     * @notice Event emitted when a batch delegate is added or removed
+     * @param batchId Product batch ID
+     * @param delegate Delegate address
+     * @param allowed True if added, false if removed
+     */
+    event BatchDelegateUpdated(uint256 indexed batchId, address indexed delegate, bool allowed);
+
+    /**
+     * @notice Event emitted when claim codes are committed for a batch
+     * @param batchId Product batch ID
+     * @param count Number of claim codes committed
+     */
+    event ClaimCodesCommitted(uint256 indexed batchId, uint256 count);
+
+    /**
+     * @notice Event emitted when a claimer commits to a claim code
+     * @param commitment keccak256(abi.encode(serialHash, claimCode, claimer))
+     */
+    event ClaimCommitted(bytes32 indexed commitment);
+
+    /**
+     * @notice Event emitted when serials are appended to a batch
+     * @param batchId Product batch ID
+     * @param count Number of serials appended
+     * @param totalCount Serial count of the batch after appending
+     */
+    event SerialsAppended(uint256 indexed batchId, uint256 count, uint256 totalCount);
+
+    /**
+     * @notice Event emitted when a batch is sealed
+     * @param batchId Product batch ID
+     * @param serialCount Final serial count of the batch
+     */
+    event BatchSealed(uint256 indexed batchId, uint256 serialCount);
+
+    /**
+     * @notice Event emitted when a product changes owner
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID
+     * @param from Previous owner (zero for the first claim)
+     * @param to New owner
+     * @param timestamp Block timestamp
+     */
+    event ProductTransferred(
+        bytes32 indexed serialHash,
+        uint256 indexed batchId,
+        address from,
+        address indexed to,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Event emitted when a supply-chain partner's role changes
+     * @param batchId Batch the role applies to (zero for all batches)
+     * @param partner Partner address
+     * @param role New role (None when revoked)
+     */
+    event SupplyChainPartnerUpdated(
+        uint256 indexed batchId,
+        address indexed partner,
+        SupplyChainRole role
+    );
+
+    /**
+     * @notice Event emitted when a custody checkpoint is recorded
+     * @param batchId Product batch ID
+     * @param serialHash Hashed serial number (zero for batch-wide checkpoints)
+     * @param actor Address that recorded the checkpoint
+     * @param locationCode Location code
+     * @param role Role of the actor
+     * @param status Custody status
+     * @param timestamp Block timestamp
+     */
+    event CheckpointRecorded(
+        uint256 indexed batchId,
+        bytes32 indexed serialHash,
+        address indexed actor,
+        bytes32 locationCode,
+        SupplyChainRole role,
+        CheckpointStatus status,
+        uint256 timestamp
+    );
+
+    /**
+     * @notice Event emitted when contract is paused or unpaused
+     * @param paused True if paused, false if unpaused
+     */
+    event Paused(bool paused);
+
+    /**
+     * @notice Event emitted when a single operation is paused or resumed
+     * @param operation Paused or resumed operation
+     * @param paused True if paused, false if resumed
+     */
+    event OperationPauseUpdated(PausableOperation indexed operation, bool paused);
+
+    /**
+     * @notice Event emitted when a batch is frozen or unfrozen
+     * @param batchId Product batch ID
+     * @param frozen True if frozen, false if unfrozen
+     */
+    event BatchFreezeUpdated(uint256 indexed batchId, bool frozen);
+
+    /**
+     * @notice Event emitted when the registration fee schedule changes
+     * @param batchFee Flat fee per new batch
+     * @param serialFee Fee per serial
+     */
+    event FeesUpdated(uint256 batchFee, uint256 serialFee);
+
+    /**
+     * @notice Event emitted when the treasury address changes
+     * @param treasury New treasury
+     */
+    event TreasuryUpdated(address indexed treasury);
+
+    /**
+     * @notice Event emitted when a registration or append pays a fee
+     * @param batchId Product batch ID
+     * @param payer Address that paid (the manufacturer or one of its operators)
+     * @param amount Fee paid
+     */
+    event RegistrationFeePaid(uint256 indexed batchId, address indexed payer, uint256 amount);
+
+    /**
+     * @notice Event emitted when collected fees are sent to the treasury
+     * @param treasury Recipient
+     * @param amount Amount withdrawn
+     */
+    event FeesWithdrawn(address indexed treasury, uint256 amount);
+
+    /**
+     * @notice Event emitted when a role is granted
+     * @param role Role identifier
+     * @param account Account receiving the role
+     * @param sender Account that granted the role
+     */
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /**
+     * @notice Event emitted when a role is revoked or renounced
+     * @param role Role identifier
+     * @param account Account losing the role
+     * @param sender Account that revoked the role (the account itself when renounced)
+     */
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+
+    /**
+     * @notice Event emitted when an admin action is queued
+     * @param actionId Queue entry id
+     * @param action Queued action
+     * @param target Manufacturer to revoke or proposed owner
+     * @param executableAt Timestamp from which the action can be executed
+     */
+    event ActionQueued(
+        uint256 indexed actionId,
+        TimelockAction indexed action,
+        address indexed target,
+        uint256 executableAt
+    );
+
+    /**
+     * @notice Event emitted when a queued action is executed
+     * @param actionId Queue entry id
+     */
+    event ActionExecuted(uint256 indexed actionId);
+
+    /**
+     * @notice Event emitted when a queued action is cancelled
+     * @param actionId Queue entry id
+     */
+    event ActionCancelled(uint256 indexed actionId);
+
+    /**
+     * @notice Event emitted when a new owner is proposed
+     * @param currentOwner Current owner
+     * @param proposedOwner Address that must accept ownership
+     */
+    event OwnershipTransferProposed(address indexed currentOwner, address indexed proposedOwner);
+
+    /**
+     * @notice Event emitted when the proposed owner accepts ownership
+     * @param previousOwner Previous owner
+     * @param newOwner New owner
+     */
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+
+    /**
+     * @notice Event emitted when the trusted forwarder changes
+     * @param forwarder New forwarder (zero disables relaying)
+     */
+    event TrustedForwarderUpdated(address indexed forwarder);
+
+    /**
+     * @notice Event emitted when the companion ownership token changes
+     * @param token New ownership token (zero disables minting)
+     */
+    event OwnershipTokenUpdated(address indexed token);
+
+    /**
+     * @notice Modifier to restrict function access to holders of a role
+     */
+    modifier onlyRole(bytes32 role) {
+        _checkRole(role);
+        _;
+    }
+
+    /**
+     * @notice Modifier to restrict function access to authorized manufacturers
+     */
+    modifier onlyMaker() {
+        _checkMaker();
+        _;
+    }
+
+    /**
+     * @notice Modifier to check if contract is not paused
+     */
+    modifier whenNotPaused() {
+        _requireNotPaused();
+        _;
+    }
+
+    /**
+     * @notice Modifier to check that neither the contract, the operation nor
+     *         the batch is paused
+     */
+    modifier whenActive(PausableOperation operation, uint256 batchId) {
+        _requireActive(operation, batchId);
+        _;
+    }
+
+    /**
+     * @notice Revert unless the caller holds a role
+     */
+    function _checkRole(bytes32 role) internal view {
+        if (!_roles[role][msg.sender]) revert MissingRole(role, msg.sender);
+    }
+
+    /**
+     * @notice Revert unless the caller is an authorized manufacturer
+     */
+    function _checkMaker() internal view {
+        if (!authorizedMakers[msg.sender]) revert NotAuthorized();
+    }
+
+    /**
+     * @notice Revert if the contract is paused
+     */
+    function _requireNotPaused() internal view {
+        if (paused) revert ContractPaused();
+    }
+
+    /**
+     * @notice Revert if the contract or the operation is paused, or the batch is frozen
+     */
+    function _requireActive(PausableOperation operation, uint256 batchId) internal view {
+        _requireNotPaused();
+        if (operationPaused[operation]) revert OperationPaused(operation);
+        if (batchFrozen[batchId]) revert BatchIsFrozen(batchId);
+    }
+
+    /**
+     * @notice Key of a serial's claim, owner, claim code, revocation, history,
+     *         checkpoints and counterfeit reports
+     * @dev Serial hashes are only unique within a batch: any manufacturer can put
+     *      another batch's serial hash in its own Merkle tree. Keying this state
+     *      by batch keeps such a tree from claiming, revoking or locking the
+     *      original serial. Read the public per-serial mappings with serialKey.
+     */
+    function _serialKey(uint256 batchId, bytes32 serialHash) internal pure returns (bytes32) {
+        return keccak256(abi.encode(batchId, serialHash));
+    }
+
+    /**
+     * @notice Add an action to the timelock queue, executable after TIMELOCK_DELAY
+     * @dev Callers check the guarding role and the target
+     */
+    function _queueAction(TimelockAction action, address target) internal returns (uint256 actionId) {
+        actionId = queuedActionCount++;
+        uint256 executableAt = block.timestamp + TIMELOCK_DELAY;
+        queuedActions[actionId] = QueuedAction({
+            action: action,
+            target: target,
+            proposer: msg.sender,
+            executableAt: executableAt,
+            executed: false,
+            cancelled: false
+        });
+
+        emit ActionQueued(actionId, action, target, executableAt);
+    }
+
+    /**
+     * @notice Registration fee for a number of serials
+     * @param newBatch Whether the flat batch fee applies (false for appendSerials)
+     */
+    function _registrationFee(uint256 serialCount, bool newBatch) internal view returns (uint256) {
+        return (newBatch ? batchFee : 0) + serialFee * serialCount;
+    }
+}
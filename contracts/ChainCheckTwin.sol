@@ -0,0 +1,280 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @notice ChainCheck functions used by the ownership token
+ */
+interface IChainCheck {
+    function getProduct(uint256 batchId)
+        external
+        view
+        returns (
+            string memory name,
+            string memory brand,
+            bool exists,
+            uint256 registeredAt,
+            string memory ipfsHash,
+            string memory description,
+            string memory imageUrl,
+            address manufacturer,
+            bytes32 brandId,
+            uint256 manufacturedAt,
+            uint256 expiresAt
+        );
+
+    function syncTokenTransfer(bytes32 serialHash, uint256 batchId, address from, address to) external;
+}
+
+/**
+ * @notice Receiver hook for safeTransferFrom (ERC-721)
+ */
+interface IERC721Receiver {
+    function onERC721Received(address operator, address from, uint256 tokenId, bytes calldata data)
+        external
+        returns (bytes4);
+}
+
+/**
+ * @title ChainCheckTwin
+ * @author ChainCheck Team
+ * @notice ERC-721 digital twin of each claimed ChainCheck product
+ *
+ * How it works:
+ * 1. The ChainCheck admin links this token with setOwnershipToken
+ * 2. The first authentic claim of a serial mints a token to the claimer; the
+ *    token ID is the serial's key in ChainCheck
+ *    (uint256(keccak256(abi.encode(batchId, serialHash)))), since serial hashes
+ *    are only unique within a batch
+ * 3. ChainCheck resales (transferProduct) move the token to the buyer
+ * 4. Transferring the token records the resale in ChainCheck, so the token
+ *    holder and serialOwner always match
+ *
+ * tokenURI points at the batch's metadata (ipfs://<ipfsHash>), so metadata
+ * updates on ChainCheck show up on every token of the batch.
+ *
+ * Serials claimed before the token was linked have no token.
+ */
+contract ChainCheckTwin {
+    /**
+     * @notice Custom errors for gas optimization
+     */
+    error NotChainCheck();
+    error NotAuthorized();
+    error InvalidAddress();
+    error TokenNotFound();
+    error NotTokenOwner();
+    error UnsafeRecipient();
+
+    /**
+     * @notice ChainCheck proxy this token mirrors
+     */
+    IChainCheck public immutable chaincheck;
+
+    string public constant name = "ChainCheck Digital Twin";
+    string public constant symbol = "CCT";
+
+    /**
+     * @notice Product batch of each token
+     * @dev tokenId => batchId
+     */
+    mapping(uint256 => uint256) public batchOf;
+
+    /**
+     * @notice Hashed serial number of each token
+     * @dev tokenId => serialHash
+     */
+    mapping(uint256 => bytes32) public serialOf;
+
+    mapping(uint256 => address) private _owners;
+    mapping(address => uint256) private _balances;
+    mapping(uint256 => address) private _tokenApprovals;
+    mapping(address => mapping(address => bool)) private _operatorApprovals;
+
+    event Transfer(address indexed from, address indexed to, uint256 indexed tokenId);
+    event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId);
+    event ApprovalForAll(address indexed owner, address indexed operator, bool approved);
+
+    /**
+     * @param chaincheck_ ChainCheck proxy address
+     */
+    constructor(address chaincheck_) {
+        if (chaincheck_ == address(0)) revert InvalidAddress();
+        chaincheck = IChainCheck(chaincheck_);
+    }
+
+    /**
+     * @notice Mint or move a token after ChainCheck records an owner
+     * @dev Only ChainCheck can call this. Tokens are minted without the
+     *      onERC721Received check so a claim can never be blocked by the claimer.
+     *      The previous owner ChainCheck passes is not needed: transfers move the
+     *      token from its current holder.
+     * @param serialHash Hashed serial number
+     * @param batchId Product batch ID
+     * @param to New owner
+     * @param firstClaim Whether ChainCheck recorded a first authentic scan;
+     *        only these mint, whatever the previous owner
+     */
+    function onOwnershipRecorded(
+        bytes32 serialHash,
+        uint256 batchId,
+        address /* from */,
+        address to,
+        bool firstClaim
+    ) external {
+        if (msg.sender != address(chaincheck)) revert NotChainCheck();
+
+        uint256 tokenId = tokenIdOf(batchId, serialHash);
+        if (firstClaim) {
+            if (_owners[tokenId] != address(0)) return;
+            batchOf[tokenId] = batchId;
+            serialOf[tokenId] = serialHash;
+            _balances[to] += 1;
+            _owners[tokenId] = to;
+            emit Transfer(address(0), to, tokenId);
+            return;
+        }
+
+        // Skip serials claimed before this token was linked, and transfers
+        // this token reported itself
+        address owner = _owners[tokenId];
+        if (owner == address(0) || owner == to) return;
+
+        _move(owner, to, tokenId);
+    }
+
+    /**
+     * @notice Transfer a token, recording the resale in ChainCheck
+     * @dev Reverts while ChainCheck is paused
+     * @param from Current holder
+     * @param to Recipient
+     * @param tokenId Token ID (see tokenIdOf)
+     */
+    function transferFrom(address from, address to, uint256 tokenId) public {
+        address owner = ownerOf(tokenId);
+        if (owner != from) revert NotTokenOwner();
+        if (to == address(0)) revert InvalidAddress();
+        if (
+            msg.sender != owner
+                && _tokenApprovals[tokenId] != msg.sender
+                && !_operatorApprovals[owner][msg.sender]
+        ) revert NotAuthorized();
+
+        _move(from, to, tokenId);
+        chaincheck.syncTokenTransfer(serialOf[tokenId], batchOf[tokenId], from, to);
+    }
+
+    /**
+     * @notice Transfer a token, checking that a contract recipient accepts it
+     */
+    function safeTransferFrom(address from, address to, uint256 tokenId) external {
+        safeTransferFrom(from, to, tokenId, "");
+    }
+
+    /**
+     * @notice Transfer a token, checking that a contract recipient accepts it
+     */
+    function safeTransferFrom(address from, address to, uint256 tokenId, bytes memory data) public {
+        transferFrom(from, to, tokenId);
+
+        if (to.code.length > 0) {
+            try IERC721Receiver(to).onERC721Received(msg.sender, from, tokenId, data) returns (bytes4 selector) {
+                if (selector != IERC721Receiver.onERC721Received.selector) revert UnsafeRecipient();
+            } catch {
+                revert UnsafeRecipient();
+            }
+        }
+    }
+
+    /**
+     * @notice Approve an address to transfer one token
+     */
+    function approve(address approved, uint256 tokenId) external {
+        address owner = ownerOf(tokenId);
+        if (msg.sender != owner && !_operatorApprovals[owner][msg.sender]) revert NotAuthorized();
+
+        _tokenApprovals[tokenId] = approved;
+        emit Approval(owner, approved, tokenId);
+    }
+
+    /**
+     * @notice Approve or revoke an operator for all of the caller's tokens
+     */
+    function setApprovalForAll(address operator, bool approved) external {
+        _operatorApprovals[msg.sender][operator] = approved;
+        emit ApprovalForAll(msg.sender, operator, approved);
+    }
+
+    /**
+     * @notice Token ID of a serial
+     * @param batchId Product batch ID
+     * @param serialHash Hashed serial number
+     * @return tokenId uint256(keccak256(abi.encode(batchId, serialHash)))
+     */
+    function tokenIdOf(uint256 batchId, bytes32 serialHash) public pure returns (uint256) {
+        return uint256(keccak256(abi.encode(batchId, serialHash)));
+    }
+
+    /**
+     * @notice Get the holder of a token
+     * @dev Reverts for serials with no token
+     */
+    function ownerOf(uint256 tokenId) public view returns (address owner) {
+        owner = _owners[tokenId];
+        if (owner == address(0)) revert TokenNotFound();
+    }
+
+    /**
+     * @notice Get the number of tokens held by an address
+     */
+    function balanceOf(address owner) external view returns (uint256) {
+        if (owner == address(0)) revert InvalidAddress();
+        return _balances[owner];
+    }
+
+    /**
+     * @notice Get the address approved for a token
+     */
+    function getApproved(uint256 tokenId) external view returns (address) {
+        ownerOf(tokenId);
+        return _tokenApprovals[tokenId];
+    }
+
+    /**
+     * @notice Whether an operator may transfer all of an owner's tokens
+     */
+    function isApprovedForAll(address owner, address operator) external view returns (bool) {
+        return _operatorApprovals[owner][operator];
+    }
+
+    /**
+     * @notice Metadata URI of a token: its batch's IPFS metadata
+     * @return uri ipfs://<ipfsHash>, or empty if the batch has no metadata
+     */
+    function tokenURI(uint256 tokenId) external view returns (string memory uri) {
+        ownerOf(tokenId);
+
+        (, , , , string memory ipfsHash, , , , , , ) = chaincheck.getProduct(batchOf[tokenId]);
+        if (bytes(ipfsHash).length > 0) {
+            uri = string.concat("ipfs://", ipfsHash);
+        }
+    }
+
+    /**
+     * @notice ERC-165 interface detection (ERC-165, ERC-721, ERC-721 metadata)
+     */
+    function supportsInterface(bytes4 interfaceId) external pure returns (bool) {
+        return interfaceId == 0x01ffc9a7 || interfaceId == 0x80ac58cd || interfaceId == 0x5b5e139f;
+    }
+
+    /**
+     * @notice Move a token and clear its approval
+     */
+    function _move(address from, address to, uint256 tokenId) internal {
+        delete _tokenApprovals[tokenId];
+        _balances[from] -= 1;
+        _balances[to] += 1;
+        _owners[tokenId] = to;
+
+        emit Transfer(from, to, tokenId);
+    }
+}
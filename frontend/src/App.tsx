@@ -2,12 +2,26 @@ import { useState, useEffect, useRef, useMemo, useCallback } from "react";
 import { Html5QrcodeScanner } from "html5-qrcode";
 import {
   verifyProduct,
+  transferProduct,
+  reportCounterfeit,
+  getDigitalTwin,
+  getManufacturerProfile,
+  getMetadataHistory,
   generateSerialHash,
   isMetaMaskInstalled,
   getCurrentAccount,
   connectWallet,
+  refreshManufacturerCache,
+  type ManufacturerProfile,
+  type MetadataChange,
 } from "./utils/blockchain";
-import { validateQRCodeOffline, type QRValidationResult } from "./utils/qrValidator";
+import {
+  validateQRCodeOffline,
+  checkQRSignatureOffline,
+  type QRValidationResult,
+  type QRSignatureCheck,
+} from "./utils/qrValidator";
+import { getCachedManufacturers } from "./utils/manufacturerCache";
 import { copyToClipboardWithFeedback } from "./utils/clipboard";
 import { useToast } from "./contexts/ToastContext";
 import { useKeyboardShortcuts } from "./hooks/useKeyboardShortcuts";
@@ -15,6 +29,8 @@ import { addCachedVerification, getCachedVerification, type CachedVerification }
 import { CURRENT_NETWORK } from "./config";
 import ManufacturerDashboard from "./components/ManufacturerDashboard";
 import VerificationHistory from "./components/VerificationHistory";
+import PalletScan from "./components/PalletScan";
+import MetadataChanges from "./components/MetadataChanges";
 import AnalyticsDashboard from "./components/AnalyticsDashboard";
 import PrivacyPolicy from "./components/PrivacyPolicy";
 import TermsOfService from "./components/TermsOfService";
@@ -38,19 +54,36 @@ function App() {
   // Application state
   const [scanning, setScanning] = useState(false);
   const [result, setResult] = useState<{
-    status: "authentic" | "fake" | "error" | null;
+    status: "authentic" | "fake" | "recalled" | "expired" | "error" | null;
     message: string;
+    reason?: string;
     productName?: string;
     productBrand?: string;
+    brandVerified?: boolean;
+    expiresAt?: number;
     txHash?: string;
     blockNumber?: number;
+    qrData?: string;
+    canClaim?: boolean;
+    requiresClaimCode?: boolean;
+    owner?: string;
+    isOwner?: boolean;
+    twin?: { tokenAddress: string; tokenId: string; tokenURI: string };
+    manufacturer?: ManufacturerProfile;
+    metadata?: { version: number; changes: MetadataChange[] };
+    qrSignature?: QRSignatureCheck;
   } | null>(null);
+  const [claimCode, setClaimCode] = useState("");
+  const [transferTo, setTransferTo] = useState("");
+  const [reportRegion, setReportRegion] = useState("");
+  const [reportEvidence, setReportEvidence] = useState("");
+  const [reported, setReported] = useState(false);
   const [loading, setLoading] = useState(false);
   const [walletConnected, setWalletConnected] = useState(false);
   const [txStatus, setTxStatus] = useState<"idle" | "pending" | "success" | "failed">("idle");
   const [scanner, setScanner] = useState<Html5QrcodeScanner | null>(null);
   const qrReaderRef = useRef<HTMLDivElement>(null);
-  const [activeTab, setActiveTab] = useState<"verify" | "dashboard" | "history" | "analytics" | "faq" | "privacy" | "terms" | "about" | "404">("verify");
+  const [activeTab, setActiveTab] = useState<"verify" | "pallet" | "dashboard" | "history" | "analytics" | "faq" | "privacy" | "terms" | "about" | "404">("verify");
 
   // Check URL hash for navigation
   useEffect(() => {
@@ -106,6 +139,15 @@ function App() {
     }
   }, []);
 
+  /**
+   * Cache the manufacturer list for offline QR signature checks
+   */
+  useEffect(() => {
+    refreshManufacturerCache().catch((error) => {
+      console.warn("Could not refresh manufacturer cache:", error);
+    });
+  }, []);
+
   /**
    * Check if wallet is already connected
    */
@@ -422,11 +464,19 @@ function App() {
   /**
    * Process scanned QR code and verify on blockchain
    * Expected format: "BATCH_ID:SERIAL_NUMBER" or JSON with batchId and serialNumber
+   * Without a claim code this only checks status (no transaction); with one it claims the product
    */
-  const processQRCode = async (qrData: string) => {
+  const processQRCode = async (qrData: string, code?: string) => {
     setLoading(true);
     setResult(null);
 
+    // Every result carries the offline signature check
+    let qrSignature: QRSignatureCheck | undefined;
+    let manufacturer: ManufacturerProfile | undefined;
+    let metadata: { version: number; changes: MetadataChange[] } | undefined;
+    const showResult = (value: NonNullable<typeof result>) =>
+      setResult({ ...value, qrSignature, manufacturer, metadata });
+
     try {
       // First, validate QR code format offline
       const validation: QRValidationResult = validateQRCodeOffline(qrData);
@@ -434,16 +484,114 @@ function App() {
         throw new Error(validation.error || "Invalid QR code format");
       }
 
-      const { batchId, serialNumber } = validation;
+      const { batchId, serialNumber, proof } = validation;
+
+      // Check the manufacturer signature before going online, for an instant signal
+      qrSignature = checkQRSignatureOffline(validation, getCachedManufacturers()?.addresses || []);
+      if (qrSignature.status === "trusted") {
+        showToast("Signed by an authorized manufacturer - checking the blockchain...", "success");
+      } else if (qrSignature.status === "untrusted" || qrSignature.status === "invalid") {
+        showToast("Warning: QR code is not signed by an authorized manufacturer", "warning");
+      }
 
       // Generate serial hash
       const serialHash = generateSerialHash(batchId, serialNumber);
 
+      // Read-only check: free, and leaves the first-scan flag for the buyer
+      if (code === undefined) {
+        const check = await verifyProduct(serialHash, batchId, proof);
+        // Any authorized manufacturer passes offline; only the batch's own one is the brand
+        if (qrSignature.status === "trusted" && qrSignature.signer) {
+          qrSignature = {
+            ...qrSignature,
+            matchesBatch: qrSignature.signer.toLowerCase() === check.manufacturer.toLowerCase(),
+          };
+          if (!qrSignature.matchesBatch) {
+            showToast("Warning: QR code was signed by a different manufacturer than this batch's", "warning");
+          }
+        }
+        manufacturer = (await getManufacturerProfile(check.manufacturer)) || undefined;
+        metadata = await getMetadataHistory(batchId).catch(() => undefined);
+        const account = await getCurrentAccount();
+        const isOwner = check.claimed && !!account && account.toLowerCase() === check.owner.toLowerCase();
+        setClaimCode("");
+        setTransferTo("");
+        setReported(false);
+
+        if (check.status === "Recalled" || check.status === "Revoked") {
+          showResult({
+            status: "recalled",
+            message: check.status === "Recalled"
+              ? "WARNING: This product has been RECALLED"
+              : "WARNING: This serial has been REVOKED",
+            reason: check.reason,
+            productName: check.productName,
+            productBrand: check.productBrand,
+            brandVerified: check.brandVerified,
+            expiresAt: check.expiresAt,
+            owner: check.claimed ? check.owner : undefined,
+          });
+          showToast(`Warning: Product ${check.status.toLowerCase()}${check.reason ? ` (${check.reason})` : ""}`, "warning");
+        } else if (check.status === "Expired") {
+          showResult({
+            status: "expired",
+            message: "WARNING: This product has EXPIRED",
+            productName: check.productName,
+            productBrand: check.productBrand,
+            brandVerified: check.brandVerified,
+            expiresAt: check.expiresAt,
+            owner: check.claimed ? check.owner : undefined,
+          });
+          showToast("Warning: Product is past its expiry date", "warning");
+        } else if (isOwner) {
+          showResult({
+            status: "authentic",
+            message: "You own this product - verified as AUTHENTIC",
+            productName: check.productName,
+            productBrand: check.productBrand,
+            brandVerified: check.brandVerified,
+            expiresAt: check.expiresAt,
+            qrData,
+            owner: check.owner,
+            isOwner: true,
+          });
+          showToast("You are the registered owner of this product", "success");
+        } else if (check.isAuthentic) {
+          showResult({
+            status: "authentic",
+            message: "Genuine product - not yet claimed",
+            productName: check.productName,
+            productBrand: check.productBrand,
+            brandVerified: check.brandVerified,
+            expiresAt: check.expiresAt,
+            qrData,
+            canClaim: true,
+            requiresClaimCode: check.requiresClaimCode,
+          });
+          showToast("Product is registered and unclaimed", "success");
+        } else {
+          showResult({
+            status: "fake",
+            message: check.claimed
+              ? "WARNING: This product has already been claimed"
+              : "WARNING: This serial is not registered",
+            productName: check.productName,
+            productBrand: check.productBrand,
+            brandVerified: check.brandVerified,
+            expiresAt: check.expiresAt,
+            qrData,
+            owner: check.claimed ? check.owner : undefined,
+          });
+          showToast("Warning: Product may be counterfeit", "warning");
+        }
+        return;
+      }
+
       // Check cache first
       const cached: CachedVerification | null = getCachedVerification(serialHash);
       if (cached && cached.txHash) {
         // Use cached result if available
-        setResult({
+        showResult({
           status: cached.isAuthentic ? "authentic" : "fake",
           message: cached.isAuthentic ? "Product verified as AUTHENTIC" : "WARNING: This product may be COUNTERFEIT",
           productName: cached.productName,
@@ -460,14 +608,22 @@ function App() {
       // Set transaction status to pending
       setTxStatus("pending");
 
-      // Verify on blockchain
-      const verificationResult = await verifyProduct(serialHash, batchId);
+      // Claim on blockchain
+      const verificationResult = await verifyProduct(serialHash, batchId, proof, code);
+      manufacturer = (await getManufacturerProfile(verificationResult.manufacturer)) || undefined;
+      metadata = await getMetadataHistory(batchId).catch(() => undefined);
 
       // Set transaction status to success
       setTxStatus("success");
 
-      // Cache the verification result
-      if (verificationResult.txHash) {
+      // Cache the verification result (recall status can change and expired scans are not
+      // claims, so those are not cached)
+      if (
+        verificationResult.txHash &&
+        verificationResult.status !== "Recalled" &&
+        verificationResult.status !== "Revoked" &&
+        verificationResult.status !== "Expired"
+      ) {
         addCachedVerification({
           serialHash,
           batchId,
@@ -483,22 +639,57 @@ function App() {
       }
 
       // Set result based on verification
-      if (verificationResult.isAuthentic) {
-        setResult({
+      if (verificationResult.status === "Recalled" || verificationResult.status === "Revoked") {
+        showResult({
+          status: "recalled",
+          message: verificationResult.status === "Recalled"
+            ? "WARNING: This product has been RECALLED"
+            : "WARNING: This serial has been REVOKED",
+          reason: verificationResult.reason,
+          productName: verificationResult.productName,
+          productBrand: verificationResult.productBrand,
+          brandVerified: verificationResult.brandVerified,
+          expiresAt: verificationResult.expiresAt,
+          txHash: verificationResult.txHash,
+          blockNumber: verificationResult.blockNumber,
+        });
+        showToast(`Warning: Product ${verificationResult.status.toLowerCase()}`, "warning");
+      } else if (verificationResult.status === "Expired") {
+        showResult({
+          status: "expired",
+          message: "WARNING: This product has EXPIRED",
+          productName: verificationResult.productName,
+          productBrand: verificationResult.productBrand,
+          brandVerified: verificationResult.brandVerified,
+          expiresAt: verificationResult.expiresAt,
+          txHash: verificationResult.txHash,
+          blockNumber: verificationResult.blockNumber,
+        });
+        showToast("Warning: Product is past its expiry date", "warning");
+      } else if (verificationResult.isAuthentic) {
+        // The claim minted the product's digital twin, if a token is linked
+        const twin = await getDigitalTwin(serialHash, batchId);
+        showResult({
           status: "authentic",
-          message: "Product verified as AUTHENTIC",
+          message: "Product claimed - verified as AUTHENTIC",
           productName: verificationResult.productName,
           productBrand: verificationResult.productBrand,
+          brandVerified: verificationResult.brandVerified,
+          expiresAt: verificationResult.expiresAt,
+          twin: twin || undefined,
           txHash: verificationResult.txHash,
           blockNumber: verificationResult.blockNumber,
         });
         showToast("Product verified as authentic!", "success");
       } else {
-        setResult({
+        showResult({
           status: "fake",
           message: "WARNING: This product may be COUNTERFEIT",
           productName: verificationResult.productName,
           productBrand: verificationResult.productBrand,
+          brandVerified: verificationResult.brandVerified,
+          expiresAt: verificationResult.expiresAt,
+          qrData,
           txHash: verificationResult.txHash,
           blockNumber: verificationResult.blockNumber,
         });
@@ -530,7 +721,7 @@ function App() {
         }
       }
       
-      setResult({
+      showResult({
         status: "error",
         message: errorMessage,
       });
@@ -546,6 +737,50 @@ function App() {
     }
   };
 
+  /**
+   * Transfer the scanned product to a new owner, then refresh its status
+   */
+  const handleTransfer = async () => {
+    if (!result?.qrData) return;
+
+    const validation = validateQRCodeOffline(result.qrData);
+    if (!validation.valid || !validation.batchId || !validation.serialNumber) return;
+
+    setLoading(true);
+    try {
+      const serialHash = generateSerialHash(validation.batchId, validation.serialNumber);
+      await transferProduct(serialHash, validation.batchId, transferTo);
+      showToast("Product transferred to the new owner", "success");
+      await processQRCode(result.qrData);
+    } catch (error: any) {
+      showToast(error.message || "Failed to transfer product", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Report the scanned product as a suspected counterfeit to its manufacturer
+   */
+  const handleReportCounterfeit = async () => {
+    if (!result?.qrData) return;
+
+    const validation = validateQRCodeOffline(result.qrData);
+    if (!validation.valid || !validation.batchId || !validation.serialNumber) return;
+
+    setLoading(true);
+    try {
+      const serialHash = generateSerialHash(validation.batchId, validation.serialNumber);
+      await reportCounterfeit(serialHash, validation.batchId, reportRegion, reportEvidence);
+      setReported(true);
+      showToast("Thank you - the manufacturer has been notified", "success");
+    } catch (error: any) {
+      showToast(error.message || "Failed to report product", "error");
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Reset application state
    */
@@ -553,6 +788,9 @@ function App() {
     stopScan();
     setResult(null);
     setLoading(false);
+    setReportRegion("");
+    setReportEvidence("");
+    setReported(false);
   };
 
   // Keyboard shortcuts - memoized to prevent recreation on every render
@@ -670,6 +908,12 @@ function App() {
             >
               Verify Product
             </button>
+            <button
+              className={`nav-tab ${activeTab === "pallet" ? "active" : ""}`}
+              onClick={() => setActiveTab("pallet")}
+            >
+              Pallet Scan
+            </button>
             <button
               className={`nav-tab ${activeTab === "history" ? "active" : ""}`}
               onClick={() => setActiveTab("history")}
@@ -706,6 +950,11 @@ function App() {
         {/* 404 Page */}
         {activeTab === "404" && <NotFound />}
 
+        {/* Pallet Scan */}
+        {walletConnected && activeTab === "pallet" && (
+          <PalletScan />
+        )}
+
         {/* Verification History */}
         {walletConnected && activeTab === "history" && (
           <VerificationHistory />
@@ -826,6 +1075,29 @@ function App() {
             {result && (
               <div className={`result-section result-${result.status}`}>
                 <h2>{result.message}</h2>
+                {result.qrSignature && result.qrSignature.status !== "unsigned" && (
+                  <p className="qr-signature">
+                    <span className={`brand-badge ${result.qrSignature.status === "trusted" && result.qrSignature.matchesBatch !== false ? "brand-verified" : "brand-unverified"}`}>
+                      {result.qrSignature.status !== "trusted"
+                        ? "Not signed by an authorized manufacturer"
+                        : result.qrSignature.matchesBatch === true
+                          ? "Signed by the brand"
+                          : result.qrSignature.matchesBatch === false
+                            ? "Signed by a different manufacturer than this batch's"
+                            : "Signed by an authorized manufacturer"}
+                    </span>
+                  </p>
+                )}
+                {result.reason && (
+                  <p className="result-reason">
+                    <strong>Reason:</strong> {result.reason}
+                  </p>
+                )}
+                {result.status === "expired" && result.expiresAt ? (
+                  <p className="result-reason">
+                    <strong>Expired on:</strong> {new Date(result.expiresAt * 1000).toLocaleDateString()}. Do not use or sell this product.
+                  </p>
+                ) : null}
                 {result.productName && (
                   <div className="product-info">
                     <p>
@@ -833,7 +1105,81 @@ function App() {
                     </p>
                     <p>
                       <strong>Brand:</strong> {result.productBrand}
+                      {result.brandVerified !== undefined && (
+                        <span className={`brand-badge ${result.brandVerified ? "brand-verified" : "brand-unverified"}`}>
+                          {result.brandVerified ? "Brand verified" : "Brand not verified"}
+                        </span>
+                      )}
                     </p>
+                    {result.manufacturer && (
+                      <p>
+                        <strong>Registered by:</strong>{" "}
+                        {/^https?:\/\//i.test(result.manufacturer.website) ? (
+                          <a href={result.manufacturer.website} target="_blank" rel="noopener noreferrer" className="tx-link">
+                            {result.manufacturer.name || result.manufacturer.website}
+                          </a>
+                        ) : (
+                          result.manufacturer.name ||
+                          `${result.manufacturer.address.substring(0, 6)}...${result.manufacturer.address.substring(result.manufacturer.address.length - 4)}`
+                        )}
+                        {result.manufacturer.country && <span> ({result.manufacturer.country})</span>}
+                        {result.manufacturer.tier !== "Unverified" && (
+                          <span className="brand-badge brand-verified">{result.manufacturer.tier}</span>
+                        )}
+                      </p>
+                    )}
+                    {result.metadata && (
+                      <MetadataChanges version={result.metadata.version} changes={result.metadata.changes} />
+                    )}
+                    {result.status !== "expired" && result.expiresAt ? (
+                      <p>
+                        <strong>Expires:</strong> {new Date(result.expiresAt * 1000).toLocaleDateString()}
+                      </p>
+                    ) : null}
+                    {result.owner && (
+                      <p>
+                        <strong>Owner:</strong>{" "}
+                        {result.owner.substring(0, 6)}...{result.owner.substring(result.owner.length - 4)}
+                      </p>
+                    )}
+                    {result.twin && (
+                      <p>
+                        <strong>Digital twin:</strong>{" "}
+                        <a
+                          href={`${CURRENT_NETWORK.name === "Localhost" ? "#" : `https://${CURRENT_NETWORK.name === "Mumbai Testnet" ? "mumbai.polygonscan.com" : "polygonscan.com"}/token/${result.twin.tokenAddress}?a=${result.twin.tokenId}`}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="tx-link"
+                        >
+                          Token {result.twin.tokenId.substring(0, 8)}... on {result.twin.tokenAddress.substring(0, 6)}...{result.twin.tokenAddress.substring(result.twin.tokenAddress.length - 4)}
+                        </a>
+                        {result.twin.tokenURI && <span> ({result.twin.tokenURI})</span>}
+                      </p>
+                    )}
+                    {result.owner && !result.isOwner && (
+                      <p className="note">
+                        Buying second-hand? Ask the seller to transfer the product to your address, then scan again.
+                      </p>
+                    )}
+                  </div>
+                )}
+                {result.isOwner && (
+                  <div className="claim-form">
+                    <p>Selling this product? Transfer it to the buyer's address.</p>
+                    <input
+                      type="text"
+                      value={transferTo}
+                      onChange={(e) => setTransferTo(e.target.value.trim())}
+                      placeholder="0x... new owner address"
+                      aria-label="New owner address"
+                    />
+                    <button
+                      onClick={handleTransfer}
+                      className="btn btn-primary"
+                      disabled={loading || !transferTo}
+                    >
+                      Transfer Ownership
+                    </button>
                   </div>
                 )}
                 {result.txHash && (
@@ -867,6 +1213,63 @@ function App() {
                     )}
                   </div>
                 )}
+                {result.status === "fake" && result.qrData && (
+                  <div className="claim-form">
+                    {reported ? (
+                      <p>Report sent to the manufacturer.</p>
+                    ) : (
+                      <>
+                        <p>Think this is a fake? Report it to the manufacturer.</p>
+                        <input
+                          type="text"
+                          value={reportRegion}
+                          onChange={(e) => setReportRegion(e.target.value.trim().toUpperCase())}
+                          placeholder="Country code, e.g. DE (optional)"
+                          aria-label="Country code"
+                          maxLength={2}
+                        />
+                        <input
+                          type="text"
+                          value={reportEvidence}
+                          onChange={(e) => setReportEvidence(e.target.value.trim())}
+                          placeholder="IPFS hash of photos (optional)"
+                          aria-label="Evidence IPFS hash"
+                        />
+                        <button
+                          onClick={handleReportCounterfeit}
+                          className="btn btn-secondary"
+                          disabled={loading}
+                        >
+                          Report Counterfeit
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+                {result.canClaim && result.qrData && (
+                  <div className="claim-form">
+                    <p>
+                      Bought this product? Claim it to record you as the first owner.
+                      {result.requiresClaimCode && " Enter the code printed under the scratch-off."}
+                    </p>
+                    {result.requiresClaimCode && (
+                      <input
+                        type="text"
+                        value={claimCode}
+                        onChange={(e) => setClaimCode(e.target.value.trim())}
+                        placeholder="Scratch-off claim code"
+                        aria-label="Claim code"
+                      />
+                    )}
+                    <button
+                      onClick={() => processQRCode(result.qrData!, result.requiresClaimCode ? claimCode : "")}
+                      className="btn btn-primary"
+                      disabled={loading || (result.requiresClaimCode && !claimCode)}
+                    >
+                      Claim Product
+                    </button>
+                  </div>
+                )}
                 <div className="result-actions">
                   <button onClick={reset} className="btn btn-primary">
                     Scan Another Product
@@ -911,10 +1314,11 @@ function App() {
                   <li>Connect your MetaMask wallet</li>
                   <li>Click "Start Scan" and allow camera access</li>
                   <li>Point your camera at the product QR code</li>
-                  <li>View verification result on blockchain</li>
+                  <li>View the product's status - checking is free and does not claim it</li>
+                  <li>After buying, claim it with the code under the scratch-off</li>
                 </ol>
                 <p className="note">
-                  First scan = Authentic | Second scan = Possible Counterfeit
+                  First claim = Authentic | Already claimed = Possible Counterfeit
                 </p>
               </div>
             )}
@@ -1,5 +1,5 @@
 import { useState, useEffect } from "react";
-import { getStatistics } from "../utils/blockchain";
+import { getStatistics, getProductLineStats, getManufacturers, type ManufacturerProfile } from "../utils/blockchain";
 import "./AnalyticsDashboard.css";
 
 /**
@@ -13,6 +13,8 @@ function AnalyticsDashboard() {
     totalVerifications: bigint;
     totalManufacturers: bigint;
   } | null>(null);
+  const [productLines, setProductLines] = useState<Awaited<ReturnType<typeof getProductLineStats>>>([]);
+  const [manufacturers, setManufacturers] = useState<ManufacturerProfile[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
@@ -26,6 +28,8 @@ function AnalyticsDashboard() {
     try {
       const stats = await getStatistics();
       setStatistics(stats);
+      setProductLines(await getProductLineStats());
+      setManufacturers(await getManufacturers());
     } catch (err: any) {
       console.error("Error loading analytics:", err);
       const errorMessage = err.message || "Failed to load analytics";
@@ -123,6 +127,82 @@ function AnalyticsDashboard() {
         </div>
       </div>
 
+      <div className="product-lines">
+        <h3>Counterfeit Attempts by Product Line</h3>
+        {productLines.length === 0 ? (
+          <p className="product-lines-empty">No product batches registered yet.</p>
+        ) : (
+          <table className="product-lines-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Batches</th>
+                <th>Serials</th>
+                <th>Claims</th>
+                <th>Duplicate Scans</th>
+                <th>Counterfeit Rate</th>
+              </tr>
+            </thead>
+            <tbody>
+              {productLines.map((line) => (
+                <tr key={line.batchIds.join(",")}>
+                  <td>
+                    <div className="product-line-name">{line.name}</div>
+                    <div className="product-line-brand">{line.brand}</div>
+                  </td>
+                  <td>{line.batchIds.length}</td>
+                  <td>{line.serialCount.toLocaleString()}</td>
+                  <td>{line.claims.toLocaleString()}</td>
+                  <td>{line.duplicateScans.toLocaleString()}</td>
+                  <td className={line.counterfeitRate > 0 ? "rate-warning" : ""}>
+                    {(line.counterfeitRate * 100).toFixed(1)}%
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="product-lines">
+        <h3>Manufacturers</h3>
+        {manufacturers.length === 0 ? (
+          <p className="product-lines-empty">No manufacturers authorized yet.</p>
+        ) : (
+          <table className="product-lines-table">
+            <thead>
+              <tr>
+                <th>Manufacturer</th>
+                <th>Country</th>
+                <th>Tier</th>
+                <th>Website</th>
+              </tr>
+            </thead>
+            <tbody>
+              {manufacturers.map((maker) => (
+                <tr key={maker.address}>
+                  <td>
+                    <div className="product-line-name">{maker.name || "(no profile)"}</div>
+                    <div className="product-line-brand">{maker.address}</div>
+                  </td>
+                  <td>{maker.country || "-"}</td>
+                  <td>{maker.tier}</td>
+                  <td>
+                    {/^https?:\/\//i.test(maker.website) ? (
+                      <a href={maker.website} target="_blank" rel="noopener noreferrer">
+                        {maker.website}
+                      </a>
+                    ) : (
+                      maker.website || "-"
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
       <div className="analytics-actions">
         <button onClick={loadAnalytics} className="btn btn-secondary">
           Refresh Data
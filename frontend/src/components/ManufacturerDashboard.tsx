@@ -1,19 +1,58 @@
 import { useState, useEffect } from "react";
+import { isAddress, formatEther } from "ethers";
 import {
   registerProduct,
+  quoteRegistration,
   isAuthorizedManufacturer,
   getStatistics,
+  getManufacturerBatches,
+  getCounterfeitReports,
+  getManufacturerProfile,
+  updateManufacturerProfile,
+  getOperator,
+  getOperators,
+  setOperator,
+  removeOperator,
+  getOperatorRegistrations,
   connectWallet,
   getCurrentAccount,
+  type ManufacturerProfile,
+  type OperatorScope,
+  type RegistrationQuote,
 } from "../utils/blockchain";
 import QRCodeGenerator from "./QRCodeGenerator";
 import "./ManufacturerDashboard.css";
 
+/**
+ * Parse serial numbers entered one per line or comma-separated
+ */
+function parseSerialNumbers(input: string): string[] {
+  return input
+    .split(/[,\n]/)
+    .map((s) => s.trim())
+    .filter((s) => s.length > 0);
+}
+
+/**
+ * Convert an optional date input to a unix timestamp (0 = not set)
+ */
+function toTimestamp(date: string): number {
+  return date ? Math.floor(new Date(date).getTime() / 1000) : 0;
+}
+
 /**
  * Manufacturer Dashboard Component
  * 
  * Allows authorized manufacturers to:
- * - Register new product batches
+ * - Register new product batches, with optional manufacture and expiry dates,
+ *   seeing the registration fee and estimated total cost before submitting
+ * - View their batches and when each expires
+ * - Review counterfeit reports filed by consumers against their batches
+ * - Edit the website and logo of their public profile
+ * - Add and remove operator keys, scoped to a batch-ID range or serial quota
+ *
+ * Operators see the dashboard of their manufacturer: batches they register
+ * belong to the manufacturer.
  * - View statistics
  * - Generate QR codes for products
  */
@@ -34,7 +73,23 @@ function ManufacturerDashboard() {
   const [productName, setProductName] = useState("");
   const [productBrand, setProductBrand] = useState("");
   const [serialNumbers, setSerialNumbers] = useState("");
-  const [activeSection, setActiveSection] = useState<"register" | "generator">("register");
+  const [manufacturedAt, setManufacturedAt] = useState("");
+  const [expiresAt, setExpiresAt] = useState("");
+  const [quote, setQuote] = useState<RegistrationQuote | null>(null);
+  const [batches, setBatches] = useState<Awaited<ReturnType<typeof getManufacturerBatches>>>([]);
+  const [reports, setReports] = useState<Awaited<ReturnType<typeof getCounterfeitReports>>>([]);
+  const [profile, setProfile] = useState<ManufacturerProfile | null>(null);
+  const [profileWebsite, setProfileWebsite] = useState("");
+  const [profileLogo, setProfileLogo] = useState("");
+  const [operatorScope, setOperatorScope] = useState<OperatorScope | null>(null);
+  const [operators, setOperators] = useState<OperatorScope[]>([]);
+  const [registrations, setRegistrations] = useState<Record<number, string>>({});
+  const [account, setAccount] = useState<string | null>(null);
+  const [operatorAddress, setOperatorAddress] = useState("");
+  const [operatorMinBatch, setOperatorMinBatch] = useState("");
+  const [operatorMaxBatch, setOperatorMaxBatch] = useState("");
+  const [operatorQuota, setOperatorQuota] = useState("");
+  const [activeSection, setActiveSection] = useState<"register" | "generator" | "profile" | "operators">("register");
 
   /**
    * Check authorization on mount
@@ -44,19 +99,63 @@ function ManufacturerDashboard() {
     loadStatistics();
   }, []);
 
+  /**
+   * Re-quote the registration cost as the form changes, once typing pauses
+   */
+  useEffect(() => {
+    if (!authorized) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await quoteRegistration(
+          parseInt(batchId) || 0,
+          productName,
+          productBrand,
+          parseSerialNumbers(serialNumbers),
+          toTimestamp(manufacturedAt),
+          toTimestamp(expiresAt)
+        );
+        if (!cancelled) setQuote(result);
+      } catch (error) {
+        console.error("Error quoting registration:", error);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [authorized, batchId, productName, productBrand, serialNumbers, manufacturedAt, expiresAt]);
+
   /**
    * Check if current account is authorized
    */
   const checkAuthorization = async () => {
     try {
       const account = await getCurrentAccount();
+      setAccount(account);
       if (!account) {
         setAuthorized(false);
         return;
       }
 
       const isAuth = await isAuthorizedManufacturer();
-      setAuthorized(isAuth);
+      if (isAuth) {
+        setAuthorized(true);
+        await loadBatches(account);
+        await loadProfile();
+        await loadOperators();
+        return;
+      }
+
+      // Operators register for their manufacturer while it is authorized
+      const scope = await getOperator(account);
+      setOperatorScope(scope);
+      setAuthorized(!!scope?.active);
+      if (scope?.active) {
+        await loadBatches(scope.manufacturer);
+      }
     } catch (error: any) {
       console.error("Error checking authorization:", error);
       // Don't show error if contract not deployed - it's expected during development
@@ -83,6 +182,151 @@ function ManufacturerDashboard() {
     }
   };
 
+  /**
+   * Load a manufacturer's batches, which operator registered them and the
+   * counterfeit reports filed against them
+   * @param manufacturer The connected manufacturer, or the manufacturer of the connected operator
+   */
+  const loadBatches = async (manufacturer: string) => {
+    try {
+      const manufacturerBatches = await getManufacturerBatches(manufacturer);
+      setBatches(manufacturerBatches);
+      setRegistrations(await getOperatorRegistrations(manufacturer));
+      setReports(await getCounterfeitReports(manufacturerBatches.map((batch) => batch.batchId)));
+    } catch (error: any) {
+      console.error("Error loading batches:", error);
+    }
+  };
+
+  /**
+   * Load the connected manufacturer's operators
+   */
+  const loadOperators = async () => {
+    try {
+      const account = await getCurrentAccount();
+      if (account) {
+        setOperators(await getOperators(account));
+      }
+    } catch (error: any) {
+      console.error("Error loading operators:", error);
+    }
+  };
+
+  /**
+   * Handle adding an operator or changing its scope
+   */
+  const handleSetOperator = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage(null);
+
+    try {
+      if (!isAddress(operatorAddress.trim())) {
+        throw new Error("Enter a valid operator address");
+      }
+
+      const receipt = await setOperator(
+        operatorAddress.trim(),
+        parseInt(operatorMinBatch) || 0,
+        parseInt(operatorMaxBatch) || 0,
+        parseInt(operatorQuota) || 0
+      );
+      setMessage({
+        type: "success",
+        text: `Operator saved. Transaction: ${receipt.hash}`,
+      });
+      setOperatorAddress("");
+      setOperatorMinBatch("");
+      setOperatorMaxBatch("");
+      setOperatorQuota("");
+      await loadOperators();
+    } catch (error: any) {
+      setMessage({
+        type: "error",
+        text: error.message || "Failed to save operator",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Handle removing an operator
+   */
+  const handleRemoveOperator = async (operator: string) => {
+    setLoading(true);
+    setMessage(null);
+
+    try {
+      const receipt = await removeOperator(operator);
+      setMessage({
+        type: "success",
+        text: `Operator removed. Transaction: ${receipt.hash}`,
+      });
+      await loadOperators();
+    } catch (error: any) {
+      setMessage({
+        type: "error",
+        text: error.message || "Failed to remove operator",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Short form of an address, "You" for the connected account
+   */
+  const formatAccount = (address: string) =>
+    account && address.toLowerCase() === account.toLowerCase()
+      ? "You"
+      : `${address.substring(0, 6)}...${address.substring(address.length - 4)}`;
+
+  /**
+   * Load the connected manufacturer's profile into the profile form
+   */
+  const loadProfile = async () => {
+    const account = await getCurrentAccount();
+    if (!account) return;
+
+    const current = await getManufacturerProfile(account);
+    setProfile(current);
+    if (current) {
+      setProfileWebsite(current.website);
+      setProfileLogo(current.logoIpfsHash);
+    }
+  };
+
+  /**
+   * Handle profile update
+   */
+  const handleUpdateProfile = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setMessage(null);
+
+    try {
+      const website = profileWebsite.trim();
+      if (website && !/^https?:\/\//i.test(website)) {
+        throw new Error("Website must start with http:// or https://");
+      }
+
+      const receipt = await updateManufacturerProfile(website, profileLogo.trim());
+      setMessage({
+        type: "success",
+        text: `Profile updated. Transaction: ${receipt.hash}`,
+      });
+      await loadProfile();
+    } catch (error: any) {
+      setMessage({
+        type: "error",
+        text: error.message || "Failed to update profile",
+      });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Handle product registration
    */
@@ -102,16 +346,18 @@ function ManufacturerDashboard() {
         throw new Error("Batch ID must be a positive number");
       }
 
-      // Parse serial numbers (comma or newline separated)
-      const serialsArray = serialNumbers
-        .split(/[,\n]/)
-        .map((s) => s.trim())
-        .filter((s) => s.length > 0);
+      const serialsArray = parseSerialNumbers(serialNumbers);
 
       if (serialsArray.length === 0) {
         throw new Error("At least one serial number is required");
       }
 
+      const manufacturedAtTs = toTimestamp(manufacturedAt);
+      const expiresAtTs = toTimestamp(expiresAt);
+      if (expiresAtTs !== 0 && expiresAtTs <= manufacturedAtTs) {
+        throw new Error("Expiry date must be after the manufacture date");
+      }
+
       // Connect wallet if needed
       await connectWallet();
 
@@ -120,7 +366,9 @@ function ManufacturerDashboard() {
         batchIdNum,
         productName,
         productBrand,
-        serialsArray
+        serialsArray,
+        manufacturedAtTs,
+        expiresAtTs
       );
 
       setMessage({
@@ -133,9 +381,15 @@ function ManufacturerDashboard() {
       setProductName("");
       setProductBrand("");
       setSerialNumbers("");
+      setManufacturedAt("");
+      setExpiresAt("");
 
-      // Reload statistics
+      // Reload statistics and batches
       await loadStatistics();
+      const manufacturer = operatorScope?.manufacturer ?? account;
+      if (manufacturer) {
+        await loadBatches(manufacturer);
+      }
     } catch (error: any) {
       setMessage({
         type: "error",
@@ -173,6 +427,25 @@ function ManufacturerDashboard() {
     <div className="manufacturer-dashboard">
       <h2>Manufacturer Dashboard</h2>
 
+      {operatorScope && (
+        <div className="operator-banner">
+          <p>
+            You are registering as an operator of <strong>{formatAccount(operatorScope.manufacturer)}</strong>.
+            Batches you register belong to this manufacturer.
+          </p>
+          <p>
+            <small>
+              Batch IDs {operatorScope.minBatchId}
+              {operatorScope.maxBatchId === 0 ? " and up" : ` to ${operatorScope.maxBatchId}`}
+              {" - "}
+              {operatorScope.serialQuota === 0
+                ? `${operatorScope.serialsRegistered} serials registered`
+                : `${operatorScope.serialsRegistered} of ${operatorScope.serialQuota} serials used`}
+            </small>
+          </p>
+        </div>
+      )}
+
       {/* Statistics */}
       {statistics && (
         <div className="stats-section">
@@ -204,6 +477,22 @@ function ManufacturerDashboard() {
         >
           QR Code Generator
         </button>
+        {!operatorScope && (
+          <button
+            className={`section-btn ${activeSection === "operators" ? "active" : ""}`}
+            onClick={() => setActiveSection("operators")}
+          >
+            Operators
+          </button>
+        )}
+        {!operatorScope && (
+          <button
+            className={`section-btn ${activeSection === "profile" ? "active" : ""}`}
+            onClick={() => setActiveSection("profile")}
+          >
+            Profile
+          </button>
+        )}
       </div>
 
       {/* Registration Form */}
@@ -263,6 +552,48 @@ function ManufacturerDashboard() {
             <small>Enter serial numbers separated by commas or new lines</small>
           </div>
 
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="manufacturedAt">Manufacture Date</label>
+              <input
+                type="date"
+                id="manufacturedAt"
+                value={manufacturedAt}
+                onChange={(e) => setManufacturedAt(e.target.value)}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="expiresAt">Expiry Date</label>
+              <input
+                type="date"
+                id="expiresAt"
+                value={expiresAt}
+                onChange={(e) => setExpiresAt(e.target.value)}
+              />
+              <small>Leave empty if the product does not expire</small>
+            </div>
+          </div>
+
+          {quote && (
+            <div className="fee-quote">
+              <p>
+                <strong>Registration fee:</strong> {formatEther(quote.fee)} MATIC
+                {quote.fee > 0n && (
+                  <small>
+                    {" "}({formatEther(quote.batchFee)} per batch + {formatEther(quote.serialFee)} per serial)
+                  </small>
+                )}
+              </p>
+              <p>
+                <strong>Estimated total cost:</strong>{" "}
+                {quote.total !== null
+                  ? `${formatEther(quote.total)} MATIC including network fees`
+                  : "complete the form to estimate network fees"}
+              </p>
+            </div>
+          )}
+
           {message && (
             <div className={`result-section result-${message.type}`}>
               <p>{message.text}</p>
@@ -280,6 +611,249 @@ function ManufacturerDashboard() {
       </div>
       )}
 
+      {/* Registered Batches */}
+      {activeSection === "register" && batches.length > 0 && (
+        <div className="batches-section">
+          <h3>Your Batches</h3>
+          <table className="batches-table">
+            <thead>
+              <tr>
+                <th>Batch ID</th>
+                <th>Product</th>
+                <th>Registered</th>
+                <th>Registered By</th>
+                <th>Expires</th>
+              </tr>
+            </thead>
+            <tbody>
+              {batches.map((batch) => {
+                const expiresAtMs = Number(batch.expiresAt) * 1000;
+                const expired = expiresAtMs !== 0 && expiresAtMs <= Date.now();
+                return (
+                  <tr key={batch.batchId}>
+                    <td>{batch.batchId}</td>
+                    <td>
+                      <div className="batch-name">{batch.name}</div>
+                      <div className="batch-brand">{batch.brand}</div>
+                    </td>
+                    <td>{new Date(Number(batch.registeredAt) * 1000).toLocaleDateString()}</td>
+                    <td className="batch-hash">
+                      {registrations[batch.batchId]
+                        ? formatAccount(registrations[batch.batchId])
+                        : operatorScope ? "Manufacturer" : "You"}
+                    </td>
+                    <td className={expired ? "batch-expired" : ""}>
+                      {expiresAtMs === 0
+                        ? "Never"
+                        : `${new Date(expiresAtMs).toLocaleDateString()}${expired ? " (expired)" : ""}`}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Counterfeit Reports */}
+      {activeSection === "register" && reports.length > 0 && (
+        <div className="batches-section">
+          <h3>Counterfeit Reports</h3>
+          <table className="batches-table">
+            <thead>
+              <tr>
+                <th>Batch ID</th>
+                <th>Serial Hash</th>
+                <th>Region</th>
+                <th>Reporter</th>
+                <th>Evidence</th>
+              </tr>
+            </thead>
+            <tbody>
+              {reports.map((report) => (
+                <tr key={`${report.txHash}-${report.serialHash}`}>
+                  <td>{report.batchId}</td>
+                  <td className="batch-hash">
+                    {report.serialHash.substring(0, 10)}...{report.serialHash.substring(report.serialHash.length - 6)}
+                  </td>
+                  <td>{report.region || "-"}</td>
+                  <td className="batch-hash">
+                    {report.reporter.substring(0, 6)}...{report.reporter.substring(report.reporter.length - 4)}
+                  </td>
+                  <td>
+                    {report.evidenceHash ? (
+                      <a href={`https://ipfs.io/ipfs/${report.evidenceHash}`} target="_blank" rel="noopener noreferrer">
+                        View
+                      </a>
+                    ) : (
+                      "-"
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {/* Operators */}
+      {activeSection === "operators" && (
+        <div className="registration-section">
+          <h3>Operators</h3>
+          <p>
+            <small>
+              Operators register batches for you, e.g. one key per production line. Their batches belong
+              to you and show who registered them. Leave a limit empty for no limit.
+            </small>
+          </p>
+          {operators.length > 0 && (
+            <table className="batches-table">
+              <thead>
+                <tr>
+                  <th>Operator</th>
+                  <th>Batch IDs</th>
+                  <th>Serials</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {operators.map((operator) => (
+                  <tr key={operator.address}>
+                    <td className="batch-hash">{formatAccount(operator.address)}</td>
+                    <td>
+                      {operator.minBatchId}
+                      {operator.maxBatchId === 0 ? "+" : ` - ${operator.maxBatchId}`}
+                    </td>
+                    <td>
+                      {operator.serialsRegistered}
+                      {operator.serialQuota !== 0 && ` / ${operator.serialQuota}`}
+                    </td>
+                    <td>
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        disabled={loading}
+                        onClick={() => handleRemoveOperator(operator.address)}
+                      >
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+          <form onSubmit={handleSetOperator}>
+            <div className="form-group">
+              <label htmlFor="operatorAddress">Operator Address *</label>
+              <input
+                type="text"
+                id="operatorAddress"
+                value={operatorAddress}
+                onChange={(e) => setOperatorAddress(e.target.value)}
+                placeholder="0x..."
+                required
+              />
+              <small>Saving an existing operator changes its scope</small>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label htmlFor="operatorMinBatch">Lowest Batch ID</label>
+                <input
+                  type="number"
+                  id="operatorMinBatch"
+                  value={operatorMinBatch}
+                  onChange={(e) => setOperatorMinBatch(e.target.value)}
+                  min="0"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="operatorMaxBatch">Highest Batch ID</label>
+                <input
+                  type="number"
+                  id="operatorMaxBatch"
+                  value={operatorMaxBatch}
+                  onChange={(e) => setOperatorMaxBatch(e.target.value)}
+                  min="0"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="operatorQuota">Serial Quota</label>
+                <input
+                  type="number"
+                  id="operatorQuota"
+                  value={operatorQuota}
+                  onChange={(e) => setOperatorQuota(e.target.value)}
+                  min="0"
+                />
+              </div>
+            </div>
+
+            {message && (
+              <div className={`result-section result-${message.type}`}>
+                <p>{message.text}</p>
+              </div>
+            )}
+
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? "Saving..." : "Save Operator"}
+            </button>
+          </form>
+        </div>
+      )}
+
+      {/* Profile */}
+      {activeSection === "profile" && (
+        <div className="registration-section">
+          <h3>Your Profile</h3>
+          {profile && profile.name ? (
+            <p>
+              <strong>{profile.name}</strong>
+              {profile.country && ` (${profile.country})`} - {profile.tier}
+            </p>
+          ) : (
+            <p>No profile has been set up yet. Ask a manufacturer manager to add your name and country.</p>
+          )}
+          <p><small>Consumers see this profile when they scan your products. Name, country and tier are set by manufacturer managers.</small></p>
+          <form onSubmit={handleUpdateProfile}>
+            <div className="form-group">
+              <label htmlFor="profileWebsite">Website</label>
+              <input
+                type="url"
+                id="profileWebsite"
+                value={profileWebsite}
+                onChange={(e) => setProfileWebsite(e.target.value)}
+                placeholder="https://example.com"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="profileLogo">Logo IPFS Hash</label>
+              <input
+                type="text"
+                id="profileLogo"
+                value={profileLogo}
+                onChange={(e) => setProfileLogo(e.target.value)}
+                placeholder="e.g., QmXoypizjW3WknFiJnKLwHCnL72vedxjQkDDP1mXWo6uco"
+              />
+            </div>
+
+            {message && (
+              <div className={`result-section result-${message.type}`}>
+                <p>{message.text}</p>
+              </div>
+            )}
+
+            <button type="submit" className="btn btn-primary" disabled={loading}>
+              {loading ? "Saving..." : "Save Profile"}
+            </button>
+          </form>
+        </div>
+      )}
+
       {/* QR Code Generator Section */}
       {activeSection === "generator" && (
         <div className="qr-generator-section">
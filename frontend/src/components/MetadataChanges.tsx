@@ -0,0 +1,64 @@
+import { useState } from "react";
+import type { MetadataChange } from "../utils/blockchain";
+import "./MetadataChanges.css";
+
+interface MetadataChangesProps {
+  version: number;
+  changes: MetadataChange[];
+}
+
+/**
+ * Metadata Changes Component
+ *
+ * Summarizes how often a batch's metadata was edited after registration and,
+ * on request, shows each edit as a diff of old and new values, from the
+ * contract's ProductMetadataUpdated events
+ */
+function MetadataChanges({ version, changes }: MetadataChangesProps) {
+  const [expanded, setExpanded] = useState(false);
+
+  if (version === 0) {
+    return null;
+  }
+
+  const lastUpdate = changes[0];
+
+  return (
+    <div className="metadata-changes">
+      <p>
+        <strong>Metadata:</strong> updated {version} {version === 1 ? "time" : "times"}
+        {lastUpdate && `, last on ${new Date(lastUpdate.timestamp * 1000).toLocaleDateString()}`}
+        {changes.length > 0 && (
+          <button type="button" className="metadata-toggle" onClick={() => setExpanded(!expanded)}>
+            {expanded ? "Hide changes" : "Show changes"}
+          </button>
+        )}
+      </p>
+      {expanded && (
+        <ol className="metadata-change-list">
+          {changes.map((change) => (
+            <li key={change.txHash}>
+              <div className="metadata-change-header">
+                Version {change.version} - {new Date(change.timestamp * 1000).toLocaleString()} by{" "}
+                {change.editor.substring(0, 6)}...{change.editor.substring(change.editor.length - 4)}
+              </div>
+              {change.fields.length === 0 ? (
+                <div className="metadata-change-none">No values changed</div>
+              ) : (
+                change.fields.map((field) => (
+                  <div key={field.label} className="metadata-diff">
+                    <div className="metadata-diff-label">{field.label}</div>
+                    <div className="metadata-diff-old">- {field.oldValue || "(empty)"}</div>
+                    <div className="metadata-diff-new">+ {field.newValue}</div>
+                  </div>
+                ))
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default MetadataChanges;
@@ -0,0 +1,184 @@
+import { useState } from "react";
+import { batchVerifyProducts, generateSerialHash, type VerificationStatus } from "../utils/blockchain";
+import { validateQRCodeOffline } from "../utils/qrValidator";
+import "./PalletScan.css";
+
+/**
+ * Per-item outcome labels and badge styles, keyed by VerificationStatus
+ */
+const STATUS_INFO: Record<VerificationStatus, { label: string; description: string; badge: string }> = {
+  Authentic: { label: "Authentic", description: "Genuine, first scan", badge: "ok" },
+  AlreadyClaimed: { label: "Already claimed", description: "Scanned before - possible counterfeit", badge: "alert" },
+  Recalled: { label: "Recalled", description: "Batch recalled by the manufacturer", badge: "warning" },
+  Revoked: { label: "Revoked", description: "Serial revoked by the manufacturer", badge: "warning" },
+  Unknown: { label: "Unknown", description: "Serial not registered", badge: "alert" },
+  InvalidBatchId: { label: "Invalid batch ID", description: "Batch ID is zero - check the label", badge: "invalid" },
+  BatchNotFound: { label: "Batch not found", description: "No batch with this ID - typo or fake label", badge: "invalid" },
+  SerialNotInBatch: { label: "Not in batch", description: "Serial not registered in this batch - possible counterfeit", badge: "alert" },
+  ClaimCodeRequired: { label: "Claim code required", description: "Protected by a scratch-off code; claim individually", badge: "invalid" },
+  Expired: { label: "Expired", description: "Batch is past its expiry date - do not sell", badge: "warning" },
+  BatchFrozen: { label: "Batch frozen", description: "Batch temporarily frozen - scan again later", badge: "invalid" },
+};
+
+interface PalletItem {
+  line: string;
+  batchId?: number;
+  serialNumber?: string;
+  proof?: string[];
+  error?: string;
+  status?: VerificationStatus;
+}
+
+/**
+ * Pallet Scan Component
+ *
+ * Bulk verification for warehouses: scan (or paste) one QR code per line and
+ * check or record the whole pallet with batchVerify, with a per-item breakdown
+ */
+function PalletScan() {
+  const [input, setInput] = useState("");
+  const [items, setItems] = useState<PalletItem[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [txHashes, setTxHashes] = useState<string[]>([]);
+  const [recorded, setRecorded] = useState(false);
+
+  /**
+   * Parse the scanned lines and verify the readable ones
+   * @param record Send the transaction instead of a free preview
+   */
+  const scanPallet = async (record: boolean) => {
+    const lines = input.split("\n").map((line) => line.trim()).filter((line) => line.length > 0);
+    if (lines.length === 0) {
+      setError("Scan or paste at least one QR code");
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    setTxHashes([]);
+
+    const parsed: PalletItem[] = lines.map((line) => {
+      const validation = validateQRCodeOffline(line);
+      if (!validation.valid || validation.batchId === undefined || !validation.serialNumber) {
+        return { line, error: validation.error || "Unreadable QR code" };
+      }
+      return { line, batchId: validation.batchId, serialNumber: validation.serialNumber, proof: validation.proof };
+    });
+
+    try {
+      const readable = parsed.filter((item) => !item.error);
+      if (readable.length > 0) {
+        const result = await batchVerifyProducts(
+          readable.map((item) => ({
+            serialHash: generateSerialHash(item.batchId!, item.serialNumber!),
+            batchId: item.batchId!,
+            proof: item.proof,
+          })),
+          record
+        );
+        readable.forEach((item, index) => {
+          item.status = result.statuses[index];
+        });
+        setTxHashes(result.txHashes);
+      }
+
+      setItems(parsed);
+      setRecorded(record);
+    } catch (err: any) {
+      console.error("Error scanning pallet:", err);
+      setError(err.message || "Failed to verify pallet");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Count items per outcome for the summary
+  const summary = new Map<string, number>();
+  for (const item of items) {
+    const label = item.status ? STATUS_INFO[item.status].label : "Unreadable";
+    summary.set(label, (summary.get(label) || 0) + 1);
+  }
+
+  return (
+    <div className="pallet-scan">
+      <h2>Pallet Scan</h2>
+      <p className="subtitle">Verify a whole pallet at once - one QR code per line</p>
+
+      <div className="pallet-form">
+        <textarea
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          placeholder={"1:SN001\n1:SN002\n{\"batchId\":\"2\",\"serialNumber\":\"SN100\"}"}
+          rows={8}
+          className="pallet-input"
+          disabled={loading}
+        />
+        <div className="pallet-actions">
+          <button onClick={() => scanPallet(false)} className="btn btn-secondary" disabled={loading}>
+            {loading ? "Checking..." : "Check Pallet"}
+          </button>
+          <button onClick={() => scanPallet(true)} className="btn btn-primary" disabled={loading}>
+            {loading ? "Recording..." : "Record Scan"}
+          </button>
+        </div>
+        <p className="pallet-hint">
+          Checking is free and changes nothing. Recording sends a transaction that claims any
+          unclaimed serials for the connected wallet.
+        </p>
+      </div>
+
+      {error && (
+        <div className="error-message">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {items.length > 0 && (
+        <>
+          <div className="pallet-summary">
+            <strong>{items.length} items {recorded ? "recorded" : "checked"}:</strong>{" "}
+            {Array.from(summary.entries()).map(([label, count]) => `${count} ${label}`).join(", ")}
+          </div>
+
+          {txHashes.map((hash) => (
+            <p key={hash} className="pallet-tx">
+              Transaction: <code>{hash}</code>
+            </p>
+          ))}
+
+          <div className="pallet-list">
+            <table>
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Batch ID</th>
+                  <th>Serial</th>
+                  <th>Result</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item, index) => (
+                  <tr key={index}>
+                    <td>{index + 1}</td>
+                    <td>{item.batchId ?? "-"}</td>
+                    <td>{item.serialNumber ?? item.line}</td>
+                    <td>
+                      <span className={`pallet-badge pallet-badge-${item.status ? STATUS_INFO[item.status].badge : "invalid"}`}>
+                        {item.status ? STATUS_INFO[item.status].label : "Unreadable"}
+                      </span>
+                    </td>
+                    <td>{item.status ? STATUS_INFO[item.status].description : item.error}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PalletScan;
@@ -4,7 +4,9 @@ import {
   downloadQRCode,
   generateProductQRData,
   generateBatchQRCodes,
+  generateMerkleBatchQRCodes,
 } from "../utils/qrGenerator";
+import { copyToClipboardWithFeedback } from "../utils/clipboard";
 import { useToast } from "../contexts/ToastContext";
 import "./QRCodeGenerator.css";
 
@@ -21,6 +23,9 @@ function QRCodeGenerator() {
   const [batchMode, setBatchMode] = useState(false);
   const [serialNumbers, setSerialNumbers] = useState<string>("");
   const [batchQRCodes, setBatchQRCodes] = useState<string[]>([]);
+  const [batchQRData, setBatchQRData] = useState<string[]>([]);
+  const [embedProofs, setEmbedProofs] = useState(false);
+  const [merkleRoot, setMerkleRoot] = useState<string | null>(null);
 
   const handleGenerate = async () => {
     if (!batchId || !serialNumber) {
@@ -73,11 +78,26 @@ function QRCodeGenerator() {
         return;
       }
 
+      if (embedProofs) {
+        // Merkle batches: every QR code carries its proof, and the root is what gets registered
+        const merkleBatch = await generateMerkleBatchQRCodes(parseInt(batchId), serials, {
+          width: 300,
+          margin: 2,
+        });
+        setBatchQRCodes(merkleBatch.qrCodes);
+        setBatchQRData(merkleBatch.qrData);
+        setMerkleRoot(merkleBatch.merkleRoot);
+        showToast(`Generated ${merkleBatch.qrCodes.length} QR codes with Merkle proofs!`, "success");
+        return;
+      }
+
       const qrCodes = await generateBatchQRCodes(parseInt(batchId), serials, {
         width: 300,
         margin: 2,
       });
       setBatchQRCodes(qrCodes);
+      setBatchQRData([]);
+      setMerkleRoot(null);
       showToast(`Generated ${qrCodes.length} QR codes!`, "success");
     } catch (error: any) {
       showToast(error.message || "Failed to generate batch QR codes", "error");
@@ -102,9 +122,9 @@ function QRCodeGenerator() {
     }
   };
 
-  const handleDownloadBatch = async (_index: number, serialNumber: string, format: "png" | "svg" = "png") => {
+  const handleDownloadBatch = async (index: number, serialNumber: string, format: "png" | "svg" = "png") => {
     try {
-      const data = generateProductQRData(parseInt(batchId), serialNumber);
+      const data = batchQRData[index] || generateProductQRData(parseInt(batchId), serialNumber);
       const filename = `qrcode-${batchId}-${serialNumber}`;
       await downloadQRCode(data, filename, format);
       showToast(`QR code downloaded!`, "success");
@@ -119,6 +139,8 @@ function QRCodeGenerator() {
     setQrCodeDataUrl(null);
     setSerialNumbers("");
     setBatchQRCodes([]);
+    setBatchQRData([]);
+    setMerkleRoot(null);
   };
 
   return (
@@ -216,6 +238,19 @@ function QRCodeGenerator() {
             />
             <p className="form-hint">Enter up to 100 serial numbers, one per line</p>
           </div>
+          <div className="form-group">
+            <label>
+              <input
+                type="checkbox"
+                checked={embedProofs}
+                onChange={(e) => setEmbedProofs(e.target.checked)}
+              />{" "}
+              Embed Merkle proofs (for batches registered by Merkle root)
+            </label>
+            <p className="form-hint">
+              Serials must be listed in the same order used to build the registered root
+            </p>
+          </div>
           <button onClick={handleBatchGenerate} className="btn btn-primary" disabled={loading}>
             {loading ? "Generating..." : "Generate Batch QR Codes"}
           </button>
@@ -228,6 +263,20 @@ function QRCodeGenerator() {
                   Reset
                 </button>
               </div>
+              {merkleRoot && (
+                <div className="qr-info">
+                  <p>
+                    <strong>Merkle root:</strong> {merkleRoot}{" "}
+                    <button
+                      onClick={() => copyToClipboardWithFeedback(merkleRoot, showToast)}
+                      className="btn btn-small"
+                      title="Copy Merkle root"
+                    >
+                      Copy
+                    </button>
+                  </p>
+                </div>
+              )}
               <div className="batch-qr-grid">
                 {batchQRCodes.map((qrCode, idx) => {
                   const serials = serialNumbers
@@ -42,6 +42,9 @@ function TermsOfService() {
           <p>
             All blockchain transactions require network fees (gas fees) paid in MATIC on the Polygon network. These fees are paid directly to the network, not to ChainCheck. We do not control or set these fees.
           </p>
+          <p>
+            Manufacturers also pay a registration fee in MATIC when registering product batches: a flat fee per batch plus a fee per serial number. This fee is paid to ChainCheck, and the Manufacturer Dashboard shows it before each registration is submitted.
+          </p>
 
           <h3>4.2 Transaction Irreversibility</h3>
           <p>
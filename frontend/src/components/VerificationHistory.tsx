@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from "react";
-import { getContract, generateSerialHash } from "../utils/blockchain";
+import { ZeroAddress, ZeroHash, decodeBytes32String } from "ethers";
+import { getContract, generateSerialHash, getVerificationHistoryFromEvents } from "../utils/blockchain";
 import {
   saveVerificationHistoryForm,
   getVerificationHistoryForm,
@@ -11,17 +12,71 @@ import { debounce } from "../utils/debounce";
 import SkeletonLoader from "./SkeletonLoader";
 import "./VerificationHistory.css";
 
+/**
+ * Label a verification record: the first scan is authentic, later scans by the
+ * current owner (e.g. after a resale transfer) are owner checks, and scans of
+ * recalled, revoked or expired serials keep that status
+ */
+function getStatusLabel(record: { isAuthentic: boolean; verifier: string; owner: string; status: number }): string {
+  if (record.isAuthentic) return "Authentic";
+  if (record.status === 2) return "Recalled";
+  if (record.status === 3) return "Revoked";
+  if (record.status === 9) return "Expired";
+  return record.verifier.toLowerCase() === record.owner.toLowerCase() ? "Owner" : "Counterfeit";
+}
+
+// Verification records fetched per getVerificationHistoryPage call
+const HISTORY_PAGE_SIZE = 50;
+
+/**
+ * Convert a contract VerificationRecord into display form
+ */
+function formatRecord(record: any) {
+  return {
+    serialHash: record.serialHash,
+    batchId: Number(record.batchId),
+    verifier: record.verifier,
+    timestamp: Number(record.timestamp),
+    isAuthentic: record.isAuthentic,
+    owner: record.owner,
+    status: Number(record.status),
+    date: new Date(Number(record.timestamp) * 1000).toLocaleString(),
+  };
+}
+
+// Labels for the contract's SupplyChainRole and CheckpointStatus enums
+const SUPPLY_CHAIN_ROLES = ["None", "Manufacturer", "Distributor", "Retailer"];
+const CHECKPOINT_STATUSES = ["Shipped", "Received", "Delivered"];
+
+/**
+ * Decode a bytes32 location code, falling back to the raw hex for non-text codes
+ */
+function formatLocationCode(locationCode: string): string {
+  try {
+    return decodeBytes32String(locationCode);
+  } catch {
+    return locationCode;
+  }
+}
+
 /**
  * Verification History Component
  * 
- * Displays verification history for a given serial number
+ * Displays verification history, the ownership timeline and the supply-chain
+ * checkpoint trail for a given serial number
  */
 function VerificationHistory() {
   const [batchId, setBatchId] = useState("");
   const [serialNumber, setSerialNumber] = useState("");
   const [history, setHistory] = useState<any[]>([]);
   const [filteredHistory, setFilteredHistory] = useState<any[]>([]);
+  const [ownership, setOwnership] = useState<Array<{ from: string; to: string; timestamp: number; date: string }>>([]);
+  const [checkpoints, setCheckpoints] = useState<
+    Array<{ batchWide: boolean; location: string; actor: string; role: string; status: string; date: string }>
+  >([]);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadedSerial, setLoadedSerial] = useState<{ serialHash: string; batchId: number } | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [count, setCount] = useState<number | null>(null);
   const [recentSearches, setRecentSearches] = useState<Array<{ batchId: string; serialNumber: string; timestamp: number }>>([]);
@@ -99,7 +154,8 @@ function VerificationHistory() {
           record.date.toLowerCase().includes(lowerFilter) ||
           record.batchId.toString().includes(lowerFilter) ||
           record.verifier.toLowerCase().includes(lowerFilter) ||
-          (record.isAuthentic ? "authentic" : "counterfeit").includes(lowerFilter)
+          record.owner.toLowerCase().includes(lowerFilter) ||
+          getStatusLabel(record).toLowerCase().includes(lowerFilter)
         );
       });
       setFilteredHistory(filtered);
@@ -122,31 +178,56 @@ function VerificationHistory() {
     setLoading(true);
     setError(null);
     setHistory([]);
+    setOwnership([]);
+    setCheckpoints([]);
     setCount(null);
+    setLoadedSerial(null);
 
     try {
-      const serialHash = generateSerialHash(parseInt(batchId), serialNumber);
+      const batch = parseInt(batchId);
+      const serialHash = generateSerialHash(batch, serialNumber);
       const contract = getContract();
 
-      // Get verification count
-      const verificationCount = await contract.getVerificationCount(serialHash);
-      setCount(Number(verificationCount));
-
-      // Get verification history
-      const historyData = await contract.getVerificationHistory(serialHash);
-      
-      // Convert BigInt to numbers and format data
-      const formattedHistory = historyData.map((record: any) => ({
-        serialHash: record.serialHash,
-        batchId: Number(record.batchId),
-        verifier: record.verifier,
-        timestamp: Number(record.timestamp),
-        isAuthentic: record.isAuthentic,
-        date: new Date(Number(record.timestamp) * 1000).toLocaleString(),
-      }));
+      // Get the first page of verification history and the total count;
+      // events-only deployments keep no history in storage, so rebuild it from events
+      let formattedHistory;
+      if (await contract.storeHistory()) {
+        const page = await contract.getVerificationHistoryPage(serialHash, batch, 0, HISTORY_PAGE_SIZE);
+        setCount(Number(page.total));
+        formattedHistory = page.records.map(formatRecord);
+      } else {
+        const records = await getVerificationHistoryFromEvents(serialHash, batch);
+        setCount(records.length);
+        formattedHistory = records.map(formatRecord);
+      }
 
       setHistory(formattedHistory);
       setFilteredHistory(formattedHistory);
+      setLoadedSerial({ serialHash, batchId: batch });
+
+      // Get ownership history (provenance chain, oldest first)
+      const ownershipData = await contract.getOwnershipHistory(serialHash, batch);
+      setOwnership(
+        ownershipData.map((record: any) => ({
+          from: record.from,
+          to: record.to,
+          timestamp: Number(record.timestamp),
+          date: new Date(Number(record.timestamp) * 1000).toLocaleString(),
+        }))
+      );
+
+      // Get supply-chain checkpoints (batch-wide and for this serial, oldest first)
+      const trailData = await contract.getCheckpointTrail(batch, serialHash);
+      setCheckpoints(
+        trailData.map((checkpoint: any) => ({
+          batchWide: checkpoint.serialHash === ZeroHash,
+          location: formatLocationCode(checkpoint.locationCode),
+          actor: checkpoint.actor,
+          role: SUPPLY_CHAIN_ROLES[Number(checkpoint.role)],
+          status: CHECKPOINT_STATUSES[Number(checkpoint.status)],
+          date: new Date(Number(checkpoint.timestamp) * 1000).toLocaleString(),
+        }))
+      );
       
       // Add to recent searches
       addRecentSearch(batchId, serialNumber);
@@ -159,6 +240,33 @@ function VerificationHistory() {
     }
   };
 
+  /**
+   * Load the next page of verification history
+   */
+  const loadMoreHistory = async () => {
+    if (!loadedSerial) return;
+
+    setLoadingMore(true);
+    setError(null);
+
+    try {
+      const contract = getContract();
+      const page = await contract.getVerificationHistoryPage(
+        loadedSerial.serialHash,
+        loadedSerial.batchId,
+        history.length,
+        HISTORY_PAGE_SIZE
+      );
+      setCount(Number(page.total));
+      setHistory([...history, ...page.records.map(formatRecord)]);
+    } catch (err: any) {
+      console.error("Error loading more history:", err);
+      setError(err.message || "Failed to load more verification history");
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   const handleRecentSearchClick = (search: { batchId: string; serialNumber: string }) => {
     setBatchId(search.batchId);
     setSerialNumber(search.serialNumber);
@@ -190,14 +298,15 @@ function VerificationHistory() {
       };
 
       const csv = [
-        ["Date", "Batch ID", "Serial Number", "Verifier", "Status", "Timestamp", "Unix Timestamp"].join(","),
+        ["Date", "Batch ID", "Serial Number", "Verifier", "Owner", "Status", "Timestamp", "Unix Timestamp"].join(","),
         ...history.map((record) =>
           [
             escapeCsv(record.date),
             escapeCsv(record.batchId),
             escapeCsv(serialNumber),
             escapeCsv(record.verifier),
-            escapeCsv(record.isAuthentic ? "Authentic" : "Counterfeit"),
+            escapeCsv(record.owner),
+            escapeCsv(getStatusLabel(record)),
             escapeCsv(record.timestamp),
             escapeCsv(record.timestamp),
           ].join(",")
@@ -223,12 +332,20 @@ function VerificationHistory() {
           batchId: record.batchId,
           serialNumber: serialNumber,
           verifier: record.verifier,
-          status: record.isAuthentic ? "Authentic" : "Counterfeit",
+          owner: record.owner,
+          status: getStatusLabel(record),
           isAuthentic: record.isAuthentic,
           timestamp: record.timestamp,
           unixTimestamp: record.timestamp,
           serialHash: record.serialHash,
         })),
+        ownership: ownership.map((record) => ({
+          date: record.date,
+          from: record.from,
+          to: record.to,
+          timestamp: record.timestamp,
+        })),
+        checkpoints,
       };
 
       const json = JSON.stringify(jsonData, null, 2);
@@ -319,6 +436,46 @@ function VerificationHistory() {
         </div>
       )}
 
+      {checkpoints.length > 0 && (
+        <div className="ownership-timeline">
+          <h3>Supply Chain Trail</h3>
+          <ol>
+            {checkpoints.map((checkpoint, index) => (
+              <li key={index}>
+                <span className="timeline-date">{checkpoint.date}</span>
+                <span className="timeline-event">
+                  {checkpoint.status} at <strong>{checkpoint.location}</strong> by {checkpoint.role}{" "}
+                  <span className="address-cell">
+                    {checkpoint.actor.substring(0, 6)}...{checkpoint.actor.substring(checkpoint.actor.length - 4)}
+                  </span>
+                  {checkpoint.batchWide && " (whole batch)"}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      {ownership.length > 0 && (
+        <div className="ownership-timeline">
+          <h3>Ownership Timeline</h3>
+          <ol>
+            {ownership.map((record, index) => (
+              <li key={index} className={index === ownership.length - 1 ? "current-owner" : ""}>
+                <span className="timeline-date">{record.date}</span>
+                <span className="timeline-event">
+                  {record.from === ZeroAddress ? "Claimed by " : "Transferred to "}
+                  <span className="address-cell">
+                    {record.to.substring(0, 6)}...{record.to.substring(record.to.length - 4)}
+                  </span>
+                  {index === ownership.length - 1 && " (current owner)"}
+                </span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
       {history.length > 0 && (
         <>
           <div className="history-actions">
@@ -361,6 +518,7 @@ function VerificationHistory() {
                     <th>Date</th>
                     <th>Batch ID</th>
                     <th>Verifier</th>
+                    <th>Owner</th>
                     <th>Status</th>
                   </tr>
                 </thead>
@@ -373,13 +531,13 @@ function VerificationHistory() {
                         {record.verifier.substring(0, 6)}...
                         {record.verifier.substring(record.verifier.length - 4)}
                       </td>
+                      <td className="address-cell">
+                        {record.owner.substring(0, 6)}...
+                        {record.owner.substring(record.owner.length - 4)}
+                      </td>
                       <td>
-                        <span
-                          className={`status-badge ${
-                            record.isAuthentic ? "status-authentic" : "status-fake"
-                          }`}
-                        >
-                          {record.isAuthentic ? "Authentic" : "Counterfeit"}
+                        <span className={`status-badge status-${getStatusLabel(record).toLowerCase()}`}>
+                          {getStatusLabel(record)}
                         </span>
                       </td>
                     </tr>
@@ -393,6 +551,13 @@ function VerificationHistory() {
               <p>Showing {filteredHistory.length} of {history.length} results</p>
             </div>
           )}
+          {count !== null && history.length < count && (
+            <div className="history-load-more">
+              <button onClick={loadMoreHistory} className="btn btn-secondary" disabled={loadingMore}>
+                {loadingMore ? "Loading..." : `Load more (${history.length} of ${count} shown)`}
+              </button>
+            </div>
+          )}
         </>
       )}
 
@@ -4,6 +4,7 @@
  * Update these values after deploying the contract:
  * 1. CONTRACT_ADDRESS: Address of deployed ChainCheck contract
  * 2. NETWORK_CONFIG: RPC URLs for different networks
+ * 3. RELAYER_URL / FORWARDER_ADDRESS: optional gasless verification relayer
  */
 
 // Contract address - Update this after deploying to Polygon mainnet
@@ -11,6 +12,12 @@
 // You can also set VITE_CONTRACT_ADDRESS in .env file
 export const CONTRACT_ADDRESS = import.meta.env.VITE_CONTRACT_ADDRESS || "0x0000000000000000000000000000000000000000";
 
+// Gasless verification - set both to have scans signed and submitted by the relayer
+// (qr-generator/relayer.js) instead of sent from the user's wallet
+// Deploy the forwarder with: npx hardhat run scripts/deploy.js --network polygon --forwarder
+export const RELAYER_URL = import.meta.env.VITE_RELAYER_URL || "";
+export const FORWARDER_ADDRESS = import.meta.env.VITE_FORWARDER_ADDRESS || "";
+
 // Network configuration
 export const NETWORK_CONFIG = {
   // Polygon Mumbai testnet
@@ -74,6 +81,12 @@ export const CONTRACT_ABI = [
         name: "batchId",
         type: "uint256",
       },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
       {
         indexed: false,
         internalType: "string",
@@ -129,6 +142,18 @@ export const CONTRACT_ABI = [
         name: "timestamp",
         type: "uint256",
       },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.ReasonCode",
+        name: "reason",
+        type: "uint8",
+      },
     ],
     name: "Verified",
     type: "event",
@@ -228,6 +253,26 @@ export const CONTRACT_ABI = [
         name: "imageUrl",
         type: "string",
       },
+      {
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+      {
+        internalType: "bytes32",
+        name: "brandId",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "manufacturedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
     ],
     stateMutability: "view",
     type: "function",
@@ -239,6 +284,11 @@ export const CONTRACT_ABI = [
         name: "serialHash",
         type: "bytes32",
       },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
     ],
     name: "isSerialVerified",
     outputs: [
@@ -264,40 +314,6 @@ export const CONTRACT_ABI = [
     stateMutability: "view",
     type: "function",
   },
-  {
-    inputs: [
-      {
-        internalType: "uint256",
-        name: "",
-        type: "uint256",
-      },
-    ],
-    name: "products",
-    outputs: [
-      {
-        internalType: "string",
-        name: "name",
-        type: "string",
-      },
-      {
-        internalType: "string",
-        name: "brand",
-        type: "string",
-      },
-      {
-        internalType: "bool",
-        name: "exists",
-        type: "bool",
-      },
-      {
-        internalType: "uint256",
-        name: "registeredAt",
-        type: "uint256",
-      },
-    ],
-    stateMutability: "view",
-    type: "function",
-  },
   {
     inputs: [
       {
@@ -335,29 +351,20 @@ export const CONTRACT_ABI = [
         name: "imageUrl",
         type: "string",
       },
-    ],
-    name: "registerProduct",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
-  },
-  {
-    inputs: [
       {
-        internalType: "bytes32",
-        name: "",
-        type: "bytes32",
+        internalType: "uint256",
+        name: "manufacturedAt",
+        type: "uint256",
       },
-    ],
-    name: "serialVerified",
-    outputs: [
       {
-        internalType: "bool",
-        name: "",
-        type: "bool",
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
       },
     ],
-    stateMutability: "view",
+    name: "registerProduct",
+    outputs: [],
+    stateMutability: "payable",
     type: "function",
   },
   {
@@ -434,9 +441,9 @@ export const CONTRACT_ABI = [
     name: "verify",
     outputs: [
       {
-        internalType: "bool",
+        internalType: "enum ChainCheck.VerificationStatus",
         name: "",
-        type: "bool",
+        type: "uint8",
       },
     ],
     stateMutability: "nonpayable",
@@ -465,19 +472,6 @@ export const CONTRACT_ABI = [
     stateMutability: "view",
     type: "function",
   },
-  {
-    inputs: [
-      {
-        internalType: "address",
-        name: "newOwner",
-        type: "address",
-      },
-    ],
-    name: "transferOwnership",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
-  },
   {
     inputs: [
       {
@@ -523,6 +517,21 @@ export const CONTRACT_ABI = [
         name: "imageUrls",
         type: "string[]",
       },
+      {
+        internalType: "address[]",
+        name: "manufacturers",
+        type: "address[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "manufacturedAtArray",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "expiresAtArray",
+        type: "uint256[]",
+      },
     ],
     stateMutability: "view",
     type: "function",
@@ -571,9 +580,9 @@ export const CONTRACT_ABI = [
     name: "batchVerify",
     outputs: [
       {
-        internalType: "bool[]",
-        name: "results",
-        type: "bool[]",
+        internalType: "enum ChainCheck.VerificationStatus[]",
+        name: "statuses",
+        type: "uint8[]",
       },
     ],
     stateMutability: "nonpayable",
@@ -585,9 +594,41 @@ export const CONTRACT_ABI = [
     outputs: [
       {
         internalType: "address[]",
-        name: "",
+        name: "makers",
         type: "address[]",
       },
+      {
+        components: [
+          {
+            internalType: "string",
+            name: "name",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "website",
+            type: "string",
+          },
+          {
+            internalType: "bytes2",
+            name: "country",
+            type: "bytes2",
+          },
+          {
+            internalType: "string",
+            name: "logoIpfsHash",
+            type: "string",
+          },
+          {
+            internalType: "enum ChainCheckStorage.VerificationTier",
+            name: "tier",
+            type: "uint8",
+          },
+        ],
+        internalType: "struct ChainCheckStorage.ManufacturerProfile[]",
+        name: "profiles",
+        type: "tuple[]",
+      },
     ],
     stateMutability: "view",
     type: "function",
@@ -599,13 +640,6 @@ export const CONTRACT_ABI = [
     stateMutability: "nonpayable",
     type: "function",
   },
-  {
-    inputs: [],
-    name: "unpause",
-    outputs: [],
-    stateMutability: "nonpayable",
-    type: "function",
-  },
   {
     inputs: [
       {
@@ -613,6 +647,11 @@ export const CONTRACT_ABI = [
         name: "serialHash",
         type: "bytes32",
       },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
     ],
     name: "getVerificationHistory",
     outputs: [
@@ -643,8 +682,18 @@ export const CONTRACT_ABI = [
             name: "isAuthentic",
             type: "bool",
           },
+          {
+            internalType: "address",
+            name: "owner",
+            type: "address",
+          },
+          {
+            internalType: "enum ChainCheckStorage.VerificationStatus",
+            name: "status",
+            type: "uint8",
+          },
         ],
-        internalType: "struct ChainCheck.VerificationRecord[]",
+        internalType: "struct ChainCheckStorage.VerificationRecord[]",
         name: "",
         type: "tuple[]",
       },
@@ -659,6 +708,11 @@ export const CONTRACT_ABI = [
         name: "serialHash",
         type: "bytes32",
       },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
     ],
     name: "getVerificationCount",
     outputs: [
@@ -674,44 +728,17 @@ export const CONTRACT_ABI = [
   {
     inputs: [
       {
-        internalType: "bytes32[]",
-        name: "serialHashes",
-        type: "bytes32[]",
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
       },
     ],
-    name: "getVerificationHistoryBatch",
+    name: "batchVerificationCount",
     outputs: [
       {
-        components: [
-          {
-            internalType: "bytes32",
-            name: "serialHash",
-            type: "bytes32",
-          },
-          {
-            internalType: "uint256",
-            name: "batchId",
-            type: "uint256",
-          },
-          {
-            internalType: "address",
-            name: "verifier",
-            type: "address",
-          },
-          {
-            internalType: "uint256",
-            name: "timestamp",
-            type: "uint256",
-          },
-          {
-            internalType: "bool",
-            name: "isAuthentic",
-            type: "bool",
-          },
-        ],
-        internalType: "struct ChainCheck.VerificationRecord[][]",
+        internalType: "uint256",
         name: "",
-        type: "tuple[][]",
+        type: "uint256",
       },
     ],
     stateMutability: "view",
@@ -721,20 +748,2946 @@ export const CONTRACT_ABI = [
     inputs: [
       {
         internalType: "uint256",
-        name: "",
+        name: "batchId",
         type: "uint256",
       },
+      {
+        internalType: "address",
+        name: "delegate",
+        type: "address",
+      },
+      {
+        internalType: "bool",
+        name: "allowed",
+        type: "bool",
+      },
     ],
-    name: "batchVerificationCount",
-    outputs: [
+    name: "setBatchDelegate",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
       {
         internalType: "uint256",
         name: "",
         type: "uint256",
       },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "batchDelegates",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
     ],
     stateMutability: "view",
     type: "function",
   },
-] as const;
-
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "delegate",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "allowed",
+        type: "bool",
+      },
+    ],
+    name: "BatchDelegateUpdated",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "batchMerkleRoot",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "brand",
+        type: "string",
+      },
+      {
+        internalType: "bytes32",
+        name: "merkleRoot",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "serialCount",
+        type: "uint256",
+      },
+      {
+        internalType: "string",
+        name: "ipfsHash",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "description",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "imageUrl",
+        type: "string",
+      },
+      {
+        internalType: "uint256",
+        name: "manufacturedAt",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "expiresAt",
+        type: "uint256",
+      },
+    ],
+    name: "registerProductMerkle",
+    outputs: [],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "proof",
+        type: "bytes32[]",
+      },
+    ],
+    name: "verifyWithProof",
+    outputs: [
+      {
+        internalType: "enum ChainCheck.VerificationStatus",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32[]",
+        name: "serialHashes",
+        type: "bytes32[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "batchIds",
+        type: "uint256[]",
+      },
+      {
+        internalType: "bytes32[][]",
+        name: "proofs",
+        type: "bytes32[][]",
+      },
+    ],
+    name: "batchVerifyWithProof",
+    outputs: [
+      {
+        internalType: "enum ChainCheck.VerificationStatus[]",
+        name: "statuses",
+        type: "uint8[]",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "claimCodeHash",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "serialHashes",
+        type: "bytes32[]",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "codeHashes",
+        type: "bytes32[]",
+      },
+      {
+        internalType: "bytes32[][]",
+        name: "proofs",
+        type: "bytes32[][]",
+      },
+    ],
+    name: "commitClaimCodes",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "proof",
+        type: "bytes32[]",
+      },
+      {
+        internalType: "string",
+        name: "claimCode",
+        type: "string",
+      },
+    ],
+    name: "claim",
+    outputs: [
+      {
+        internalType: "enum ChainCheck.VerificationStatus",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "proof",
+        type: "bytes32[]",
+      },
+    ],
+    name: "checkSerial",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "registered",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "claimed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "requiresClaimCode",
+        type: "bool",
+      },
+      {
+        internalType: "address",
+        name: "currentOwner",
+        type: "address",
+      },
+      {
+        internalType: "enum ChainCheck.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        internalType: "enum ChainCheck.ReasonCode",
+        name: "reason",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "count",
+        type: "uint256",
+      },
+    ],
+    name: "ClaimCodesCommitted",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "serialOwner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+    ],
+    name: "ProductTransferred",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "transferProduct",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+    ],
+    name: "getOwnershipHistory",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "from",
+            type: "address",
+          },
+          {
+            internalType: "address",
+            name: "to",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct ChainCheckStorage.OwnershipRecord[]",
+        name: "",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "partner",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.SupplyChainRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "SupplyChainPartnerUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "actor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes32",
+        name: "locationCode",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.SupplyChainRole",
+        name: "role",
+        type: "uint8",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.CheckpointStatus",
+        name: "status",
+        type: "uint8",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "timestamp",
+        type: "uint256",
+      },
+    ],
+    name: "CheckpointRecorded",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "partner",
+        type: "address",
+      },
+      {
+        internalType: "enum ChainCheck.SupplyChainRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "setSupplyChainPartner",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "partner",
+        type: "address",
+      },
+      {
+        internalType: "enum ChainCheck.SupplyChainRole",
+        name: "role",
+        type: "uint8",
+      },
+    ],
+    name: "setBatchSupplyChainPartner",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "proof",
+        type: "bytes32[]",
+      },
+      {
+        internalType: "bytes32",
+        name: "locationCode",
+        type: "bytes32",
+      },
+      {
+        internalType: "enum ChainCheck.CheckpointStatus",
+        name: "status",
+        type: "uint8",
+      },
+    ],
+    name: "recordCheckpoint",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "actor",
+        type: "address",
+      },
+    ],
+    name: "getSupplyChainRole",
+    outputs: [
+      {
+        internalType: "enum ChainCheck.SupplyChainRole",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+    ],
+    name: "getCheckpointTrail",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "serialHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "bytes32",
+            name: "locationCode",
+            type: "bytes32",
+          },
+          {
+            internalType: "address",
+            name: "actor",
+            type: "address",
+          },
+          {
+            internalType: "enum ChainCheck.SupplyChainRole",
+            name: "role",
+            type: "uint8",
+          },
+          {
+            internalType: "enum ChainCheck.CheckpointStatus",
+            name: "status",
+            type: "uint8",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct ChainCheck.Checkpoint[]",
+        name: "trail",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "batchRecallReason",
+    outputs: [
+      {
+        internalType: "enum ChainCheck.ReasonCode",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "serialRevocationReason",
+    outputs: [
+      {
+        internalType: "enum ChainCheck.ReasonCode",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.ReasonCode",
+        name: "reason",
+        type: "uint8",
+      },
+    ],
+    name: "BatchRecalled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.ReasonCode",
+        name: "reason",
+        type: "uint8",
+      },
+    ],
+    name: "SerialRevoked",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "enum ChainCheck.ReasonCode",
+        name: "reason",
+        type: "uint8",
+      },
+    ],
+    name: "recallBatch",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "serialHashes",
+        type: "bytes32[]",
+      },
+      {
+        internalType: "bytes32[][]",
+        name: "proofs",
+        type: "bytes32[][]",
+      },
+      {
+        internalType: "enum ChainCheckStorage.ReasonCode",
+        name: "reason",
+        type: "uint8",
+      },
+    ],
+    name: "revokeSerials",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "ADMIN_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "MANUFACTURER_MANAGER_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "PAUSER_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "AUDITOR_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "METADATA_EDITOR_ROLE",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "grantRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "revokeRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+    ],
+    name: "renounceRole",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+    ],
+    name: "hasRole",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+    ],
+    name: "getRoleMembers",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "",
+        type: "address[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+    ],
+    name: "RoleGranted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "role",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "account",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "sender",
+        type: "address",
+      },
+    ],
+    name: "RoleRevoked",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "pendingOwner",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "TIMELOCK_DELAY",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "queuedActions",
+    outputs: [
+      {
+        internalType: "enum ChainCheck.TimelockAction",
+        name: "action",
+        type: "uint8",
+      },
+      {
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "proposer",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "executableAt",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "executed",
+        type: "bool",
+      },
+      {
+        internalType: "bool",
+        name: "cancelled",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "queuedActionCount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum ChainCheck.TimelockAction",
+        name: "action",
+        type: "uint8",
+      },
+      {
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+    ],
+    name: "queueAction",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "actionId",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "actionId",
+        type: "uint256",
+      },
+    ],
+    name: "executeAction",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "actionId",
+        type: "uint256",
+      },
+    ],
+    name: "cancelAction",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "acceptOwnership",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "actionId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "enum ChainCheck.TimelockAction",
+        name: "action",
+        type: "uint8",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "target",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "executableAt",
+        type: "uint256",
+      },
+    ],
+    name: "ActionQueued",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "actionId",
+        type: "uint256",
+      },
+    ],
+    name: "ActionExecuted",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "actionId",
+        type: "uint256",
+      },
+    ],
+    name: "ActionCancelled",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "currentOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "proposedOwner",
+        type: "address",
+      },
+    ],
+    name: "OwnershipTransferProposed",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "previousOwner",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "newOwner",
+        type: "address",
+      },
+    ],
+    name: "OwnershipTransferred",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "trustedForwarder",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "forwarder",
+        type: "address",
+      },
+    ],
+    name: "setTrustedForwarder",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "forwarder",
+        type: "address",
+      },
+    ],
+    name: "isTrustedForwarder",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "forwarder",
+        type: "address",
+      },
+    ],
+    name: "TrustedForwarderUpdated",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "brands",
+    outputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+    ],
+    name: "brandIdOf",
+    outputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    stateMutability: "pure",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+    ],
+    name: "assignBrand",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "brandId",
+        type: "bytes32",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+    ],
+    name: "BrandAssigned",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "batchSerialCount",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "batchSealed",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes32[]",
+        name: "serialHashes",
+        type: "bytes32[]",
+      },
+    ],
+    name: "appendSerials",
+    outputs: [],
+    stateMutability: "payable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+    ],
+    name: "sealBatch",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "count",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "totalCount",
+        type: "uint256",
+      },
+    ],
+    name: "SerialsAppended",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "serialCount",
+        type: "uint256",
+      },
+    ],
+    name: "BatchSealed",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "batchDuplicateScans",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+    ],
+    name: "getBatchStats",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "serialCount",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "claims",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "duplicateScans",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256[]",
+        name: "batchIds",
+        type: "uint256[]",
+      },
+    ],
+    name: "getBatchStatsBatch",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "serialCounts",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "claims",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256[]",
+        name: "duplicateScans",
+        type: "uint256[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getManufacturersPage",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "makers",
+        type: "address[]",
+      },
+      {
+        components: [
+          {
+            internalType: "string",
+            name: "name",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "website",
+            type: "string",
+          },
+          {
+            internalType: "bytes2",
+            name: "country",
+            type: "bytes2",
+          },
+          {
+            internalType: "string",
+            name: "logoIpfsHash",
+            type: "string",
+          },
+          {
+            internalType: "enum ChainCheckStorage.VerificationTier",
+            name: "tier",
+            type: "uint8",
+          },
+        ],
+        internalType: "struct ChainCheckStorage.ManufacturerProfile[]",
+        name: "profiles",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getBatchIds",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "ids",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getManufacturerBatchIds",
+    outputs: [
+      {
+        internalType: "uint256[]",
+        name: "ids",
+        type: "uint256[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "offset",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "limit",
+        type: "uint256",
+      },
+    ],
+    name: "getVerificationHistoryPage",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "bytes32",
+            name: "serialHash",
+            type: "bytes32",
+          },
+          {
+            internalType: "uint256",
+            name: "batchId",
+            type: "uint256",
+          },
+          {
+            internalType: "address",
+            name: "verifier",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "timestamp",
+            type: "uint256",
+          },
+          {
+            internalType: "bool",
+            name: "isAuthentic",
+            type: "bool",
+          },
+          {
+            internalType: "address",
+            name: "owner",
+            type: "address",
+          },
+          {
+            internalType: "enum ChainCheckStorage.VerificationStatus",
+            name: "status",
+            type: "uint8",
+          },
+        ],
+        internalType: "struct ChainCheckStorage.VerificationRecord[]",
+        name: "records",
+        type: "tuple[]",
+      },
+      {
+        internalType: "uint256",
+        name: "total",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "scanState",
+    outputs: [
+      {
+        internalType: "address",
+        name: "lastScanner",
+        type: "address",
+      },
+      {
+        internalType: "uint96",
+        name: "scans",
+        type: "uint96",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "storeHistory",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheck.VerificationStatus",
+        name: "status",
+        type: "uint8",
+      },
+    ],
+    name: "VerificationRejected",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bool",
+        name: "storeHistory_",
+        type: "bool",
+      },
+    ],
+    name: "initialize",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bytes2",
+        name: "region",
+        type: "bytes2",
+      },
+      {
+        internalType: "string",
+        name: "evidenceHash",
+        type: "string",
+      },
+    ],
+    name: "reportCounterfeit",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "batchCounterfeitReports",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "counterfeitReported",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "reporter",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "bytes2",
+        name: "region",
+        type: "bytes2",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "evidenceHash",
+        type: "string",
+      },
+    ],
+    name: "CounterfeitReported",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "ownershipToken",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "setOwnershipToken",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "serialHash",
+        type: "bytes32",
+      },
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "address",
+        name: "from",
+        type: "address",
+      },
+      {
+        internalType: "address",
+        name: "to",
+        type: "address",
+      },
+    ],
+    name: "syncTokenTransfer",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "token",
+        type: "address",
+      },
+    ],
+    name: "OwnershipTokenUpdated",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "maker",
+        type: "address",
+      },
+      {
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "website",
+        type: "string",
+      },
+      {
+        internalType: "bytes2",
+        name: "country",
+        type: "bytes2",
+      },
+      {
+        internalType: "string",
+        name: "logoIpfsHash",
+        type: "string",
+      },
+      {
+        internalType: "enum ChainCheckStorage.VerificationTier",
+        name: "tier",
+        type: "uint8",
+      },
+    ],
+    name: "setManufacturerProfile",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "string",
+        name: "website",
+        type: "string",
+      },
+      {
+        internalType: "string",
+        name: "logoIpfsHash",
+        type: "string",
+      },
+    ],
+    name: "updateManufacturerProfile",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "maker",
+        type: "address",
+      },
+    ],
+    name: "getManufacturerProfile",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "string",
+            name: "name",
+            type: "string",
+          },
+          {
+            internalType: "string",
+            name: "website",
+            type: "string",
+          },
+          {
+            internalType: "bytes2",
+            name: "country",
+            type: "bytes2",
+          },
+          {
+            internalType: "string",
+            name: "logoIpfsHash",
+            type: "string",
+          },
+          {
+            internalType: "enum ChainCheckStorage.VerificationTier",
+            name: "tier",
+            type: "uint8",
+          },
+        ],
+        internalType: "struct ChainCheckStorage.ManufacturerProfile",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "maker",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "editor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "name",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "enum ChainCheckStorage.VerificationTier",
+        name: "tier",
+        type: "uint8",
+      },
+    ],
+    name: "ManufacturerProfileUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "MAX_PROFILE_FIELD_LENGTH",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "extension",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "operator",
+        type: "address",
+      },
+      {
+        internalType: "uint256",
+        name: "minBatchId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "maxBatchId",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "serialQuota",
+        type: "uint256",
+      },
+    ],
+    name: "setOperator",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "operator",
+        type: "address",
+      },
+    ],
+    name: "removeOperator",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "operator",
+        type: "address",
+      },
+    ],
+    name: "getOperator",
+    outputs: [
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "manufacturer",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "minBatchId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxBatchId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "serialQuota",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "serialsRegistered",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct ChainCheckStorage.Operator",
+        name: "",
+        type: "tuple",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+    ],
+    name: "getOperators",
+    outputs: [
+      {
+        internalType: "address[]",
+        name: "addresses",
+        type: "address[]",
+      },
+      {
+        components: [
+          {
+            internalType: "address",
+            name: "manufacturer",
+            type: "address",
+          },
+          {
+            internalType: "uint256",
+            name: "minBatchId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "maxBatchId",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "serialQuota",
+            type: "uint256",
+          },
+          {
+            internalType: "uint256",
+            name: "serialsRegistered",
+            type: "uint256",
+          },
+        ],
+        internalType: "struct ChainCheckStorage.Operator[]",
+        name: "scopes",
+        type: "tuple[]",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "operator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "minBatchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "maxBatchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "serialQuota",
+        type: "uint256",
+      },
+    ],
+    name: "OperatorUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "operator",
+        type: "address",
+      },
+    ],
+    name: "OperatorRemoved",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "manufacturer",
+        type: "address",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "operator",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "serialCount",
+        type: "uint256",
+      },
+    ],
+    name: "OperatorRegistration",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "version",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "editor",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "oldIpfsHash",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "newIpfsHash",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "oldDescription",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "newDescription",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "oldImageUrl",
+        type: "string",
+      },
+      {
+        indexed: false,
+        internalType: "string",
+        name: "newImageUrl",
+        type: "string",
+      },
+    ],
+    name: "ProductMetadataUpdated",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "metadataVersion",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum ChainCheckStorage.PausableOperation",
+        name: "",
+        type: "uint8",
+      },
+    ],
+    name: "operationPaused",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    name: "batchFrozen",
+    outputs: [
+      {
+        internalType: "bool",
+        name: "",
+        type: "bool",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "enum ChainCheckStorage.PausableOperation",
+        name: "operation",
+        type: "uint8",
+      },
+      {
+        internalType: "bool",
+        name: "isPaused",
+        type: "bool",
+      },
+    ],
+    name: "setOperationPaused",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "frozen",
+        type: "bool",
+      },
+    ],
+    name: "setBatchFrozen",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "enum ChainCheckStorage.PausableOperation",
+        name: "operation",
+        type: "uint8",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "paused",
+        type: "bool",
+      },
+    ],
+    name: "OperationPauseUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "bool",
+        name: "frozen",
+        type: "bool",
+      },
+    ],
+    name: "BatchFreezeUpdated",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "batchFee",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "serialFee",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "treasury",
+    outputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "batchFee_",
+        type: "uint256",
+      },
+      {
+        internalType: "uint256",
+        name: "serialFee_",
+        type: "uint256",
+      },
+    ],
+    name: "setFees",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "treasury_",
+        type: "address",
+      },
+    ],
+    name: "setTreasury",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [],
+    name: "withdrawFees",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "serialCount",
+        type: "uint256",
+      },
+      {
+        internalType: "bool",
+        name: "newBatch",
+        type: "bool",
+      },
+    ],
+    name: "quoteRegistrationFee",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "fee",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "batchFee",
+        type: "uint256",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "serialFee",
+        type: "uint256",
+      },
+    ],
+    name: "FeesUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+    ],
+    name: "TreasuryUpdated",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "uint256",
+        name: "batchId",
+        type: "uint256",
+      },
+      {
+        indexed: true,
+        internalType: "address",
+        name: "payer",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "RegistrationFeePaid",
+    type: "event",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "address",
+        name: "treasury",
+        type: "address",
+      },
+      {
+        indexed: false,
+        internalType: "uint256",
+        name: "amount",
+        type: "uint256",
+      },
+    ],
+    name: "FeesWithdrawn",
+    type: "event",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "commitment",
+        type: "bytes32",
+      },
+    ],
+    name: "commitClaim",
+    outputs: [],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "bytes32",
+        name: "",
+        type: "bytes32",
+      },
+    ],
+    name: "claimCommitments",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    anonymous: false,
+    inputs: [
+      {
+        indexed: true,
+        internalType: "bytes32",
+        name: "commitment",
+        type: "bytes32",
+      },
+    ],
+    name: "ClaimCommitted",
+    type: "event",
+  },
+  {
+    inputs: [],
+    name: "unpause",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "actionId",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "nonpayable",
+    type: "function",
+  },
+] as const;
+
+// ChainCheckForwarder ABI - only what the frontend needs to build signed requests
+export const FORWARDER_ABI = [
+  {
+    inputs: [
+      {
+        internalType: "address",
+        name: "",
+        type: "address",
+      },
+    ],
+    name: "nonces",
+    outputs: [
+      {
+        internalType: "uint256",
+        name: "",
+        type: "uint256",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
+
+// ChainCheckTwin ABI - only what the frontend needs to show a product's ERC-721 token
+// The token address is read from ChainCheck's ownershipToken()
+export const TWIN_ABI = [
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "tokenId",
+        type: "uint256",
+      },
+    ],
+    name: "ownerOf",
+    outputs: [
+      {
+        internalType: "address",
+        name: "owner",
+        type: "address",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+  {
+    inputs: [
+      {
+        internalType: "uint256",
+        name: "tokenId",
+        type: "uint256",
+      },
+    ],
+    name: "tokenURI",
+    outputs: [
+      {
+        internalType: "string",
+        name: "uri",
+        type: "string",
+      },
+    ],
+    stateMutability: "view",
+    type: "function",
+  },
+] as const;
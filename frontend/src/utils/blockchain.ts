@@ -1,5 +1,14 @@
 import { ethers } from "ethers";
-import { CONTRACT_ADDRESS, CONTRACT_ABI, CURRENT_NETWORK } from "../config";
+import {
+  CONTRACT_ADDRESS,
+  CONTRACT_ABI,
+  CURRENT_NETWORK,
+  RELAYER_URL,
+  FORWARDER_ADDRESS,
+  FORWARDER_ABI,
+  TWIN_ABI,
+} from "../config";
+import { cacheManufacturers } from "./manufacturerCache";
 
 /**
  * Blockchain utility functions
@@ -9,6 +18,7 @@ import { CONTRACT_ADDRESS, CONTRACT_ABI, CURRENT_NETWORK } from "../config";
  * - Creating contract instances
  * - Generating serial hashes
  * - Verifying products
+ * - Signing gasless requests for the relayer
  */
 
 /**
@@ -159,6 +169,196 @@ export function getContract(signer?: ethers.Signer): ethers.Contract {
   return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, provider);
 }
 
+/**
+ * Verification outcomes, in the order of the contract's VerificationStatus enum
+ */
+export const VERIFICATION_STATUSES = [
+  "Authentic",
+  "AlreadyClaimed",
+  "Recalled",
+  "Revoked",
+  "Unknown",
+  "InvalidBatchId",
+  "BatchNotFound",
+  "SerialNotInBatch",
+  "ClaimCodeRequired",
+  "Expired",
+  "BatchFrozen",
+] as const;
+export type VerificationStatus = (typeof VERIFICATION_STATUSES)[number];
+
+/**
+ * Manufacturer verification tiers, in the order of the contract's VerificationTier enum
+ */
+export const VERIFICATION_TIERS = ["Unverified", "Basic", "Verified", "Premium"] as const;
+export type VerificationTier = (typeof VERIFICATION_TIERS)[number];
+
+/**
+ * On-chain identity of a manufacturer, set by manufacturer managers
+ */
+export interface ManufacturerProfile {
+  address: string;
+  name: string;
+  website: string;
+  country: string;
+  logoIpfsHash: string;
+  tier: VerificationTier;
+}
+
+/**
+ * Human-readable recall/revocation reasons, in the order of the contract's ReasonCode enum
+ */
+export const REASON_LABELS = [
+  "",
+  "Safety issue",
+  "Quality defect",
+  "Regulatory action",
+  "Reported stolen",
+  "Voided by manufacturer",
+  "Other",
+];
+
+/**
+ * Get a read-only contract instance backed by the network's RPC URL
+ * Works without a wallet, so view calls never prompt MetaMask
+ * @returns Contract instance
+ */
+export function getReadOnlyContract(): ethers.Contract {
+  const defaultAddress = "0x0000000000000000000000000000000000000000";
+  if (!CONTRACT_ADDRESS || CONTRACT_ADDRESS.toLowerCase() === defaultAddress.toLowerCase()) {
+    throw new Error("Contract address not set. Please deploy the contract first.");
+  }
+
+  const rpcProvider = new ethers.JsonRpcProvider(CURRENT_NETWORK.rpcUrl);
+  return new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, rpcProvider);
+}
+
+/**
+ * Whether scans are signed and relayed instead of sent from the user's wallet
+ * @returns True if both the relayer URL and forwarder address are configured
+ */
+export function isRelayingEnabled(): boolean {
+  return !!RELAYER_URL && ethers.isAddress(FORWARDER_ADDRESS);
+}
+
+/**
+ * Gas the forwarder passes on to a relayed call
+ * Covers a claim or a small batch verification
+ */
+const RELAY_GAS_LIMIT = 500000n;
+
+/**
+ * How long a signed request stays valid, in seconds
+ */
+const RELAY_DEADLINE_SECONDS = 3600;
+
+/**
+ * Sign a ChainCheck call as an EIP-712 forward request and submit it through the relayer
+ * The user only signs a message; the relayer pays the gas.
+ * @param signer Wallet signer of the consumer
+ * @param data Encoded ChainCheck calldata
+ * @returns Receipt of the relayer's transaction
+ */
+async function sendRelayedCall(
+  signer: ethers.Signer,
+  data: string
+): Promise<ethers.TransactionReceipt> {
+  const rpcProvider = new ethers.JsonRpcProvider(CURRENT_NETWORK.rpcUrl);
+  const forwarder = new ethers.Contract(FORWARDER_ADDRESS, FORWARDER_ABI, rpcProvider);
+  const from = await signer.getAddress();
+
+  const request = {
+    from,
+    to: CONTRACT_ADDRESS,
+    gas: RELAY_GAS_LIMIT,
+    nonce: await forwarder.nonces(from),
+    deadline: BigInt(Math.floor(Date.now() / 1000) + RELAY_DEADLINE_SECONDS),
+    data,
+  };
+
+  const signature = await signer.signTypedData(
+    {
+      name: "ChainCheckForwarder",
+      version: "1",
+      chainId: BigInt(CURRENT_NETWORK.chainId),
+      verifyingContract: FORWARDER_ADDRESS,
+    },
+    {
+      ForwardRequest: [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "data", type: "bytes" },
+      ],
+    },
+    request
+  );
+
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      request: {
+        ...request,
+        gas: request.gas.toString(),
+        nonce: request.nonce.toString(),
+        deadline: request.deadline.toString(),
+      },
+      signature,
+    }),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(result.message || result.error || "Relayer rejected the request");
+  }
+
+  const receipt = await rpcProvider.getTransactionReceipt(result.txHash);
+  if (!receipt) {
+    throw new Error("Relayed transaction not found");
+  }
+  return receipt;
+}
+
+/**
+ * Generate a claim code hash as committed by the manufacturer
+ * Must match keccak256(abi.encode(serialHash, claimCode)) in the contract
+ * @param serialHash Hashed serial number
+ * @param claimCode Plain-text code printed under the scratch-off
+ * @returns Hashed claim code
+ */
+export function generateClaimCodeHash(
+  serialHash: string,
+  claimCode: string
+): string {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["bytes32", "string"],
+    [serialHash, claimCode]
+  );
+  return ethers.keccak256(encoded);
+}
+
+/**
+ * Generate the commitment a claimer sends before revealing a claim code
+ * Must match keccak256(abi.encode(serialHash, claimCode, claimer)) in the contract
+ * @param serialHash Hashed serial number
+ * @param claimCode Plain-text code printed under the scratch-off
+ * @param claimer Address that will send the claim
+ * @returns Claim commitment
+ */
+export function generateClaimCommitment(
+  serialHash: string,
+  claimCode: string,
+  claimer: string
+): string {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["bytes32", "string", "address"],
+    [serialHash, claimCode, claimer]
+  );
+  return ethers.keccak256(encoded);
+}
+
 /**
  * Generate a serial hash from batch ID and serial number
  * This must match the format used in the smart contract
@@ -179,22 +379,85 @@ export function generateSerialHash(
   return ethers.keccak256(encoded);
 }
 
+/**
+ * Generate a serial's key in the contract's per-serial mappings (serialOwner,
+ * claimCodeHash, serialRevocationReason, scanState, counterfeitReported)
+ * Must match keccak256(abi.encode(batchId, serialHash)) in the contract
+ * @param batchId Product batch ID
+ * @param serialHash Hashed serial number
+ * @returns Serial key
+ */
+export function generateSerialKey(
+  batchId: number,
+  serialHash: string
+): string {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["uint256", "bytes32"],
+    [batchId, serialHash]
+  );
+  return ethers.keccak256(encoded);
+}
+
+/**
+ * Generate the hash a manufacturer signs for a signed QR payload
+ * Must match qr-generator/server.js:
+ * keccak256(abi.encode("ChainCheck QR", chainId, contractAddress, batchId, serialNumber)),
+ * signed as an EIP-191 personal message. The chain ID and contract address stop a
+ * label signed for one deployment from verifying against another.
+ * @param batchId Product batch ID
+ * @param serialNumber Serial number string
+ * @returns Message hash to sign
+ */
+export function generateQRMessageHash(
+  batchId: number,
+  serialNumber: string
+): string {
+  const encoded = ethers.AbiCoder.defaultAbiCoder().encode(
+    ["string", "uint256", "address", "uint256", "string"],
+    ["ChainCheck QR", BigInt(CURRENT_NETWORK.chainId), CONTRACT_ADDRESS, batchId, serialNumber]
+  );
+  return ethers.keccak256(encoded);
+}
+
 /**
  * Verify a product on the blockchain
+ *
+ * Without a claim code this is a free read-only status check that leaves the
+ * first-scan flag untouched. With a claim code it sends the claim transaction:
+ * a non-empty code goes through claim(), an empty string claims serials that
+ * were registered without a scratch-off code. When relaying is configured the
+ * user signs the request and the relayer pays the gas.
  * @param serialHash Hashed serial number
  * @param batchId Product batch ID
+ * @param proof Merkle proof, for batches registered with a Merkle root
+ * @param claimCode Scratch-off code; omit for a read-only check
  * @returns Object with verification result and product info
  */
 export async function verifyProduct(
   serialHash: string,
-  batchId: number
+  batchId: number,
+  proof?: string[],
+  claimCode?: string
 ): Promise<{
   isAuthentic: boolean;
   productName: string;
   productBrand: string;
+  brandVerified: boolean;
+  expiresAt: number;
+  checkOnly: boolean;
+  claimed: boolean;
+  requiresClaimCode: boolean;
+  owner: string;
+  manufacturer: string;
+  status: VerificationStatus;
+  reason: string;
   txHash?: string;
   blockNumber?: number;
 }> {
+  if (claimCode === undefined) {
+    return checkProduct(serialHash, batchId, proof);
+  }
+
   try {
     // Connect wallet and get signer
     const accounts = await connectWallet();
@@ -217,14 +480,35 @@ export async function verifyProduct(
     }
 
     // Check if serial was already verified before (to determine authenticity)
-    const wasVerifiedBefore = await contract.isSerialVerified(serialHash);
+    const wasVerifiedBefore = await contract.isSerialVerified(serialHash, batchId);
+
+    // Claim codes are revealed in the claim's calldata, so commit to the code
+    // first; the claim then goes in a later block and cannot be front-run
+    if (claimCode) {
+      const committedCode = await contract.claimCodeHash(generateSerialKey(batchId, serialHash));
+      if (generateClaimCodeHash(serialHash, claimCode) !== committedCode) {
+        throw new Error("InvalidClaimCode");
+      }
+      const commitment = generateClaimCommitment(serialHash, claimCode, await signer.getAddress());
+      if (isRelayingEnabled()) {
+        await sendRelayedCall(signer, contract.interface.encodeFunctionData("commitClaim", [commitment]));
+      } else {
+        await (await contract.commitClaim(commitment)).wait();
+      }
+    }
     
     // Perform verification (this will mark serial as verified)
-    // The verify function returns a transaction response
-    const tx = await contract.verify(serialHash, batchId);
-    
+    // Merkle-registered batches prove membership with the proof embedded in the QR code
+    const [method, args] = claimCode
+      ? ["claim", [serialHash, batchId, proof || [], claimCode]]
+      : proof
+        ? ["verifyWithProof", [serialHash, batchId, proof]]
+        : ["verify", [serialHash, batchId]];
+
     // Wait for transaction confirmation
-    const receipt = await tx.wait();
+    const receipt = isRelayingEnabled()
+      ? await sendRelayedCall(signer, contract.interface.encodeFunctionData(method, args))
+      : await (await contract[method](...args)).wait();
     
     // Check if transaction was successful
     if (receipt.status !== 1) {
@@ -232,8 +516,11 @@ export async function verifyProduct(
     }
     
     // Parse the Verified event from the transaction receipt to get isAuthentic
-    // The event signature: Verified(bytes32 indexed serialHash, uint256 indexed batchId, bool isAuthentic, address verifier, uint256 timestamp)
+    // The event signature: Verified(bytes32 indexed serialHash, uint256 indexed batchId, bool isAuthentic,
+    //   address verifier, uint256 timestamp, uint8 status, uint8 reason)
     let isAuthentic = false;
+    let status: VerificationStatus = wasVerifiedBefore ? "AlreadyClaimed" : "Authentic";
+    let reason = "";
     if (receipt.logs && receipt.logs.length > 0) {
       try {
         // Try to parse the Verified event
@@ -250,6 +537,8 @@ export async function verifyProduct(
           const parsed = contract.interface.parseLog(verifiedEvent);
           if (parsed && parsed.args) {
             isAuthentic = parsed.args[2]; // isAuthentic is the 3rd argument (index 2)
+            status = VERIFICATION_STATUSES[Number(parsed.args.status)];
+            reason = REASON_LABELS[Number(parsed.args.reason)];
           }
         }
       } catch (e) {
@@ -265,16 +554,38 @@ export async function verifyProduct(
     
     // Get product info
     const updatedProduct = await contract.getProduct(batchId);
+    const owner = await contract.serialOwner(generateSerialKey(batchId, serialHash));
 
     return {
       isAuthentic,
       productName: updatedProduct.name,
       productBrand: updatedProduct.brand,
+      brandVerified: updatedProduct.brandId !== ethers.ZeroHash,
+      expiresAt: Number(updatedProduct.expiresAt),
+      checkOnly: false,
+      claimed: true,
+      requiresClaimCode: !!claimCode,
+      owner,
+      manufacturer: updatedProduct.manufacturer,
+      status,
+      reason,
       txHash: receipt.hash,
       blockNumber: receipt.blockNumber,
     };
   } catch (error: any) {
     // Handle specific error messages
+    if (error.message.includes("InvalidClaimCode")) {
+      throw new Error("Invalid claim code. Please check the code under the scratch-off.");
+    }
+    if (error.message.includes("ClaimNotCommitted")) {
+      throw new Error("The claim was sent too early. Please try again in a few seconds.");
+    }
+    if (error.message.includes("BatchIsFrozen")) {
+      throw new Error("This batch is temporarily frozen. Please try again later.");
+    }
+    if (error.message.includes("ContractPaused") || error.message.includes("OperationPaused")) {
+      throw new Error("Verification is paused");
+    }
     if (error.message.includes("user rejected")) {
       throw new Error("Transaction was rejected");
     }
@@ -288,17 +599,369 @@ export async function verifyProduct(
   }
 }
 
+/**
+ * Read-only product check; does not send a transaction or consume the first scan
+ * @param serialHash Hashed serial number
+ * @param batchId Product batch ID
+ * @param proof Merkle proof, for batches registered with a Merkle root
+ * @returns Object with check result and product info
+ */
+async function checkProduct(
+  serialHash: string,
+  batchId: number,
+  proof?: string[]
+): Promise<{
+  isAuthentic: boolean;
+  productName: string;
+  productBrand: string;
+  brandVerified: boolean;
+  expiresAt: number;
+  checkOnly: boolean;
+  claimed: boolean;
+  requiresClaimCode: boolean;
+  owner: string;
+  manufacturer: string;
+  status: VerificationStatus;
+  reason: string;
+}> {
+  const contract = getReadOnlyContract();
+
+  const product = await contract.getProduct(batchId);
+  if (!product.exists) {
+    throw new Error("Product batch not found");
+  }
+
+  const check = await contract.checkSerial(serialHash, batchId, proof || []);
+  const status = VERIFICATION_STATUSES[Number(check.status)];
+
+  return {
+    // A registered, unclaimed serial in good standing is what a genuine product on the shelf looks like
+    isAuthentic: status === "Authentic",
+    productName: product.name,
+    productBrand: product.brand,
+    // Brands assigned in the on-chain registry can only be registered by their owner
+    brandVerified: product.brandId !== ethers.ZeroHash,
+    // Unix timestamp, 0 if the batch does not expire
+    expiresAt: Number(product.expiresAt),
+    checkOnly: true,
+    claimed: check.claimed,
+    requiresClaimCode: check.requiresClaimCode,
+    owner: check.currentOwner,
+    manufacturer: product.manufacturer,
+    status,
+    reason: REASON_LABELS[Number(check.reason)],
+  };
+}
+
+/**
+ * Verify a pallet of products with batchVerify / batchVerifyWithProof
+ *
+ * Items with a Merkle proof go through batchVerifyWithProof, the rest through
+ * batchVerify. With record = false this is a free preview (staticCall) that
+ * leaves first scans untouched. Recorded scans are sent directly rather than
+ * relayed, since a pallet usually exceeds the relayer's per-request gas cap.
+ * @param items Serials to verify, in scan order
+ * @param record Send the transaction (claims unclaimed serials for the wallet)
+ * @returns Status per item, in the order of items
+ */
+export async function batchVerifyProducts(
+  items: Array<{ serialHash: string; batchId: number; proof?: string[] }>,
+  record: boolean
+): Promise<{ statuses: VerificationStatus[]; txHashes: string[] }> {
+  try {
+    const accounts = await connectWallet();
+    if (accounts.length === 0) {
+      throw new Error("No accounts connected");
+    }
+    await switchNetwork();
+
+    const signer = await getProvider().getSigner();
+    const contract = getContract(signer);
+
+    const statuses: VerificationStatus[] = new Array(items.length);
+    const txHashes: string[] = [];
+    const groups = [
+      items.map((item, index) => ({ item, index })).filter(({ item }) => !item.proof),
+      items.map((item, index) => ({ item, index })).filter(({ item }) => !!item.proof),
+    ];
+
+    for (const group of groups) {
+      if (group.length === 0) continue;
+
+      const serialHashes = group.map(({ item }) => item.serialHash);
+      const batchIds = group.map(({ item }) => item.batchId);
+      const withProof = !!group[0].item.proof;
+      const args = withProof
+        ? [serialHashes, batchIds, group.map(({ item }) => item.proof)]
+        : [serialHashes, batchIds];
+      const method = withProof ? "batchVerifyWithProof" : "batchVerify";
+
+      let codes: bigint[];
+      if (!record) {
+        codes = await contract[method].staticCall(...args);
+      } else {
+        const receipt = await (await contract[method](...args)).wait();
+        if (receipt.status !== 1) {
+          throw new Error("Transaction failed");
+        }
+        txHashes.push(receipt.hash);
+
+        // Each item emits exactly one Verified or VerificationRejected event, in item order
+        codes = receipt.logs
+          .map((log: ethers.Log) => {
+            try {
+              return contract.interface.parseLog(log);
+            } catch {
+              return null;
+            }
+          })
+          .filter((parsed: ethers.LogDescription | null) =>
+            parsed && (parsed.name === "Verified" || parsed.name === "VerificationRejected")
+          )
+          .map((parsed: ethers.LogDescription) => parsed.args.status);
+      }
+
+      group.forEach(({ index }, position) => {
+        statuses[index] = VERIFICATION_STATUSES[Number(codes[position])];
+      });
+    }
+
+    return { statuses, txHashes };
+  } catch (error: any) {
+    if (error.message?.includes("user rejected")) {
+      throw new Error("Transaction was rejected");
+    }
+    if (error.message?.includes("ContractPaused") || error.message?.includes("OperationPaused")) {
+      throw new Error("Verification is paused");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Transfer a claimed product to a new owner (resale)
+ * @param serialHash Hashed serial number
+ * @param batchId Product batch ID
+ * @param newOwner Address of the buyer
+ * @returns Transaction hash
+ */
+export async function transferProduct(
+  serialHash: string,
+  batchId: number,
+  newOwner: string
+): Promise<string> {
+  if (!ethers.isAddress(newOwner)) {
+    throw new Error("Invalid recipient address");
+  }
+
+  try {
+    const provider = getProvider();
+    const signer = await provider.getSigner();
+    const contract = getContract(signer);
+
+    const args = [serialHash, batchId, newOwner];
+    const receipt = isRelayingEnabled()
+      ? await sendRelayedCall(signer, contract.interface.encodeFunctionData("transferProduct", args))
+      : await (await contract.transferProduct(...args)).wait();
+    return receipt.hash;
+  } catch (error: any) {
+    if (error.message.includes("NotProductOwner")) {
+      throw new Error("Only the current owner can transfer this product");
+    }
+    if (error.message.includes("user rejected")) {
+      throw new Error("Transaction was rejected");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Report a suspected counterfeit to the batch's manufacturer
+ * Relayed when a relayer is configured, so the reporter needs no gas
+ * @param serialHash Hashed serial number printed on the suspect product
+ * @param batchId Batch ID printed on the suspect product
+ * @param region ISO 3166-1 alpha-2 country code, e.g. "DE" (empty if not given)
+ * @param evidenceHash IPFS hash of photos or receipts (can be empty)
+ * @returns Transaction hash
+ */
+export async function reportCounterfeit(
+  serialHash: string,
+  batchId: number,
+  region: string,
+  evidenceHash: string
+): Promise<string> {
+  if (region && !/^[A-Z]{2}$/.test(region)) {
+    throw new Error("Region must be a two-letter country code");
+  }
+
+  try {
+    const accounts = await connectWallet();
+    if (accounts.length === 0) {
+      throw new Error("No accounts connected");
+    }
+    await switchNetwork();
+
+    const provider = getProvider();
+    const signer = await provider.getSigner();
+    const contract = getContract(signer);
+
+    const args = [serialHash, batchId, region ? ethers.hexlify(ethers.toUtf8Bytes(region)) : "0x0000", evidenceHash];
+    const receipt = isRelayingEnabled()
+      ? await sendRelayedCall(signer, contract.interface.encodeFunctionData("reportCounterfeit", args))
+      : await (await contract.reportCounterfeit(...args)).wait();
+    return receipt.hash;
+  } catch (error: any) {
+    if (error.message.includes("AlreadyReported")) {
+      throw new Error("You have already reported this product");
+    }
+    if (error.message.includes("user rejected")) {
+      throw new Error("Transaction was rejected");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get counterfeit reports filed against the given batches, from CounterfeitReported events
+ * @param batchIds Batch IDs to get reports for
+ * @returns Reports, newest first
+ */
+export async function getCounterfeitReports(batchIds: number[]): Promise<
+  Array<{
+    serialHash: string;
+    batchId: number;
+    reporter: string;
+    region: string;
+    evidenceHash: string;
+    blockNumber: number;
+    txHash: string;
+  }>
+> {
+  if (batchIds.length === 0) {
+    return [];
+  }
+
+  try {
+    const contract = getContract();
+    const events = await contract.queryFilter(contract.filters.CounterfeitReported(null, batchIds));
+    return events
+      .filter((event): event is ethers.EventLog => "args" in event)
+      .map((event) => ({
+        serialHash: event.args.serialHash as string,
+        batchId: Number(event.args.batchId),
+        reporter: event.args.reporter as string,
+        region: event.args.region === "0x0000" ? "" : ethers.toUtf8String(event.args.region),
+        evidenceHash: event.args.evidenceHash as string,
+        blockNumber: event.blockNumber,
+        txHash: event.transactionHash,
+      }))
+      .reverse();
+  } catch (error) {
+    throw new Error("Failed to fetch counterfeit reports: " + error);
+  }
+}
+
+/**
+ * Get the ERC-721 digital twin minted for a claimed serial
+ * @param serialHash Hashed serial number
+ * @param batchId Product batch ID
+ * @returns Token contract, ID and metadata URI, or null if no ownership token is
+ *          linked or the serial was claimed before it was
+ */
+export async function getDigitalTwin(serialHash: string, batchId: number): Promise<{
+  tokenAddress: string;
+  tokenId: string;
+  owner: string;
+  tokenURI: string;
+} | null> {
+  try {
+    const contract = getContract();
+    const tokenAddress: string = await contract.ownershipToken();
+    if (tokenAddress === ethers.ZeroAddress) {
+      return null;
+    }
+
+    // The token ID is the serial's key in ChainCheck
+    const tokenId = BigInt(generateSerialKey(batchId, serialHash));
+    const twin = new ethers.Contract(tokenAddress, TWIN_ABI, contract.runner);
+    const [owner, tokenURI] = await Promise.all([twin.ownerOf(tokenId), twin.tokenURI(tokenId)]);
+    return {
+      tokenAddress,
+      tokenId: tokenId.toString(),
+      owner,
+      tokenURI,
+    };
+  } catch (error) {
+    // ownerOf reverts with TokenNotFound for serials without a token
+    console.error("Error getting digital twin:", error);
+    return null;
+  }
+}
+
+/**
+ * One metadata update of a batch, from its ProductMetadataUpdated event
+ */
+export interface MetadataChange {
+  version: number;
+  editor: string;
+  timestamp: number;
+  txHash: string;
+  // Only the fields the update changed
+  fields: Array<{ label: string; oldValue: string; newValue: string }>;
+}
+
+/**
+ * Get how often a batch's metadata was updated and what each update changed
+ * Uses the read-only RPC provider, so it works without a wallet
+ * @param batchId Product batch ID
+ * @returns Current metadata version (0 if never updated) and the updates, newest first
+ */
+export async function getMetadataHistory(batchId: number): Promise<{
+  version: number;
+  changes: MetadataChange[];
+}> {
+  const contract = getReadOnlyContract();
+  const version = Number(await contract.metadataVersion(batchId));
+  if (version === 0) {
+    return { version, changes: [] };
+  }
+
+  const events = (await contract.queryFilter(contract.filters.ProductMetadataUpdated(batchId)))
+    .filter((event): event is ethers.EventLog => "args" in event);
+  const changes = await Promise.all(
+    events.map(async (event) => {
+      const { args } = event;
+      const fields = [
+        { label: "IPFS hash", oldValue: args.oldIpfsHash as string, newValue: args.newIpfsHash as string },
+        { label: "Description", oldValue: args.oldDescription as string, newValue: args.newDescription as string },
+        { label: "Image URL", oldValue: args.oldImageUrl as string, newValue: args.newImageUrl as string },
+      ].filter((field) => field.oldValue !== field.newValue);
+      const block = await event.getBlock();
+      return {
+        version: Number(args.version),
+        editor: args.editor as string,
+        timestamp: block.timestamp,
+        txHash: event.transactionHash,
+        fields,
+      };
+    })
+  );
+  return { version, changes: changes.reverse() };
+}
+
 /**
  * Check if a serial has already been verified (read-only)
  * @param serialHash Hashed serial number
+ * @param batchId Product batch ID
  * @returns True if serial has been verified before
  */
 export async function checkSerialStatus(
-  serialHash: string
+  serialHash: string,
+  batchId: number
 ): Promise<boolean> {
   try {
     const contract = getContract();
-    return await contract.isSerialVerified(serialHash);
+    return await contract.isSerialVerified(serialHash, batchId);
   } catch (error) {
     console.error("Error checking serial status:", error);
     return false;
@@ -315,6 +978,9 @@ export async function getProductInfo(batchId: number): Promise<{
   brand: string;
   exists: boolean;
   registeredAt: bigint;
+  manufacturer: string;
+  manufacturedAt: bigint;
+  expiresAt: bigint;
 }> {
   try {
     const contract = getContract();
@@ -324,6 +990,9 @@ export async function getProductInfo(batchId: number): Promise<{
       brand: product.brand,
       exists: product.exists,
       registeredAt: product.registeredAt,
+      manufacturer: product.manufacturer,
+      manufacturedAt: product.manufacturedAt,
+      expiresAt: product.expiresAt,
     };
   } catch (error) {
     throw new Error("Failed to fetch product information: " + error);
@@ -331,18 +1000,83 @@ export async function getProductInfo(batchId: number): Promise<{
 }
 
 /**
- * Register a new product batch on the blockchain
+ * Registration fee and estimated total cost of registering a batch, in wei
+ */
+export interface RegistrationQuote {
+  batchFee: bigint;
+  serialFee: bigint;
+  // Fee sent with the transaction: batchFee + serialFee per serial
+  fee: bigint;
+  // Estimated network fee, null until the form describes a registrable batch
+  gasCost: bigint | null;
+  total: bigint | null;
+}
+
+/**
+ * Quote the cost of registering a batch before submitting it
+ * The fee comes from the contract's quoteRegistrationFee view; the network fee
+ * is estimated with the connected wallet and left out if the call would revert
+ * @param batchId Product batch ID
+ * @param name Product name
+ * @param brand Brand name
+ * @param serialNumbers Serial numbers to register
+ * @param manufacturedAt Manufacture date as a unix timestamp (0 if not tracked)
+ * @param expiresAt Expiry date as a unix timestamp (0 if the batch does not expire)
+ * @returns Fee schedule, fee and estimated total cost
+ */
+export async function quoteRegistration(
+  batchId: number,
+  name: string,
+  brand: string,
+  serialNumbers: string[],
+  manufacturedAt = 0,
+  expiresAt = 0
+): Promise<RegistrationQuote> {
+  const contract = getReadOnlyContract();
+  const [batchFee, serialFee, fee] = await Promise.all([
+    contract.batchFee(),
+    contract.serialFee(),
+    contract.quoteRegistrationFee(serialNumbers.length, true),
+  ]);
+
+  let gasCost: bigint | null = null;
+  if (batchId > 0 && name && brand && serialNumbers.length > 0) {
+    try {
+      const provider = getProvider();
+      const signer = await provider.getSigner();
+      const serialHashes = serialNumbers.map((serial) => generateSerialHash(batchId, serial));
+      const [gas, feeData] = await Promise.all([
+        getContract(signer).registerProduct.estimateGas(
+          batchId, name, brand, serialHashes, "", "", "", manufacturedAt, expiresAt, { value: fee }
+        ),
+        provider.getFeeData(),
+      ]);
+      gasCost = gas * (feeData.gasPrice ?? 0n);
+    } catch {
+      // The registration would revert (e.g. batch ID taken); show the fee alone
+    }
+  }
+
+  return { batchFee, serialFee, fee, gasCost, total: gasCost === null ? null : gasCost + fee };
+}
+
+/**
+ * Register a new product batch on the blockchain, paying the registration fee
  * @param batchId Product batch ID
  * @param name Product name
  * @param brand Brand name
  * @param serialNumbers Array of serial numbers (will be hashed)
+ * @param manufacturedAt Manufacture date as a unix timestamp (0 if not tracked)
+ * @param expiresAt Expiry date as a unix timestamp (0 if the batch does not expire)
  * @returns Transaction receipt
  */
 export async function registerProduct(
   batchId: number,
   name: string,
   brand: string,
-  serialNumbers: string[]
+  serialNumbers: string[],
+  manufacturedAt = 0,
+  expiresAt = 0
 ): Promise<any> {
   try {
     // Connect wallet and get signer
@@ -364,8 +1098,11 @@ export async function registerProduct(
       generateSerialHash(batchId, serial)
     );
 
-    // Register product
-    const tx = await contract.registerProduct(batchId, name, brand, serialHashes);
+    // Register product, paying the registration fee
+    const fee = await contract.quoteRegistrationFee(serialHashes.length, true);
+    const tx = await contract.registerProduct(batchId, name, brand, serialHashes, "", "", "", manufacturedAt, expiresAt, {
+      value: fee,
+    });
     const receipt = await tx.wait();
 
     return receipt;
@@ -379,6 +1116,27 @@ export async function registerProduct(
     if (error.message.includes("not an authorized manufacturer")) {
       throw new Error("You are not authorized to register products. Contact the contract owner.");
     }
+    if (error.message.includes("NotBrandOwner")) {
+      throw new Error("This brand is registered to another manufacturer.");
+    }
+    if (error.message.includes("OutsideOperatorRange")) {
+      throw new Error("This batch ID is outside the range your manufacturer allows for your key.");
+    }
+    if (error.message.includes("OperatorQuotaExceeded")) {
+      throw new Error("This batch would exceed the serial quota your manufacturer set for your key.");
+    }
+    if (error.message.includes("InvalidShelfLife")) {
+      throw new Error("The expiry date must be after the manufacture date.");
+    }
+    if (error.message.includes("SerialAlreadyRegistered")) {
+      throw new Error("A serial number is already registered, or listed twice.");
+    }
+    if (error.message.includes("ContractPaused") || error.message.includes("OperationPaused")) {
+      throw new Error("Registration is paused");
+    }
+    if (error.message.includes("IncorrectFee")) {
+      throw new Error("The registration fee changed. Please check the new quote and try again.");
+    }
     throw error;
   }
 }
@@ -433,8 +1191,8 @@ export async function getStatistics(): Promise<{
     const contract = getContract();
     const totalProducts = await contract.totalProducts();
     const totalVerifications = await contract.totalVerifications();
-    const manufacturers = await contract.getManufacturers();
-    const totalManufacturers = BigInt(manufacturers.length);
+    const { makers } = await contract.getManufacturers();
+    const totalManufacturers = BigInt(makers.length);
 
     return {
       totalProducts,
@@ -450,6 +1208,235 @@ export async function getStatistics(): Promise<{
   }
 }
 
+/**
+ * Fetch the authorized manufacturers and cache them for offline QR signature checks
+ * Uses the read-only RPC provider, so it works without a wallet
+ * @returns Authorized manufacturer addresses
+ */
+export async function refreshManufacturerCache(): Promise<string[]> {
+  const contract = getReadOnlyContract();
+  const manufacturers: string[] = [...(await contract.getManufacturers()).makers];
+  cacheManufacturers(manufacturers);
+  return manufacturers;
+}
+
+/**
+ * Convert a ManufacturerProfile struct returned by the contract
+ * @param address Manufacturer address
+ * @param profile Profile struct
+ * @returns Profile with the country code decoded (empty if not set)
+ */
+function toManufacturerProfile(address: string, profile: any): ManufacturerProfile {
+  return {
+    address,
+    name: profile.name,
+    website: profile.website,
+    country: profile.country === "0x0000" ? "" : ethers.toUtf8String(profile.country),
+    logoIpfsHash: profile.logoIpfsHash,
+    tier: VERIFICATION_TIERS[Number(profile.tier)],
+  };
+}
+
+/**
+ * Get the authorized manufacturers with their profiles
+ * @returns Manufacturers in authorization order; those without a profile have an empty name
+ */
+export async function getManufacturers(): Promise<ManufacturerProfile[]> {
+  const contract = getReadOnlyContract();
+  const { makers, profiles } = await contract.getManufacturers();
+  return makers.map((maker: string, index: number) => toManufacturerProfile(maker, profiles[index]));
+}
+
+/**
+ * Get a manufacturer's profile
+ * @param address Manufacturer address
+ * @returns Profile (empty name if none was set), or null if it could not be read
+ */
+export async function getManufacturerProfile(address: string): Promise<ManufacturerProfile | null> {
+  try {
+    const contract = getReadOnlyContract();
+    return toManufacturerProfile(address, await contract.getManufacturerProfile(address));
+  } catch (error) {
+    console.error("Error getting manufacturer profile:", error);
+    return null;
+  }
+}
+
+/**
+ * Update the connected manufacturer's website and logo
+ * Name, country and tier are set by manufacturer managers
+ * @param website Website URL
+ * @param logoIpfsHash IPFS hash of the logo image
+ * @returns Transaction receipt
+ */
+export async function updateManufacturerProfile(website: string, logoIpfsHash: string): Promise<any> {
+  try {
+    const accounts = await connectWallet();
+    if (accounts.length === 0) {
+      throw new Error("No accounts connected");
+    }
+
+    await switchNetwork();
+
+    const provider = getProvider();
+    const signer = await provider.getSigner();
+    const contract = getContract(signer);
+
+    const tx = await contract.updateManufacturerProfile(website, logoIpfsHash);
+    return await tx.wait();
+  } catch (error: any) {
+    if (error.message.includes("user rejected")) {
+      throw new Error("Transaction was rejected");
+    }
+    if (error.message.includes("ProfileFieldTooLong")) {
+      throw new Error("Website and logo hash must be at most 256 characters.");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Registration key a manufacturer delegates to, with its scope
+ */
+export interface OperatorScope {
+  address: string;
+  manufacturer: string;
+  minBatchId: number;
+  maxBatchId: number; // 0 for no limit
+  serialQuota: number; // 0 for no limit
+  serialsRegistered: number;
+}
+
+/**
+ * Convert an Operator struct returned by the contract
+ */
+function toOperatorScope(address: string, scope: any): OperatorScope {
+  return {
+    address,
+    manufacturer: scope.manufacturer,
+    minBatchId: Number(scope.minBatchId),
+    maxBatchId: Number(scope.maxBatchId),
+    serialQuota: Number(scope.serialQuota),
+    serialsRegistered: Number(scope.serialsRegistered),
+  };
+}
+
+/**
+ * Get the manufacturer and scope of an operator
+ * @param address Operator address
+ * @returns Scope, with whether its manufacturer is still authorized, or null if
+ *          the address is not an operator
+ */
+export async function getOperator(address: string): Promise<(OperatorScope & { active: boolean }) | null> {
+  const contract = getContract();
+  const scope = toOperatorScope(address, await contract.getOperator(address));
+  if (scope.manufacturer === ethers.ZeroAddress) {
+    return null;
+  }
+  return { ...scope, active: await contract.authorizedMakers(scope.manufacturer) };
+}
+
+/**
+ * Get a manufacturer's operators
+ * @param manufacturer Manufacturer address
+ * @returns Operators with their scopes
+ */
+export async function getOperators(manufacturer: string): Promise<OperatorScope[]> {
+  const contract = getContract();
+  const { addresses, scopes } = await contract.getOperators(manufacturer);
+  return addresses.map((address: string, index: number) => toOperatorScope(address, scopes[index]));
+}
+
+/**
+ * Add an operator for the connected manufacturer, or change its scope
+ * @param operator Operator address
+ * @param minBatchId Lowest batch ID the operator may register
+ * @param maxBatchId Highest batch ID the operator may register (0 for no limit)
+ * @param serialQuota Serials the operator may register in total (0 for no limit)
+ * @returns Transaction receipt
+ */
+export async function setOperator(
+  operator: string,
+  minBatchId: number,
+  maxBatchId: number,
+  serialQuota: number
+): Promise<any> {
+  try {
+    const accounts = await connectWallet();
+    if (accounts.length === 0) {
+      throw new Error("No accounts connected");
+    }
+
+    await switchNetwork();
+
+    const provider = getProvider();
+    const signer = await provider.getSigner();
+    const contract = getContract(signer);
+
+    const tx = await contract.setOperator(operator, minBatchId, maxBatchId, serialQuota);
+    return await tx.wait();
+  } catch (error: any) {
+    if (error.message.includes("user rejected")) {
+      throw new Error("Transaction was rejected");
+    }
+    if (error.message.includes("OperatorTaken")) {
+      throw new Error("This address is a manufacturer or another manufacturer's operator.");
+    }
+    if (error.message.includes("InvalidBatchId")) {
+      throw new Error("The highest batch ID must not be below the lowest.");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Remove one of the connected manufacturer's operators
+ * @param operator Operator address
+ * @returns Transaction receipt
+ */
+export async function removeOperator(operator: string): Promise<any> {
+  try {
+    const accounts = await connectWallet();
+    if (accounts.length === 0) {
+      throw new Error("No accounts connected");
+    }
+
+    await switchNetwork();
+
+    const provider = getProvider();
+    const signer = await provider.getSigner();
+    const contract = getContract(signer);
+
+    const tx = await contract.removeOperator(operator);
+    return await tx.wait();
+  } catch (error: any) {
+    if (error.message.includes("user rejected")) {
+      throw new Error("Transaction was rejected");
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get which operator registered each of a manufacturer's batches
+ * @param manufacturer Manufacturer address
+ * @returns Operator that first registered serials in each batch, by batch ID;
+ *          batches the manufacturer registered itself are absent
+ */
+export async function getOperatorRegistrations(manufacturer: string): Promise<Record<number, string>> {
+  const contract = getContract();
+  const events = await contract.queryFilter(contract.filters.OperatorRegistration(null, manufacturer));
+  const registrations: Record<number, string> = {};
+  for (const event of events) {
+    if (!("args" in event)) continue;
+    const batchId = Number(event.args.batchId);
+    if (!(batchId in registrations)) {
+      registrations[batchId] = event.args.operator as string;
+    }
+  }
+  return registrations;
+}
+
 /**
  * Get multiple products by batch IDs
  * @param batchIds Array of batch IDs
@@ -464,6 +1451,9 @@ export async function getProductsBatch(
     brand: string;
     exists: boolean;
     registeredAt: bigint;
+    manufacturer: string;
+    manufacturedAt: bigint;
+    expiresAt: bigint;
   }>
 > {
   try {
@@ -476,12 +1466,163 @@ export async function getProductsBatch(
       brand: result.brands[index],
       exists: result.existsArray[index],
       registeredAt: result.registeredAtArray[index],
+      manufacturer: result.manufacturers[index],
+      manufacturedAt: result.manufacturedAtArray[index],
+      expiresAt: result.expiresAtArray[index],
     }));
   } catch (error) {
     throw new Error("Failed to fetch products: " + error);
   }
 }
 
+// Batch IDs fetched per getManufacturerBatchIds call
+const BATCH_PAGE_SIZE = 100;
+
+/**
+ * Get every batch registered by a manufacturer, newest first
+ * @param manufacturer Manufacturer address
+ * @returns Batches with their shelf-life dates
+ */
+export async function getManufacturerBatches(
+  manufacturer: string
+): Promise<Awaited<ReturnType<typeof getProductsBatch>>> {
+  const contract = getContract();
+  const batchIds: number[] = [];
+  let total = Infinity;
+  while (batchIds.length < total) {
+    const page = await contract.getManufacturerBatchIds(manufacturer, batchIds.length, BATCH_PAGE_SIZE);
+    total = Number(page.total);
+    if (page.ids.length === 0) break;
+    batchIds.push(...page.ids.map(Number));
+  }
+
+  if (batchIds.length === 0) {
+    return [];
+  }
+  return (await getProductsBatch(batchIds)).reverse();
+}
+
+/**
+ * Rebuild a serial's verification history from Verified events
+ * Used for events-only deployments (storeHistory false), which keep no history in storage.
+ * ProductTransferred events are replayed in log order to recover the owner at each scan.
+ * @param serialHash Hashed serial number
+ * @param batchId Product batch ID
+ * @returns Verification records, oldest first, shaped like the contract's VerificationRecord
+ */
+export async function getVerificationHistoryFromEvents(serialHash: string, batchId: number): Promise<
+  Array<{
+    serialHash: string;
+    batchId: bigint;
+    verifier: string;
+    timestamp: bigint;
+    isAuthentic: boolean;
+    owner: string;
+    status: bigint;
+  }>
+> {
+  const contract = getContract();
+  const [verified, transferred] = await Promise.all([
+    contract.queryFilter(contract.filters.Verified(serialHash, batchId)),
+    contract.queryFilter(contract.filters.ProductTransferred(serialHash, batchId)),
+  ]);
+
+  const logs = [...verified, ...transferred]
+    .filter((log): log is ethers.EventLog => "args" in log)
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const records = [];
+  let owner: string = ethers.ZeroAddress;
+  for (const log of logs) {
+    if (log.eventName === "ProductTransferred") {
+      owner = log.args.to;
+      continue;
+    }
+    records.push({
+      serialHash: log.args.serialHash,
+      batchId: log.args.batchId,
+      verifier: log.args.verifier,
+      timestamp: log.args.timestamp,
+      isAuthentic: log.args.isAuthentic,
+      owner,
+      status: log.args.status,
+    });
+  }
+  return records;
+}
+
+/**
+ * Get serial, claim and duplicate-scan totals per product line
+ * Batches are discovered from ProductRegistered events and grouped by brand and name
+ * @returns Product lines sorted by duplicate scans, most first
+ */
+export async function getProductLineStats(): Promise<
+  Array<{
+    name: string;
+    brand: string;
+    batchIds: number[];
+    serialCount: bigint;
+    claims: bigint;
+    duplicateScans: bigint;
+    counterfeitRate: number;
+  }>
+> {
+  try {
+    const contract = getContract();
+    const events = await contract.queryFilter(contract.filters.ProductRegistered());
+    const registrations = events
+      .filter((event): event is ethers.EventLog => "args" in event)
+      .map((event) => ({
+        batchId: event.args.batchId as bigint,
+        name: event.args.name as string,
+        brand: event.args.brand as string,
+      }));
+
+    if (registrations.length === 0) {
+      return [];
+    }
+
+    const stats = await contract.getBatchStatsBatch(registrations.map((registration) => registration.batchId));
+
+    const lines = new Map<string, {
+      name: string;
+      brand: string;
+      batchIds: number[];
+      serialCount: bigint;
+      claims: bigint;
+      duplicateScans: bigint;
+      counterfeitRate: number;
+    }>();
+    registrations.forEach((registration, index) => {
+      const key = `${registration.brand}\u0000${registration.name}`;
+      const line = lines.get(key) || {
+        name: registration.name,
+        brand: registration.brand,
+        batchIds: [],
+        serialCount: 0n,
+        claims: 0n,
+        duplicateScans: 0n,
+        counterfeitRate: 0,
+      };
+      line.batchIds.push(Number(registration.batchId));
+      line.serialCount += stats.serialCounts[index];
+      line.claims += stats.claims[index];
+      line.duplicateScans += stats.duplicateScans[index];
+      lines.set(key, line);
+    });
+
+    // Share of scans that hit an already-claimed serial
+    for (const line of lines.values()) {
+      const scans = line.claims + line.duplicateScans;
+      line.counterfeitRate = scans > 0n ? Number(line.duplicateScans) / Number(scans) : 0;
+    }
+
+    return Array.from(lines.values()).sort((a, b) => Number(b.duplicateScans - a.duplicateScans));
+  } catch (error) {
+    throw new Error("Failed to fetch product line statistics: " + error);
+  }
+}
+
 // Extend Window interface for TypeScript
 declare global {
   interface Window {
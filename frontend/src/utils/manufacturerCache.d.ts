@@ -0,0 +1,12 @@
+/**
+ * Type declarations for manufacturerCache.js
+ */
+
+export interface CachedManufacturers {
+  addresses: string[];
+  cachedAt: number;
+}
+
+export function cacheManufacturers(addresses: string[]): void;
+export function getCachedManufacturers(): CachedManufacturers | null;
+export function clearManufacturerCache(): void;
@@ -0,0 +1,55 @@
+/**
+ * Manufacturer List Cache
+ * Keeps the contract's authorized manufacturers in localStorage so signed
+ * QR codes can be checked with no connectivity
+ */
+
+const CACHE_KEY = "chaincheck_manufacturers";
+
+/**
+ * Save the authorized manufacturer list
+ * @param {string[]} addresses - Manufacturer addresses from the contract
+ */
+export function cacheManufacturers(addresses) {
+  try {
+    localStorage.setItem(
+      CACHE_KEY,
+      JSON.stringify({
+        addresses: addresses.map((address) => address.toLowerCase()),
+        cachedAt: Date.now(),
+      })
+    );
+  } catch (error) {
+    console.error("Error saving manufacturer cache:", error);
+  }
+}
+
+/**
+ * Get the cached manufacturer list
+ * @returns {{addresses: string[], cachedAt: number} | null} Lowercase addresses and
+ *          the time they were fetched, or null if nothing is cached
+ */
+export function getCachedManufacturers() {
+  try {
+    const cached = localStorage.getItem(CACHE_KEY);
+    if (!cached) return null;
+
+    const parsed = JSON.parse(cached);
+    if (!Array.isArray(parsed.addresses)) return null;
+    return parsed;
+  } catch (error) {
+    console.error("Error reading manufacturer cache:", error);
+    return null;
+  }
+}
+
+/**
+ * Clear the cached manufacturer list
+ */
+export function clearManufacturerCache() {
+  try {
+    localStorage.removeItem(CACHE_KEY);
+  } catch (error) {
+    console.error("Error clearing manufacturer cache:", error);
+  }
+}
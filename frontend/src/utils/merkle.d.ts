@@ -0,0 +1,9 @@
+/**
+ * Type declarations for merkle.js
+ */
+
+export function hashLeaf(serialHash: string): string;
+export function hashPair(a: string, b: string): string;
+export function buildMerkleTree(serialHashes: string[]): string[][];
+export function getMerkleRoot(tree: string[][]): string;
+export function getMerkleProof(tree: string[][], index: number): string[];
@@ -0,0 +1,86 @@
+/**
+ * Merkle Tree Utility
+ * Builds serial-hash Merkle trees and proofs for batches registered
+ * with ChainCheck.registerProductMerkle
+ *
+ * Tree layout (must match the contract and scripts/utils/merkle.js):
+ * - Leaf: keccak256(serialHash)
+ * - Node: keccak256 of the two children, smaller hash first
+ * - An unpaired node at the end of a level is carried up unchanged
+ */
+
+import { ethers } from "ethers";
+
+/**
+ * Hash a serial hash into a Merkle leaf
+ * @param {string} serialHash - Hashed serial number (bytes32 hex)
+ * @returns {string} Leaf hash
+ */
+export function hashLeaf(serialHash) {
+  return ethers.keccak256(serialHash);
+}
+
+/**
+ * Hash two nodes in sorted order
+ * @param {string} a - Node hash
+ * @param {string} b - Node hash
+ * @returns {string} Parent hash
+ */
+export function hashPair(a, b) {
+  return BigInt(a) < BigInt(b)
+    ? ethers.keccak256(ethers.concat([a, b]))
+    : ethers.keccak256(ethers.concat([b, a]));
+}
+
+/**
+ * Build a Merkle tree from serial hashes
+ * @param {string[]} serialHashes - Hashed serial numbers, in batch order
+ * @returns {string[][]} Tree levels, from leaves (index 0) up to the root
+ */
+export function buildMerkleTree(serialHashes) {
+  if (serialHashes.length === 0) {
+    throw new Error("Cannot build a Merkle tree with no serials");
+  }
+
+  const levels = [serialHashes.map(hashLeaf)];
+  while (levels[levels.length - 1].length > 1) {
+    const level = levels[levels.length - 1];
+    const next = [];
+    for (let i = 0; i < level.length; i += 2) {
+      next.push(i + 1 < level.length ? hashPair(level[i], level[i + 1]) : level[i]);
+    }
+    levels.push(next);
+  }
+  return levels;
+}
+
+/**
+ * Get the root of a Merkle tree
+ * @param {string[][]} tree - Tree levels from buildMerkleTree
+ * @returns {string} Merkle root
+ */
+export function getMerkleRoot(tree) {
+  return tree[tree.length - 1][0];
+}
+
+/**
+ * Get the proof for the serial at a given index
+ * @param {string[][]} tree - Tree levels from buildMerkleTree
+ * @param {number} index - Index of the serial in the original array
+ * @returns {string[]} Sibling hashes from leaf to root
+ */
+export function getMerkleProof(tree, index) {
+  if (index < 0 || index >= tree[0].length) {
+    throw new Error(`Serial index ${index} is out of range`);
+  }
+
+  const proof = [];
+  for (let level = 0; level < tree.length - 1; level++) {
+    const sibling = index % 2 === 0 ? index + 1 : index - 1;
+    if (sibling < tree[level].length) {
+      proof.push(tree[level][sibling]);
+    }
+    index = Math.floor(index / 2);
+  }
+  return proof;
+}
@@ -2,6 +2,8 @@
  * Type declarations for qrGenerator.js
  */
 
+import type { Signer } from "ethers";
+
 export interface QRCodeOptions {
   width?: number;
   margin?: number;
@@ -26,3 +28,30 @@ export function generateBatchQRCodes(
   options?: QRCodeOptions
 ): Promise<string[]>;
 
+export function generateProductQRDataWithProof(
+  batchId: number,
+  serialNumber: string,
+  proof: string[]
+): string;
+export function generateMerkleBatchQRData(
+  batchId: number,
+  serialNumbers: string[]
+): { merkleRoot: string; qrData: string[] };
+export function generateMerkleBatchQRCodes(
+  batchId: number,
+  serialNumbers: string[],
+  options?: QRCodeOptions
+): Promise<{ merkleRoot: string; qrData: string[]; qrCodes: string[] }>;
+
+export function generateSignedProductQRData(
+  batchId: number,
+  serialNumber: string,
+  signature: string,
+  proof?: string[]
+): string;
+export function signProductQRData(
+  signer: Signer,
+  batchId: number,
+  serialNumber: string,
+  proof?: string[]
+): Promise<string>;
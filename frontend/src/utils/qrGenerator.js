@@ -4,6 +4,9 @@
  */
 
 import QRCode from "qrcode";
+import { ethers } from "ethers";
+import { generateSerialHash, generateQRMessageHash } from "./blockchain";
+import { buildMerkleTree, getMerkleRoot, getMerkleProof } from "./merkle";
 
 /**
  * Generate QR code as data URL (for display)
@@ -133,3 +136,96 @@ export async function generateBatchQRCodes(batchId, serialNumbers, options = {})
   }
 }
 
+
+/**
+ * Generate QR code data that embeds a Merkle proof
+ * Used for batches registered with a Merkle root, so the scanner can
+ * verify without any lookup. Format: JSON with batchId, serialNumber and proof
+ * @param {number} batchId - Product batch ID
+ * @param {string} serialNumber - Product serial number
+ * @param {string[]} proof - Merkle proof for the serial
+ * @returns {string} QR code data string
+ */
+export function generateProductQRDataWithProof(batchId, serialNumber, proof) {
+  return JSON.stringify({
+    batchId: batchId.toString(),
+    serialNumber,
+    proof,
+  });
+}
+
+/**
+ * Build the Merkle tree for a batch and the proof-carrying QR data for each serial
+ * @param {number} batchId - Product batch ID
+ * @param {string[]} serialNumbers - Array of serial numbers, in registration order
+ * @returns {{ merkleRoot: string, qrData: string[] }} Root to register and QR data per serial
+ */
+export function generateMerkleBatchQRData(batchId, serialNumbers) {
+  const serialHashes = serialNumbers.map((serialNumber) => generateSerialHash(batchId, serialNumber));
+  const tree = buildMerkleTree(serialHashes);
+
+  return {
+    merkleRoot: getMerkleRoot(tree),
+    qrData: serialNumbers.map((serialNumber, index) =>
+      generateProductQRDataWithProof(batchId, serialNumber, getMerkleProof(tree, index))
+    ),
+  };
+}
+
+/**
+ * Generate proof-carrying QR codes for a Merkle-registered batch
+ * @param {number} batchId - Product batch ID
+ * @param {string[]} serialNumbers - Array of serial numbers, in registration order
+ * @param {Object} options - QR code generation options
+ * @returns {Promise<{ merkleRoot: string, qrData: string[], qrCodes: string[] }>}
+ */
+export async function generateMerkleBatchQRCodes(batchId, serialNumbers, options = {}) {
+  try {
+    const { merkleRoot, qrData } = generateMerkleBatchQRData(batchId, serialNumbers);
+    const qrCodes = await Promise.all(qrData.map((data) => generateQRCodeDataURL(data, options)));
+    return { merkleRoot, qrData, qrCodes };
+  } catch (error) {
+    console.error("Error generating Merkle batch QR codes:", error);
+    throw new Error("Failed to generate Merkle batch QR codes");
+  }
+}
+
+/**
+ * Generate QR code data carrying a manufacturer signature
+ * Format: JSON with batchId, serialNumber, signature and an optional Merkle proof
+ * @param {number} batchId - Product batch ID
+ * @param {string} serialNumber - Product serial number
+ * @param {string} signature - Manufacturer signature over generateQRMessageHash(batchId, serialNumber)
+ * @param {string[]} [proof] - Merkle proof, for batches registered with a Merkle root
+ * @returns {string} QR code data string
+ */
+export function generateSignedProductQRData(batchId, serialNumber, signature, proof) {
+  return JSON.stringify({
+    batchId: batchId.toString(),
+    serialNumber,
+    ...(proof ? { proof } : {}),
+    signature,
+  });
+}
+
+/**
+ * Sign a product's QR code data with the manufacturer's key
+ * Scanners check the signature offline against the cached manufacturer list.
+ * With a browser wallet every call prompts for a signature; sign large runs
+ * with the QR generator service (QR_SIGNER_PRIVATE_KEY) instead
+ * @param {import("ethers").Signer} signer - Authorized manufacturer's signer
+ * @param {number} batchId - Product batch ID
+ * @param {string} serialNumber - Product serial number
+ * @param {string[]} [proof] - Merkle proof, for batches registered with a Merkle root
+ * @returns {Promise<string>} Signed QR code data string
+ */
+export async function signProductQRData(signer, batchId, serialNumber, proof) {
+  try {
+    const messageHash = generateQRMessageHash(batchId, serialNumber);
+    const signature = await signer.signMessage(ethers.getBytes(messageHash));
+    return generateSignedProductQRData(batchId, serialNumber, signature, proof);
+  } catch (error) {
+    console.error("Error signing QR code data:", error);
+    throw new Error("Failed to sign QR code data");
+  }
+}
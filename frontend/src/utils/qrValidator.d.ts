@@ -7,9 +7,22 @@ export interface QRValidationResult {
   format: "colon" | "json" | "invalid";
   batchId?: number;
   serialNumber?: string;
+  proof?: string[];
+  signature?: string;
   error?: string;
 }
 
+export interface QRSignatureCheck {
+  status: "unsigned" | "trusted" | "untrusted" | "invalid";
+  signer?: string;
+  /** Set once the batch's manufacturer is known from the contract */
+  matchesBatch?: boolean;
+}
+
 export function validateQRCodeOffline(qrData: string): QRValidationResult;
 export function getQRValidationErrorMessage(result: QRValidationResult): string;
+export function checkQRSignatureOffline(
+  result: QRValidationResult,
+  manufacturers: string[]
+): QRSignatureCheck;
 
@@ -3,8 +3,15 @@
  * 
  * Validates QR code format and structure without blockchain connection
  * This provides immediate feedback before attempting on-chain verification
+ * 
+ * Signed QR codes also carry a manufacturer signature over the batch ID and
+ * serial number; checkQRSignatureOffline recovers the signer and compares it
+ * with the manufacturer list cached from the contract
  */
 
+import { ethers } from "ethers";
+import { generateQRMessageHash } from "./blockchain";
+
 /**
  * Validate QR code data format offline
  * @param {string} qrData - Raw QR code string
@@ -13,6 +20,8 @@
  * @returns {string} returns.format - Format type ("colon", "json", or "invalid")
  * @returns {number} [returns.batchId] - Parsed batch ID if valid
  * @returns {string} [returns.serialNumber] - Parsed serial number if valid
+ * @returns {string[]} [returns.proof] - Merkle proof if the QR code embeds one
+ * @returns {string} [returns.signature] - Manufacturer signature if the QR code is signed
  * @returns {string} [returns.error] - Error message if invalid
  */
 export function validateQRCodeOffline(qrData) {
@@ -85,12 +94,39 @@ export function validateQRCodeOffline(qrData) {
           };
         }
 
-        return {
+        const result = {
           valid: true,
           format: "json",
           batchId,
           serialNumber,
         };
+
+        // Optional Merkle proof for batches registered with a Merkle root
+        if (parsed.proof !== undefined) {
+          const isBytes32 = (value) => typeof value === "string" && /^0x[0-9a-fA-F]{64}$/.test(value);
+          if (!Array.isArray(parsed.proof) || !parsed.proof.every(isBytes32)) {
+            return {
+              valid: false,
+              format: "invalid",
+              error: "Invalid Merkle proof in JSON",
+            };
+          }
+          result.proof = parsed.proof;
+        }
+
+        // Optional manufacturer signature (65-byte ECDSA signature)
+        if (parsed.signature !== undefined) {
+          if (typeof parsed.signature !== "string" || !/^0x[0-9a-fA-F]{130}$/.test(parsed.signature)) {
+            return {
+              valid: false,
+              format: "invalid",
+              error: "Invalid manufacturer signature in JSON",
+            };
+          }
+          result.signature = parsed.signature;
+        }
+
+        return result;
       } else {
         return {
           valid: false,
@@ -127,3 +163,35 @@ export function getQRValidationErrorMessage(result) {
   return result.error || "Invalid QR code format";
 }
 
+/**
+ * Check a signed QR code against the cached manufacturer list, without any network access
+ * A trusted signature proves the label was issued by an authorized manufacturer, but
+ * neither that it is the manufacturer of this batch nor that the label has not been
+ * copied; the on-chain check compares the signer with the batch's manufacturer and
+ * still detects duplicates
+ * @param {Object} result - Result of validateQRCodeOffline
+ * @param {string[]} manufacturers - Authorized manufacturer addresses cached from the contract
+ * @returns {Object} Signature check
+ * @returns {string} returns.status - "unsigned", "trusted" (signed by an authorized
+ *          manufacturer), "untrusted" (signed by another key) or "invalid"
+ * @returns {string} [returns.signer] - Recovered signer address
+ */
+export function checkQRSignatureOffline(result, manufacturers) {
+  if (!result.valid || !result.signature) {
+    return { status: "unsigned" };
+  }
+
+  let signer;
+  try {
+    const messageHash = generateQRMessageHash(result.batchId, result.serialNumber);
+    signer = ethers.verifyMessage(ethers.getBytes(messageHash), result.signature);
+  } catch (e) {
+    return { status: "invalid" };
+  }
+
+  const trusted = manufacturers.some((address) => address.toLowerCase() === signer.toLowerCase());
+  return {
+    status: trusted ? "trusted" : "untrusted",
+    signer,
+  };
+}
@@ -3,6 +3,8 @@
 interface ImportMetaEnv {
   readonly VITE_CONTRACT_ADDRESS?: string;
   readonly VITE_POLYGON_RPC_URL?: string;
+  readonly VITE_RELAYER_URL?: string;
+  readonly VITE_FORWARDER_ADDRESS?: string;
 }
 
 interface ImportMeta {
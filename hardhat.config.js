@@ -16,6 +16,14 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      // The IR pipeline keeps ChainCheck under the 24KB contract size limit
+      viaIR: true,
+      // Storage layouts let scripts/upgrade.js check upgrades for compatibility
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
     },
   },
   networks: {
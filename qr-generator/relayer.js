@@ -0,0 +1,276 @@
+/**
+ * Gasless Verification Relayer
+ *
+ * This service submits EIP-712 signed verification requests to the
+ * ChainCheckForwarder and pays the gas, so consumers can verify and claim
+ * products without holding MATIC.
+ *
+ * Usage:
+ *   POST /relay
+ *   Body: { request: { from, to, gas, nonce, deadline, data }, signature }
+ *   Returns: JSON with the transaction hash once mined
+ *
+ * Environment:
+ *   RELAYER_PRIVATE_KEY     Key of the account that pays gas (required)
+ *   FORWARDER_ADDRESS       Deployed ChainCheckForwarder (required)
+ *   CONTRACT_ADDRESS        ChainCheck contract requests must target (required)
+ *   RPC_URL                 JSON-RPC endpoint (default: http://127.0.0.1:8545)
+ *   RELAYER_PORT            Port to listen on (default: 3002)
+ *   RELAYER_RATE_LIMIT      Requests per signer and per IP per window (default: 10)
+ *   RELAYER_RATE_WINDOW_MS  Rate limit window in milliseconds (default: 60000)
+ *   RELAYER_MAX_GAS         Highest gas a request may ask for (default: 1000000)
+ */
+
+const express = require("express");
+const cors = require("cors");
+const { ethers } = require("ethers");
+
+const app = express();
+const PORT = process.env.RELAYER_PORT || 3002;
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const RATE_LIMIT = parseInt(process.env.RELAYER_RATE_LIMIT || "10");
+const RATE_WINDOW_MS = parseInt(process.env.RELAYER_RATE_WINDOW_MS || "60000");
+const MAX_GAS = BigInt(process.env.RELAYER_MAX_GAS || "1000000");
+
+for (const name of ["RELAYER_PRIVATE_KEY", "FORWARDER_ADDRESS", "CONTRACT_ADDRESS"]) {
+  if (!process.env[name]) {
+    console.error(`${name} is not set`);
+    process.exit(1);
+  }
+}
+
+const CONTRACT_ADDRESS = ethers.getAddress(process.env.CONTRACT_ADDRESS);
+
+/**
+ * ChainCheck functions the relayer pays for, plus the errors they can revert with
+ */
+const CHAINCHECK_ABI = [
+  "function verify(bytes32 serialHash, uint256 batchId)",
+  "function verifyWithProof(bytes32 serialHash, uint256 batchId, bytes32[] proof)",
+  "function commitClaim(bytes32 commitment)",
+  "function claim(bytes32 serialHash, uint256 batchId, bytes32[] proof, string claimCode)",
+  "function batchVerify(bytes32[] serialHashes, uint256[] batchIds)",
+  "function batchVerifyWithProof(bytes32[] serialHashes, uint256[] batchIds, bytes32[][] proofs)",
+  "function transferProduct(bytes32 serialHash, uint256 batchId, address newOwner)",
+  "function reportCounterfeit(bytes32 serialHash, uint256 batchId, bytes2 region, string evidenceHash)",
+  "error InvalidBatchId()",
+  "error BatchNotFound()",
+  "error SerialNotInBatch()",
+  "error InvalidProof()",
+  "error ClaimCodeRequired()",
+  "error NoClaimCode()",
+  "error InvalidClaimCode()",
+  "error ClaimNotCommitted()",
+  "error NotProductOwner()",
+  "error InvalidAddress()",
+  "error InvalidOwner()",
+  "error ContractPaused()",
+  "error OperationPaused(uint8 operation)",
+  "error BatchIsFrozen(uint256 batchId)",
+  "error ArraysLengthMismatch()",
+  "error TooManySerials()",
+  "error AlreadyReported()",
+];
+
+const FORWARDER_ABI = [
+  "function verify((address from, address to, uint256 gas, uint256 nonce, uint256 deadline, bytes data) req, bytes signature) view returns (bool)",
+  "function execute((address from, address to, uint256 gas, uint256 nonce, uint256 deadline, bytes data) req, bytes signature) returns (bytes)",
+  "error InvalidSignature()",
+  "error RequestExpired()",
+  "error InsufficientGas()",
+];
+
+const chainCheckInterface = new ethers.Interface(CHAINCHECK_ABI);
+const provider = new ethers.JsonRpcProvider(RPC_URL);
+const wallet = new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider);
+const forwarder = new ethers.Contract(process.env.FORWARDER_ADDRESS, FORWARDER_ABI, wallet);
+
+// Enable CORS for all routes
+app.use(cors());
+
+// Parse JSON bodies
+app.use(express.json({ limit: "100kb" }));
+
+/**
+ * Sliding-window rate limiter
+ * key => timestamps of accepted requests within the window
+ */
+const requestLog = new Map();
+
+/**
+ * Record a request for a key unless it is over the limit
+ * @param {string} key - Signer address or client IP
+ * @returns {boolean} True if the request is allowed
+ */
+function allowRequest(key) {
+  const now = Date.now();
+  const recent = (requestLog.get(key) || []).filter((timestamp) => now - timestamp < RATE_WINDOW_MS);
+
+  if (recent.length >= RATE_LIMIT) {
+    requestLog.set(key, recent);
+    return false;
+  }
+
+  recent.push(now);
+  requestLog.set(key, recent);
+  return true;
+}
+
+// Drop idle keys so the log does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, timestamps] of requestLog) {
+    if (timestamps.every((timestamp) => now - timestamp >= RATE_WINDOW_MS)) {
+      requestLog.delete(key);
+    }
+  }
+}, RATE_WINDOW_MS).unref();
+
+/**
+ * Validate the shape of a forward request and normalize its fields
+ * @param {object} request - Request from the client
+ * @returns {object} Request with checksummed addresses and bigint numbers
+ */
+function parseRequest(request) {
+  if (!request || typeof request !== "object") {
+    throw new Error("request is required");
+  }
+  if (!ethers.isAddress(request.from) || !ethers.isAddress(request.to)) {
+    throw new Error("request.from and request.to must be addresses");
+  }
+  // Malformed signatures recover to the zero address; never relay for it
+  if (ethers.getAddress(request.from) === ethers.ZeroAddress) {
+    throw new Error("request.from must not be the zero address");
+  }
+  if (!ethers.isHexString(request.data)) {
+    throw new Error("request.data must be hex calldata");
+  }
+
+  return {
+    from: ethers.getAddress(request.from),
+    to: ethers.getAddress(request.to),
+    gas: BigInt(request.gas),
+    nonce: BigInt(request.nonce),
+    deadline: BigInt(request.deadline),
+    data: request.data,
+  };
+}
+
+/**
+ * Turn revert data into the contract's custom error name where possible
+ * @param {Error} error - Error thrown by ethers
+ * @returns {string} Error message for the client
+ */
+function describeRevert(error) {
+  const data = error.data || (error.info && error.info.error && error.info.error.data);
+  if (data) {
+    for (const iface of [chainCheckInterface, forwarder.interface]) {
+      try {
+        const parsed = iface.parseError(data);
+        if (parsed) return parsed.name;
+      } catch {
+        // Not one of this interface's errors
+      }
+    }
+  }
+  return error.shortMessage || error.message;
+}
+
+/**
+ * POST /relay - Submit a signed request through the forwarder
+ * Body: {
+ *   request: { from, to, gas, nonce, deadline, data },
+ *   signature: string
+ * }
+ */
+app.post("/relay", async (req, res) => {
+  let request;
+  try {
+    request = parseRequest(req.body.request);
+  } catch (error) {
+    return res.status(400).json({ error: "Invalid request", message: error.message });
+  }
+
+  const { signature } = req.body;
+  if (!ethers.isHexString(signature, 65)) {
+    return res.status(400).json({ error: "Invalid request", message: "signature must be 65 bytes of hex" });
+  }
+
+  // Only pay for verification calls on our ChainCheck deployment
+  if (request.to !== CONTRACT_ADDRESS) {
+    return res.status(400).json({ error: "Invalid target", message: "Requests must target the ChainCheck contract" });
+  }
+  let call;
+  try {
+    call = chainCheckInterface.parseTransaction({ data: request.data });
+  } catch {
+    call = null;
+  }
+  if (!call) {
+    return res.status(400).json({ error: "Function not relayed", message: "Only verification, claim, transfer and counterfeit report calls are relayed" });
+  }
+  if (request.gas > MAX_GAS) {
+    return res.status(400).json({ error: "Gas too high", message: `Requests may ask for at most ${MAX_GAS} gas` });
+  }
+
+  if (!allowRequest(`ip:${req.ip}`) || !allowRequest(`from:${request.from}`)) {
+    return res.status(429).json({ error: "Rate limited", message: "Too many requests, please try again later" });
+  }
+
+  try {
+    const valid = await forwarder.verify(request, signature);
+    if (!valid) {
+      return res.status(400).json({ error: "Invalid signature", message: "Signature, nonce or deadline is not valid" });
+    }
+
+    // Simulate first so reverts are reported without spending gas. Simulate on
+    // the pending block: a claim must follow its commitment's block
+    try {
+      await forwarder.execute.staticCall(request, signature, { blockTag: "pending" });
+    } catch (error) {
+      return res.status(400).json({ error: "Request would revert", message: describeRevert(error) });
+    }
+
+    const tx = await forwarder.execute(request, signature);
+    const receipt = await tx.wait();
+
+    console.log(`Relayed ${call.name} for ${request.from}: ${receipt.hash}`);
+    res.json({
+      success: true,
+      function: call.name,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+    });
+  } catch (error) {
+    console.error("Error relaying request:", error);
+    res.status(500).json({
+      error: "Failed to relay request",
+      message: describeRevert(error),
+    });
+  }
+});
+
+/**
+ * Health check endpoint
+ */
+app.get("/health", async (req, res) => {
+  try {
+    const balance = await provider.getBalance(wallet.address);
+    res.json({
+      status: "ok",
+      service: "chaincheck-relayer",
+      relayer: wallet.address,
+      balance: ethers.formatEther(balance),
+    });
+  } catch (error) {
+    res.status(503).json({ status: "error", service: "chaincheck-relayer", message: error.message });
+  }
+});
+
+// Start server
+app.listen(PORT, () => {
+  console.log(`ChainCheck Relayer running on port ${PORT}`);
+  console.log(`Relayer account: ${wallet.address}`);
+  console.log(`Forwarder: ${process.env.FORWARDER_ADDRESS}`);
+  console.log(`Health check: http://localhost:${PORT}/health`);
+});
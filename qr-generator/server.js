@@ -10,15 +10,36 @@
  * 
  *   GET /qr/json?batchId=1&serialNumber=SN123456
  *   Returns: JSON with QR code data URL
+ * 
+ * Signed QR codes (format=signed) carry the manufacturer's ECDSA signature over
+ * the batch ID and serial number, bound to one deployment by its chain ID and
+ * contract address, which scanners check offline against the cached
+ * manufacturer list. Set QR_SIGNER_PRIVATE_KEY to the key of an authorized
+ * manufacturer, and CHAIN_ID and CONTRACT_ADDRESS to the deployment the labels
+ * are for, to enable them.
  */
 
 const express = require("express");
 const QRCode = require("qrcode");
 const cors = require("cors");
+const { ethers } = require("ethers");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Manufacturer key used to sign QR payloads (optional)
+const signer = process.env.QR_SIGNER_PRIVATE_KEY
+  ? new ethers.Wallet(process.env.QR_SIGNER_PRIVATE_KEY)
+  : null;
+
+// Deployment signed QR payloads are bound to
+if (signer && (!process.env.CHAIN_ID || !process.env.CONTRACT_ADDRESS)) {
+  console.error("CHAIN_ID and CONTRACT_ADDRESS must be set with QR_SIGNER_PRIVATE_KEY");
+  process.exit(1);
+}
+const CHAIN_ID = signer ? BigInt(process.env.CHAIN_ID) : null;
+const CONTRACT_ADDRESS = signer ? ethers.getAddress(process.env.CONTRACT_ADDRESS) : null;
+
 // Enable CORS for all routes
 app.use(cors());
 
@@ -44,16 +65,40 @@ async function generateQRCode(data) {
   }
 }
 
+/**
+ * Hash signed by the manufacturer for a signed QR payload
+ * Must match generateQRMessageHash in frontend/src/utils/blockchain.ts
+ * @param {number} batchId - Product batch ID
+ * @param {string} serialNumber - Serial number
+ * @returns {string} Message hash, signed as an EIP-191 personal message
+ */
+function getQRMessageHash(batchId, serialNumber) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["string", "uint256", "address", "uint256", "string"],
+      ["ChainCheck QR", CHAIN_ID, CONTRACT_ADDRESS, batchId, serialNumber]
+    )
+  );
+}
+
 /**
  * Generate product QR code data string
- * Format: "BATCH_ID:SERIAL_NUMBER" or JSON
+ * Format: "BATCH_ID:SERIAL_NUMBER", JSON, or JSON with a manufacturer signature
  * @param {number} batchId - Product batch ID
  * @param {string} serialNumber - Serial number
- * @param {boolean} useJson - Whether to use JSON format
- * @returns {string} Formatted QR code data
+ * @param {string} format - "colon", "json" or "signed"
+ * @returns {Promise<string>} Formatted QR code data
  */
-function formatQRData(batchId, serialNumber, useJson = false) {
-  if (useJson) {
+async function formatQRData(batchId, serialNumber, format = "colon") {
+  if (format === "signed") {
+    const signature = await signer.signMessage(ethers.getBytes(getQRMessageHash(batchId, serialNumber)));
+    return JSON.stringify({
+      batchId: batchId.toString(),
+      serialNumber: serialNumber,
+      signature,
+    });
+  }
+  if (format === "json") {
     return JSON.stringify({
       batchId: batchId.toString(),
       serialNumber: serialNumber,
@@ -62,12 +107,24 @@ function formatQRData(batchId, serialNumber, useJson = false) {
   return `${batchId}:${serialNumber}`;
 }
 
+/**
+ * Check that a requested QR format can be served
+ * @param {string} format - Requested format
+ * @returns {string|null} Error message, or null if the format can be served
+ */
+function getFormatError(format) {
+  if (format === "signed" && !signer) {
+    return "Signed QR codes are not enabled. Set QR_SIGNER_PRIVATE_KEY to a manufacturer key, with CHAIN_ID and CONTRACT_ADDRESS.";
+  }
+  return null;
+}
+
 /**
  * GET /qr - Generate QR code and return as HTML page
  * Query parameters:
  *   - batchId: Product batch ID (required)
  *   - serialNumber: Serial number (required)
- *   - format: 'json' for JSON format, 'colon' for colon-separated (default: 'colon')
+ *   - format: 'json' for JSON format, 'signed' for signed JSON, 'colon' for colon-separated (default: 'colon')
  */
 app.get("/qr", async (req, res) => {
   try {
@@ -82,7 +139,7 @@ app.get("/qr", async (req, res) => {
           <body>
             <h1>Error: Missing Parameters</h1>
             <p>Usage: /qr?batchId=1&serialNumber=SN123456</p>
-            <p>Optional: &format=json (for JSON format)</p>
+            <p>Optional: &format=json (for JSON format) or &format=signed (manufacturer-signed)</p>
           </body>
         </html>
       `);
@@ -101,9 +158,20 @@ app.get("/qr", async (req, res) => {
       `);
     }
 
+    const formatError = getFormatError(format);
+    if (formatError) {
+      return res.status(400).send(`
+        <html>
+          <body>
+            <h1>Error: Unsupported Format</h1>
+            <p>${formatError}</p>
+          </body>
+        </html>
+      `);
+    }
+
     // Format QR code data
-    const useJson = format === "json";
-    const qrData = formatQRData(batchIdNum, serialNumber, useJson);
+    const qrData = await formatQRData(batchIdNum, serialNumber, format);
 
     // Generate QR code
     const qrCodeDataURL = await generateQRCode(qrData);
@@ -190,7 +258,7 @@ app.get("/qr", async (req, res) => {
  * Query parameters:
  *   - batchId: Product batch ID (required)
  *   - serialNumber: Serial number (required)
- *   - format: 'json' for JSON format, 'colon' for colon-separated (default: 'colon')
+ *   - format: 'json' for JSON format, 'signed' for signed JSON, 'colon' for colon-separated (default: 'colon')
  */
 app.get("/qr/json", async (req, res) => {
   try {
@@ -216,9 +284,16 @@ app.get("/qr/json", async (req, res) => {
       });
     }
 
+    const formatError = getFormatError(format);
+    if (formatError) {
+      return res.status(400).json({
+        error: "Unsupported format",
+        message: formatError,
+      });
+    }
+
     // Format QR code data
-    const useJson = format === "json";
-    const qrData = formatQRData(batchIdNum, serialNumber, useJson);
+    const qrData = await formatQRData(batchIdNum, serialNumber, format);
 
     // Generate QR code
     const qrCodeDataURL = await generateQRCode(qrData);
@@ -230,7 +305,7 @@ app.get("/qr/json", async (req, res) => {
       serialNumber: serialNumber,
       qrData: qrData,
       qrCode: qrCodeDataURL,
-      format: useJson ? "json" : "colon",
+      format: format === "json" || format === "signed" ? format : "colon",
     });
   } catch (error) {
     console.error("Error generating QR code:", error);
@@ -246,7 +321,7 @@ app.get("/qr/json", async (req, res) => {
  * Body: {
  *   batchId: number,
  *   serialNumbers: string[],
- *   format?: 'json' | 'colon'
+ *   format?: 'json' | 'signed' | 'colon'
  * }
  */
 app.post("/qr/batch", async (req, res) => {
@@ -268,12 +343,19 @@ app.post("/qr/batch", async (req, res) => {
       });
     }
 
+    const formatError = getFormatError(format);
+    if (formatError) {
+      return res.status(400).json({
+        error: "Unsupported format",
+        message: formatError,
+      });
+    }
+
     // Generate QR codes for all serials
-    const useJson = format === "json";
     const qrCodes = [];
 
     for (const serialNumber of serialNumbers) {
-      const qrData = formatQRData(batchId, serialNumber, useJson);
+      const qrData = await formatQRData(batchId, serialNumber, format);
       const qrCodeDataURL = await generateQRCode(qrData);
 
       qrCodes.push({
@@ -302,7 +384,11 @@ app.post("/qr/batch", async (req, res) => {
  * Health check endpoint
  */
 app.get("/health", (req, res) => {
-  res.json({ status: "ok", service: "chaincheck-qr-generator" });
+  res.json({
+    status: "ok",
+    service: "chaincheck-qr-generator",
+    signer: signer ? signer.address : null,
+  });
 });
 
 // Start server
@@ -310,5 +396,8 @@ app.listen(PORT, () => {
   console.log(`ChainCheck QR Generator running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
   console.log(`QR endpoint: http://localhost:${PORT}/qr?batchId=1&serialNumber=SN123456`);
+  if (signer) {
+    console.log(`Signing QR codes as manufacturer ${signer.address} for ${CONTRACT_ADDRESS} on chain ${CHAIN_ID}`);
+  }
 });
 
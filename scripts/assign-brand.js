@@ -0,0 +1,100 @@
+const { ethers } = require("hardhat");
+require("dotenv").config();
+
+/**
+ * Assign Brand Script
+ * 
+ * Assign a brand in the on-chain registry to the manufacturer allowed to register it
+ * 
+ * Usage:
+ *   npx hardhat run scripts/assign-brand.js --network localhost --brand Nike --manufacturer 0xMaker
+ *   npx hardhat run scripts/assign-brand.js --network mumbai --brand Nike --release
+ *   npx hardhat run scripts/assign-brand.js --network mumbai --brand Nike
+ */
+
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let brand = null;
+let manufacturer = null;
+const release = args.includes("--release");
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--brand" && args[i + 1]) {
+    brand = args[i + 1];
+    i++;
+  } else if (args[i] === "--manufacturer" && args[i + 1]) {
+    manufacturer = args[i + 1];
+    i++;
+  }
+}
+
+async function main() {
+  console.log("\n=== Assign Brand ===\n");
+  console.log("Contract Address:", CONTRACT_ADDRESS);
+  console.log("");
+
+  if (!brand) {
+    console.log("Error: Brand is required");
+    console.log("\nUsage:");
+    console.log("  npx hardhat run scripts/assign-brand.js --network <network> --brand <name> [options]");
+    console.log("\nOptions:");
+    console.log("  --brand <name>            Canonical brand name (required)");
+    console.log("  --manufacturer <address>  Manufacturer to assign the brand to");
+    console.log("  --release                 Release the brand so nobody owns it");
+    console.log("\nWithout --manufacturer or --release the current assignment is shown.");
+    return;
+  }
+
+  // Get contract instance
+  const ChainCheck = await ethers.getContractFactory("ChainCheck");
+  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+
+  const brandId = await contract.brandIdOf(brand);
+  const current = await contract.brands(brandId);
+  console.log("Brand ID:", brandId);
+  console.log("Current owner:", current.manufacturer === ethers.ZeroAddress ? "(unassigned)" : current.manufacturer);
+  console.log("");
+
+  if (!manufacturer && !release) {
+    return;
+  }
+
+  if (manufacturer && !ethers.isAddress(manufacturer)) {
+    throw new Error(`Invalid manufacturer address: ${manufacturer}`);
+  }
+
+  // Get signer
+  const [signer] = await ethers.getSigners();
+  console.log("Signer address:", signer.address);
+
+  // Check if signer can manage manufacturers
+  const isManager = await contract.hasRole(await contract.MANUFACTURER_MANAGER_ROLE(), signer.address);
+  if (!isManager) {
+    throw new Error("Signer does not hold MANUFACTURER_MANAGER_ROLE required to assign brands");
+  }
+
+  const newOwner = release ? ethers.ZeroAddress : manufacturer;
+  if (!release && !(await contract.authorizedMakers(newOwner))) {
+    console.log("WARNING: Manufacturer is not authorized to register products yet");
+  }
+
+  console.log(release ? `Releasing brand "${brand}"...` : `Assigning brand "${brand}" to ${newOwner}...`);
+  const tx = await contract.assignBrand(brand, newOwner);
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+
+  const receipt = await tx.wait();
+  console.log("Transaction confirmed!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  console.log("");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n=== Error ===");
+    console.error(error);
+    process.exitCode = 1;
+  });
@@ -1,6 +1,7 @@
 const hre = require("hardhat");
 const fs = require("fs");
 const path = require("path");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
 /**
@@ -10,10 +11,36 @@ require("dotenv").config();
  * 
  * Usage:
  *   npx hardhat run scripts/backup-data.js --network polygon
+ *   npx hardhat run scripts/backup-data.js --network polygon --page-size 200
+ *
+ * Manufacturers and product batches are read with the contract's paginated
+ * views, so the export works for deployments of any size.
  */
 
 const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x0000000000000000000000000000000000000000";
 
+// Parse command line arguments
+const args = process.argv.slice(2);
+const pageSizeIndex = args.indexOf("--page-size");
+const PAGE_SIZE = pageSizeIndex !== -1 ? parseInt(args[pageSizeIndex + 1]) : 100;
+
+/**
+ * Collect every item of a paginated view
+ * @param {Function} fetchPage - (offset, limit) => [items, total]
+ * @returns {Promise<Array>} All items
+ */
+async function fetchAllPages(fetchPage) {
+  const items = [];
+  let total;
+  do {
+    const [page, pageTotal] = await fetchPage(items.length, PAGE_SIZE);
+    total = Number(pageTotal);
+    if (page.length === 0) break;
+    items.push(...page);
+  } while (items.length < total);
+  return items;
+}
+
 async function main() {
   console.log("\n" + "=".repeat(60));
   console.log("  ChainCheck Data Backup/Export");
@@ -24,8 +51,7 @@ async function main() {
     process.exit(1);
   }
 
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+  const contract = await chainCheckAt(hre.ethers, CONTRACT_ADDRESS);
 
   const backupDir = path.join(__dirname, "..", "backups");
   if (!fs.existsSync(backupDir)) {
@@ -55,27 +81,49 @@ async function main() {
 
   // Get authorized manufacturers
   try {
-    const eventFilter = contract.filters.ManufacturerAuthorized();
-    const events = await contract.queryFilter(eventFilter);
-    const manufacturers = events.map((e) => e.args.manufacturer);
-    backup.data.authorizedManufacturers = manufacturers;
+    const profiles = {};
+    const manufacturers = await fetchAllPages(async (offset, limit) => {
+      const page = await contract.getManufacturersPage(offset, limit);
+      page.makers.forEach((maker, index) => {
+        const profile = page.profiles[index];
+        if (!profile.name) return;
+        profiles[maker] = {
+          name: profile.name,
+          website: profile.website,
+          country: profile.country,
+          logoIpfsHash: profile.logoIpfsHash,
+          tier: Number(profile.tier),
+        };
+      });
+      return [page.makers, page.total];
+    });
+    backup.data.authorizedManufacturers = [...manufacturers];
     console.log(`[OK] Found ${manufacturers.length} authorized manufacturers`);
+    backup.data.manufacturerProfiles = profiles;
+    console.log(`[OK] Found ${Object.keys(profiles).length} manufacturer profiles`);
   } catch (e) {
     console.log("[WARN] Could not get manufacturers:", e.message);
   }
 
-  // Get all product batches (limited to recent events)
+  // Get all product batches, one page of IDs and details at a time
   try {
-    const batchFilter = contract.filters.ProductBatchRegistered();
-    const events = await contract.queryFilter(batchFilter, -10000); // Last 10000 blocks
-    const batches = events.map((e) => ({
-      batchId: Number(e.args.batchId),
-      name: e.args.name,
-      brand: e.args.brand,
-      manufacturer: e.args.manufacturer,
-      blockNumber: e.blockNumber,
-      transactionHash: e.transactionHash,
-    }));
+    const batchIds = await fetchAllPages((offset, limit) => contract.getBatchIds(offset, limit));
+    const batches = [];
+    for (let i = 0; i < batchIds.length; i += PAGE_SIZE) {
+      const ids = batchIds.slice(i, i + PAGE_SIZE);
+      const products = await contract.getProductsBatch(ids);
+      ids.forEach((batchId, index) => {
+        batches.push({
+          batchId: Number(batchId),
+          name: products.names[index],
+          brand: products.brands[index],
+          manufacturer: products.manufacturers[index],
+          registeredAt: Number(products.registeredAtArray[index]),
+          manufacturedAt: Number(products.manufacturedAtArray[index]),
+          expiresAt: Number(products.expiresAtArray[index]),
+        });
+      });
+    }
     backup.data.productBatches = batches;
     console.log(`[OK] Found ${batches.length} product batches`);
   } catch (e) {
@@ -84,8 +132,10 @@ async function main() {
 
   // Get verification statistics
   try {
-    const verifyFilter = contract.filters.ProductVerified();
-    const events = await contract.queryFilter(verifyFilter, -10000);
+    const verifyFilter = contract.filters.Verified();
+    const currentBlock = await hre.ethers.provider.getBlockNumber();
+    const fromBlock = Math.max(0, currentBlock - 10000); // Last 10k blocks
+    const events = await contract.queryFilter(verifyFilter, fromBlock, "latest");
     const verifications = events.map((e) => ({
       serialHash: e.args.serialHash,
       batchId: Number(e.args.batchId),
@@ -1,4 +1,9 @@
 const { ethers } = require("hardhat");
+const fs = require("fs");
+const crypto = require("crypto");
+const path = require("path");
+const { buildMerkleTree, getMerkleRoot, getMerkleProof } = require("./utils/merkle");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
 /**
@@ -6,11 +11,52 @@ require("dotenv").config();
  * 
  * Register multiple product batches at once
  * 
+ * The signer can be an authorized manufacturer or one of its operators; an
+ * operator's batches belong to its manufacturer. Each registration and append
+ * pays the contract's registration fee (quoteRegistrationFee).
+ * 
  * Usage:
  *   npx hardhat run scripts/batch-register.js --network localhost
+ *   npx hardhat run scripts/batch-register.js --network localhost --merkle
+ *   npx hardhat run scripts/batch-register.js --network localhost --claim-codes
+ *   npx hardhat run scripts/batch-register.js --network localhost --chunk-size 500 --seal
+ * 
+ * Options:
+ *   --merkle        Register each batch as a Merkle root instead of storing every serial.
+ *                   Proofs are written to merkle-proofs/batch-<id>.json so QR codes can embed them.
+ *   --claim-codes   Generate a scratch-off claim code per serial and commit its hash on-chain.
+ *                   Codes are written to claim-codes/batch-<id>.json - keep this file private.
+ *   --chunk-size <n> Serials per transaction (default and maximum: the contract's MAX_SERIALS_PER_BATCH).
+ *                   Larger batches are registered with the first chunk and the rest appended.
+ *   --seal          Seal each batch after registering so no more serials can be appended.
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const useMerkle = args.includes("--merkle");
+const useClaimCodes = args.includes("--claim-codes");
+const shouldSeal = args.includes("--seal");
+let chunkSize = null;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--chunk-size" && args[i + 1]) {
+    chunkSize = parseInt(args[i + 1]);
+    i++;
+  }
+}
+
+/**
+ * Split an array into chunks of at most `size` items
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
 
 /**
  * Helper function to generate serial hash
@@ -24,9 +70,91 @@ function generateSerialHash(batchId, serialNumber) {
   );
 }
 
+/**
+ * Generate a random claim code to print under a scratch-off, e.g. "4F2A-9C1B-77D0"
+ */
+function generateClaimCode() {
+  return crypto.randomBytes(6).toString("hex").toUpperCase().match(/.{4}/g).join("-");
+}
+
+/**
+ * Hash a claim code the way ChainCheck.claim checks it
+ */
+function generateClaimCodeHash(serialHash, claimCode) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["bytes32", "string"],
+      [serialHash, claimCode]
+    )
+  );
+}
+
+/**
+ * Write claim codes for a batch so they can be printed with the products
+ * @returns {string} Path of the written file
+ */
+function writeClaimCodes(batchId, serials, claimCodes) {
+  const codeDir = path.join(__dirname, "..", "claim-codes");
+  if (!fs.existsSync(codeDir)) {
+    fs.mkdirSync(codeDir, { recursive: true });
+  }
+
+  const codeFile = path.join(codeDir, `batch-${batchId}.json`);
+  const items = serials.map((serialNumber, index) => ({
+    serialNumber,
+    claimCode: claimCodes[index],
+  }));
+
+  fs.writeFileSync(codeFile, JSON.stringify({ batchId, serials: items }, null, 2));
+  return codeFile;
+}
+
+/**
+ * Write Merkle proofs for a batch so QR codes can embed them
+ * @returns {string} Path of the written file
+ */
+function writeMerkleProofs(batchId, serials, serialHashes, tree) {
+  const proofDir = path.join(__dirname, "..", "merkle-proofs");
+  if (!fs.existsSync(proofDir)) {
+    fs.mkdirSync(proofDir, { recursive: true });
+  }
+
+  const proofFile = path.join(proofDir, `batch-${batchId}.json`);
+  const items = serials.map((serialNumber, index) => {
+    const proof = getMerkleProof(tree, index);
+    return {
+      serialNumber,
+      serialHash: serialHashes[index],
+      proof,
+      // JSON QR payload understood by the frontend scanner
+      qrData: JSON.stringify({ batchId: batchId.toString(), serialNumber, proof }),
+    };
+  });
+
+  fs.writeFileSync(
+    proofFile,
+    JSON.stringify({ batchId, merkleRoot: getMerkleRoot(tree), serials: items }, null, 2)
+  );
+  return proofFile;
+}
+
+/**
+ * Convert an optional date ("2026-01-31" or any Date-parsable string) to a unix timestamp
+ * @returns {number} Seconds since the epoch, or 0 if no date is given
+ */
+function toTimestamp(date) {
+  if (!date) return 0;
+  const ms = Date.parse(date);
+  if (isNaN(ms)) {
+    throw new Error(`Invalid date: ${date}`);
+  }
+  return Math.floor(ms / 1000);
+}
+
 /**
  * Example products to register
  * Modify this array with your actual products
+ * manufacturedAt and expiresAt are optional dates; batches without expiresAt never expire
  */
 const PRODUCTS_TO_REGISTER = [
   {
@@ -36,7 +164,9 @@ const PRODUCTS_TO_REGISTER = [
     serials: ["SN001", "SN002", "SN003", "SN004", "SN005"],
     ipfsHash: "",
     description: "",
-    imageUrl: ""
+    imageUrl: "",
+    manufacturedAt: "",
+    expiresAt: ""
   },
   {
     batchId: 2,
@@ -45,7 +175,9 @@ const PRODUCTS_TO_REGISTER = [
     serials: ["SW001", "SW002", "SW003"],
     ipfsHash: "",
     description: "",
-    imageUrl: ""
+    imageUrl: "",
+    manufacturedAt: "",
+    expiresAt: ""
   },
   {
     batchId: 3,
@@ -54,7 +186,9 @@ const PRODUCTS_TO_REGISTER = [
     serials: ["WE001", "WE002", "WE003", "WE004", "WE005", "WE006"],
     ipfsHash: "",
     description: "",
-    imageUrl: ""
+    imageUrl: "",
+    manufacturedAt: "",
+    expiresAt: ""
   }
 ];
 
@@ -66,16 +200,52 @@ async function main() {
   console.log("Deployer address:", signer.address);
 
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
 
-  // Check if signer is authorized
+  // Check if signer is authorized, directly or as an operator
   const isAuthorized = await contract.authorizedMakers(signer.address);
+  const operator = await contract.getOperator(signer.address);
   if (!isAuthorized) {
-    throw new Error("Signer is not authorized to register products");
+    if (operator.manufacturer === ethers.ZeroAddress || !(await contract.authorizedMakers(operator.manufacturer))) {
+      throw new Error("Signer is not authorized to register products");
+    }
+    if (useClaimCodes) {
+      throw new Error("Operators cannot commit claim codes; use the manufacturer's key");
+    }
+    if (useMerkle && operator.serialQuota !== 0n) {
+      throw new Error("Operators with a serial quota cannot register Merkle batches; register per serial");
+    }
+    console.log("Operator of:", operator.manufacturer);
+    console.log(
+      "Batch IDs:",
+      operator.maxBatchId === 0n ? `${operator.minBatchId}+` : `${operator.minBatchId}-${operator.maxBatchId}`
+    );
+    console.log(
+      "Serial quota:",
+      operator.serialQuota === 0n ? "unlimited" : `${operator.serialsRegistered} of ${operator.serialQuota} used`
+    );
+  }
+
+  // Serials per transaction, capped by the contract's per-call limit
+  const maxSerials = Number(await contract.MAX_SERIALS_PER_BATCH());
+  if (!chunkSize || chunkSize > maxSerials) {
+    chunkSize = maxSerials;
   }
 
-  console.log("Authorized: YES\n");
+  console.log("Authorized: YES");
+  console.log("Mode:", useMerkle ? "Merkle root" : "Per-serial storage");
+  console.log("Claim codes:", useClaimCodes ? "YES" : "NO");
+  if (!useMerkle) {
+    console.log("Serials per transaction:", chunkSize);
+  }
+  console.log(
+    "Registration fees:",
+    ethers.formatEther(await contract.batchFee()),
+    "ETH per batch +",
+    ethers.formatEther(await contract.serialFee()),
+    "ETH per serial"
+  );
+  console.log("");
 
   // Register each product batch
   for (const product of PRODUCTS_TO_REGISTER) {
@@ -91,16 +261,44 @@ async function main() {
         const ipfsHash = product.ipfsHash || "";
         const description = product.description || "";
         const imageUrl = product.imageUrl || "";
+        const manufacturedAt = toTimestamp(product.manufacturedAt);
+        const expiresAt = toTimestamp(product.expiresAt);
 
-        const tx = await contract.registerProduct(
-          product.batchId,
-          product.name,
-          product.brand,
-          serialHashes,
-          ipfsHash,
-          description,
-          imageUrl
-        );
+        let tx;
+        let tree = null;
+        if (useMerkle) {
+          tree = buildMerkleTree(serialHashes);
+          const merkleRoot = getMerkleRoot(tree);
+          console.log("  Merkle root:", merkleRoot);
+
+          tx = await contract.registerProductMerkle(
+            product.batchId,
+            product.name,
+            product.brand,
+            merkleRoot,
+            serialHashes.length,
+            ipfsHash,
+            description,
+            imageUrl,
+            manufacturedAt,
+            expiresAt,
+            { value: await contract.quoteRegistrationFee(serialHashes.length, true) }
+          );
+        } else {
+          // Register the first chunk; the rest is appended below
+          tx = await contract.registerProduct(
+            product.batchId,
+            product.name,
+            product.brand,
+            serialHashes.slice(0, chunkSize),
+            ipfsHash,
+            description,
+            imageUrl,
+            manufacturedAt,
+            expiresAt,
+            { value: await contract.quoteRegistrationFee(Math.min(serialHashes.length, chunkSize), true) }
+          );
+        }
 
       console.log("  Transaction hash:", tx.hash);
       console.log("  Waiting for confirmation...");
@@ -108,6 +306,54 @@ async function main() {
       const receipt = await tx.wait();
       console.log("  Registered successfully!");
       console.log("  Gas used:", receipt.gasUsed.toString());
+
+      if (!useMerkle && serialHashes.length > chunkSize) {
+        const remaining = chunk(serialHashes.slice(chunkSize), chunkSize);
+        for (let i = 0; i < remaining.length; i++) {
+          console.log(`  Appending chunk ${i + 2}/${remaining.length + 1} (${remaining[i].length} serials)...`);
+          const appendTx = await contract.appendSerials(product.batchId, remaining[i], {
+            value: await contract.quoteRegistrationFee(remaining[i].length, false),
+          });
+          await appendTx.wait();
+        }
+        console.log("  Serials registered:", (await contract.batchSerialCount(product.batchId)).toString());
+      }
+
+      if (shouldSeal && !useMerkle) {
+        console.log("  Sealing batch...");
+        const sealTx = await contract.sealBatch(product.batchId);
+        await sealTx.wait();
+      }
+
+      if (tree) {
+        const proofFile = writeMerkleProofs(product.batchId, product.serials, serialHashes, tree);
+        console.log("  Proofs written to:", proofFile);
+      }
+
+      if (useClaimCodes) {
+        const claimCodes = product.serials.map(() => generateClaimCode());
+        const codeHashes = serialHashes.map((serialHash, index) =>
+          generateClaimCodeHash(serialHash, claimCodes[index])
+        );
+
+        console.log("  Committing claim codes...");
+        const serialChunks = chunk(serialHashes, chunkSize);
+        const codeChunks = chunk(codeHashes, chunkSize);
+        // Merkle batches prove each serial's membership
+        const proofChunks = tree ? chunk(serialHashes.map((_, index) => getMerkleProof(tree, index)), chunkSize) : [];
+        for (let i = 0; i < serialChunks.length; i++) {
+          const codeTx = await contract.commitClaimCodes(
+            product.batchId,
+            serialChunks[i],
+            codeChunks[i],
+            proofChunks[i] || []
+          );
+          await codeTx.wait();
+        }
+
+        const codeFile = writeClaimCodes(product.batchId, product.serials, claimCodes);
+        console.log("  Claim codes written to:", codeFile);
+      }
       console.log("");
 
       // Wait a bit between transactions
@@ -1,103 +1,114 @@
 const hre = require("hardhat");
 require("dotenv").config();
+const { deployChainCheckProxy } = require("./utils/proxy");
 
 /**
  * Gas Benchmarking Script
- * 
- * Measures gas costs for all contract functions to help with optimization
- * 
+ *
+ * Measures gas costs of the main contract functions in both verification
+ * history modes: storage (default) and events-only (storeHistory = false)
+ *
  * Usage:
  *   npx hardhat run scripts/benchmark-gas.js --network localhost
  */
 
-async function main() {
-  console.log("\n" + "=".repeat(60));
-  console.log("  ChainCheck Gas Benchmarking");
-  console.log("=".repeat(60) + "\n");
-
-  const [deployer, manufacturer, verifier] = await ethers.getSigners();
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = await ChainCheck.deploy();
-  await contract.waitForDeployment();
+/**
+ * Generate serial hash from batch ID and serial number
+ */
+function generateSerialHash(batchId, serialNumber) {
+  return ethers.keccak256(
+    ethers.AbiCoder.defaultAbiCoder().encode(
+      ["uint256", "string"],
+      [batchId, serialNumber]
+    )
+  );
+}
 
-  const contractAddress = await contract.getAddress();
-  console.log("Contract deployed at:", contractAddress);
-  console.log("");
+/**
+ * Send a transaction and return its gas used
+ */
+async function measure(txPromise) {
+  const tx = await txPromise;
+  const receipt = await tx.wait();
+  return receipt.gasUsed;
+}
 
-  // Authorize manufacturer
-  console.log("Authorizing manufacturer...");
-  const authTx = await contract.authorizeManufacturer(manufacturer.address);
-  await authTx.wait();
-  console.log("[OK] Manufacturer authorized\n");
+/**
+ * Deploy a fresh proxied contract and benchmark it in the given history mode
+ * @param {boolean} storeHistory - Keep verification history in storage
+ * @returns {Promise<Map<string, bigint>>} Gas used per benchmarked operation
+ */
+async function benchmark(storeHistory) {
+  const signers = await ethers.getSigners();
+  const [, manufacturer, verifier, secondVerifier] = signers;
+  const { chaincheck: contract } = await deployChainCheckProxy(ethers, {
+    admin: signers[signers.length - 1].address,
+    storeHistory,
+  });
+  await (await contract.authorizeManufacturer(manufacturer.address, true)).wait();
 
-  const results = [];
+  const results = new Map();
+  const serials = Array.from({ length: 6 }, (_, i) => generateSerialHash(1, `SN00${i + 1}`));
 
-  // Benchmark: Register Product Batch
-  console.log("Benchmarking: registerProductBatch...");
-  const registerTx = await contract.connect(manufacturer).registerProductBatch(
-    1,
-    "Test Product",
-    "Test Brand",
-    [ethers.keccak256(ethers.toUtf8Bytes("SN001"))],
-    { gasLimit: 5000000 }
+  results.set(
+    "registerProduct (1 serial)",
+    await measure(contract.connect(manufacturer).registerProduct(1, "Test Product", "Test Brand", [serials[0]], "", "", "", 0, 0))
+  );
+  results.set(
+    "appendSerials (5 serials)",
+    await measure(contract.connect(manufacturer).appendSerials(1, serials.slice(1)))
+  );
+  results.set(
+    "verify (first scan, claims)",
+    await measure(contract.connect(verifier).verify(serials[0], 1))
+  );
+  results.set(
+    "verify (owner re-scan)",
+    await measure(contract.connect(verifier).verify(serials[0], 1))
+  );
+  results.set(
+    "verify (duplicate scan)",
+    await measure(contract.connect(secondVerifier).verify(serials[0], 1))
+  );
+  results.set(
+    "batchVerify (5 serials)",
+    await measure(contract.connect(verifier).batchVerify(serials.slice(1), Array(5).fill(1)))
   );
-  const registerReceipt = await registerTx.wait();
-  const registerGas = registerReceipt.gasUsed;
-  results.push({ function: "registerProductBatch", gas: registerGas.toString() });
-  console.log(`  Gas used: ${registerGas.toString()}\n`);
-
-  // Benchmark: Verify Product
-  console.log("Benchmarking: verifyProduct...");
-  const serialHash = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
-    ["uint256", "string"],
-    [1, "SN001"]
-  ));
-  const verifyTx = await contract.connect(verifier).verifyProduct(serialHash, 1, { gasLimit: 5000000 });
-  const verifyReceipt = await verifyTx.wait();
-  const verifyGas = verifyReceipt.gasUsed;
-  results.push({ function: "verifyProduct", gas: verifyGas.toString() });
-  console.log(`  Gas used: ${verifyGas.toString()}\n`);
 
-  // Benchmark: Get Product Info (view function - no gas, but we measure)
-  console.log("Benchmarking: getProductInfo (view function)...");
-  const productInfo = await contract.getProductInfo(1);
-  results.push({ function: "getProductInfo", gas: "0 (view)" });
-  console.log("  Gas used: 0 (view function)\n");
+  return results;
+}
 
-  // Benchmark: Get Verification Count (view function)
-  console.log("Benchmarking: getVerificationCount (view function)...");
-  const count = await contract.getVerificationCount(serialHash);
-  results.push({ function: "getVerificationCount", gas: "0 (view)" });
-  console.log("  Gas used: 0 (view function)\n");
+async function main() {
+  console.log("\n" + "=".repeat(78));
+  console.log("  ChainCheck Gas Benchmarking");
+  console.log("=".repeat(78) + "\n");
 
-  // Benchmark: Batch Register (multiple serials)
-  console.log("Benchmarking: registerProductBatch (5 serials)...");
-  const batchSerials = Array.from({ length: 5 }, (_, i) => 
-    ethers.keccak256(ethers.toUtf8Bytes(`SN00${i + 2}`))
-  );
-  const batchTx = await contract.connect(manufacturer).registerProductBatch(
-    2,
-    "Batch Product",
-    "Batch Brand",
-    batchSerials,
-    { gasLimit: 5000000 }
-  );
-  const batchReceipt = await batchTx.wait();
-  const batchGas = batchReceipt.gasUsed;
-  results.push({ function: "registerProductBatch (5 serials)", gas: batchGas.toString() });
-  console.log(`  Gas used: ${batchGas.toString()}\n`);
+  console.log("Benchmarking storage history mode...");
+  const storage = await benchmark(true);
+  console.log("Benchmarking events-only mode...");
+  const eventsOnly = await benchmark(false);
+  console.log("");
 
   // Summary
-  console.log("=".repeat(60));
+  console.log("=".repeat(78));
   console.log("  Gas Benchmark Results");
-  console.log("=".repeat(60) + "\n");
-  console.log("Function".padEnd(40) + "Gas Used");
-  console.log("-".repeat(60));
-  results.forEach(({ function: func, gas }) => {
-    console.log(func.padEnd(40) + gas);
-  });
-  console.log("\n" + "=".repeat(60));
+  console.log("=".repeat(78) + "\n");
+  console.log("Function".padEnd(32) + "Storage".padStart(12) + "Events only".padStart(14) + "Saved".padStart(20));
+  console.log("-".repeat(78));
+  for (const [func, storageGas] of storage) {
+    const eventsGas = eventsOnly.get(func);
+    const saved = storageGas - eventsGas;
+    const savedPercent = storageGas > 0n ? Number((saved * 10000n) / storageGas) / 100 : 0;
+    console.log(
+      func.padEnd(32) +
+      storageGas.toString().padStart(12) +
+      eventsGas.toString().padStart(14) +
+      `${saved} (${savedPercent.toFixed(1)}%)`.padStart(20)
+    );
+  }
+  console.log("\n" + "=".repeat(78));
   console.log("\nNote: Gas costs vary by network and current gas prices.");
+  console.log("Events-only deployments rebuild verification history from Verified events.");
   console.log("View functions (reads) cost 0 gas for users.\n");
 }
 
@@ -107,4 +118,3 @@ main()
     console.error(error);
     process.exit(1);
   });
-
@@ -1,20 +1,28 @@
 const hre = require("hardhat");
 require("dotenv").config();
+const { deployChainCheckProxy } = require("./utils/proxy");
+const { getStorageLayout, writeStorageLayoutSnapshot } = require("./utils/storage-layout");
 
 /**
  * Production Deployment Script for ChainCheck
  * 
  * This script handles the complete production deployment process:
  * 1. Checks prerequisites (balance, environment variables)
- * 2. Deploys contract to Polygon mainnet
- * 3. Verifies contract on PolygonScan
- * 4. Updates frontend configuration
+ * 2. Deploys the implementation and upgradeable proxy to Polygon mainnet
+ * 3. Records the storage layout for future upgrade checks
+ * 4. Verifies contracts on PolygonScan
+ * 5. Updates frontend configuration
  * 
  * Usage:
  *   npx hardhat run scripts/deploy-production.js --network polygon
+ *   npx hardhat run scripts/deploy-production.js --network polygon --events-only
+ * 
+ * Options:
+ *   --events-only   Keep verification history in Verified events only (cheaper scans)
  * 
  * Prerequisites:
  *   - PRIVATE_KEY set in .env
+ *   - PROXY_ADMIN_ADDRESS set in .env (upgrade key, not the deployer)
  *   - POLYGON_RPC_URL set in .env (optional)
  *   - POLYGONSCAN_API_KEY set in .env (for verification)
  *   - At least 0.1 MATIC in deployer wallet
@@ -23,6 +31,10 @@ require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
 
+// Parse command line arguments
+const args = process.argv.slice(2);
+const storeHistory = !args.includes("--events-only");
+
 async function main() {
   console.log("\n" + "=".repeat(60));
   console.log("  ChainCheck Production Deployment");
@@ -33,6 +45,16 @@ async function main() {
   const deployerAddress = deployer.address;
 
   console.log("Deployer Address:", deployerAddress);
+
+  // The proxy admin can only upgrade; it must not be the owner
+  const proxyAdmin = process.env.PROXY_ADMIN_ADDRESS;
+  if (!proxyAdmin || !ethers.isAddress(proxyAdmin)) {
+    console.error("[ERROR] PROXY_ADMIN_ADDRESS is not set!");
+    console.error("   Set it in .env to the account that will sign upgrades.");
+    console.error("   It must differ from the deployer, which becomes the contract owner.\n");
+    process.exit(1);
+  }
+  console.log("Proxy Admin:", proxyAdmin);
   console.log("Network: Polygon Mainnet (Chain ID: 137)\n");
 
   // Check account balance
@@ -59,7 +81,7 @@ async function main() {
   }
 
   // Estimate deployment cost
-  const estimatedGas = 2000000n; // Approximate gas for deployment
+  const estimatedGas = 6000000n; // Approximate gas for implementation and proxy
   const estimatedCost = gasPrice * estimatedGas;
   const estimatedCostFormatted = ethers.formatEther(estimatedCost);
 
@@ -80,39 +102,60 @@ async function main() {
   console.log("Ready to deploy ChainCheck to Polygon Mainnet.");
   console.log("This will cost approximately", estimatedCostFormatted, "MATIC.\n");
 
-  // Deploy the ChainCheck contract
+  // Deploy the ChainCheck implementation and proxy
   console.log("Deploying ChainCheck contract...");
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const chaincheck = await ChainCheck.deploy();
-
-  console.log("Waiting for deployment transaction...");
-  await chaincheck.waitForDeployment();
+  console.log("Verification history:", storeHistory ? "storage" : "events only");
+  console.log("Waiting for deployment transactions...");
+  const { chaincheck, proxy, implementation } = await deployChainCheckProxy(ethers, {
+    admin: proxyAdmin,
+    storeHistory,
+  });
   const contractAddress = await chaincheck.getAddress();
+  const implementationAddress = await implementation.getAddress();
 
   console.log("\n" + "=".repeat(60));
   console.log("  [OK] Deployment Successful!");
   console.log("=".repeat(60));
   console.log("\nContract Address:", contractAddress);
+  console.log("Implementation:", implementationAddress);
   console.log("Network: Polygon Mainnet");
   console.log("Chain ID: 137\n");
 
   // Wait for block confirmations
   console.log("Waiting for 5 block confirmations...");
-  const deploymentTx = chaincheck.deploymentTransaction();
+  const deploymentTx = proxy.deploymentTransaction();
   if (deploymentTx) {
     await deploymentTx.wait(5);
     console.log("[OK] Transaction confirmed!\n");
   }
 
+  // Record the deployed storage layout for future upgrade checks
+  const layoutPath = writeStorageLayoutSnapshot(await getStorageLayout(hre));
+  console.log("[OK] Storage layout saved to:", path.relative(path.join(__dirname, ".."), layoutPath));
+  console.log("   Commit it: scripts/upgrade.js checks future upgrades against it.\n");
+
   // Verify contract on PolygonScan (if API key is set)
   if (process.env.POLYGONSCAN_API_KEY) {
-    console.log("Verifying contract on PolygonScan...");
+    console.log("Verifying contracts on PolygonScan...");
     try {
+      const extensionAddress = await implementation.extension();
       await hre.run("verify:verify", {
-        address: contractAddress,
+        address: extensionAddress,
         constructorArguments: [],
       });
-      console.log("[OK] Contract verified on PolygonScan!");
+      await hre.run("verify:verify", {
+        address: implementationAddress,
+        constructorArguments: [extensionAddress],
+      });
+      await hre.run("verify:verify", {
+        address: contractAddress,
+        constructorArguments: [
+          implementationAddress,
+          proxyAdmin,
+          implementation.interface.encodeFunctionData("initialize", [storeHistory]),
+        ],
+      });
+      console.log("[OK] Contracts verified on PolygonScan!");
       console.log("   View at: https://polygonscan.com/address/" + contractAddress + "\n");
     } catch (error) {
       if (error.message.includes("Already Verified")) {
@@ -126,7 +169,7 @@ async function main() {
   } else {
     console.log("[WARN] POLYGONSCAN_API_KEY not set. Skipping verification.");
     console.log("   To verify later, run:");
-    console.log("   npx hardhat verify --network polygon", contractAddress + "\n");
+    console.log("   npx hardhat verify --network polygon", implementationAddress + "\n");
   }
 
   // Update frontend configuration
@@ -162,6 +205,8 @@ async function main() {
   // Save deployment info to file
   const deploymentInfo = {
     contractAddress: contractAddress,
+    implementationAddress: implementationAddress,
+    proxyAdmin: proxyAdmin,
     network: "Polygon Mainnet",
     chainId: 137,
     deployer: deployerAddress,
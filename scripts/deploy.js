@@ -1,14 +1,36 @@
 const hre = require("hardhat");
+const { deployChainCheckProxy } = require("./utils/proxy");
+const { getStorageLayout, writeStorageLayoutSnapshot } = require("./utils/storage-layout");
 
 /**
  * Deployment script for ChainCheck contract
  * 
+ * Deploys the ChainCheck implementation behind an upgradeable ChainCheckProxy.
+ * The deployer becomes ChainCheck's owner; the proxy admin (PROXY_ADMIN_ADDRESS,
+ * or the last Hardhat account on the local network) must be another account.
+ * ChainCheckTwin, the ERC-721 minted on first claims, is deployed and linked
+ * alongside it.
+ * 
  * Usage:
  *   npx hardhat run scripts/deploy.js --network localhost
  *   npx hardhat run scripts/deploy.js --network mumbai
  *   npx hardhat run scripts/deploy.js --network polygon
+ *   npx hardhat run scripts/deploy.js --network polygon --forwarder
+ *   npx hardhat run scripts/deploy.js --network polygon --events-only
+ *   npx hardhat run scripts/deploy.js --network polygon --no-twin
  * 
+ * Options:
+ *   --forwarder     Also deploy ChainCheckForwarder and trust it for gasless verification
+ *   --events-only   Keep verification history in Verified events only (cheaper scans)
+ *   --no-twin       Skip ChainCheckTwin; claims then mint no tokens
  */
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const deployForwarder = args.includes("--forwarder");
+const storeHistory = !args.includes("--events-only");
+const deployTwin = !args.includes("--no-twin");
+
 async function main() {
   // Get the deployer account
   const [deployer] = await ethers.getSigners();
@@ -25,36 +47,103 @@ async function main() {
     throw new Error("Insufficient balance. Please fund your account.");
   }
 
-  // Deploy the ChainCheck contract
-  console.log("\nDeploying ChainCheck contract...");
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const chaincheck = await ChainCheck.deploy();
+  // Get network information
+  const network = await ethers.provider.getNetwork();
 
-  // Wait for deployment to complete
-  await chaincheck.waitForDeployment();
+  // Resolve the proxy admin, which must not be the owner
+  let proxyAdmin = process.env.PROXY_ADMIN_ADDRESS;
+  if (!proxyAdmin) {
+    if (network.chainId !== 1337n) {
+      throw new Error("Set PROXY_ADMIN_ADDRESS in .env (an account other than the deployer)");
+    }
+    const signers = await ethers.getSigners();
+    proxyAdmin = signers[signers.length - 1].address;
+  }
+
+  // Deploy the ChainCheck implementation and proxy
+  console.log("\nDeploying ChainCheck contract...");
+  console.log("Verification history:", storeHistory ? "storage" : "events only");
+  console.log("Proxy admin:", proxyAdmin);
+  const { chaincheck, proxy, implementation } = await deployChainCheckProxy(ethers, {
+    admin: proxyAdmin,
+    storeHistory,
+  });
   const contractAddress = await chaincheck.getAddress();
+  const implementationAddress = await implementation.getAddress();
 
   console.log("\n=== Deployment Successful ===");
   console.log("ChainCheck deployed to:", contractAddress);
+  console.log("Implementation:", implementationAddress);
+
+  // Deploy the forwarder that relayers submit signed requests through
+  let forwarderAddress = null;
+  if (deployForwarder) {
+    console.log("\nDeploying ChainCheckForwarder contract...");
+    const ChainCheckForwarder = await ethers.getContractFactory("ChainCheckForwarder");
+    const forwarder = await ChainCheckForwarder.deploy();
+    await forwarder.waitForDeployment();
+    forwarderAddress = await forwarder.getAddress();
+    console.log("ChainCheckForwarder deployed to:", forwarderAddress);
+
+    const tx = await chaincheck.setTrustedForwarder(forwarderAddress);
+    await tx.wait();
+    console.log("Trusted forwarder set on ChainCheck");
+  }
+
+  // Deploy the ERC-721 minted on first claims and link it
+  let twinAddress = null;
+  if (deployTwin) {
+    console.log("\nDeploying ChainCheckTwin contract...");
+    const ChainCheckTwin = await ethers.getContractFactory("ChainCheckTwin");
+    const twin = await ChainCheckTwin.deploy(contractAddress);
+    await twin.waitForDeployment();
+    twinAddress = await twin.getAddress();
+    console.log("ChainCheckTwin deployed to:", twinAddress);
+
+    const tx = await chaincheck.setOwnershipToken(twinAddress);
+    await tx.wait();
+    console.log("Ownership token set on ChainCheck");
+  }
 
-  // Get network information
-  const network = await ethers.provider.getNetwork();
   console.log("Network:", network.name, "(Chain ID:", network.chainId.toString() + ")");
 
   // Wait for a few block confirmations before verification
   if (network.chainId !== 1337n) {
     console.log("\nWaiting for block confirmations...");
-    await chaincheck.deploymentTransaction().wait(5);
+    await proxy.deploymentTransaction().wait(5);
 
-    // Verify contract on PolygonScan (if API key is set)
+    // Record the deployed storage layout for future upgrade checks
+    console.log("Saved storage layout to", writeStorageLayoutSnapshot(await getStorageLayout(hre)));
+    console.log("Commit it: scripts/upgrade.js checks future upgrades against it");
+
+    // Verify contracts on PolygonScan (if API key is set)
     if (process.env.POLYGONSCAN_API_KEY) {
-      console.log("\nVerifying contract on PolygonScan...");
+      console.log("\nVerifying contracts on PolygonScan...");
       try {
+        const extensionAddress = await implementation.extension();
         await hre.run("verify:verify", {
-          address: contractAddress,
+          address: extensionAddress,
           constructorArguments: [],
         });
-        console.log("Contract verified successfully!");
+        await hre.run("verify:verify", {
+          address: implementationAddress,
+          constructorArguments: [extensionAddress],
+        });
+        await hre.run("verify:verify", {
+          address: contractAddress,
+          constructorArguments: [
+            implementationAddress,
+            proxyAdmin,
+            implementation.interface.encodeFunctionData("initialize", [storeHistory]),
+          ],
+        });
+        if (twinAddress) {
+          await hre.run("verify:verify", {
+            address: twinAddress,
+            constructorArguments: [contractAddress],
+          });
+        }
+        console.log("Contracts verified successfully!");
       } catch (error) {
         if (error.message.includes("Already Verified")) {
           console.log("Contract already verified.");
@@ -69,7 +158,17 @@ async function main() {
   console.log("1. Update CONTRACT_ADDRESS in frontend/src/config.ts");
   console.log("2. Copy contract ABI from artifacts/contracts/ChainCheck.sol/ChainCheck.json");
   console.log("3. Deploy frontend: cd frontend && npm run build && vercel --prod");
+  if (forwarderAddress) {
+    console.log("4. Set VITE_FORWARDER_ADDRESS and VITE_RELAYER_URL for the frontend,");
+    console.log("   and FORWARDER_ADDRESS for the relayer (qr-generator/relayer.js)");
+  }
   console.log("\nContract Address:", contractAddress);
+  if (forwarderAddress) {
+    console.log("Forwarder Address:", forwarderAddress);
+  }
+  if (twinAddress) {
+    console.log("Twin Token Address:", twinAddress);
+  }
 }
 
 // Execute deployment
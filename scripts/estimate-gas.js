@@ -1,16 +1,42 @@
 const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { buildMerkleTree, getMerkleRoot } = require("./utils/merkle");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
 /**
  * Gas Estimation Script
- * 
- * Estimate gas costs for various contract operations
- * 
+ *
+ * Estimate gas costs for various contract operations. Registrations also
+ * show the registration fee and the total cost (gas + fee).
+ *
  * Usage:
  *   npx hardhat run scripts/estimate-gas.js --network localhost
+ *   npx hardhat run scripts/estimate-gas.js --network mumbai --batch 42 --serial SN001
+ *
+ * Only estimateGas is used: the script never sends a transaction. Verification
+ * and metadata estimates need an existing batch, given with --batch and one of
+ * its unclaimed serials with --serial. Serials of Merkle batches are looked up
+ * in merkle-proofs/batch-<id>.json (written by scripts/batch-register.js).
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let existingBatchId = null;
+let existingSerial = null;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--batch" && args[i + 1]) {
+    existingBatchId = parseInt(args[i + 1]);
+    i++;
+  } else if (args[i] === "--serial" && args[i + 1]) {
+    existingSerial = args[i + 1];
+    i++;
+  }
+}
 
 /**
  * Generate serial hash
@@ -24,24 +50,69 @@ function generateSerialHash(batchId, serialNumber) {
   );
 }
 
+/**
+ * Print the gas cost of a call at 30 gwei, plus the registration fee it pays
+ * @param {bigint} gas - Estimated gas
+ * @param {bigint} [fee] - Registration fee sent as value
+ */
+function printCost(gas, fee = 0n) {
+  const gasCost = gas * 30n * 10n**9n;
+  console.log("   Gas:", gas.toString());
+  console.log("   Cost (at 30 gwei):", ethers.formatEther(gasCost), "ETH");
+  if (fee > 0n) {
+    console.log("   Registration fee:", ethers.formatEther(fee), "ETH");
+    console.log("   Total cost:", ethers.formatEther(gasCost + fee), "ETH");
+  }
+}
+
+/**
+ * Find a serial's Merkle proof in the proofs file batch-register.js writes
+ * @param {number} batchId - Product batch ID
+ * @param {string} serialNumber - Serial number
+ * @returns {string[]|null} Proof, or null if the file or serial is missing
+ */
+function loadMerkleProof(batchId, serialNumber) {
+  const proofFile = path.join(__dirname, "..", "merkle-proofs", `batch-${batchId}.json`);
+  if (!fs.existsSync(proofFile)) {
+    return null;
+  }
+  const { serials } = JSON.parse(fs.readFileSync(proofFile, "utf8"));
+  const item = serials.find((entry) => entry.serialNumber === serialNumber);
+  return item ? item.proof : null;
+}
+
 async function main() {
   console.log("\n=== Gas Estimation ===\n");
   console.log("Contract Address:", CONTRACT_ADDRESS);
   console.log("");
 
   // Get signers
-  const [owner, manufacturer, consumer] = await ethers.getSigners();
-  
+  const signers = await ethers.getSigners();
+  const [owner] = signers;
+
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
-
-  // Check if manufacturer is authorized
-  const isAuthorized = await contract.authorizedMakers(manufacturer.address);
-  if (!isAuthorized) {
-    console.log("Authorizing manufacturer for testing...");
-    await contract.authorizeManufacturer(manufacturer.address, true);
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
+
+  // Estimate registrations as the first signer that is an authorized manufacturer
+  let manufacturer = owner;
+  for (const signer of signers.slice(0, 2)) {
+    if (await contract.authorizedMakers(signer.address)) {
+      manufacturer = signer;
+      break;
+    }
+  }
+  if (!(await contract.authorizedMakers(manufacturer.address))) {
+    console.log("WARNING:", manufacturer.address, "is not an authorized manufacturer;");
+    console.log("   registration estimates will fail. Authorize it first to estimate them.");
+    console.log("");
   }
+  // Any account can verify; estimate as a separate consumer signer where there is one
+  const consumer = signers[Math.min(2, signers.length - 1)];
+
+  const batchFee = await contract.batchFee();
+  const serialFee = await contract.serialFee();
+  console.log("Registration fees:", ethers.formatEther(batchFee), "ETH per batch +", ethers.formatEther(serialFee), "ETH per serial");
+  console.log("");
 
   console.log("Estimating gas costs...\n");
 
@@ -50,6 +121,7 @@ async function main() {
   const testSerial = "TEST001";
   const serialHash = generateSerialHash(testBatchId, testSerial);
   const serialHashes = [serialHash];
+  const singleFee = await contract.quoteRegistrationFee(1, true);
 
   // 1. Register Product
   console.log("1. Register Product:");
@@ -63,102 +135,135 @@ async function main() {
         serialHashes,
         "",
         "",
-        ""
+        "",
+        0,
+        0,
+        { value: singleFee }
       );
-    console.log("   Gas:", registerGas.toString());
-    console.log("   Cost (at 30 gwei):", ethers.formatEther(registerGas * 30n * 10n**9n), "ETH");
+    printCost(registerGas, singleFee);
   } catch (error) {
     console.log("   Error:", error.message.includes("exists") ? "Product already exists" : error.message);
   }
 
-  // 2. Verify Product
-  console.log("\n2. Verify Product:");
+  // 2. Register Product: per-serial storage vs Merkle root (100 serials)
+  console.log("\n2. Register Product, 100 serials (per-serial vs Merkle root):");
+  const merkleBatchId = 9996;
+  const merkleSerialHashes = Array.from({ length: 100 }, (_, i) =>
+    generateSerialHash(merkleBatchId, `MERKLE${i}`)
+  );
+  const merkleTree = buildMerkleTree(merkleSerialHashes);
+  const merkleFee = await contract.quoteRegistrationFee(merkleSerialHashes.length, true);
   try {
-    // Make sure product exists
-    const exists = await contract.products(testBatchId);
-    if (!exists.exists) {
-      await contract
-        .connect(manufacturer)
-        .registerProduct(testBatchId, "Test", "Brand", serialHashes, "", "", "");
+    const perSerialGas = await contract
+      .connect(manufacturer)
+      .registerProduct.estimateGas(merkleBatchId, "Test", "Brand", merkleSerialHashes, "", "", "", 0, 0, {
+        value: merkleFee,
+      });
+    const merkleGas = await contract
+      .connect(manufacturer)
+      .registerProductMerkle.estimateGas(
+        merkleBatchId,
+        "Test",
+        "Brand",
+        getMerkleRoot(merkleTree),
+        merkleSerialHashes.length,
+        "",
+        "",
+        "",
+        0,
+        0,
+        { value: merkleFee }
+      );
+    console.log("   Per-serial gas:", perSerialGas.toString());
+    console.log("   Merkle root gas:", merkleGas.toString());
+    console.log("   Savings:", (perSerialGas - merkleGas).toString(), "gas");
+    if (merkleFee > 0n) {
+      console.log("   Registration fee (either way):", ethers.formatEther(merkleFee), "ETH");
     }
-
-    const verifyGas = await contract
-      .connect(consumer)
-      .verify.estimateGas(serialHash, testBatchId);
-    console.log("   Gas:", verifyGas.toString());
-    console.log("   Cost (at 30 gwei):", ethers.formatEther(verifyGas * 30n * 10n**9n), "ETH");
   } catch (error) {
-    console.log("   Error:", error.message);
+    console.log("   Error:", error.message.includes("exists") ? "Product already exists" : error.message);
   }
 
-  // 3. Batch Verify (3 products)
-  console.log("\n3. Batch Verify (3 products):");
-  try {
-    const batch2Id = 9998;
-    const batch3Id = 9997;
-    const serial2 = generateSerialHash(batch2Id, "TEST002");
-    const serial3 = generateSerialHash(batch3Id, "TEST003");
-    
-    // Register test products
-    const exists2 = await contract.products(batch2Id);
-    if (!exists2.exists) {
-      await contract.connect(manufacturer).registerProduct(batch2Id, "Test2", "Brand", [serial2], "", "", "");
-    }
-    const exists3 = await contract.products(batch3Id);
-    if (!exists3.exists) {
-      await contract.connect(manufacturer).registerProduct(batch3Id, "Test3", "Brand", [serial3], "", "", "");
+  // 3-5. Verification and metadata need an existing batch
+  const product = existingBatchId ? await contract.getProduct(existingBatchId) : null;
+  if (!product || !product.exists || !existingSerial) {
+    console.log("\n3-5. Verify, Batch Verify, Update Metadata:");
+    console.log(
+      existingBatchId && !(product && product.exists)
+        ? `   Skipped: batch ${existingBatchId} not found`
+        : "   Skipped: pass --batch <id> --serial <serialNumber> of a registered, unclaimed serial"
+    );
+  } else {
+    const existingHash = generateSerialHash(existingBatchId, existingSerial);
+    const isMerkleBatch = (await contract.batchMerkleRoot(existingBatchId)) !== ethers.ZeroHash;
+    const proof = isMerkleBatch ? loadMerkleProof(existingBatchId, existingSerial) : [];
+
+    // 3. Verify Product
+    console.log(`\n3. Verify Product (batch ${existingBatchId}${isMerkleBatch ? ", Merkle proof" : ""}):`);
+    try {
+      if (!proof) {
+        throw new Error(`No proof for ${existingSerial} in merkle-proofs/batch-${existingBatchId}.json`);
+      }
+      const verifyGas = isMerkleBatch
+        ? await contract.connect(consumer).verifyWithProof.estimateGas(existingHash, existingBatchId, proof)
+        : await contract.connect(consumer).verify.estimateGas(existingHash, existingBatchId);
+      printCost(verifyGas);
+    } catch (error) {
+      console.log("   Error:", error.message);
     }
 
-    const batchVerifyGas = await contract
-      .connect(consumer)
-      .batchVerify.estimateGas(
-        [serialHash, serial2, serial3],
-        [testBatchId, batch2Id, batch3Id]
-      );
-    console.log("   Gas:", batchVerifyGas.toString());
-    console.log("   Cost (at 30 gwei):", ethers.formatEther(batchVerifyGas * 30n * 10n**9n), "ETH");
-    console.log("   Per product:", (batchVerifyGas / 3n).toString(), "gas");
-  } catch (error) {
-    console.log("   Error:", error.message);
-  }
+    // 4. Batch Verify (the same serial, as a one-item batch)
+    console.log("\n4. Batch Verify (1 product):");
+    try {
+      if (!proof) {
+        throw new Error(`No proof for ${existingSerial} in merkle-proofs/batch-${existingBatchId}.json`);
+      }
+      const batchVerifyGas = isMerkleBatch
+        ? await contract
+          .connect(consumer)
+          .batchVerifyWithProof.estimateGas([existingHash], [existingBatchId], [proof])
+        : await contract.connect(consumer).batchVerify.estimateGas([existingHash], [existingBatchId]);
+      printCost(batchVerifyGas);
+    } catch (error) {
+      console.log("   Error:", error.message);
+    }
 
-  // 4. Update Metadata
-  console.log("\n4. Update Product Metadata:");
-  try {
-    const updateGas = await contract
-      .connect(manufacturer)
-      .updateProductMetadata.estimateGas(
-        testBatchId,
-        "QmNewHash",
-        "Updated description",
-        "https://example.com/image.jpg"
-      );
-    console.log("   Gas:", updateGas.toString());
-    console.log("   Cost (at 30 gwei):", ethers.formatEther(updateGas * 30n * 10n**9n), "ETH");
-  } catch (error) {
-    console.log("   Error:", error.message);
+    // 5. Update Metadata, estimated as the batch's manufacturer
+    console.log("\n5. Update Product Metadata:");
+    try {
+      const updateGas = await contract
+        .connect(ethers.provider)
+        .updateProductMetadata.estimateGas(
+          existingBatchId,
+          "QmNewHash",
+          "Updated description",
+          "https://example.com/image.jpg",
+          { from: product.manufacturer }
+        );
+      printCost(updateGas);
+    } catch (error) {
+      console.log("   Error:", error.message);
+    }
   }
 
-  // 5. Authorize Manufacturer
-  console.log("\n5. Authorize Manufacturer:");
+  // 6. Authorize Manufacturer
+  console.log("\n6. Authorize Manufacturer:");
   try {
     const authGas = await contract
       .connect(owner)
       .authorizeManufacturer.estimateGas(consumer.address, true);
-    console.log("   Gas:", authGas.toString());
-    console.log("   Cost (at 30 gwei):", ethers.formatEther(authGas * 30n * 10n**9n), "ETH");
+    printCost(authGas);
   } catch (error) {
     console.log("   Error:", error.message);
   }
 
-  // 6. Pause/Unpause
-  console.log("\n6. Pause Contract:");
+  // 7. Pause/Unpause
+  console.log("\n7. Pause Contract:");
   try {
     const paused = await contract.paused();
     if (!paused) {
       const pauseGas = await contract.connect(owner).pause.estimateGas();
-      console.log("   Gas:", pauseGas.toString());
-      console.log("   Cost (at 30 gwei):", ethers.formatEther(pauseGas * 30n * 10n**9n), "ETH");
+      printCost(pauseGas);
     } else {
       console.log("   Contract already paused");
     }
@@ -166,18 +271,19 @@ async function main() {
     console.log("   Error:", error.message);
   }
 
-  // 7. View functions (no gas, but showing for completeness)
-  console.log("\n7. View Functions (no gas cost):");
+  // 8. View functions (no gas, but showing for completeness)
+  console.log("\n8. View Functions (no gas cost):");
   console.log("   - getProduct()");
   console.log("   - getStatistics()");
   console.log("   - getVerificationHistory()");
   console.log("   - getVerificationCount()");
+  console.log("   - quoteRegistrationFee()");
 
   // Get current gas price
   const gasPrice = await ethers.provider.getFeeData();
   console.log("\n=== Current Network Info ===");
   console.log("Gas Price:", ethers.formatUnits(gasPrice.gasPrice || 0n, "gwei"), "gwei");
-  
+
   const network = await ethers.provider.getNetwork();
   console.log("Network:", network.name);
   console.log("Chain ID:", network.chainId.toString());
@@ -194,4 +300,3 @@ main()
     console.error(error);
     process.exitCode = 1;
   });
-
@@ -1,6 +1,9 @@
 const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
+const VERIFICATION_TIERS = ["Unverified", "Basic", "Verified", "Premium"];
+
 /**
  * Analytics Script
  * 
@@ -11,7 +14,7 @@ require("dotenv").config();
  *   npx hardhat run scripts/get-analytics.js --network mumbai
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
 
 async function main() {
   console.log("\n=== ChainCheck Analytics ===\n");
@@ -19,8 +22,7 @@ async function main() {
   console.log("");
 
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
 
   // Get basic statistics
   const stats = await contract.getStatistics();
@@ -36,16 +38,21 @@ async function main() {
   }
 
   // Get all manufacturers
-  const manufacturers = await contract.getManufacturers();
+  const { makers, profiles } = await contract.getManufacturers();
   console.log("=== Manufacturer Analysis ===");
   
-  if (manufacturers.length === 0) {
+  if (makers.length === 0) {
     console.log("No manufacturers found");
   } else {
-    for (let i = 0; i < manufacturers.length; i++) {
-      const addr = manufacturers[i];
+    for (let i = 0; i < makers.length; i++) {
+      const addr = makers[i];
+      const profile = profiles[i];
       const isAuthorized = await contract.authorizedMakers(addr);
       console.log(`${i + 1}. ${addr} - ${isAuthorized ? "Authorized" : "Not Authorized"}`);
+      if (profile.name) {
+        const country = profile.country === "0x0000" ? "-" : ethers.toUtf8String(profile.country);
+        console.log(`   ${profile.name} | ${country} | ${VERIFICATION_TIERS[Number(profile.tier)]} | ${profile.website || "-"}`);
+      }
     }
   }
   console.log("");
@@ -154,9 +161,9 @@ async function main() {
         console.log(`   Total Verifications: ${batch.total}`);
         console.log(`   Authentic: ${batch.authentic}, Counterfeits: ${batch.counterfeit}`);
         
-        // Get batch verification count
-        const batchCount = await contract.batchVerificationCount(batch.batchId);
-        console.log(`   Batch Count: ${batchCount.toString()}`);
+        // Get on-chain batch statistics
+        const batchStats = await contract.getBatchStats(batch.batchId);
+        console.log(`   Serials: ${batchStats.serialCount}, Claims: ${batchStats.claims}, Duplicate Scans: ${batchStats.duplicateScans}`);
         console.log("");
       } catch (error) {
         console.log(`${i + 1}. Batch ${batch.batchId}: (product not found)`);
@@ -166,6 +173,40 @@ async function main() {
     }
   }
 
+  // Counterfeit attempts per product line (brand + name), from on-chain batch stats
+  const registeredEvents = await contract.queryFilter(contract.filters.ProductRegistered(), 0, "latest");
+  if (registeredEvents.length > 0) {
+    console.log("=== Counterfeit Attempts by Product Line ===");
+    const batchIds = registeredEvents.map(event => event.args.batchId);
+    const lineStats = await contract.getBatchStatsBatch(batchIds);
+
+    const productLines = new Map();
+    registeredEvents.forEach((event, index) => {
+      const key = `${event.args.brand} ${event.args.name}`;
+      if (!productLines.has(key)) {
+        productLines.set(key, { batches: 0, serials: 0n, claims: 0n, duplicateScans: 0n });
+      }
+      const line = productLines.get(key);
+      line.batches++;
+      line.serials += lineStats.serialCounts[index];
+      line.claims += lineStats.claims[index];
+      line.duplicateScans += lineStats.duplicateScans[index];
+    });
+
+    const lineArray = Array.from(productLines.entries())
+      .sort(([, a], [, b]) => Number(b.duplicateScans - a.duplicateScans));
+
+    for (let i = 0; i < lineArray.length; i++) {
+      const [productLine, line] = lineArray[i];
+      const scans = line.claims + line.duplicateScans;
+      const attemptRate = scans > 0n ? (Number(line.duplicateScans) / Number(scans) * 100).toFixed(2) : "0.00";
+      console.log(`${i + 1}. ${productLine} (${line.batches} batch${line.batches === 1 ? "" : "es"})`);
+      console.log(`   Serials: ${line.serials}, Claims: ${line.claims}, Duplicate Scans: ${line.duplicateScans}`);
+      console.log(`   Counterfeit Attempt Rate: ${attemptRate}%`);
+    }
+    console.log("");
+  }
+
   // Top verifiers
   if (verifierStats.size > 0) {
     console.log("=== Top Verifiers ===");
@@ -1,6 +1,9 @@
 const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
+const VERIFICATION_TIERS = ["Unverified", "Basic", "Verified", "Premium"];
+
 /**
  * Statistics Script
  * 
@@ -11,7 +14,7 @@ require("dotenv").config();
  *   npx hardhat run scripts/get-statistics.js --network mumbai
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
 
 async function main() {
   console.log("\n=== ChainCheck Statistics ===\n");
@@ -19,8 +22,7 @@ async function main() {
   console.log("");
 
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
 
   // Get owner
   const owner = await contract.owner();
@@ -34,16 +36,26 @@ async function main() {
   console.log("  Total Manufacturers:", stats.totalManufacturers.toString());
 
   // Get all manufacturers
-  const manufacturers = await contract.getManufacturers();
+  const { makers, profiles } = await contract.getManufacturers();
   console.log("\nAuthorized Manufacturers:");
-  if (manufacturers.length === 0) {
+  if (makers.length === 0) {
     console.log("  (none)");
   } else {
-    manufacturers.forEach((addr, index) => {
-      console.log(`  ${index + 1}. ${addr}`);
+    makers.forEach((addr, index) => {
+      const profile = profiles[index];
+      const label = profile.name ? `${profile.name} (${VERIFICATION_TIERS[Number(profile.tier)]})` : "(no profile)";
+      console.log(`  ${index + 1}. ${addr} - ${label}`);
     });
   }
 
+  // Get role holders
+  const roles = ["ADMIN_ROLE", "MANUFACTURER_MANAGER_ROLE", "PAUSER_ROLE", "AUDITOR_ROLE", "METADATA_EDITOR_ROLE"];
+  console.log("\nRoles:");
+  for (const roleName of roles) {
+    const members = await contract.getRoleMembers(await contract[roleName]());
+    console.log(`  ${roleName}: ${members.length === 0 ? "(none)" : members.join(", ")}`);
+  }
+
   // Get network info
   const network = await ethers.provider.getNetwork();
   console.log("\nNetwork Info:");
@@ -1,4 +1,6 @@
 const { ethers } = require("hardhat");
+const { getVerificationHistory } = require("./utils/history");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
 /**
@@ -7,11 +9,13 @@ require("dotenv").config();
  * Query verification history for a product serial number
  * 
  * Usage:
- *   npx hardhat run scripts/get-verification-history.js --network localhost --serial-hash <hash>
+ *   npx hardhat run scripts/get-verification-history.js --network localhost --batch-id 1 --serial-hash <hash>
  *   npx hardhat run scripts/get-verification-history.js --network localhost --batch-id 1 --serial SN001
+ *
+ * On events-only deployments the history is rebuilt from Verified events.
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -50,11 +54,10 @@ async function main() {
   console.log("");
 
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
 
-  // Determine serial hash
-  if (!serialHash) {
+  // Determine serial hash; history is kept per batch, so the batch ID is always needed
+  if (!serialHash || !batchId) {
     if (batchId && serialNumber) {
       serialHash = generateSerialHash(batchId, serialNumber);
       console.log("Generated serial hash from batch ID and serial number");
@@ -65,8 +68,8 @@ async function main() {
     } else {
       console.log("Error: Serial hash required");
       console.log("\nUsage:");
-      console.log("  --serial-hash <hash>     Direct serial hash");
-      console.log("  --batch-id <id> --serial <number>  Generate hash from batch ID and serial");
+      console.log("  --batch-id <id> --serial-hash <hash>  Direct serial hash");
+      console.log("  --batch-id <id> --serial <number>     Generate hash from batch ID and serial");
       console.log("\nExample:");
       console.log('  npx hardhat run scripts/get-verification-history.js --network localhost --batch-id 1 --serial "SN001"');
       return;
@@ -74,17 +77,17 @@ async function main() {
   }
 
   // Get verification count
-  const count = await contract.getVerificationCount(serialHash);
+  const count = await contract.getVerificationCount(serialHash, batchId);
   console.log("Verification Count:", count.toString());
   console.log("");
 
-  if (count === 0) {
+  if (count === 0n) {
     console.log("No verification history found for this serial number.");
     return;
   }
 
-  // Get verification history
-  const history = await contract.getVerificationHistory(serialHash);
+  // Get verification history (from storage, or from events in events-only mode)
+  const history = await getVerificationHistory(contract, serialHash, batchId);
   console.log("Verification History:");
   console.log("");
 
@@ -11,7 +11,20 @@ require("dotenv").config();
  *   npx hardhat run scripts/listen-events.js --network mumbai
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Labels for the contract's VerificationStatus and ReasonCode enums
+const VERIFICATION_STATUSES = ["AUTHENTIC", "ALREADY CLAIMED (POTENTIAL COUNTERFEIT)", "RECALLED", "REVOKED", "UNKNOWN",
+  "INVALID BATCH ID", "BATCH NOT FOUND", "SERIAL NOT IN BATCH", "CLAIM CODE REQUIRED", "EXPIRED",
+  "BATCH FROZEN"];
+const REASON_CODES = ["None", "Safety", "Quality", "Regulatory", "Stolen", "Voided", "Other"];
+
+/**
+ * Decode a bytes2 ISO 3166-1 alpha-2 region code, e.g. 0x4445 -> "DE"
+ */
+function formatRegion(region) {
+  return region === "0x0000" ? "Not given" : ethers.toUtf8String(region);
+}
 
 async function main() {
   console.log("\n=== ChainCheck Event Listener ===\n");
@@ -23,9 +36,10 @@ async function main() {
   const contract = ChainCheck.attach(CONTRACT_ADDRESS);
 
   // Listen for ProductRegistered events
-  contract.on("ProductRegistered", (batchId, name, brand, serialCount, event) => {
+  contract.on("ProductRegistered", (batchId, manufacturer, name, brand, serialCount, event) => {
     console.log("Product Registered:");
     console.log("  Batch ID:", batchId.toString());
+    console.log("  Manufacturer:", manufacturer);
     console.log("  Name:", name);
     console.log("  Brand:", brand);
     console.log("  Serial Count:", serialCount.toString());
@@ -35,10 +49,12 @@ async function main() {
   });
 
   // Listen for Verified events
-  contract.on("Verified", (serialHash, batchId, isAuthentic, verifier, event) => {
-    const status = isAuthentic ? "AUTHENTIC" : "POTENTIAL COUNTERFEIT";
+  contract.on("Verified", (serialHash, batchId, isAuthentic, verifier, timestamp, status, reason, event) => {
     console.log("Product Verified:");
-    console.log("  Status:", status);
+    console.log("  Status:", VERIFICATION_STATUSES[Number(status)]);
+    if (Number(reason) !== 0) {
+      console.log("  Reason:", REASON_CODES[Number(reason)]);
+    }
     console.log("  Serial Hash:", serialHash);
     console.log("  Batch ID:", batchId.toString());
     console.log("  Verifier:", verifier);
@@ -47,6 +63,47 @@ async function main() {
     console.log("");
   });
 
+  // Listen for ProductTransferred events (first claims and resales)
+  contract.on("ProductTransferred", (serialHash, batchId, from, to, timestamp, event) => {
+    console.log(from === ethers.ZeroAddress ? "Product Claimed:" : "Product Transferred:");
+    console.log("  Serial Hash:", serialHash);
+    console.log("  Batch ID:", batchId.toString());
+    if (from !== ethers.ZeroAddress) {
+      console.log("  From:", from);
+    }
+    console.log("  To:", to);
+    console.log("  Block:", event.log.blockNumber);
+    console.log("  Transaction:", event.log.transactionHash);
+    console.log("");
+  });
+
+  // Listen for BatchRecalled events
+  contract.on("BatchRecalled", (batchId, reason, event) => {
+    console.log(Number(reason) === 0 ? "Batch Recall Lifted:" : "Batch Recalled:");
+    console.log("  Batch ID:", batchId.toString());
+    if (Number(reason) !== 0) {
+      console.log("  Reason:", REASON_CODES[Number(reason)]);
+    }
+    console.log("  Block:", event.log.blockNumber);
+    console.log("  Transaction:", event.log.transactionHash);
+    console.log("");
+  });
+
+  // Listen for CounterfeitReported events
+  contract.on("CounterfeitReported", (serialHash, batchId, reporter, region, evidenceHash, event) => {
+    console.log("Counterfeit Reported:");
+    console.log("  Batch ID:", batchId.toString());
+    console.log("  Serial Hash:", serialHash);
+    console.log("  Reporter:", reporter);
+    console.log("  Region:", formatRegion(region));
+    if (evidenceHash) {
+      console.log("  Evidence:", `ipfs://${evidenceHash}`);
+    }
+    console.log("  Block:", event.log.blockNumber);
+    console.log("  Transaction:", event.log.transactionHash);
+    console.log("");
+  });
+
   // Listen for ManufacturerAuthorized events
   contract.on("ManufacturerAuthorized", (maker, authorized, event) => {
     const action = authorized ? "Authorized" : "Revoked";
@@ -0,0 +1,132 @@
+const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
+require("dotenv").config();
+
+/**
+ * Manage Fees Script
+ *
+ * Show or change the registration fee schedule, set the treasury and withdraw
+ * the collected fees to it
+ *
+ * Usage:
+ *   npx hardhat run scripts/manage-fees.js --network localhost
+ *   npx hardhat run scripts/manage-fees.js --network mumbai --batch-fee 0.5 --serial-fee 0.001
+ *   npx hardhat run scripts/manage-fees.js --network mumbai --treasury 0xTreasury
+ *   npx hardhat run scripts/manage-fees.js --network mumbai --withdraw
+ *
+ * Fees are given in the native token (e.g. MATIC), not wei. Options that are
+ * not given keep their current value.
+ */
+
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let batchFee = null;
+let serialFee = null;
+let treasury = null;
+const withdraw = args.includes("--withdraw");
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--batch-fee" && args[i + 1]) {
+    batchFee = ethers.parseEther(args[i + 1]);
+    i++;
+  } else if (args[i] === "--serial-fee" && args[i + 1]) {
+    serialFee = ethers.parseEther(args[i + 1]);
+    i++;
+  } else if (args[i] === "--treasury" && args[i + 1]) {
+    treasury = args[i + 1];
+    i++;
+  }
+}
+
+/**
+ * Print the fee schedule, treasury and collected balance
+ * @param {Contract} contract - ChainCheck contract
+ */
+async function printFees(contract) {
+  const currentTreasury = await contract.treasury();
+  console.log("Batch fee:", ethers.formatEther(await contract.batchFee()));
+  console.log("Serial fee:", ethers.formatEther(await contract.serialFee()));
+  console.log("Treasury:", currentTreasury === ethers.ZeroAddress ? "(not set)" : currentTreasury);
+  console.log("Collected:", ethers.formatEther(await ethers.provider.getBalance(CONTRACT_ADDRESS)));
+  console.log("");
+}
+
+/**
+ * Send a transaction and wait for it
+ * @param {Promise<TransactionResponse>} txPromise - Pending contract call
+ */
+async function send(txPromise) {
+  const tx = await txPromise;
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+
+  const receipt = await tx.wait();
+  console.log("Transaction confirmed!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  console.log("");
+}
+
+async function main() {
+  console.log("\n=== Manage Fees ===\n");
+  console.log("Contract Address:", CONTRACT_ADDRESS);
+  console.log("");
+
+  // Get contract instance
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
+
+  await printFees(contract);
+
+  if (batchFee === null && serialFee === null && treasury === null && !withdraw) {
+    console.log("Options:");
+    console.log("  --batch-fee <amount>   Flat fee per new batch");
+    console.log("  --serial-fee <amount>  Fee per registered serial");
+    console.log("  --treasury <address>   Address fees are withdrawn to");
+    console.log("  --withdraw             Send the collected fees to the treasury");
+    console.log("");
+    return;
+  }
+
+  // Get signer
+  const [signer] = await ethers.getSigners();
+  console.log("Signer address:", signer.address);
+
+  // Check if signer is an admin
+  const isAdmin = await contract.hasRole(await contract.ADMIN_ROLE(), signer.address);
+  if (!isAdmin) {
+    throw new Error("Signer does not hold ADMIN_ROLE required to manage fees");
+  }
+
+  if (batchFee !== null || serialFee !== null) {
+    const newBatchFee = batchFee ?? (await contract.batchFee());
+    const newSerialFee = serialFee ?? (await contract.serialFee());
+    console.log(
+      `Setting fees to ${ethers.formatEther(newBatchFee)} per batch + ${ethers.formatEther(newSerialFee)} per serial...`
+    );
+    await send(contract.setFees(newBatchFee, newSerialFee));
+  }
+
+  if (treasury !== null) {
+    if (!ethers.isAddress(treasury)) {
+      throw new Error(`Invalid treasury address: ${treasury}`);
+    }
+    console.log(`Setting treasury to ${treasury}...`);
+    await send(contract.setTreasury(treasury));
+  }
+
+  if (withdraw) {
+    console.log("Withdrawing collected fees...");
+    await send(contract.withdrawFees());
+  }
+
+  await printFees(contract);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n=== Error ===");
+    console.error(error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,129 @@
+const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
+require("dotenv").config();
+
+/**
+ * Manage Operators Script
+ *
+ * Add, rescope or remove the operator keys that register batches on behalf of
+ * the signing manufacturer, e.g. one key per production line
+ *
+ * Usage:
+ *   npx hardhat run scripts/manage-operators.js --network localhost
+ *   npx hardhat run scripts/manage-operators.js --network mumbai --operator 0xLine1 --min-batch 1000 --max-batch 1999 --quota 50000
+ *   npx hardhat run scripts/manage-operators.js --network mumbai --operator 0xLine1 --remove
+ */
+
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+let operator = null;
+let minBatchId = 0;
+let maxBatchId = 0;
+let serialQuota = 0;
+const remove = args.includes("--remove");
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--operator" && args[i + 1]) {
+    operator = args[i + 1];
+    i++;
+  } else if (args[i] === "--min-batch" && args[i + 1]) {
+    minBatchId = parseInt(args[i + 1]);
+    i++;
+  } else if (args[i] === "--max-batch" && args[i + 1]) {
+    maxBatchId = parseInt(args[i + 1]);
+    i++;
+  } else if (args[i] === "--quota" && args[i + 1]) {
+    serialQuota = parseInt(args[i + 1]);
+    i++;
+  }
+}
+
+/**
+ * Describe an operator's scope
+ * @param {object} scope - Operator struct from the contract
+ * @returns {string} Batch-ID range and quota usage
+ */
+function formatScope(scope) {
+  const range = scope.maxBatchId === 0n
+    ? `batches ${scope.minBatchId}+`
+    : `batches ${scope.minBatchId}-${scope.maxBatchId}`;
+  const quota = scope.serialQuota === 0n
+    ? `${scope.serialsRegistered} serials registered`
+    : `${scope.serialsRegistered} of ${scope.serialQuota} serials registered`;
+  return `${range}, ${quota}`;
+}
+
+async function main() {
+  console.log("\n=== Manage Operators ===\n");
+  console.log("Contract Address:", CONTRACT_ADDRESS);
+
+  // Get signer
+  const [signer] = await ethers.getSigners();
+  console.log("Manufacturer address:", signer.address);
+  console.log("");
+
+  // Get contract instance
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
+
+  if (!operator) {
+    const { addresses, scopes } = await contract.getOperators(signer.address);
+    console.log("Operators:");
+    if (addresses.length === 0) {
+      console.log("  (none)");
+    } else {
+      addresses.forEach((address, index) => {
+        console.log(`  ${index + 1}. ${address} - ${formatScope(scopes[index])}`);
+      });
+    }
+    console.log("\nOptions:");
+    console.log("  --operator <address>  Operator to add, rescope or remove");
+    console.log("  --min-batch <id>      Lowest batch ID the operator may register (default 0)");
+    console.log("  --max-batch <id>      Highest batch ID the operator may register (default: no limit)");
+    console.log("  --quota <n>           Serials the operator may register in total (default: no limit);");
+    console.log("                        an operator with a quota cannot register Merkle batches");
+    console.log("  --remove              Remove the operator");
+    console.log("");
+    return;
+  }
+
+  if (!ethers.isAddress(operator)) {
+    throw new Error(`Invalid operator address: ${operator}`);
+  }
+
+  if (remove) {
+    console.log(`Removing operator ${operator}...`);
+    const tx = await contract.removeOperator(operator);
+    console.log("Transaction hash:", tx.hash);
+    await tx.wait();
+    console.log("Transaction confirmed!");
+    console.log("");
+    return;
+  }
+
+  // Check if signer is authorized
+  const isAuthorized = await contract.authorizedMakers(signer.address);
+  if (!isAuthorized) {
+    throw new Error("Signer is not an authorized manufacturer");
+  }
+
+  console.log(`Setting operator ${operator}...`);
+  const tx = await contract.setOperator(operator, minBatchId, maxBatchId, serialQuota);
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+
+  const receipt = await tx.wait();
+  console.log("Transaction confirmed!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  console.log("Scope:", formatScope(await contract.getOperator(operator)));
+  console.log("");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n=== Error ===");
+    console.error(error);
+    process.exitCode = 1;
+  });
@@ -1,23 +1,122 @@
 const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
 /**
  * Pause/Unpause Contract Script
- * 
- * Emergency stop functionality for the ChainCheck contract
- * 
+ *
+ * Emergency stop functionality for the ChainCheck contract: the global pause,
+ * per-operation switches and per-batch freezes
+ *
  * Usage:
  *   npx hardhat run scripts/pause-contract.js --network localhost
  *   npx hardhat run scripts/pause-contract.js --network mumbai --pause
  *   npx hardhat run scripts/pause-contract.js --network mumbai --unpause
+ *   npx hardhat run scripts/pause-contract.js --network mumbai --pause-operation verification
+ *   npx hardhat run scripts/pause-contract.js --network mumbai --resume-operation verification
+ *   npx hardhat run scripts/pause-contract.js --network mumbai --freeze 42
+ *   npx hardhat run scripts/pause-contract.js --network mumbai --unfreeze 42
+ *
+ * Without an action the script shows every switch and the frozen batches.
+ *
+ * Pausing takes effect immediately. Unpausing is timelocked: --unpause queues
+ * the action, which is then executed with scripts/timelock.js after the delay.
+ * Operation switches and batch freezes take effect immediately both ways.
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// ChainCheck.PausableOperation, in enum order
+const OPERATIONS = ["registration", "verification", "metadata"];
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 const shouldPause = args.includes("--pause");
 const shouldUnpause = args.includes("--unpause");
+let pauseOperation = null;
+let resumeOperation = null;
+let freezeBatchId = null;
+let unfreezeBatchId = null;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === "--pause-operation" && args[i + 1]) {
+    pauseOperation = args[i + 1].toLowerCase();
+    i++;
+  } else if (args[i] === "--resume-operation" && args[i + 1]) {
+    resumeOperation = args[i + 1].toLowerCase();
+    i++;
+  } else if (args[i] === "--freeze" && args[i + 1]) {
+    freezeBatchId = parseInt(args[i + 1]);
+    i++;
+  } else if (args[i] === "--unfreeze" && args[i + 1]) {
+    unfreezeBatchId = parseInt(args[i + 1]);
+    i++;
+  }
+}
+
+/**
+ * Get the PausableOperation index of an operation name
+ * @param {string} name - Operation name
+ * @returns {number} Enum index
+ */
+function operationIndex(name) {
+  const index = OPERATIONS.indexOf(name);
+  if (index === -1) {
+    throw new Error(`Invalid operation: ${name} (expected one of ${OPERATIONS.join(", ")})`);
+  }
+  return index;
+}
+
+/**
+ * Get the batches that are currently frozen, from the BatchFreezeUpdated events
+ * @param {Contract} contract - ChainCheck contract
+ * @returns {Promise<number[]>} Frozen batch IDs
+ */
+async function getFrozenBatches(contract) {
+  const events = await contract.queryFilter(contract.filters.BatchFreezeUpdated(), 0, "latest");
+  const frozen = new Set();
+  for (const event of events) {
+    const batchId = Number(event.args.batchId);
+    if (event.args.frozen) {
+      frozen.add(batchId);
+    } else {
+      frozen.delete(batchId);
+    }
+  }
+  return [...frozen].sort((a, b) => a - b);
+}
+
+/**
+ * Print the global pause, every operation switch and the frozen batches
+ * @param {Contract} contract - ChainCheck contract
+ */
+async function printState(contract) {
+  console.log("Global pause:", (await contract.paused()) ? "PAUSED" : "ACTIVE");
+  for (let i = 0; i < OPERATIONS.length; i++) {
+    const isPaused = await contract.operationPaused(i);
+    console.log(`  ${OPERATIONS[i].padEnd(14)} ${isPaused ? "PAUSED" : "ACTIVE"}`);
+  }
+  const frozen = await getFrozenBatches(contract);
+  console.log("Frozen batches:", frozen.length > 0 ? frozen.join(", ") : "(none)");
+  console.log("");
+}
+
+/**
+ * Send a transaction and wait for it
+ * @param {Promise<TransactionResponse>} txPromise - Pending contract call
+ * @returns {Promise<TransactionReceipt>} Receipt
+ */
+async function send(txPromise) {
+  const tx = await txPromise;
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+
+  const receipt = await tx.wait();
+  console.log("Transaction confirmed!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  console.log("");
+  return receipt;
+}
 
 async function main() {
   console.log("\n=== ChainCheck Pause/Unpause ===\n");
@@ -29,13 +128,61 @@ async function main() {
   console.log("Signer address:", signer.address);
 
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
 
-  // Check if signer is owner
-  const owner = await contract.owner();
-  if (signer.address.toLowerCase() !== owner.toLowerCase()) {
-    throw new Error("Only contract owner can pause/unpause");
+  const hasAction = shouldPause || shouldUnpause || pauseOperation || resumeOperation
+    || freezeBatchId !== null || unfreezeBatchId !== null;
+
+  if (!hasAction) {
+    console.log("");
+    await printState(contract);
+    console.log("Options:");
+    console.log("  --pause                     Pause the whole contract");
+    console.log("  --unpause                   Queue unpausing the whole contract (timelocked)");
+    console.log(`  --pause-operation <op>      Pause one operation (${OPERATIONS.join(", ")})`);
+    console.log("  --resume-operation <op>     Resume one operation");
+    console.log("  --freeze <batchId>          Freeze one batch");
+    console.log("  --unfreeze <batchId>        Unfreeze one batch");
+    console.log("");
+    return;
+  }
+
+  // Check if signer holds the pauser role
+  const isPauser = await contract.hasRole(await contract.PAUSER_ROLE(), signer.address);
+  if (!isPauser) {
+    throw new Error("Signer does not hold PAUSER_ROLE required to pause/unpause");
+  }
+
+  if (pauseOperation || resumeOperation) {
+    const name = pauseOperation || resumeOperation;
+    const operation = operationIndex(name);
+    const pause = !!pauseOperation;
+    if ((await contract.operationPaused(operation)) === pause) {
+      console.log(`WARNING: ${name} is already ${pause ? "paused" : "active"}. No action needed.`);
+      return;
+    }
+
+    console.log(`${pause ? "Pausing" : "Resuming"} ${name}...`);
+    await send(contract.setOperationPaused(operation, pause));
+    await printState(contract);
+    return;
+  }
+
+  if (freezeBatchId !== null || unfreezeBatchId !== null) {
+    const batchId = freezeBatchId ?? unfreezeBatchId;
+    const freeze = freezeBatchId !== null;
+    if (isNaN(batchId) || batchId <= 0) {
+      throw new Error("Invalid batch ID");
+    }
+    if ((await contract.batchFrozen(batchId)) === freeze) {
+      console.log(`WARNING: Batch ${batchId} is already ${freeze ? "frozen" : "unfrozen"}. No action needed.`);
+      return;
+    }
+
+    console.log(`${freeze ? "Freezing" : "Unfreezing"} batch ${batchId}...`);
+    await send(contract.setBatchFrozen(batchId, freeze));
+    await printState(contract);
+    return;
   }
 
   // Check current pause state
@@ -51,39 +198,28 @@ async function main() {
       return;
     }
     action = "pause";
-  } else if (shouldUnpause) {
+  } else {
     if (!isPaused) {
       console.log("WARNING: Contract is already active. No action needed.");
       return;
     }
     action = "unpause";
-  } else {
-    // Interactive mode - ask user
-    console.log("No action specified. Use --pause or --unpause flag.");
-    console.log("Current state:", isPaused ? "PAUSED" : "ACTIVE");
-    console.log("\nTo pause:   npx hardhat run scripts/pause-contract.js --network <network> --pause");
-    console.log("To unpause: npx hardhat run scripts/pause-contract.js --network <network> --unpause");
-    return;
   }
 
-  // Execute pause/unpause
-  console.log(`Executing ${action}...`);
-  
-  let tx;
-  if (action === "pause") {
-    tx = await contract.pause();
-    console.log("Transaction hash:", tx.hash);
-    console.log("Waiting for confirmation...");
-  } else {
-    tx = await contract.unpause();
-    console.log("Transaction hash:", tx.hash);
-    console.log("Waiting for confirmation...");
-  }
+  // Execute pause / queue unpause
+  console.log(action === "pause" ? "Executing pause..." : "Queueing unpause...");
 
-  const receipt = await tx.wait();
-  console.log("Transaction confirmed!");
-  console.log("Gas used:", receipt.gasUsed.toString());
-  console.log("");
+  const receipt = await send(action === "pause" ? contract.pause() : contract.unpause());
+
+  if (action === "unpause") {
+    const queuedEvent = receipt.logs
+      .map(log => contract.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === "ActionQueued");
+    console.log("Unpause queued as action", queuedEvent.args.actionId.toString());
+    console.log("Executable at:", new Date(Number(queuedEvent.args.executableAt) * 1000).toISOString());
+    console.log(`Then run: npx hardhat run scripts/timelock.js --network <network> execute ${queuedEvent.args.actionId}`);
+    console.log("");
+  }
 
   // Verify new state
   const newState = await contract.paused();
@@ -94,7 +230,7 @@ async function main() {
     console.log("WARNING: Contract is now PAUSED");
     console.log("   - Product registration is disabled");
     console.log("   - Product verification is disabled");
-    console.log("   - Owner functions still work");
+    console.log("   - Role-gated admin functions still work");
   } else {
     console.log("Contract is now ACTIVE");
     console.log("   - All functions are operational");
@@ -109,4 +245,3 @@ main()
     console.error(error);
     process.exitCode = 1;
   });
-
@@ -13,16 +13,19 @@ require("dotenv").config();
  * Options:
  *   --from-block <number>  Start from block number (default: 0)
  *   --to-block <number>    End at block number (default: latest)
- *   --event <name>         Filter by event name (ProductRegistered, Verified, ManufacturerAuthorized)
+ *   --event <name>         Filter by event name (ProductRegistered, Verified, ManufacturerAuthorized,
+ *                          CheckpointRecorded)
+ *   --batch <id>           Only show checkpoints for this batch ID
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
 
 // Parse command line arguments
 const args = process.argv.slice(2);
 let fromBlock = 0;
 let toBlock = "latest";
 let eventFilter = null;
+let batchFilter = null;
 
 for (let i = 0; i < args.length; i++) {
   if (args[i] === "--from-block" && args[i + 1]) {
@@ -34,6 +37,30 @@ for (let i = 0; i < args.length; i++) {
   } else if (args[i] === "--event" && args[i + 1]) {
     eventFilter = args[i + 1];
     i++;
+  } else if (args[i] === "--batch" && args[i + 1]) {
+    batchFilter = parseInt(args[i + 1]);
+    i++;
+  }
+}
+
+// Labels for the contract's VerificationStatus and ReasonCode enums
+const VERIFICATION_STATUSES = ["AUTHENTIC", "COUNTERFEIT", "RECALLED", "REVOKED", "UNKNOWN",
+  "INVALID BATCH ID", "BATCH NOT FOUND", "SERIAL NOT IN BATCH", "CLAIM CODE REQUIRED", "EXPIRED",
+  "BATCH FROZEN"];
+const REASON_CODES = ["None", "Safety", "Quality", "Regulatory", "Stolen", "Voided", "Other"];
+
+// Labels for the contract's SupplyChainRole and CheckpointStatus enums
+const SUPPLY_CHAIN_ROLES = ["None", "Manufacturer", "Distributor", "Retailer"];
+const CHECKPOINT_STATUSES = ["Shipped", "Received", "Delivered"];
+
+/**
+ * Decode a bytes32 location code, falling back to the raw hex
+ */
+function formatLocationCode(locationCode) {
+  try {
+    return ethers.decodeBytes32String(locationCode);
+  } catch {
+    return locationCode;
   }
 }
 
@@ -66,6 +93,7 @@ async function main() {
       for (const event of productEvents) {
         const args = event.args;
         console.log(`  Batch ID: ${args.batchId.toString()}`);
+        console.log(`  Manufacturer: ${args.manufacturer}`);
         console.log(`  Name: ${args.name}`);
         console.log(`  Brand: ${args.brand}`);
         console.log(`  Serial Count: ${args.serialCount.toString()}`);
@@ -90,14 +118,19 @@ async function main() {
     } else {
       let authenticCount = 0;
       let fakeCount = 0;
+      let recalledCount = 0;
 
       for (const event of verifiedEvents) {
         const args = event.args;
-        const status = args.isAuthentic ? "AUTHENTIC" : "COUNTERFEIT";
+        const status = VERIFICATION_STATUSES[Number(args.status)];
         if (args.isAuthentic) authenticCount++;
-        else fakeCount++;
+        else if (Number(args.status) === 1) fakeCount++;
+        else recalledCount++;
 
         console.log(`  Status: ${status}`);
+        if (Number(args.reason) !== 0) {
+          console.log(`  Reason: ${REASON_CODES[Number(args.reason)]}`);
+        }
         console.log(`  Serial Hash: ${args.serialHash}`);
         console.log(`  Batch ID: ${args.batchId.toString()}`);
         console.log(`  Verifier: ${args.verifier}`);
@@ -106,7 +139,9 @@ async function main() {
         console.log("");
       }
 
-      console.log(`  Summary: ${authenticCount} authentic, ${fakeCount} potential counterfeits\n`);
+      console.log(
+        `  Summary: ${authenticCount} authentic, ${fakeCount} potential counterfeits, ${recalledCount} recalled/revoked\n`
+      );
     }
   }
 
@@ -134,6 +169,33 @@ async function main() {
     }
   }
 
+  // Query CheckpointRecorded events
+  if (!eventFilter || eventFilter === "CheckpointRecorded") {
+    console.log("CheckpointRecorded Events:");
+    const checkpointEvents = await contract.queryFilter(
+      contract.filters.CheckpointRecorded(batchFilter),
+      fromBlock,
+      toBlock
+    );
+
+    if (checkpointEvents.length === 0) {
+      console.log("  (none found)\n");
+    } else {
+      for (const event of checkpointEvents) {
+        const args = event.args;
+        console.log(`  Batch ID: ${args.batchId.toString()}`);
+        console.log(`  Serial Hash: ${args.serialHash === ethers.ZeroHash ? "(whole batch)" : args.serialHash}`);
+        console.log(`  Status: ${CHECKPOINT_STATUSES[Number(args.status)]}`);
+        console.log(`  Location: ${formatLocationCode(args.locationCode)}`);
+        console.log(`  Actor: ${args.actor} (${SUPPLY_CHAIN_ROLES[Number(args.role)]})`);
+        console.log(`  Time: ${new Date(Number(args.timestamp) * 1000).toISOString()}`);
+        console.log(`  Block: ${event.blockNumber}`);
+        console.log(`  Transaction: ${event.transactionHash}`);
+        console.log("");
+      }
+    }
+  }
+
   console.log("Event query complete!\n");
 }
 
@@ -10,6 +10,7 @@
 
 const hre = require("hardhat");
 const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
 
 /**
  * Generate serial hash from batch ID and serial number
@@ -31,7 +32,7 @@ async function main() {
   console.log("Using account:", deployer.address);
 
   // Contract address - Update this with your deployed contract address
-  const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+  const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
 
   if (!CONTRACT_ADDRESS) {
     console.error("Error: CONTRACT_ADDRESS not set");
@@ -40,8 +41,7 @@ async function main() {
   }
 
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const chaincheck = ChainCheck.attach(CONTRACT_ADDRESS);
+  const chaincheck = await chainCheckAt(ethers, CONTRACT_ADDRESS);
 
   // Check if deployer is authorized
   const isAuthorized = await chaincheck.authorizedMakers(deployer.address);
@@ -83,6 +83,14 @@ async function main() {
   const description = process.env.DESCRIPTION || "";
   const imageUrl = process.env.IMAGE_URL || "";
 
+  // Optional shelf life, as dates such as 2026-01-31 (batches without EXPIRES_AT never expire)
+  const manufacturedAt = process.env.MANUFACTURED_AT ? Math.floor(Date.parse(process.env.MANUFACTURED_AT) / 1000) : 0;
+  const expiresAt = process.env.EXPIRES_AT ? Math.floor(Date.parse(process.env.EXPIRES_AT) / 1000) : 0;
+
+  // Registration fee, paid in the native token
+  const fee = await chaincheck.quoteRegistrationFee(serialHashes.length, true);
+  console.log("\nRegistration fee:", ethers.formatEther(fee), "ETH");
+
   console.log("\nRegistering product...");
   const tx = await chaincheck.registerProduct(
     batchId,
@@ -91,7 +99,10 @@ async function main() {
     serialHashes,
     ipfsHash,
     description,
-    imageUrl
+    imageUrl,
+    manufacturedAt,
+    expiresAt,
+    { value: fee }
   );
 
   console.log("Transaction hash:", tx.hash);
@@ -106,6 +117,9 @@ async function main() {
   console.log("Product Name:", product.name);
   console.log("Product Brand:", product.brand);
   console.log("Registered At:", new Date(Number(product.registeredAt) * 1000));
+  if (product.expiresAt > 0n) {
+    console.log("Expires At:", new Date(Number(product.expiresAt) * 1000));
+  }
 
   console.log("\n=== Next Steps ===");
   console.log("1. Generate QR codes for each serial number:");
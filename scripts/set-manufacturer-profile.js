@@ -0,0 +1,142 @@
+const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
+require("dotenv").config();
+
+/**
+ * Set Manufacturer Profile Script
+ *
+ * Set the on-chain identity profile shown to consumers for a manufacturer
+ *
+ * Usage:
+ *   npx hardhat run scripts/set-manufacturer-profile.js --network localhost --manufacturer 0xMaker --name "Acme Corp" --country US --tier Verified
+ *   npx hardhat run scripts/set-manufacturer-profile.js --network mumbai --manufacturer 0xMaker --website https://acme.example --logo QmLogo
+ *   npx hardhat run scripts/set-manufacturer-profile.js --network mumbai --manufacturer 0xMaker
+ *
+ * Options that are not given keep their current value.
+ */
+
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+const VERIFICATION_TIERS = ["Unverified", "Basic", "Verified", "Premium"];
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {};
+
+for (let i = 0; i < args.length; i++) {
+  const match = /^--(manufacturer|name|website|country|logo|tier)$/.exec(args[i]);
+  if (match && args[i + 1] !== undefined) {
+    options[match[1]] = args[i + 1];
+    i++;
+  }
+}
+
+/**
+ * Format a bytes2 country code for display
+ * @param {string} country - bytes2 hex value
+ * @returns {string} Country code, or "-" if not set
+ */
+function formatCountry(country) {
+  return country === "0x0000" ? "-" : ethers.toUtf8String(country);
+}
+
+async function main() {
+  console.log("\n=== Set Manufacturer Profile ===\n");
+  console.log("Contract Address:", CONTRACT_ADDRESS);
+  console.log("");
+
+  if (!options.manufacturer) {
+    console.log("Error: Manufacturer is required");
+    console.log("\nUsage:");
+    console.log("  npx hardhat run scripts/set-manufacturer-profile.js --network <network> --manufacturer <address> [options]");
+    console.log("\nOptions:");
+    console.log("  --manufacturer <address>  Manufacturer to set the profile of (required)");
+    console.log("  --name <name>             Display name");
+    console.log("  --website <url>           Website URL");
+    console.log("  --country <code>          ISO 3166-1 alpha-2 country code, e.g. US");
+    console.log(`  --tier <tier>             ${VERIFICATION_TIERS.join(", ")}`);
+    console.log("  --logo <ipfsHash>         IPFS hash of the logo image");
+    console.log("\nWithout any other option the current profile is shown.");
+    return;
+  }
+
+  if (!ethers.isAddress(options.manufacturer)) {
+    throw new Error(`Invalid manufacturer address: ${options.manufacturer}`);
+  }
+
+  // Get contract instance
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
+
+  const current = await contract.getManufacturerProfile(options.manufacturer);
+  console.log("Current profile:");
+  if (!current.name) {
+    console.log("  (none)");
+  } else {
+    console.log("  Name:", current.name);
+    console.log("  Website:", current.website || "-");
+    console.log("  Country:", formatCountry(current.country));
+    console.log("  Tier:", VERIFICATION_TIERS[Number(current.tier)]);
+    console.log("  Logo:", current.logoIpfsHash || "-");
+  }
+  console.log("");
+
+  if (Object.keys(options).length === 1) {
+    return;
+  }
+
+  const name = options.name ?? current.name;
+  const website = options.website ?? current.website;
+  const logoIpfsHash = options.logo ?? current.logoIpfsHash;
+
+  let country = current.country;
+  if (options.country !== undefined) {
+    if (!/^[A-Za-z]{2}$/.test(options.country)) {
+      throw new Error(`Invalid country code: ${options.country} (expected two letters, e.g. US)`);
+    }
+    country = ethers.hexlify(ethers.toUtf8Bytes(options.country.toUpperCase()));
+  }
+
+  let tier = Number(current.tier);
+  if (options.tier !== undefined) {
+    tier = VERIFICATION_TIERS.findIndex((t) => t.toLowerCase() === options.tier.toLowerCase());
+    if (tier === -1) {
+      throw new Error(`Invalid tier: ${options.tier} (expected one of ${VERIFICATION_TIERS.join(", ")})`);
+    }
+  }
+
+  if (!name) {
+    throw new Error("A name is required for new profiles (--name)");
+  }
+
+  // Get signer
+  const [signer] = await ethers.getSigners();
+  console.log("Signer address:", signer.address);
+
+  // Check if signer can manage manufacturers
+  const isManager = await contract.hasRole(await contract.MANUFACTURER_MANAGER_ROLE(), signer.address);
+  if (!isManager) {
+    throw new Error("Signer does not hold MANUFACTURER_MANAGER_ROLE required to set profiles");
+  }
+
+  if (!(await contract.authorizedMakers(options.manufacturer))) {
+    console.log("WARNING: Manufacturer is not authorized to register products yet");
+  }
+
+  console.log(`Setting profile of ${options.manufacturer} to "${name}" (${VERIFICATION_TIERS[tier]})...`);
+  const tx = await contract.setManufacturerProfile(options.manufacturer, name, website, country, logoIpfsHash, tier);
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+
+  const receipt = await tx.wait();
+  console.log("Transaction confirmed!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  console.log("");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n=== Error ===");
+    console.error(error);
+    process.exitCode = 1;
+  });
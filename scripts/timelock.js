@@ -0,0 +1,185 @@
+const { ethers } = require("hardhat");
+require("dotenv").config();
+
+/**
+ * Timelock Queue Script
+ *
+ * Queue, list, execute and cancel timelocked admin actions
+ * (manufacturer revocation, unpause, ownership transfer)
+ *
+ * Usage:
+ *   npx hardhat run scripts/timelock.js --network localhost list
+ *   npx hardhat run scripts/timelock.js --network mumbai queue revoke-manufacturer 0xMaker
+ *   npx hardhat run scripts/timelock.js --network mumbai queue unpause
+ *   npx hardhat run scripts/timelock.js --network mumbai queue transfer-ownership 0xNewOwner
+ *   npx hardhat run scripts/timelock.js --network mumbai execute <actionId>
+ *   npx hardhat run scripts/timelock.js --network mumbai cancel <actionId>
+ *   npx hardhat run scripts/timelock.js --network mumbai accept-ownership
+ *
+ * Options:
+ *   --all   List executed and cancelled actions too
+ */
+
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const showAll = args.includes("--all");
+const positional = args.filter(arg => !arg.startsWith("--"));
+const [command, ...commandArgs] = positional;
+
+// Action names, indexed by ChainCheck.TimelockAction
+const ACTIONS = ["revoke-manufacturer", "unpause", "transfer-ownership"];
+
+function printUsage() {
+  console.log("Usage:");
+  console.log("  npx hardhat run scripts/timelock.js --network <network> <command> [args]");
+  console.log("\nCommands:");
+  console.log("  list [--all]                          List pending (or all) queued actions");
+  console.log("  queue revoke-manufacturer <address>   Queue revoking a manufacturer");
+  console.log("  queue unpause                         Queue unpausing the contract");
+  console.log("  queue transfer-ownership <address>    Queue proposing a new owner");
+  console.log("  execute <actionId>                    Execute an action after its delay");
+  console.log("  cancel <actionId>                     Cancel a pending action");
+  console.log("  accept-ownership                      Accept ownership as the proposed owner");
+}
+
+/**
+ * Describe the state of a queued action
+ */
+function describeState(queued, now) {
+  if (queued.executed) return "EXECUTED";
+  if (queued.cancelled) return "CANCELLED";
+  if (now >= queued.executableAt) return "READY";
+  return "WAITING";
+}
+
+async function listActions(contract) {
+  const count = await contract.queuedActionCount();
+  const delay = await contract.TIMELOCK_DELAY();
+  const latest = await ethers.provider.getBlock("latest");
+  const now = BigInt(latest.timestamp);
+
+  console.log("Timelock delay:", `${delay.toString()}s (${Number(delay) / 3600}h)`);
+  console.log("Pending owner:", await contract.pendingOwner());
+  console.log("");
+
+  let shown = 0;
+  for (let actionId = 0n; actionId < count; actionId++) {
+    const queued = await contract.queuedActions(actionId);
+    const state = describeState(queued, now);
+    if (!showAll && (queued.executed || queued.cancelled)) continue;
+
+    console.log(`#${actionId.toString()} ${ACTIONS[Number(queued.action)]} [${state}]`);
+    if (queued.target !== ethers.ZeroAddress) {
+      console.log("  Target:", queued.target);
+    }
+    console.log("  Proposer:", queued.proposer);
+    console.log("  Executable at:", new Date(Number(queued.executableAt) * 1000).toISOString());
+    shown++;
+  }
+
+  if (shown === 0) {
+    console.log(showAll ? "No actions queued." : "No pending actions.");
+  }
+}
+
+async function sendTransaction(txPromise) {
+  const tx = await txPromise;
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+  const receipt = await tx.wait();
+  console.log("Transaction confirmed!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  return receipt;
+}
+
+async function main() {
+  console.log("\n=== ChainCheck Timelock ===\n");
+  console.log("Contract Address:", CONTRACT_ADDRESS);
+  console.log("");
+
+  if (!command) {
+    printUsage();
+    return;
+  }
+
+  // Get signer
+  const [signer] = await ethers.getSigners();
+  console.log("Signer address:", signer.address);
+  console.log("");
+
+  // Get contract instance
+  const ChainCheck = await ethers.getContractFactory("ChainCheck");
+  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+
+  if (command === "list") {
+    await listActions(contract);
+  } else if (command === "queue") {
+    const [actionName, target] = commandArgs;
+    const action = ACTIONS.indexOf(actionName);
+    if (action === -1) {
+      throw new Error(`Unknown action "${actionName}". Expected one of: ${ACTIONS.join(", ")}`);
+    }
+    if (actionName !== "unpause" && !ethers.isAddress(target)) {
+      throw new Error(`A valid address is required for ${actionName}`);
+    }
+
+    console.log(`Queueing ${actionName}${target ? ` for ${target}` : ""}...`);
+    const receipt = await sendTransaction(contract.queueAction(action, target || ethers.ZeroAddress));
+
+    const queuedEvent = receipt.logs
+      .map(log => contract.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === "ActionQueued");
+    console.log("");
+    console.log("Action ID:", queuedEvent.args.actionId.toString());
+    console.log("Executable at:", new Date(Number(queuedEvent.args.executableAt) * 1000).toISOString());
+  } else if (command === "execute" || command === "cancel") {
+    if (commandArgs[0] === undefined) {
+      throw new Error(`An action ID is required for ${command}`);
+    }
+    const actionId = BigInt(commandArgs[0]);
+    const queued = await contract.queuedActions(actionId);
+    console.log(`${command === "execute" ? "Executing" : "Cancelling"} #${actionId.toString()} ${ACTIONS[Number(queued.action)]}...`);
+
+    if (command === "execute") {
+      const latest = await ethers.provider.getBlock("latest");
+      if (describeState(queued, BigInt(latest.timestamp)) === "WAITING") {
+        throw new Error(`Action is not executable until ${new Date(Number(queued.executableAt) * 1000).toISOString()}`);
+      }
+      await sendTransaction(contract.executeAction(actionId));
+      if (ACTIONS[Number(queued.action)] === "transfer-ownership") {
+        console.log("\nOwnership proposed to", queued.target);
+        console.log("The new owner must run: scripts/timelock.js accept-ownership");
+      }
+    } else {
+      await sendTransaction(contract.cancelAction(actionId));
+    }
+  } else if (command === "accept-ownership") {
+    const pendingOwner = await contract.pendingOwner();
+    if (pendingOwner.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`Signer is not the pending owner (${pendingOwner})`);
+    }
+
+    console.log("Accepting ownership...");
+    const oldOwner = await contract.owner();
+    await sendTransaction(contract.acceptOwnership());
+    console.log("\nNew owner:", await contract.owner());
+    if (await contract.authorizedMakers(oldOwner)) {
+      console.log("The old owner is still an authorized manufacturer. To revoke it, run:");
+      console.log(`  scripts/timelock.js queue revoke-manufacturer ${oldOwner}`);
+    }
+  } else {
+    console.log(`Unknown command "${command}"\n`);
+    printUsage();
+  }
+  console.log("");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("\n=== Error ===");
+    console.error(error);
+    process.exitCode = 1;
+  });
@@ -1,4 +1,5 @@
 const { ethers } = require("hardhat");
+const { chainCheckAt } = require("./utils/proxy");
 require("dotenv").config();
 
 /**
@@ -6,12 +7,16 @@ require("dotenv").config();
  * 
  * Update IPFS hash, description, or image URL for existing products
  * 
+ * Every update is public: it emits ProductMetadataUpdated with the old and new
+ * values and bumps the batch's metadata version, so the change is printed
+ * before the transaction is sent.
+ * 
  * Usage:
  *   npx hardhat run scripts/update-metadata.js --network localhost
  *   npx hardhat run scripts/update-metadata.js --network mumbai --batch-id 1 --ipfs QmHash --description "New desc" --image-url https://example.com/image.jpg
  */
 
-const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -60,8 +65,7 @@ async function main() {
   console.log("Signer address:", signer.address);
 
   // Get contract instance
-  const ChainCheck = await ethers.getContractFactory("ChainCheck");
-  const contract = ChainCheck.attach(CONTRACT_ADDRESS);
+  const contract = await chainCheckAt(ethers, CONTRACT_ADDRESS);
 
   // Check if signer is authorized
   const isAuthorized = await contract.authorizedMakers(signer.address);
@@ -75,10 +79,20 @@ async function main() {
     throw new Error(`Product batch ${batchId} does not exist`);
   }
 
+  // Only the registering manufacturer or its delegates can edit a batch
+  const isManufacturer = product.manufacturer.toLowerCase() === signer.address.toLowerCase();
+  const isDelegate = await contract.batchDelegates(batchId, signer.address);
+  if (!isManufacturer && !isDelegate) {
+    throw new Error(`Batch ${batchId} belongs to ${product.manufacturer}; signer is not its manufacturer or a delegate`);
+  }
+
   console.log("Current product:", product.name, "by", product.brand);
+  console.log("Manufacturer:", product.manufacturer);
   console.log("Current IPFS hash:", product.ipfsHash || "(empty)");
   console.log("Current description:", product.description || "(empty)");
   console.log("Current image URL:", product.imageUrl || "(empty)");
+  const version = await contract.metadataVersion(batchId);
+  console.log("Metadata version:", version.toString());
   console.log("");
 
   // Check if any updates provided
@@ -87,12 +101,27 @@ async function main() {
     return;
   }
 
-  console.log("Updating metadata...");
-  if (ipfsHash) console.log("  IPFS hash:", ipfsHash);
-  if (description) console.log("  Description:", description);
-  if (imageUrl) console.log("  Image URL:", imageUrl);
+  // Show the change that will be logged on-chain
+  const changes = [
+    ["IPFS hash", product.ipfsHash, ipfsHash],
+    ["Description", product.description, description],
+    ["Image URL", product.imageUrl, imageUrl],
+  ].filter(([, current, next]) => next && next !== current);
+  if (changes.length === 0) {
+    console.log("The new values match the current metadata. Nothing to update.");
+    return;
+  }
+
+  console.log(`Changes for metadata version ${version + 1n}:`);
+  for (const [field, current, next] of changes) {
+    console.log(`  ${field}:`);
+    console.log(`    - ${current || "(empty)"}`);
+    console.log(`    + ${next}`);
+  }
   console.log("");
 
+  console.log("Updating metadata...");
+
   // Update metadata
   const tx = await contract.updateProductMetadata(batchId, ipfsHash, description, imageUrl);
   console.log("Transaction hash:", tx.hash);
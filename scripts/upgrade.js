@@ -0,0 +1,204 @@
+const hre = require("hardhat");
+const { ethers } = hre;
+require("dotenv").config();
+const {
+  getStorageLayout,
+  compareStorageLayouts,
+  getSnapshotPath,
+  readStorageLayoutSnapshot,
+  writeStorageLayoutSnapshot,
+} = require("./utils/storage-layout");
+const {
+  deployChainCheckImplementation,
+  getImplementationAddress,
+  getAdminAddress,
+} = require("./utils/proxy");
+
+/**
+ * Upgrade Script
+ *
+ * Check storage layout compatibility, then propose, execute or cancel a
+ * timelocked ChainCheck upgrade through ChainCheckProxy
+ *
+ * The compiled ChainCheck is compared with storage-layout/ChainCheck.json,
+ * the layout of the deployed implementation. Executing an upgrade refreshes
+ * that snapshot; commit it alongside the release.
+ *
+ * Proxy admin commands are signed with PROXY_ADMIN_PRIVATE_KEY (on the local
+ * network, the last Hardhat account, which deploy.js uses as proxy admin).
+ *
+ * Usage:
+ *   npx hardhat run scripts/upgrade.js --network localhost status
+ *   npx hardhat run scripts/upgrade.js --network mumbai check
+ *   npx hardhat run scripts/upgrade.js --network mumbai propose
+ *   npx hardhat run scripts/upgrade.js --network mumbai execute
+ *   npx hardhat run scripts/upgrade.js --network mumbai cancel
+ *   npx hardhat run scripts/upgrade.js --network mumbai change-admin 0xNewAdmin
+ *   npx hardhat run scripts/upgrade.js --network mumbai save-layout
+ */
+
+const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || "0x9fE46736679d2D9a65F0992F2272dE9f3c7fa6e0";
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const positional = args.filter(arg => !arg.startsWith("--"));
+const [command, ...commandArgs] = positional;
+
+function printUsage() {
+  console.log("Usage:");
+  console.log("  npx hardhat run scripts/upgrade.js --network <network> <command> [args]");
+  console.log("\nCommands:");
+  console.log("  status                   Show the implementation, admin and pending upgrade");
+  console.log("  check                    Check the compiled storage layout against the snapshot");
+  console.log("  propose                  Deploy the compiled ChainCheck and propose it");
+  console.log("  execute                  Install the proposed implementation after the delay");
+  console.log("  cancel                   Cancel the proposed upgrade");
+  console.log("  change-admin <address>   Hand the proxy admin over");
+  console.log("  save-layout              Save the compiled storage layout as the snapshot");
+}
+
+/**
+ * Get the proxy admin signer
+ * @returns {Promise<object>} Signer for the proxy admin
+ */
+async function getAdminSigner() {
+  if (process.env.PROXY_ADMIN_PRIVATE_KEY) {
+    return new ethers.Wallet(process.env.PROXY_ADMIN_PRIVATE_KEY, ethers.provider);
+  }
+  const network = await ethers.provider.getNetwork();
+  if (network.chainId !== 1337n) {
+    throw new Error("Set PROXY_ADMIN_PRIVATE_KEY in .env to sign as the proxy admin");
+  }
+  const signers = await ethers.getSigners();
+  return signers[signers.length - 1];
+}
+
+/**
+ * Compare the compiled storage layout with the deployed one
+ * @returns {Promise<boolean>} True if the layout is compatible
+ */
+async function checkLayout() {
+  console.log("Checking storage layout against", getSnapshotPath());
+  const errors = compareStorageLayouts(readStorageLayoutSnapshot(), await getStorageLayout(hre));
+  if (errors.length > 0) {
+    console.log(`\nIncompatible storage layout (${errors.length} problems):`);
+    errors.forEach(error => console.log("  -", error));
+    console.log("\nOnly append new state variables, after all existing ones.");
+    return false;
+  }
+  console.log("Storage layout is compatible.");
+  return true;
+}
+
+async function sendTransaction(txPromise) {
+  const tx = await txPromise;
+  console.log("Transaction hash:", tx.hash);
+  console.log("Waiting for confirmation...");
+  const receipt = await tx.wait();
+  console.log("Transaction confirmed!");
+  console.log("Gas used:", receipt.gasUsed.toString());
+  return receipt;
+}
+
+async function main() {
+  console.log("\n=== ChainCheck Upgrade ===\n");
+  console.log("Proxy Address:", CONTRACT_ADDRESS);
+  console.log("");
+
+  if (!command) {
+    printUsage();
+    return;
+  }
+
+  await hre.run("compile", { quiet: true });
+
+  if (command === "check") {
+    if (!(await checkLayout())) process.exitCode = 1;
+    console.log("");
+    return;
+  }
+  if (command === "save-layout") {
+    console.log("Saved storage layout to", writeStorageLayoutSnapshot(await getStorageLayout(hre)));
+    console.log("");
+    return;
+  }
+
+  const signer = await getAdminSigner();
+  const admin = await getAdminAddress(ethers.provider, CONTRACT_ADDRESS);
+  console.log("Signer address:", signer.address);
+  if (admin !== signer.address.toLowerCase()) {
+    throw new Error(`Signer is not the proxy admin (${ethers.getAddress(admin)})`);
+  }
+  console.log("");
+
+  const ChainCheckProxy = await ethers.getContractFactory("ChainCheckProxy", signer);
+  const proxy = ChainCheckProxy.attach(CONTRACT_ADDRESS);
+
+  if (command === "status") {
+    const [pendingImplementation, executableAt] = await proxy.pendingUpgrade.staticCall();
+    console.log("Implementation:", await proxy.implementation.staticCall());
+    console.log("Admin:", await proxy.admin.staticCall());
+    console.log("Upgrade delay:", `${(await proxy.UPGRADE_DELAY()).toString()}s`);
+    if (pendingImplementation === ethers.ZeroAddress) {
+      console.log("Pending upgrade: none");
+    } else {
+      console.log("Pending upgrade:", pendingImplementation);
+      console.log("  Executable at:", new Date(Number(executableAt) * 1000).toISOString());
+    }
+  } else if (command === "propose") {
+    if (!(await checkLayout())) {
+      throw new Error("Refusing to propose an implementation with an incompatible storage layout");
+    }
+
+    console.log("\nDeploying new ChainCheck implementation and extension...");
+    const implementation = await deployChainCheckImplementation(ethers, signer);
+    const implementationAddress = await implementation.getAddress();
+    console.log("Implementation deployed to:", implementationAddress);
+    console.log("Extension deployed to:", await implementation.extension());
+
+    console.log("\nProposing upgrade...");
+    const receipt = await sendTransaction(proxy.proposeUpgrade(implementationAddress));
+    const proposedEvent = receipt.logs
+      .map(log => proxy.interface.parseLog(log))
+      .find(parsed => parsed && parsed.name === "UpgradeProposed");
+    console.log("\nExecutable at:", new Date(Number(proposedEvent.args.executableAt) * 1000).toISOString());
+    console.log("Then run: scripts/upgrade.js execute");
+  } else if (command === "execute") {
+    const [pendingImplementation, executableAt] = await proxy.pendingUpgrade.staticCall();
+    if (pendingImplementation === ethers.ZeroAddress) {
+      throw new Error("No upgrade proposed");
+    }
+    const latest = await ethers.provider.getBlock("latest");
+    if (BigInt(latest.timestamp) < executableAt) {
+      throw new Error(`Upgrade is not executable until ${new Date(Number(executableAt) * 1000).toISOString()}`);
+    }
+
+    console.log("Upgrading to", pendingImplementation + "...");
+    await sendTransaction(proxy.upgrade("0x"));
+    console.log("\nImplementation:", ethers.getAddress(await getImplementationAddress(ethers.provider, CONTRACT_ADDRESS)));
+    console.log("Saved storage layout to", writeStorageLayoutSnapshot(await getStorageLayout(hre)));
+    console.log("Commit the updated snapshot with this release.");
+  } else if (command === "cancel") {
+    console.log("Cancelling pending upgrade...");
+    await sendTransaction(proxy.cancelUpgrade());
+  } else if (command === "change-admin") {
+    const [newAdmin] = commandArgs;
+    if (!ethers.isAddress(newAdmin)) {
+      throw new Error("A valid address is required for change-admin");
+    }
+    console.log("Changing proxy admin to", newAdmin + "...");
+    await sendTransaction(proxy.changeAdmin(newAdmin));
+  } else {
+    console.log(`Unknown command "${command}"\n`);
+    printUsage();
+  }
+  console.log("");
+}
+
+main()
+  .then(() => process.exit(process.exitCode || 0))
+  .catch((error) => {
+    console.error("\n=== Error ===");
+    console.error(error);
+    process.exitCode = 1;
+  });
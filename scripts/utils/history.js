@@ -0,0 +1,76 @@
+/**
+ * Verification History Helpers
+ *
+ * Rebuilds a serial's verification history from events, for ChainCheck
+ * deployments in events-only mode (storeHistory = false) that do not keep
+ * VerificationRecords in storage.
+ *
+ * Records have the same shape as the contract's VerificationRecord. The owner
+ * at each scan is recovered by replaying ProductTransferred events in log
+ * order: a claim emits ProductTransferred before its Verified event, so the
+ * claimer is already the owner of the record that claims it.
+ */
+
+/**
+ * Sort logs into chain order
+ * @param {object} a - Log
+ * @param {object} b - Log
+ * @returns {number} Comparison result
+ */
+function compareLogs(a, b) {
+  return a.blockNumber - b.blockNumber || a.index - b.index;
+}
+
+/**
+ * Rebuild the verification history of a serial from Verified events
+ * @param {object} contract - ChainCheck contract instance (ethers v6)
+ * @param {string} serialHash - Hashed serial number
+ * @param {number} batchId - Product batch ID
+ * @param {number} [fromBlock=0] - First block to search
+ * @returns {Promise<object[]>} Verification records, oldest first
+ */
+async function getVerificationHistoryFromEvents(contract, serialHash, batchId, fromBlock = 0) {
+  const [verified, transferred] = await Promise.all([
+    contract.queryFilter(contract.filters.Verified(serialHash, batchId), fromBlock, "latest"),
+    contract.queryFilter(contract.filters.ProductTransferred(serialHash, batchId), fromBlock, "latest"),
+  ]);
+
+  const records = [];
+  let owner = "0x0000000000000000000000000000000000000000";
+  for (const log of [...verified, ...transferred].sort(compareLogs)) {
+    if (log.fragment.name === "ProductTransferred") {
+      owner = log.args.to;
+      continue;
+    }
+    records.push({
+      serialHash: log.args.serialHash,
+      batchId: log.args.batchId,
+      verifier: log.args.verifier,
+      timestamp: log.args.timestamp,
+      isAuthentic: log.args.isAuthentic,
+      owner,
+      status: log.args.status,
+    });
+  }
+  return records;
+}
+
+/**
+ * Get the verification history of a serial from storage or, for events-only
+ * deployments, from events
+ * @param {object} contract - ChainCheck contract instance (ethers v6)
+ * @param {string} serialHash - Hashed serial number
+ * @param {number} batchId - Product batch ID
+ * @returns {Promise<object[]>} Verification records, oldest first
+ */
+async function getVerificationHistory(contract, serialHash, batchId) {
+  if (await contract.storeHistory()) {
+    return contract.getVerificationHistory(serialHash, batchId);
+  }
+  return getVerificationHistoryFromEvents(contract, serialHash, batchId);
+}
+
+module.exports = {
+  getVerificationHistoryFromEvents,
+  getVerificationHistory,
+};
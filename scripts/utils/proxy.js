@@ -0,0 +1,123 @@
+/**
+ * Proxy Deployment Helpers
+ *
+ * ChainCheck is deployed as an implementation contract behind
+ * ChainCheckProxy. These helpers deploy the pair, and read the implementation
+ * and admin addresses from the proxy's ERC-1967 slots (the proxy's own
+ * getters only answer its admin).
+ *
+ * Each implementation comes with a ChainCheckExtension that runs the views and
+ * profile functions ChainCheck forwards to it. They are called at the proxy
+ * address, so contracts returned here carry both ABIs.
+ */
+
+// ERC-1967 slots, as defined in ChainCheckProxy
+const IMPLEMENTATION_SLOT = "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+const ADMIN_SLOT = "0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103";
+
+/**
+ * Deploy a ChainCheck implementation and its extension
+ * @param {object} ethers - Hardhat ethers (hre.ethers)
+ * @param {object} [signer] - Deployer (defaults to the first signer)
+ * @returns {Promise<object>} The implementation contract
+ */
+async function deployChainCheckImplementation(ethers, signer) {
+  const ChainCheckExtension = await ethers.getContractFactory("ChainCheckExtension", signer);
+  const extension = await ChainCheckExtension.deploy();
+  await extension.waitForDeployment();
+
+  const ChainCheck = await ethers.getContractFactory("ChainCheck", signer);
+  const implementation = await ChainCheck.deploy(await extension.getAddress());
+  await implementation.waitForDeployment();
+  return implementation;
+}
+
+/**
+ * Attach to ChainCheck with the functions of both ChainCheck and ChainCheckExtension
+ * @param {object} ethers - Hardhat ethers (hre.ethers)
+ * @param {string} address - ChainCheckProxy address
+ * @param {object} [signer] - Signer (defaults to the first signer)
+ * @returns {Promise<object>} Contract instance
+ */
+async function chainCheckAt(ethers, address, signer) {
+  const ChainCheck = await ethers.getContractFactory("ChainCheck", signer);
+  const ChainCheckExtension = await ethers.getContractFactory("ChainCheckExtension", signer);
+  return ethers.getContractAt(
+    [...ChainCheck.interface.fragments, ...ChainCheckExtension.interface.fragments],
+    address,
+    signer
+  );
+}
+
+/**
+ * Deploy a ChainCheck implementation and a proxy that initializes it
+ * @param {object} ethers - Hardhat ethers (hre.ethers)
+ * @param {object} options
+ * @param {string} options.admin - Proxy admin; must differ from the deployer,
+ *        which becomes ChainCheck's owner
+ * @param {boolean} [options.storeHistory=true] - Keep verification history in storage
+ * @param {object} [options.signer] - Deployer (defaults to the first signer)
+ * @returns {Promise<{chaincheck: object, proxy: object, implementation: object}>}
+ *          ChainCheck attached to the proxy, the proxy and the implementation
+ */
+async function deployChainCheckProxy(ethers, { admin, storeHistory = true, signer }) {
+  const deployer = signer || (await ethers.getSigners())[0];
+  if (admin.toLowerCase() === deployer.address.toLowerCase()) {
+    throw new Error("The proxy admin must differ from the deployer (the ChainCheck owner)");
+  }
+
+  const implementation = await deployChainCheckImplementation(ethers, deployer);
+
+  const ChainCheckProxy = await ethers.getContractFactory("ChainCheckProxy", deployer);
+  const proxy = await ChainCheckProxy.deploy(
+    await implementation.getAddress(),
+    admin,
+    implementation.interface.encodeFunctionData("initialize", [storeHistory])
+  );
+  await proxy.waitForDeployment();
+
+  const chaincheck = await chainCheckAt(ethers, await proxy.getAddress(), deployer);
+  return { chaincheck, proxy, implementation };
+}
+
+/**
+ * Read an address stored in a proxy slot
+ * @param {object} provider - ethers provider
+ * @param {string} proxyAddress - ChainCheckProxy address
+ * @param {string} slot - Storage slot
+ * @returns {Promise<string>} Address (lowercase)
+ */
+async function readAddressSlot(provider, proxyAddress, slot) {
+  const value = await provider.getStorage(proxyAddress, slot);
+  return "0x" + value.slice(-40);
+}
+
+/**
+ * Get the implementation behind a proxy
+ * @param {object} provider - ethers provider
+ * @param {string} proxyAddress - ChainCheckProxy address
+ * @returns {Promise<string>} Implementation address (lowercase)
+ */
+async function getImplementationAddress(provider, proxyAddress) {
+  return readAddressSlot(provider, proxyAddress, IMPLEMENTATION_SLOT);
+}
+
+/**
+ * Get the admin of a proxy
+ * @param {object} provider - ethers provider
+ * @param {string} proxyAddress - ChainCheckProxy address
+ * @returns {Promise<string>} Admin address (lowercase)
+ */
+async function getAdminAddress(provider, proxyAddress) {
+  return readAddressSlot(provider, proxyAddress, ADMIN_SLOT);
+}
+
+module.exports = {
+  IMPLEMENTATION_SLOT,
+  ADMIN_SLOT,
+  deployChainCheckImplementation,
+  deployChainCheckProxy,
+  chainCheckAt,
+  getImplementationAddress,
+  getAdminAddress,
+};
@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Storage Layout Helpers
+ *
+ * ChainCheck runs behind ChainCheckProxy, so a new implementation must keep
+ * every existing storage variable where it is. These helpers read the
+ * compiler's storage layout, compare it with the layout of the deployed
+ * version and keep a snapshot of that layout under storage-layout/.
+ *
+ * Layouts are normalized so they can be compared across compilations: types
+ * are keyed by their label (e.g. "mapping(bytes32 => bool)") instead of the
+ * compiler's AST-dependent type IDs. Labels are compared without the contract
+ * that declares a struct or enum ("struct ChainCheck.Product" matches
+ * "struct ChainCheckStorage.Product"), since moving a declaration does not
+ * move any state.
+ *
+ * Upgrade rules enforced by compareStorageLayouts:
+ * - Existing variables keep their name, slot, offset and type
+ * - New variables are appended after the existing ones
+ * - Structs may gain members at the end, except structs stored in arrays
+ *   (array elements would no longer line up)
+ */
+
+const SNAPSHOT_DIR = path.join(__dirname, "..", "..", "storage-layout");
+
+/**
+ * Normalize a solc storage layout
+ * @param {object} layout - storageLayout from the compiler output
+ * @returns {object} Layout with variables and types keyed by type label
+ */
+function normalizeLayout(layout) {
+  const types = {};
+
+  function addType(typeId) {
+    const type = layout.types[typeId];
+    if (!types[type.label]) {
+      const entry = { encoding: type.encoding, numberOfBytes: type.numberOfBytes };
+      types[type.label] = entry;
+      if (type.key) entry.key = addType(type.key);
+      if (type.value) entry.value = addType(type.value);
+      if (type.base) entry.base = addType(type.base);
+      if (type.members) {
+        entry.members = type.members.map((member) => ({
+          label: member.label,
+          slot: member.slot,
+          offset: member.offset,
+          type: addType(member.type),
+        }));
+      }
+    }
+    return type.label;
+  }
+
+  const storage = layout.storage.map((variable) => ({
+    label: variable.label,
+    slot: variable.slot,
+    offset: variable.offset,
+    type: addType(variable.type),
+  }));
+
+  return { storage, types };
+}
+
+/**
+ * Read a contract's storage layout from the latest compilation
+ * @param {object} hre - Hardhat runtime environment
+ * @param {string} [contractName="ChainCheck"] - Contract name
+ * @returns {Promise<object>} Normalized storage layout
+ */
+async function getStorageLayout(hre, contractName = "ChainCheck") {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+  const output = buildInfo.output.contracts[artifact.sourceName][artifact.contractName];
+  if (!output.storageLayout) {
+    throw new Error("Storage layout missing from the build; check outputSelection in hardhat.config.js");
+  }
+  return normalizeLayout(output.storageLayout);
+}
+
+/**
+ * Drop the declaring contract from the struct and enum names in a type label
+ * @param {string} label - Type label
+ * @returns {string} Label, e.g. "mapping(uint256 => struct Product)"
+ */
+function unqualifiedLabel(label) {
+  return label.replace(/\b(struct|enum) \w+\./g, "$1 ");
+}
+
+/**
+ * Compare two types with the same position in storage
+ * @param {string} name - Variable or member path, for error messages
+ * @param {object} previous - Previous layout
+ * @param {string} previousType - Previous type label
+ * @param {object} current - Current layout
+ * @param {string} currentType - Current type label
+ * @param {boolean} inArray - Whether the type is an array element
+ * @param {string[]} errors - Collected errors
+ */
+function compareTypes(name, previous, previousType, current, currentType, inArray, errors) {
+  if (unqualifiedLabel(previousType) !== unqualifiedLabel(currentType)) {
+    errors.push(`${name}: type changed from ${previousType} to ${currentType}`);
+    return;
+  }
+
+  const before = previous.types[previousType];
+  const after = current.types[currentType];
+
+  if (before.members) {
+    if (inArray && before.numberOfBytes !== after.numberOfBytes) {
+      errors.push(`${name}: ${previousType} changed size but is stored in an array`);
+    }
+    before.members.forEach((member, i) => {
+      const updated = after.members[i];
+      const memberName = `${name}.${member.label}`;
+      if (!updated || updated.label !== member.label) {
+        errors.push(`${memberName}: struct member removed, renamed or reordered`);
+      } else if (updated.slot !== member.slot || updated.offset !== member.offset) {
+        errors.push(`${memberName}: struct member moved`);
+      } else {
+        compareTypes(memberName, previous, member.type, current, updated.type, false, errors);
+      }
+    });
+  }
+
+  if (before.value) {
+    compareTypes(`${name}[]`, previous, before.value, current, after.value, false, errors);
+  }
+  if (before.base) {
+    compareTypes(`${name}[]`, previous, before.base, current, after.base, true, errors);
+  }
+}
+
+/**
+ * Check that a new storage layout can safely replace a deployed one
+ * @param {object} previous - Normalized layout of the deployed implementation
+ * @param {object} current - Normalized layout of the new implementation
+ * @returns {string[]} Incompatibilities; empty if the upgrade is safe
+ */
+function compareStorageLayouts(previous, current) {
+  const errors = [];
+  const currentByLabel = new Map(current.storage.map((variable) => [variable.label, variable]));
+
+  for (const variable of previous.storage) {
+    const updated = currentByLabel.get(variable.label);
+    if (!updated) {
+      errors.push(`${variable.label}: removed or renamed`);
+      continue;
+    }
+    if (updated.slot !== variable.slot || updated.offset !== variable.offset) {
+      errors.push(
+        `${variable.label}: moved from slot ${variable.slot} offset ${variable.offset} ` +
+        `to slot ${updated.slot} offset ${updated.offset}`
+      );
+      continue;
+    }
+    compareTypes(variable.label, previous, variable.type, current, updated.type, false, errors);
+  }
+
+  return errors;
+}
+
+/**
+ * Path of a contract's storage layout snapshot
+ * @param {string} [contractName="ChainCheck"] - Contract name
+ * @returns {string} Snapshot path
+ */
+function getSnapshotPath(contractName = "ChainCheck") {
+  return path.join(SNAPSHOT_DIR, `${contractName}.json`);
+}
+
+/**
+ * Read the storage layout snapshot of the deployed implementation
+ * @param {string} [contractName="ChainCheck"] - Contract name
+ * @returns {object} Normalized storage layout
+ */
+function readStorageLayoutSnapshot(contractName = "ChainCheck") {
+  return JSON.parse(fs.readFileSync(getSnapshotPath(contractName), "utf8"));
+}
+
+/**
+ * Save a storage layout as the snapshot of the deployed implementation
+ * @param {object} layout - Normalized storage layout
+ * @param {string} [contractName="ChainCheck"] - Contract name
+ * @returns {string} Snapshot path
+ */
+function writeStorageLayoutSnapshot(layout, contractName = "ChainCheck") {
+  const snapshotPath = getSnapshotPath(contractName);
+  fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+  fs.writeFileSync(snapshotPath, JSON.stringify(layout, null, 2) + "\n");
+  return snapshotPath;
+}
+
+module.exports = {
+  normalizeLayout,
+  getStorageLayout,
+  compareStorageLayouts,
+  getSnapshotPath,
+  readStorageLayoutSnapshot,
+  writeStorageLayoutSnapshot,
+};
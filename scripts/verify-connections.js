@@ -15,9 +15,14 @@ let allGood = true;
 console.log("1. Contract Compilation:");
 try {
   const artifactPath = path.join(__dirname, "..", "artifacts", "contracts", "ChainCheck.sol", "ChainCheck.json");
-  if (fs.existsSync(artifactPath)) {
+  const extensionPath = path.join(
+    __dirname, "..", "artifacts", "contracts", "ChainCheckExtension.sol", "ChainCheckExtension.json"
+  );
+  if (fs.existsSync(artifactPath) && fs.existsSync(extensionPath)) {
+    // ChainCheck forwards the extension's functions, so check both ABIs
     const artifact = JSON.parse(fs.readFileSync(artifactPath, "utf8"));
-    const abi = artifact.abi;
+    const extension = JSON.parse(fs.readFileSync(extensionPath, "utf8"));
+    const abi = [...artifact.abi, ...extension.abi];
     console.log("   [OK] Contract compiled");
     console.log("   [OK] ABI found (" + abi.length + " entries)");
     
@@ -1,11 +1,17 @@
 const hre = require("hardhat");
 require("dotenv").config();
+const { getImplementationAddress } = require("./utils/proxy");
 
 /**
  * Contract Verification Script
  * 
  * Verify contract on PolygonScan/Etherscan
  * 
+ * CONTRACT_ADDRESS is the ChainCheckProxy; this verifies the ChainCheck
+ * implementation behind it and its ChainCheckExtension (for example after an
+ * upgrade). Block explorers then show the proxy's read/write tabs against the
+ * implementation ABI.
+ * 
  * Usage:
  *   npx hardhat run scripts/verify-contract.js --network polygon
  *   npx hardhat run scripts/verify-contract.js --network mumbai
@@ -44,14 +50,25 @@ async function main() {
     return;
   }
 
+  const implementationAddress = await getImplementationAddress(ethers.provider, CONTRACT_ADDRESS);
+  const implementation = await ethers.getContractAt("ChainCheck", implementationAddress);
+  const extensionAddress = await implementation.extension();
+  console.log("Implementation Address:", implementationAddress);
+  console.log("Extension Address:", extensionAddress);
+  console.log("");
+
   console.log("Verifying contract...");
   console.log("This may take a few minutes...\n");
 
   try {
     await hre.run("verify:verify", {
-      address: CONTRACT_ADDRESS,
+      address: extensionAddress,
       constructorArguments: [],
     });
+    await hre.run("verify:verify", {
+      address: implementationAddress,
+      constructorArguments: [extensionAddress],
+    });
 
     console.log("\nContract verified successfully!");
     
@@ -1,5 +1,24 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  buildMerkleTree,
+  getMerkleRoot,
+  getMerkleProof,
+} = require("../scripts/utils/merkle");
+const {
+  deployChainCheckImplementation,
+  deployChainCheckProxy,
+  getImplementationAddress,
+  getAdminAddress,
+} = require("../scripts/utils/proxy");
+const {
+  getStorageLayout,
+  compareStorageLayouts,
+  readStorageLayoutSnapshot,
+} = require("../scripts/utils/storage-layout");
 
 /**
  * Test suite for ChainCheck contract
@@ -7,8 +26,27 @@ const { ethers } = require("hardhat");
  * Tests cover:
  * - Contract deployment
  * - Manufacturer authorization
+ * - Manufacturer profiles
+ * - Manufacturer operators with batch-ID ranges and serial quotas
  * - Product registration
  * - Product verification (authentic and fake)
+ * - Appending serials to a batch and sealing it
+ * - Merkle-root batch registration and proof verification
+ * - Read-only checks and claim-code protected first-scan claims
+ * - Product ownership and resale transfers
+ * - Supply-chain partners and custody checkpoints
+ * - Batch recalls, serial revocations and verification statuses
+ * - Batch manufacture and expiry dates
+ * - Consumer counterfeit reports
+ * - ERC-721 digital twins minted on first claims
+ * - Role-based access control
+ * - Timelocked admin actions and two-step ownership transfer
+ * - Gasless verification through the EIP-712 forwarder
+ * - Brand registry
+ * - Per-batch statistics
+ * - Paginated enumeration of batches, manufacturers and history
+ * - Events-only verification history mode
+ * - Upgradeable proxy deployment and storage layout compatibility
  * - Access control
  * - Edge cases
  */
@@ -18,6 +56,7 @@ describe("ChainCheck", function () {
   let manufacturer;
   let consumer;
   let otherAccount;
+  let proxyAdmin;
 
   // Test data
   const batchId = 1;
@@ -25,6 +64,27 @@ describe("ChainCheck", function () {
   const productBrand = "Nike";
   const serialNumber = "SN123456789";
 
+  // ChainCheck.TimelockAction
+  const TimelockAction = { RevokeManufacturer: 0, Unpause: 1, TransferOwnership: 2 };
+
+  // ChainCheck.VerificationStatus
+  const VerificationStatus = {
+    Authentic: 0,
+    AlreadyClaimed: 1,
+    Recalled: 2,
+    Revoked: 3,
+    Unknown: 4,
+    InvalidBatchId: 5,
+    BatchNotFound: 6,
+    SerialNotInBatch: 7,
+    ClaimCodeRequired: 8,
+    Expired: 9,
+    BatchFrozen: 10,
+  };
+
+  // ChainCheck.PausableOperation
+  const PausableOperation = { Registration: 0, Verification: 1, Metadata: 2 };
+
   /**
    * Helper function to create a serial hash
    * This matches the format expected by the contract
@@ -38,19 +98,46 @@ describe("ChainCheck", function () {
     );
   }
 
+  /**
+   * Helper function to get a serial's key in the per-serial mappings
+   * This matches ChainCheck.serialKey
+   */
+  function serialKey(batchId, serialHash) {
+    return ethers.keccak256(
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint256", "bytes32"], [batchId, serialHash])
+    );
+  }
+
+  /**
+   * Helper function to queue a timelocked action, wait out the delay and execute it
+   */
+  async function executeTimelocked(signer, action, target = ethers.ZeroAddress) {
+    const actionId = await chaincheck.queuedActionCount();
+    await chaincheck.connect(signer).queueAction(action, target);
+    await time.increase(await chaincheck.TIMELOCK_DELAY());
+    return chaincheck.connect(signer).executeAction(actionId);
+  }
+
+  /**
+   * Helper function to deploy ChainCheck behind its proxy
+   */
+  async function deployChainCheck(storeHistory = true) {
+    return (await deployChainCheckProxy(ethers, { admin: proxyAdmin.address, storeHistory })).chaincheck;
+  }
+
   /**
    * Setup: Deploy contract and get signers before each test
    */
   beforeEach(async function () {
-    // Get test accounts
-    [owner, manufacturer, consumer, otherAccount] = await ethers.getSigners();
+    // Get test accounts; the proxy admin must be separate from the owner
+    const signers = await ethers.getSigners();
+    [owner, manufacturer, consumer, otherAccount] = signers;
+    proxyAdmin = signers[signers.length - 1];
 
-    // Deploy ChainCheck contract
-    const ChainCheck = await ethers.getContractFactory("ChainCheck");
-    chaincheck = await ChainCheck.deploy();
-    await chaincheck.waitForDeployment();
+    // Deploy ChainCheck contract behind its proxy
+    chaincheck = await deployChainCheck();
 
-    // Authorize manufacturer (owner is auto-authorized in constructor)
+    // Authorize manufacturer (owner is auto-authorized in initialize)
     await chaincheck.authorizeManufacturer(manufacturer.address, true);
   });
 
@@ -69,6 +156,123 @@ describe("ChainCheck", function () {
     });
   });
 
+  describe("Access Control Roles", function () {
+    let ADMIN_ROLE, MANUFACTURER_MANAGER_ROLE, PAUSER_ROLE, AUDITOR_ROLE, METADATA_EDITOR_ROLE;
+
+    beforeEach(async function () {
+      ADMIN_ROLE = await chaincheck.ADMIN_ROLE();
+      MANUFACTURER_MANAGER_ROLE = await chaincheck.MANUFACTURER_MANAGER_ROLE();
+      PAUSER_ROLE = await chaincheck.PAUSER_ROLE();
+      AUDITOR_ROLE = await chaincheck.AUDITOR_ROLE();
+      METADATA_EDITOR_ROLE = await chaincheck.METADATA_EDITOR_ROLE();
+    });
+
+    it("Should give the deployer the admin, manufacturer manager and pauser roles", async function () {
+      expect(await chaincheck.hasRole(ADMIN_ROLE, owner.address)).to.be.true;
+      expect(await chaincheck.hasRole(MANUFACTURER_MANAGER_ROLE, owner.address)).to.be.true;
+      expect(await chaincheck.hasRole(PAUSER_ROLE, owner.address)).to.be.true;
+      expect(await chaincheck.hasRole(AUDITOR_ROLE, owner.address)).to.be.false;
+      expect(await chaincheck.getRoleMembers(ADMIN_ROLE)).to.deep.equal([owner.address]);
+    });
+
+    it("Should grant and revoke roles with events and enumeration", async function () {
+      await expect(chaincheck.grantRole(AUDITOR_ROLE, consumer.address))
+        .to.emit(chaincheck, "RoleGranted")
+        .withArgs(AUDITOR_ROLE, consumer.address, owner.address);
+      await chaincheck.grantRole(AUDITOR_ROLE, otherAccount.address);
+
+      expect(await chaincheck.getRoleMembers(AUDITOR_ROLE)).to.have.lengthOf(2);
+
+      await expect(chaincheck.revokeRole(AUDITOR_ROLE, consumer.address))
+        .to.emit(chaincheck, "RoleRevoked")
+        .withArgs(AUDITOR_ROLE, consumer.address, owner.address);
+
+      expect(await chaincheck.hasRole(AUDITOR_ROLE, consumer.address)).to.be.false;
+      expect(await chaincheck.getRoleMembers(AUDITOR_ROLE)).to.deep.equal([otherAccount.address]);
+    });
+
+    it("Should only let admins grant or revoke roles", async function () {
+      await expect(
+        chaincheck.connect(consumer).grantRole(PAUSER_ROLE, consumer.address)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole")
+        .withArgs(ADMIN_ROLE, consumer.address);
+      await expect(
+        chaincheck.connect(consumer).revokeRole(PAUSER_ROLE, owner.address)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+    });
+
+    it("Should let holders renounce their roles", async function () {
+      await chaincheck.grantRole(PAUSER_ROLE, consumer.address);
+
+      await expect(chaincheck.connect(consumer).renounceRole(PAUSER_ROLE))
+        .to.emit(chaincheck, "RoleRevoked")
+        .withArgs(PAUSER_ROLE, consumer.address, consumer.address);
+      expect(await chaincheck.hasRole(PAUSER_ROLE, consumer.address)).to.be.false;
+    });
+
+    it("Should never remove the last admin", async function () {
+      await expect(chaincheck.renounceRole(ADMIN_ROLE)).to.be.revertedWithCustomError(chaincheck, "LastAdmin");
+      await expect(
+        chaincheck.revokeRole(ADMIN_ROLE, owner.address)
+      ).to.be.revertedWithCustomError(chaincheck, "LastAdmin");
+
+      await chaincheck.grantRole(ADMIN_ROLE, otherAccount.address);
+      await chaincheck.renounceRole(ADMIN_ROLE);
+      expect(await chaincheck.getRoleMembers(ADMIN_ROLE)).to.deep.equal([otherAccount.address]);
+    });
+
+    it("Should let a pager key pause while the admin key stays cold", async function () {
+      await chaincheck.grantRole(PAUSER_ROLE, consumer.address);
+      await chaincheck.revokeRole(PAUSER_ROLE, owner.address);
+
+      await expect(chaincheck.connect(consumer).pause()).to.emit(chaincheck, "Paused").withArgs(true);
+      await expect(
+        chaincheck.queueAction(TimelockAction.Unpause, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+      await executeTimelocked(consumer, TimelockAction.Unpause);
+      expect(await chaincheck.paused()).to.be.false;
+    });
+
+    it("Should let manufacturer managers authorize manufacturers", async function () {
+      await chaincheck.grantRole(MANUFACTURER_MANAGER_ROLE, consumer.address);
+
+      await chaincheck.connect(consumer).authorizeManufacturer(otherAccount.address, true);
+      expect(await chaincheck.authorizedMakers(otherAccount.address)).to.be.true;
+
+      // Pausers cannot manage manufacturers
+      await chaincheck.grantRole(PAUSER_ROLE, otherAccount.address);
+      await expect(
+        chaincheck.connect(otherAccount).authorizeManufacturer(otherAccount.address, false)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+    });
+
+    it("Should let metadata editors update any batch", async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [createSerialHash(batchId, serialNumber)], "", "", "", 0, 0);
+
+      await expect(
+        chaincheck.connect(consumer).updateProductMetadata(batchId, "QmEdited", "", "")
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+
+      await chaincheck.grantRole(METADATA_EDITOR_ROLE, consumer.address);
+      await chaincheck.connect(consumer).updateProductMetadata(batchId, "QmEdited", "", "");
+
+      const product = await chaincheck.getProduct(batchId);
+      expect(product.ipfsHash).to.equal("QmEdited");
+    });
+
+    it("Should move the admin role with ownership", async function () {
+      await executeTimelocked(owner, TimelockAction.TransferOwnership, otherAccount.address);
+      await chaincheck.connect(otherAccount).acceptOwnership();
+
+      expect(await chaincheck.hasRole(ADMIN_ROLE, otherAccount.address)).to.be.true;
+      expect(await chaincheck.hasRole(ADMIN_ROLE, owner.address)).to.be.false;
+      // Operational roles stay with their holders
+      expect(await chaincheck.hasRole(PAUSER_ROLE, owner.address)).to.be.true;
+    });
+  });
+
   describe("Manufacturer Authorization", function () {
     it("Should allow owner to authorize manufacturers", async function () {
       await expect(
@@ -80,11 +284,18 @@ describe("ChainCheck", function () {
       expect(await chaincheck.authorizedMakers(otherAccount.address)).to.be.true;
     });
 
-    it("Should allow owner to revoke manufacturer authorization", async function () {
+    it("Should allow owner to revoke manufacturer authorization through the timelock", async function () {
       await chaincheck.authorizeManufacturer(otherAccount.address, true);
-      await chaincheck.authorizeManufacturer(otherAccount.address, false);
+      await executeTimelocked(owner, TimelockAction.RevokeManufacturer, otherAccount.address);
 
       expect(await chaincheck.authorizedMakers(otherAccount.address)).to.be.false;
+      expect((await chaincheck.getManufacturers()).makers).to.not.include(otherAccount.address);
+    });
+
+    it("Should reject immediate manufacturer revocation", async function () {
+      await expect(
+        chaincheck.authorizeManufacturer(manufacturer.address, false)
+      ).to.be.revertedWithCustomError(chaincheck, "TimelockRequired");
     });
 
     it("Should reject authorization from non-owner", async function () {
@@ -92,7 +303,7 @@ describe("ChainCheck", function () {
         chaincheck
           .connect(consumer)
           .authorizeManufacturer(otherAccount.address, true)
-      ).to.be.revertedWithCustomError(chaincheck, "NotOwner");
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
     });
 
     it("Should reject authorization with zero address", async function () {
@@ -102,6 +313,392 @@ describe("ChainCheck", function () {
     });
   });
 
+  describe("Manufacturer Profiles", function () {
+    // ChainCheck.VerificationTier
+    const VerificationTier = { Unverified: 0, Basic: 1, Verified: 2, Premium: 3 };
+    const DE = ethers.hexlify(ethers.toUtf8Bytes("DE"));
+
+    it("Should let manufacturer managers set a profile", async function () {
+      await expect(
+        chaincheck.setManufacturerProfile(
+          manufacturer.address,
+          "Acme Footwear",
+          "https://acme.example",
+          DE,
+          "QmLogo",
+          VerificationTier.Verified
+        )
+      )
+        .to.emit(chaincheck, "ManufacturerProfileUpdated")
+        .withArgs(manufacturer.address, owner.address, "Acme Footwear", VerificationTier.Verified);
+
+      const profile = await chaincheck.getManufacturerProfile(manufacturer.address);
+      expect(profile.name).to.equal("Acme Footwear");
+      expect(profile.website).to.equal("https://acme.example");
+      expect(profile.country).to.equal(DE);
+      expect(profile.logoIpfsHash).to.equal("QmLogo");
+      expect(profile.tier).to.equal(VerificationTier.Verified);
+    });
+
+    it("Should return profiles alongside manufacturer addresses", async function () {
+      await chaincheck.setManufacturerProfile(manufacturer.address, "Acme Footwear", "", "0x0000", "", VerificationTier.Basic);
+
+      const { makers, profiles } = await chaincheck.getManufacturers();
+      expect(makers).to.deep.equal([owner.address, manufacturer.address]);
+      expect(profiles[0].name).to.equal("");
+      expect(profiles[1].name).to.equal("Acme Footwear");
+      expect(profiles[1].tier).to.equal(VerificationTier.Basic);
+    });
+
+    it("Should let manufacturers edit only their website and logo", async function () {
+      await chaincheck.setManufacturerProfile(manufacturer.address, "Acme Footwear", "", DE, "", VerificationTier.Verified);
+
+      await expect(chaincheck.connect(manufacturer).updateManufacturerProfile("https://acme.example", "QmNewLogo"))
+        .to.emit(chaincheck, "ManufacturerProfileUpdated")
+        .withArgs(manufacturer.address, manufacturer.address, "Acme Footwear", VerificationTier.Verified);
+
+      const profile = await chaincheck.getManufacturerProfile(manufacturer.address);
+      expect(profile.website).to.equal("https://acme.example");
+      expect(profile.logoIpfsHash).to.equal("QmNewLogo");
+      expect(profile.country).to.equal(DE);
+
+      await expect(
+        chaincheck.connect(consumer).updateManufacturerProfile("https://fake.example", "")
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+      await expect(
+        chaincheck.connect(manufacturer).setManufacturerProfile(manufacturer.address, "Nike", "", DE, "", VerificationTier.Premium)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+    });
+
+    it("Should validate profile fields", async function () {
+      await expect(
+        chaincheck.setManufacturerProfile(ethers.ZeroAddress, "Acme", "", "0x0000", "", 0)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidAddress");
+      await expect(
+        chaincheck.setManufacturerProfile(manufacturer.address, "", "", "0x0000", "", 0)
+      ).to.be.revertedWithCustomError(chaincheck, "EmptyName");
+      await expect(
+        chaincheck.connect(manufacturer).updateManufacturerProfile("x".repeat(257), "")
+      ).to.be.revertedWithCustomError(chaincheck, "ProfileFieldTooLong");
+    });
+
+    it("Should run profile functions on the proxy's storage through the extension", async function () {
+      await chaincheck.setManufacturerProfile(manufacturer.address, "Acme Footwear", "", "0x0000", "", 0);
+
+      const implementation = await ethers.getContractAt(
+        "ChainCheck",
+        await getImplementationAddress(ethers.provider, await chaincheck.getAddress())
+      );
+      const extension = await ethers.getContractAt("ChainCheckExtension", await implementation.extension());
+      expect((await extension.getManufacturerProfile(manufacturer.address)).name).to.equal("");
+    });
+  });
+
+  describe("Manufacturer Operators", function () {
+    const operatorHashes = ["OP001", "OP002", "OP003"].map((serial) => createSerialHash(batchId, serial));
+
+    it("Should attribute operator registrations to the manufacturer", async function () {
+      await expect(chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 0))
+        .to.emit(chaincheck, "OperatorUpdated")
+        .withArgs(manufacturer.address, otherAccount.address, 0, 0, 0);
+
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .registerProduct(batchId, productName, productBrand, operatorHashes, "", "", "", 0, 0)
+      )
+        .to.emit(chaincheck, "ProductRegistered")
+        .withArgs(batchId, manufacturer.address, productName, productBrand, 3)
+        .and.to.emit(chaincheck, "OperatorRegistration")
+        .withArgs(batchId, manufacturer.address, otherAccount.address, 3);
+
+      expect((await chaincheck.getProduct(batchId)).manufacturer).to.equal(manufacturer.address);
+      expect((await chaincheck.getManufacturerBatchIds(manufacturer.address, 0, 10)).ids).to.deep.equal([batchId]);
+      expect((await chaincheck.getOperator(otherAccount.address)).serialsRegistered).to.equal(3);
+
+      // The manufacturer still manages the batch
+      await chaincheck.connect(manufacturer).recallBatch(batchId, 1);
+    });
+
+    it("Should let operators register under the manufacturer's brands", async function () {
+      await chaincheck.assignBrand(productBrand, manufacturer.address);
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 0);
+
+      await chaincheck
+        .connect(otherAccount)
+        .registerProduct(batchId, productName, productBrand, operatorHashes, "", "", "", 0, 0);
+      expect((await chaincheck.getProduct(batchId)).brandId).to.equal(await chaincheck.brandIdOf(productBrand));
+    });
+
+    it("Should enforce an operator's batch-ID range", async function () {
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 100, 199, 0);
+
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .registerProduct(99, productName, productBrand, operatorHashes, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "OutsideOperatorRange");
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .registerProductMerkle(200, productName, productBrand, ethers.id("root"), 10, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "OutsideOperatorRange");
+
+      await chaincheck
+        .connect(otherAccount)
+        .registerProduct(150, productName, productBrand, operatorHashes, "", "", "", 0, 0);
+    });
+
+    it("Should enforce an operator's serial quota across registrations and appends", async function () {
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 4);
+
+      await chaincheck
+        .connect(otherAccount)
+        .registerProduct(batchId, productName, productBrand, operatorHashes, "", "", "", 0, 0);
+      await expect(
+        chaincheck.connect(otherAccount).appendSerials(batchId, [ethers.id("OP004"), ethers.id("OP005")])
+      ).to.be.revertedWithCustomError(chaincheck, "OperatorQuotaExceeded");
+
+      await expect(chaincheck.connect(otherAccount).appendSerials(batchId, [ethers.id("OP004")]))
+        .to.emit(chaincheck, "OperatorRegistration")
+        .withArgs(batchId, manufacturer.address, otherAccount.address, 1);
+      await chaincheck.connect(otherAccount).sealBatch(batchId);
+
+      // Raising the quota keeps the serials already counted
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 6);
+      const scope = await chaincheck.getOperator(otherAccount.address);
+      expect(scope.serialQuota).to.equal(6);
+      expect(scope.serialsRegistered).to.equal(4);
+    });
+
+    it("Should not let an operator with a quota register Merkle batches", async function () {
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 4);
+
+      // The declared serial count is not proven by the root, so the quota could not hold
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .registerProductMerkle(batchId, productName, productBrand, ethers.id("root"), 1, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "QuotaOperatorMerkle");
+
+      // Without a quota the operator can
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 0);
+      await chaincheck
+        .connect(otherAccount)
+        .registerProductMerkle(batchId, productName, productBrand, ethers.id("root"), 1000, "", "", "", 0, 0);
+      expect((await chaincheck.getProduct(batchId)).manufacturer).to.equal(manufacturer.address);
+    });
+
+    it("Should only let a manufacturer manage its own operators", async function () {
+      await expect(
+        chaincheck.connect(consumer).setOperator(otherAccount.address, 0, 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+      await expect(
+        chaincheck.connect(manufacturer).setOperator(ethers.ZeroAddress, 0, 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidAddress");
+      await expect(
+        chaincheck.connect(manufacturer).setOperator(otherAccount.address, 10, 5, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidBatchId");
+      await expect(
+        chaincheck.connect(manufacturer).setOperator(owner.address, 0, 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "OperatorTaken");
+
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 0);
+      await expect(
+        chaincheck.setOperator(otherAccount.address, 0, 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "OperatorTaken");
+      await expect(
+        chaincheck.removeOperator(otherAccount.address)
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+    });
+
+    it("Should stop operators after removal or when the manufacturer is revoked", async function () {
+      await chaincheck.connect(manufacturer).setOperator(otherAccount.address, 0, 0, 0);
+      await chaincheck.connect(manufacturer).setOperator(consumer.address, 0, 0, 0);
+      expect((await chaincheck.getOperators(manufacturer.address)).addresses).to.deep.equal([
+        otherAccount.address,
+        consumer.address,
+      ]);
+
+      await expect(chaincheck.connect(manufacturer).removeOperator(otherAccount.address))
+        .to.emit(chaincheck, "OperatorRemoved")
+        .withArgs(manufacturer.address, otherAccount.address);
+      expect((await chaincheck.getOperators(manufacturer.address)).addresses).to.deep.equal([consumer.address]);
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .registerProduct(batchId, productName, productBrand, operatorHashes, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+
+      await executeTimelocked(owner, TimelockAction.RevokeManufacturer, manufacturer.address);
+      await expect(
+        chaincheck
+          .connect(consumer)
+          .registerProduct(batchId, productName, productBrand, operatorHashes, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+    });
+  });
+
+  describe("Brand Registry", function () {
+    const serialHashes = [createSerialHash(batchId, serialNumber)];
+
+    it("Should let manufacturer managers assign brands", async function () {
+      const brandId = await chaincheck.brandIdOf(productBrand);
+      expect(brandId).to.equal(ethers.id(productBrand.toLowerCase()));
+
+      await expect(chaincheck.assignBrand(productBrand, manufacturer.address))
+        .to.emit(chaincheck, "BrandAssigned")
+        .withArgs(brandId, productBrand, manufacturer.address);
+
+      const brand = await chaincheck.brands(brandId);
+      expect(brand.name).to.equal(productBrand);
+      expect(brand.manufacturer).to.equal(manufacturer.address);
+
+      await expect(
+        chaincheck.connect(consumer).assignBrand("Adidas", consumer.address)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+      await expect(chaincheck.assignBrand("", manufacturer.address)).to.be.revertedWithCustomError(
+        chaincheck,
+        "EmptyBrand"
+      );
+    });
+
+    it("Should stop other manufacturers from registering an assigned brand", async function () {
+      await chaincheck.assignBrand(productBrand, manufacturer.address);
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+
+      for (const variant of [productBrand, productBrand.toUpperCase(), productBrand.toLowerCase()]) {
+        await expect(
+          chaincheck
+            .connect(otherAccount)
+            .registerProduct(batchId, productName, variant, serialHashes, "", "", "", 0, 0)
+        ).to.be.revertedWithCustomError(chaincheck, "NotBrandOwner");
+      }
+    });
+
+    it("Should return the canonical brand ID and name for registered brands", async function () {
+      await chaincheck.assignBrand(productBrand, manufacturer.address);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, "NIKE", serialHashes, "", "", "", 0, 0);
+
+      const product = await chaincheck.getProduct(batchId);
+      expect(product.brandId).to.equal(await chaincheck.brandIdOf(productBrand));
+      expect(product.brand).to.equal(productBrand);
+    });
+
+    it("Should leave unassigned brands unverified", async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
+
+      const product = await chaincheck.getProduct(batchId);
+      expect(product.brandId).to.equal(ethers.ZeroHash);
+      expect(product.brand).to.equal(productBrand);
+    });
+  });
+
+  describe("Timelock and Ownership Transfer", function () {
+    it("Should queue an action that only becomes executable after the delay", async function () {
+      const delay = await chaincheck.TIMELOCK_DELAY();
+
+      await expect(chaincheck.queueAction(TimelockAction.RevokeManufacturer, manufacturer.address))
+        .to.emit(chaincheck, "ActionQueued")
+        .withArgs(0, TimelockAction.RevokeManufacturer, manufacturer.address, anyValue);
+
+      const queued = await chaincheck.queuedActions(0);
+      expect(queued.proposer).to.equal(owner.address);
+      expect(queued.executableAt).to.equal(BigInt(await time.latest()) + delay);
+
+      await expect(chaincheck.executeAction(0))
+        .to.be.revertedWithCustomError(chaincheck, "ActionNotReady")
+        .withArgs(queued.executableAt);
+
+      await time.increaseTo(queued.executableAt);
+      await expect(chaincheck.executeAction(0))
+        .to.emit(chaincheck, "ActionExecuted")
+        .withArgs(0)
+        .and.to.emit(chaincheck, "ManufacturerAuthorized")
+        .withArgs(manufacturer.address, false);
+
+      expect(await chaincheck.authorizedMakers(manufacturer.address)).to.be.false;
+      await expect(chaincheck.executeAction(0)).to.be.revertedWithCustomError(chaincheck, "ActionNotQueued");
+    });
+
+    it("Should let the action's role holders cancel a queued action", async function () {
+      await chaincheck.queueAction(TimelockAction.RevokeManufacturer, manufacturer.address);
+
+      await expect(
+        chaincheck.connect(consumer).cancelAction(0)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+
+      await expect(chaincheck.cancelAction(0)).to.emit(chaincheck, "ActionCancelled").withArgs(0);
+
+      await time.increase(await chaincheck.TIMELOCK_DELAY());
+      await expect(chaincheck.executeAction(0)).to.be.revertedWithCustomError(chaincheck, "ActionNotQueued");
+      await expect(chaincheck.cancelAction(0)).to.be.revertedWithCustomError(chaincheck, "ActionNotQueued");
+      expect(await chaincheck.authorizedMakers(manufacturer.address)).to.be.true;
+    });
+
+    it("Should reject unknown action ids", async function () {
+      await expect(chaincheck.executeAction(7)).to.be.revertedWithCustomError(chaincheck, "ActionNotQueued");
+    });
+
+    it("Should require the guarding role to queue each action", async function () {
+      const MANUFACTURER_MANAGER_ROLE = await chaincheck.MANUFACTURER_MANAGER_ROLE();
+      const ADMIN_ROLE = await chaincheck.ADMIN_ROLE();
+
+      await expect(
+        chaincheck.connect(consumer).queueAction(TimelockAction.RevokeManufacturer, manufacturer.address)
+      )
+        .to.be.revertedWithCustomError(chaincheck, "MissingRole")
+        .withArgs(MANUFACTURER_MANAGER_ROLE, consumer.address);
+
+      await expect(
+        chaincheck.connect(consumer).queueAction(TimelockAction.TransferOwnership, consumer.address)
+      )
+        .to.be.revertedWithCustomError(chaincheck, "MissingRole")
+        .withArgs(ADMIN_ROLE, consumer.address);
+    });
+
+    it("Should reject invalid ownership proposals", async function () {
+      await expect(
+        chaincheck.queueAction(TimelockAction.TransferOwnership, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidAddress");
+
+      await expect(
+        chaincheck.queueAction(TimelockAction.TransferOwnership, owner.address)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidOwner");
+    });
+
+    it("Should only hand over ownership once the proposed owner accepts", async function () {
+      await expect(executeTimelocked(owner, TimelockAction.TransferOwnership, otherAccount.address))
+        .to.emit(chaincheck, "OwnershipTransferProposed")
+        .withArgs(owner.address, otherAccount.address);
+
+      expect(await chaincheck.owner()).to.equal(owner.address);
+      expect(await chaincheck.pendingOwner()).to.equal(otherAccount.address);
+
+      await expect(
+        chaincheck.connect(consumer).acceptOwnership()
+      ).to.be.revertedWithCustomError(chaincheck, "NotPendingOwner");
+
+      await expect(chaincheck.connect(otherAccount).acceptOwnership())
+        .to.emit(chaincheck, "OwnershipTransferred")
+        .withArgs(owner.address, otherAccount.address);
+
+      expect(await chaincheck.owner()).to.equal(otherAccount.address);
+      expect(await chaincheck.pendingOwner()).to.equal(ethers.ZeroAddress);
+      expect(await chaincheck.authorizedMakers(otherAccount.address)).to.be.true;
+
+      // The old owner stays a manufacturer until a timelocked revocation
+      expect(await chaincheck.authorizedMakers(owner.address)).to.be.true;
+      await executeTimelocked(owner, TimelockAction.RevokeManufacturer, owner.address);
+      expect(await chaincheck.authorizedMakers(owner.address)).to.be.false;
+      expect((await chaincheck.getManufacturers()).makers).to.not.include(owner.address);
+    });
+  });
+
   describe("Product Registration", function () {
     const serialHashes = [
       createSerialHash(batchId, "SN001"),
@@ -113,15 +710,16 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "")
+          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0)
       )
         .to.emit(chaincheck, "ProductRegistered")
-        .withArgs(batchId, productName, productBrand, serialHashes.length);
+        .withArgs(batchId, manufacturer.address, productName, productBrand, serialHashes.length);
 
       const product = await chaincheck.getProduct(batchId);
       expect(product.name).to.equal(productName);
       expect(product.brand).to.equal(productBrand);
       expect(product.exists).to.be.true;
+      expect(product.manufacturer).to.equal(manufacturer.address);
       expect(await chaincheck.totalProducts()).to.equal(1);
     });
 
@@ -132,7 +730,7 @@ describe("ChainCheck", function () {
 
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(2, "Test Product", "Test Brand", serialHashes, ipfsHash, description, imageUrl);
+        .registerProduct(2, "Test Product", "Test Brand", serialHashes, ipfsHash, description, imageUrl, 0, 0);
 
       const product = await chaincheck.getProduct(2);
       expect(product.ipfsHash).to.equal(ipfsHash);
@@ -144,7 +742,7 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(consumer)
-          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "")
+          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
     });
 
@@ -152,7 +750,7 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(0, productName, productBrand, serialHashes, "", "", "")
+          .registerProduct(0, productName, productBrand, serialHashes, "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "InvalidBatchId");
     });
 
@@ -160,7 +758,7 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(batchId, "", productBrand, serialHashes, "", "", "")
+          .registerProduct(batchId, "", productBrand, serialHashes, "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "EmptyName");
     });
 
@@ -168,7 +766,7 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(batchId, productName, "", serialHashes, "", "", "")
+          .registerProduct(batchId, productName, "", serialHashes, "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "EmptyBrand");
     });
 
@@ -176,7 +774,7 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(batchId, productName, productBrand, [], "", "", "")
+          .registerProduct(batchId, productName, productBrand, [], "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "NoSerials");
     });
 
@@ -189,7 +787,7 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(batchId, productName, productBrand, tooManySerials, "", "", "")
+          .registerProduct(batchId, productName, productBrand, tooManySerials, "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "TooManySerials");
     });
 
@@ -203,7 +801,7 @@ describe("ChainCheck", function () {
 
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, largeSerials, "", "", "");
+        .registerProduct(batchId, productName, productBrand, largeSerials, "", "", "", 0, 0);
       
       expect(await chaincheck.totalProducts()).to.equal(1);
       
@@ -215,19 +813,19 @@ describe("ChainCheck", function () {
     it("Should reject duplicate batch registration", async function () {
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "");
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
 
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "")
+          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "BatchExists");
     });
 
     it("Should allow updating product metadata", async function () {
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(3, productName, productBrand, serialHashes, "", "", "");
+        .registerProduct(3, productName, productBrand, serialHashes, "", "", "", 0, 0);
 
       const newIpfsHash = "QmNewHash123";
       const newDescription = "Updated description";
@@ -243,10 +841,46 @@ describe("ChainCheck", function () {
       expect(product.imageUrl).to.equal(newImageUrl);
     });
 
+    it("Should log metadata updates with old and new values and a version", async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(3, productName, productBrand, serialHashes, "QmOriginal", "Original description", "", 0, 0);
+      expect(await chaincheck.metadataVersion(3)).to.equal(0);
+
+      await expect(chaincheck.connect(manufacturer).updateProductMetadata(3, "", "Edited description", ""))
+        .to.emit(chaincheck, "ProductMetadataUpdated")
+        .withArgs(
+          3,
+          1,
+          manufacturer.address,
+          "QmOriginal",
+          "QmOriginal",
+          "Original description",
+          "Edited description",
+          "",
+          ""
+        );
+
+      await expect(chaincheck.connect(manufacturer).updateProductMetadata(3, "QmNew", "", "https://example.com/image.jpg"))
+        .to.emit(chaincheck, "ProductMetadataUpdated")
+        .withArgs(
+          3,
+          2,
+          manufacturer.address,
+          "QmOriginal",
+          "QmNew",
+          "Edited description",
+          "Edited description",
+          "",
+          "https://example.com/image.jpg"
+        );
+      expect(await chaincheck.metadataVersion(3)).to.equal(2);
+    });
+
     it("Should reject metadata update from unauthorized address", async function () {
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(4, productName, productBrand, serialHashes, "", "", "");
+        .registerProduct(4, productName, productBrand, serialHashes, "", "", "", 0, 0);
 
       await expect(
         chaincheck
@@ -254,38 +888,101 @@ describe("ChainCheck", function () {
           .updateProductMetadata(4, "hash", "desc", "url")
       ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
     });
-  });
-
-  describe("Product Verification", function () {
-    const serialHash = createSerialHash(batchId, serialNumber);
 
-    beforeEach(async function () {
-      // Register a product before each verification test
+    it("Should reject metadata update from another manufacturer", async function () {
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "");
-    });
+        .registerProduct(5, productName, productBrand, serialHashes, "QmOriginal", "", "", 0, 0);
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
 
-    it("Should verify authentic product on first scan", async function () {
-      // First verification
-      const tx = await chaincheck.connect(consumer).verify(serialHash, batchId);
-      const receipt = await tx.wait();
-      const timestamp = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
-      
-      await expect(tx)
-        .to.emit(chaincheck, "Verified")
-        .withArgs(serialHash, batchId, true, consumer.address, timestamp);
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .updateProductMetadata(5, "QmHijacked", "desc", "url")
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
 
-      // Check verification history
-      const history = await chaincheck.getVerificationHistory(serialHash);
-      expect(history.length).to.equal(1);
-      expect(history[0].isAuthentic).to.be.true;
-      expect(history[0].verifier).to.equal(consumer.address);
-      expect(history[0].batchId).to.equal(batchId);
+      const product = await chaincheck.getProduct(5);
+      expect(product.ipfsHash).to.equal("QmOriginal");
+    });
 
-      // Check the result by reading the transaction receipt or checking state
-      expect(await chaincheck.isSerialVerified(serialHash)).to.be.true;
-      expect(await chaincheck.totalVerifications()).to.equal(1);
+    it("Should allow a batch delegate to update metadata", async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(6, productName, productBrand, serialHashes, "", "", "", 0, 0);
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+
+      await expect(
+        chaincheck.connect(manufacturer).setBatchDelegate(6, otherAccount.address, true)
+      )
+        .to.emit(chaincheck, "BatchDelegateUpdated")
+        .withArgs(6, otherAccount.address, true);
+
+      await chaincheck
+        .connect(otherAccount)
+        .updateProductMetadata(6, "QmDelegated", "", "");
+      expect((await chaincheck.getProduct(6)).ipfsHash).to.equal("QmDelegated");
+
+      await chaincheck.connect(manufacturer).setBatchDelegate(6, otherAccount.address, false);
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .updateProductMetadata(6, "QmAgain", "", "")
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
+    });
+
+    it("Should reject delegate changes from anyone but the batch manufacturer", async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(7, productName, productBrand, serialHashes, "", "", "", 0, 0);
+
+      await expect(
+        chaincheck.setBatchDelegate(7, otherAccount.address, true)
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
+    });
+
+    it("Should return manufacturers from getProductsBatch", async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(8, productName, productBrand, serialHashes, "", "", "", 0, 0);
+      await chaincheck.registerProduct(9, productName, productBrand, [createSerialHash(9, serialNumber)], "", "", "", 0, 0);
+
+      const result = await chaincheck.getProductsBatch([8, 9, 999]);
+      expect(result.manufacturers[0]).to.equal(manufacturer.address);
+      expect(result.manufacturers[1]).to.equal(owner.address);
+      expect(result.manufacturers[2]).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Product Verification", function () {
+    const serialHash = createSerialHash(batchId, serialNumber);
+
+    beforeEach(async function () {
+      // Register a product before each verification test
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
+    });
+
+    it("Should verify authentic product on first scan", async function () {
+      // First verification
+      const tx = await chaincheck.connect(consumer).verify(serialHash, batchId);
+      const receipt = await tx.wait();
+      const timestamp = (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+      
+      await expect(tx)
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHash, batchId, true, consumer.address, timestamp, 0, 0);
+
+      // Check verification history
+      const history = await chaincheck.getVerificationHistory(serialHash, batchId);
+      expect(history.length).to.equal(1);
+      expect(history[0].isAuthentic).to.be.true;
+      expect(history[0].verifier).to.equal(consumer.address);
+      expect(history[0].batchId).to.equal(batchId);
+
+      // Check the result by reading the transaction receipt or checking state
+      expect(await chaincheck.isSerialVerified(serialHash, batchId)).to.be.true;
+      expect(await chaincheck.totalVerifications()).to.equal(1);
       
       // Check batch verification count
       const batchCount = await chaincheck.batchVerificationCount(batchId);
@@ -297,124 +994,1727 @@ describe("ChainCheck", function () {
       const timestamp2 = (await ethers.provider.getBlock(receipt2.blockNumber)).timestamp;
       await expect(tx2)
         .to.emit(chaincheck, "Verified")
-        .withArgs(serialHash, batchId, false, consumer.address, timestamp2);
+        .withArgs(serialHash, batchId, false, consumer.address, timestamp2, 1, 0);
+    });
+
+    it("Should detect fake product on second scan", async function () {
+      // First scan (authentic)
+      const tx1 = await chaincheck.connect(consumer).verify(serialHash, batchId);
+      const receipt1 = await tx1.wait();
+      const timestamp1 = (await ethers.provider.getBlock(receipt1.blockNumber)).timestamp;
+      await expect(tx1)
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHash, batchId, true, consumer.address, timestamp1, 0, 0);
+
+      // Second scan (fake - already verified)
+      const tx2 = await chaincheck
+        .connect(otherAccount)
+        .verify(serialHash, batchId);
+      const receipt2 = await tx2.wait();
+      const timestamp2 = (await ethers.provider.getBlock(receipt2.blockNumber)).timestamp;
+      
+      await expect(tx2)
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHash, batchId, false, otherAccount.address, timestamp2, 1, 0);
+
+      expect(await chaincheck.isSerialVerified(serialHash, batchId)).to.be.true;
+      expect(await chaincheck.totalVerifications()).to.equal(1);
+
+      // Check verification history has 2 records
+      const history = await chaincheck.getVerificationHistory(serialHash, batchId);
+      expect(history.length).to.equal(2);
+      expect(history[0].isAuthentic).to.be.true;
+      expect(history[1].isAuthentic).to.be.false;
+      expect(history[1].verifier).to.equal(otherAccount.address);
+    });
+
+    it("Should reject verification for non-existent batch", async function () {
+      const nonExistentBatchId = 999;
+      await expect(
+        chaincheck.connect(consumer).verify(serialHash, nonExistentBatchId)
+      ).to.be.revertedWithCustomError(chaincheck, "BatchNotFound");
+    });
+
+    it("Should reject verification with invalid batch ID", async function () {
+      await expect(
+        chaincheck.connect(consumer).verify(serialHash, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidBatchId");
+    });
+
+    it("Should reject verification when serial doesn't belong to batch", async function () {
+      // Register a second batch
+      const batchId2 = 2;
+      const serialHash2 = createSerialHash(batchId2, "SN002");
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId2, productName, productBrand, [serialHash2], "", "", "", 0, 0);
+
+      // Try to verify serialHash (from batchId 1) with batchId2
+      await expect(
+        chaincheck.connect(consumer).verify(serialHash, batchId2)
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+
+      // Try to verify serialHash2 (from batchId2) with batchId
+      await expect(
+        chaincheck.connect(consumer).verify(serialHash2, batchId)
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+    });
+
+    it("Should reject verification for unregistered serial", async function () {
+      // Create a serial hash that was never registered
+      const unregisteredSerial = createSerialHash(batchId, "UNREGISTERED");
+      
+      await expect(
+        chaincheck.connect(consumer).verify(unregisteredSerial, batchId)
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+    });
+
+    it("Should allow anyone to verify products", async function () {
+      // Consumer can verify
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+
+      // Manufacturer can verify
+      const serialHash2 = createSerialHash(batchId, "SN002");
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(2, productName, productBrand, [serialHash2], "", "", "", 0, 0);
+      await chaincheck.connect(manufacturer).verify(serialHash2, 2);
+    });
+
+    it("Should track verification history", async function () {
+      // First verification
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+      
+      // Second verification
+      await chaincheck.connect(otherAccount).verify(serialHash, batchId);
+
+      // Check history
+      const history = await chaincheck.getVerificationHistory(serialHash, batchId);
+      expect(history.length).to.equal(2);
+      expect(history[0].isAuthentic).to.be.true;
+      expect(history[1].isAuthentic).to.be.false;
+      expect(history[0].verifier).to.equal(consumer.address);
+      expect(history[1].verifier).to.equal(otherAccount.address);
+
+      // Check verification count
+      const count = await chaincheck.getVerificationCount(serialHash, batchId);
+      expect(count).to.equal(2);
+      
+      // Check batch verification count (only authentic verifications count)
+      const batchCount = await chaincheck.batchVerificationCount(batchId);
+      expect(batchCount).to.equal(1);
+    });
+
+    it("Should return empty history for unverified serial", async function () {
+      const unverifiedHash = createSerialHash(batchId, "UNVERIFIED");
+      const history = await chaincheck.getVerificationHistory(unverifiedHash, batchId);
+      expect(history.length).to.equal(0);
+      
+      const count = await chaincheck.getVerificationCount(unverifiedHash, batchId);
+      expect(count).to.equal(0);
+    });
+  });
+
+  describe("Appending Serials", function () {
+    const firstChunk = ["AP001", "AP002"].map((serial) => createSerialHash(batchId, serial));
+    const secondChunk = ["AP003", "AP004", "AP005"].map((serial) => createSerialHash(batchId, serial));
+
+    beforeEach(async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, firstChunk, "", "", "", 0, 0);
+    });
+
+    it("Should append serials to an existing batch and track the count", async function () {
+      expect(await chaincheck.batchSerialCount(batchId)).to.equal(2);
+
+      await expect(chaincheck.connect(manufacturer).appendSerials(batchId, secondChunk))
+        .to.emit(chaincheck, "SerialsAppended")
+        .withArgs(batchId, 3, 5);
+
+      expect(await chaincheck.batchSerialCount(batchId)).to.equal(5);
+      await expect(chaincheck.connect(consumer).verify(secondChunk[2], batchId))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(secondChunk[2], batchId, true, consumer.address, anyValue, 0, 0);
+    });
+
+    it("Should only let the batch's manufacturer append", async function () {
+      await expect(
+        chaincheck.appendSerials(batchId, secondChunk)
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
+
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(999, secondChunk)
+      ).to.be.revertedWithCustomError(chaincheck, "BatchNotFound");
+
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(batchId, [])
+      ).to.be.revertedWithCustomError(chaincheck, "NoSerials");
+    });
+
+    it("Should reject serials that are already registered", async function () {
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+
+      // Another manufacturer's batch cannot take over the victim's serial
+      await expect(
+        chaincheck.connect(otherAccount).registerProduct(2, "Fake", "Fake Brand", [firstChunk[0]], "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "SerialAlreadyRegistered");
+      await chaincheck
+        .connect(otherAccount)
+        .registerProduct(2, "Fake", "Fake Brand", [createSerialHash(2, "FK001")], "", "", "", 0, 0);
+      await expect(
+        chaincheck.connect(otherAccount).appendSerials(2, [firstChunk[1]])
+      ).to.be.revertedWithCustomError(chaincheck, "SerialAlreadyRegistered");
+
+      // Nor can a batch list a serial twice
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(batchId, [secondChunk[0], secondChunk[0]])
+      ).to.be.revertedWithCustomError(chaincheck, "SerialAlreadyRegistered");
+
+      expect(await chaincheck.serialToBatch(firstChunk[0])).to.equal(batchId);
+      expect(await chaincheck.serialToBatch(firstChunk[1])).to.equal(batchId);
+      await expect(chaincheck.connect(consumer).verify(firstChunk[0], batchId))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(firstChunk[0], batchId, true, consumer.address, anyValue, 0, 0);
+    });
+
+    it("Should not let a revoked manufacturer append to or seal its batches", async function () {
+      await executeTimelocked(owner, TimelockAction.RevokeManufacturer, manufacturer.address);
+
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(batchId, secondChunk)
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+      await expect(
+        chaincheck.connect(manufacturer).sealBatch(batchId)
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+      expect(await chaincheck.batchSerialCount(batchId)).to.equal(2);
+    });
+
+    it("Should reject appends after the batch is sealed", async function () {
+      await expect(chaincheck.connect(manufacturer).sealBatch(batchId))
+        .to.emit(chaincheck, "BatchSealed")
+        .withArgs(batchId, 2);
+      expect(await chaincheck.batchSealed(batchId)).to.be.true;
+
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(batchId, secondChunk)
+      ).to.be.revertedWithCustomError(chaincheck, "BatchIsSealed");
+      await expect(
+        chaincheck.connect(manufacturer).sealBatch(batchId)
+      ).to.be.revertedWithCustomError(chaincheck, "BatchIsSealed");
+    });
+
+    it("Should seal Merkle batches at registration", async function () {
+      const merkleHashes = ["MA001", "MA002"].map((serial) => createSerialHash(2, serial));
+      await chaincheck
+        .connect(manufacturer)
+        .registerProductMerkle(2, productName, productBrand, getMerkleRoot(buildMerkleTree(merkleHashes)), 2, "", "", "", 0, 0);
+
+      expect(await chaincheck.batchSerialCount(2)).to.equal(2);
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(2, [createSerialHash(2, "MA003")])
+      ).to.be.revertedWithCustomError(chaincheck, "BatchIsSealed");
+    });
+  });
+
+  describe("Merkle Registration", function () {
+    const merkleBatchId = 20;
+    const serials = ["MK001", "MK002", "MK003", "MK004", "MK005"];
+    const serialHashes = serials.map((serial) => createSerialHash(merkleBatchId, serial));
+    const tree = buildMerkleTree(serialHashes);
+    const root = getMerkleRoot(tree);
+
+    beforeEach(async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProductMerkle(merkleBatchId, productName, productBrand, root, serials.length, "", "", "", 0, 0);
+    });
+
+    it("Should register a batch from its Merkle root", async function () {
+      expect(await chaincheck.batchMerkleRoot(merkleBatchId)).to.equal(root);
+      expect(await chaincheck.totalProducts()).to.equal(1);
+
+      const product = await chaincheck.getProduct(merkleBatchId);
+      expect(product.exists).to.be.true;
+      expect(product.manufacturer).to.equal(manufacturer.address);
+    });
+
+    it("Should emit ProductRegistered with the committed serial count", async function () {
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProductMerkle(21, productName, productBrand, root, 5000, "", "", "", 0, 0)
+      )
+        .to.emit(chaincheck, "ProductRegistered")
+        .withArgs(21, manufacturer.address, productName, productBrand, 5000);
+    });
+
+    it("Should reject a zero Merkle root or zero serial count", async function () {
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProductMerkle(22, productName, productBrand, ethers.ZeroHash, 1, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidMerkleRoot");
+
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProductMerkle(22, productName, productBrand, root, 0, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "NoSerials");
+    });
+
+    it("Should reject Merkle registration from unauthorized address", async function () {
+      await expect(
+        chaincheck
+          .connect(consumer)
+          .registerProductMerkle(22, productName, productBrand, root, 1, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "NotAuthorized");
+    });
+
+    it("Should verify every serial with its proof, first scan only", async function () {
+      for (let i = 0; i < serials.length; i++) {
+        const proof = getMerkleProof(tree, i);
+        await expect(
+          chaincheck.connect(consumer).verifyWithProof(serialHashes[i], merkleBatchId, proof)
+        )
+          .to.emit(chaincheck, "Verified")
+          .withArgs(serialHashes[i], merkleBatchId, true, consumer.address, anyValue, 0, 0);
+      }
+
+      expect(await chaincheck.totalVerifications()).to.equal(serials.length);
+      expect(await chaincheck.batchVerificationCount(merkleBatchId)).to.equal(serials.length);
+
+      const proof = getMerkleProof(tree, 0);
+      await expect(
+        chaincheck.connect(otherAccount).verifyWithProof(serialHashes[0], merkleBatchId, proof)
+      )
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[0], merkleBatchId, false, otherAccount.address, anyValue, 1, 0);
+    });
+
+    it("Should reject an invalid proof", async function () {
+      const forged = createSerialHash(merkleBatchId, "FORGED");
+      await expect(
+        chaincheck.connect(consumer).verifyWithProof(forged, merkleBatchId, getMerkleProof(tree, 0))
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidProof");
+
+      // A valid proof for one serial does not prove another
+      await expect(
+        chaincheck.connect(consumer).verifyWithProof(serialHashes[1], merkleBatchId, getMerkleProof(tree, 0))
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidProof");
+    });
+
+    it("Should keep another batch's tree listing the same serial from claiming it", async function () {
+      // The attacker's tree includes the victim's serial hash next to its own
+      const attackerBatchId = 24;
+      const attackerTree = buildMerkleTree([serialHashes[0], createSerialHash(attackerBatchId, "ATTACK")]);
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+      await chaincheck
+        .connect(otherAccount)
+        .registerProductMerkle(attackerBatchId, productName, "Other Brand", getMerkleRoot(attackerTree), 2, "", "", "", 0, 0);
+
+      await chaincheck
+        .connect(otherAccount)
+        .verifyWithProof(serialHashes[0], attackerBatchId, getMerkleProof(attackerTree, 0));
+      expect(await chaincheck.isSerialVerified(serialHashes[0], attackerBatchId)).to.be.true;
+
+      // The victim's first scan is still authentic and makes the buyer the owner
+      expect(await chaincheck.isSerialVerified(serialHashes[0], merkleBatchId)).to.be.false;
+      await expect(
+        chaincheck.connect(consumer).verifyWithProof(serialHashes[0], merkleBatchId, getMerkleProof(tree, 0))
+      )
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[0], merkleBatchId, true, consumer.address, anyValue, VerificationStatus.Authentic, 0);
+      expect(await chaincheck.serialOwner(serialKey(merkleBatchId, serialHashes[0]))).to.equal(consumer.address);
+      expect(await chaincheck.serialOwner(serialKey(attackerBatchId, serialHashes[0]))).to.equal(otherAccount.address);
+      expect(await chaincheck.getVerificationHistory(serialHashes[0], merkleBatchId)).to.have.lengthOf(1);
+    });
+
+    it("Should reject proofs for batches registered without a Merkle root", async function () {
+      const serialHash = createSerialHash(batchId, serialNumber);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
+
+      await expect(
+        chaincheck.connect(consumer).verifyWithProof(serialHash, batchId, [])
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidProof");
+    });
+
+    it("Should not verify Merkle serials through the plain verify path", async function () {
+      await expect(
+        chaincheck.connect(consumer).verify(serialHashes[0], merkleBatchId)
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+    });
+
+    it("Should batch verify with proofs and skip invalid items", async function () {
+      const forged = createSerialHash(merkleBatchId, "FORGED");
+      const proofs = [getMerkleProof(tree, 2), getMerkleProof(tree, 3), getMerkleProof(tree, 0)];
+
+      const results = await chaincheck
+        .connect(consumer)
+        .batchVerifyWithProof.staticCall(
+          [serialHashes[2], serialHashes[3], forged],
+          [merkleBatchId, merkleBatchId, merkleBatchId],
+          proofs
+        );
+      expect(results).to.deep.equal([
+        VerificationStatus.Authentic,
+        VerificationStatus.Authentic,
+        VerificationStatus.SerialNotInBatch,
+      ]);
+
+      await chaincheck
+        .connect(consumer)
+        .batchVerifyWithProof(
+          [serialHashes[2], serialHashes[3], forged],
+          [merkleBatchId, merkleBatchId, merkleBatchId],
+          proofs
+        );
+      expect(await chaincheck.isSerialVerified(serialHashes[2], merkleBatchId)).to.be.true;
+      expect(await chaincheck.isSerialVerified(forged, merkleBatchId)).to.be.false;
+    });
+
+    it("Should reject batchVerifyWithProof with mismatched array lengths", async function () {
+      await expect(
+        chaincheck
+          .connect(consumer)
+          .batchVerifyWithProof([serialHashes[0]], [merkleBatchId], [])
+      ).to.be.revertedWithCustomError(chaincheck, "ArraysLengthMismatch");
+    });
+
+    it("Should verify a single-serial tree with an empty proof", async function () {
+      const loneHash = createSerialHash(23, "LONE");
+      const loneTree = buildMerkleTree([loneHash]);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProductMerkle(23, productName, productBrand, getMerkleRoot(loneTree), 1, "", "", "", 0, 0);
+
+      expect(
+        await chaincheck.connect(consumer).verifyWithProof.staticCall(loneHash, 23, [])
+      ).to.equal(0); // VerificationStatus.Authentic
+    });
+  });
+
+  describe("Claim Codes", function () {
+    const claimBatchId = 30;
+    const serials = ["CC001", "CC002", "CC003"];
+    const codes = ["4821-9930", "1177-0042", "5560-3318"];
+    const serialHashes = serials.map((serial) => createSerialHash(claimBatchId, serial));
+
+    function createClaimCodeHash(serialHash, claimCode) {
+      return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "string"], [serialHash, claimCode])
+      );
+    }
+
+    const codeHashes = serialHashes.map((hash, i) => createClaimCodeHash(hash, codes[i]));
+
+    function createClaimCommitment(serialHash, claimCode, claimer) {
+      return ethers.keccak256(
+        ethers.AbiCoder.defaultAbiCoder().encode(["bytes32", "string", "address"], [serialHash, claimCode, claimer])
+      );
+    }
+
+    // Each call is mined in its own block, so the claim follows the commitment
+    async function commitClaim(signer, serialHash, claimCode) {
+      await chaincheck.connect(signer).commitClaim(createClaimCommitment(serialHash, claimCode, signer.address));
+    }
+
+    beforeEach(async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(claimBatchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
+      await chaincheck
+        .connect(manufacturer)
+        .commitClaimCodes(claimBatchId, serialHashes.slice(0, 2), codeHashes.slice(0, 2), []);
+    });
+
+    it("Should commit claim codes and emit ClaimCodesCommitted", async function () {
+      expect(await chaincheck.claimCodeHash(serialKey(claimBatchId, serialHashes[0]))).to.equal(codeHashes[0]);
+      expect(await chaincheck.claimCodeHash(serialKey(claimBatchId, serialHashes[2]))).to.equal(ethers.ZeroHash);
+
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .commitClaimCodes(claimBatchId, [serialHashes[2]], [codeHashes[2]], [])
+      )
+        .to.emit(chaincheck, "ClaimCodesCommitted")
+        .withArgs(claimBatchId, 1);
+    });
+
+    it("Should only let the batch manufacturer commit codes, once per serial", async function () {
+      await expect(
+        chaincheck.connect(owner).commitClaimCodes(claimBatchId, [serialHashes[2]], [codeHashes[2]], [])
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
+
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .commitClaimCodes(claimBatchId, [serialHashes[0]], [codeHashes[2]], [])
+      ).to.be.revertedWithCustomError(chaincheck, "ClaimCodeExists");
+
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .commitClaimCodes(claimBatchId, [createSerialHash(claimBatchId, "OTHER")], [codeHashes[2]], [])
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+
+      await expect(
+        chaincheck.connect(manufacturer).commitClaimCodes(claimBatchId, [serialHashes[2]], [], [])
+      ).to.be.revertedWithCustomError(chaincheck, "ArraysLengthMismatch");
+    });
+
+    it("Should report status without consuming the first scan", async function () {
+      const [registered, claimed, requiresClaimCode] = await chaincheck
+        .connect(consumer)
+        .checkSerial(serialHashes[0], claimBatchId, []);
+      expect(registered).to.be.true;
+      expect(claimed).to.be.false;
+      expect(requiresClaimCode).to.be.true;
+
+      const unknown = await chaincheck.checkSerial(createSerialHash(claimBatchId, "FAKE"), claimBatchId, []);
+      expect(unknown.registered).to.be.false;
+
+      expect(await chaincheck.isSerialVerified(serialHashes[0], claimBatchId)).to.be.false;
+      expect(await chaincheck.totalVerifications()).to.equal(0);
+    });
+
+    it("Should claim a product with the correct code, first claim only", async function () {
+      await commitClaim(consumer, serialHashes[0], codes[0]);
+      await expect(chaincheck.connect(consumer).claim(serialHashes[0], claimBatchId, [], codes[0]))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[0], claimBatchId, true, consumer.address, anyValue, 0, 0);
+
+      const status = await chaincheck.checkSerial(serialHashes[0], claimBatchId, []);
+      expect(status.claimed).to.be.true;
+
+      await commitClaim(otherAccount, serialHashes[0], codes[0]);
+      await expect(chaincheck.connect(otherAccount).claim(serialHashes[0], claimBatchId, [], codes[0]))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[0], claimBatchId, false, otherAccount.address, anyValue, 1, 0);
+    });
+
+    it("Should reject a wrong claim code", async function () {
+      await expect(
+        chaincheck.connect(consumer).claim(serialHashes[0], claimBatchId, [], codes[1])
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidClaimCode");
+      expect(await chaincheck.isSerialVerified(serialHashes[0], claimBatchId)).to.be.false;
+    });
+
+    it("Should only accept a claim committed by the claimer in an earlier block", async function () {
+      const commitment = createClaimCommitment(serialHashes[0], codes[0], consumer.address);
+
+      // A front-runner copying the code from a pending claim has no commitment of its own
+      await commitClaim(consumer, serialHashes[0], codes[0]);
+      await expect(
+        chaincheck.connect(otherAccount).claim(serialHashes[0], claimBatchId, [], codes[0])
+      ).to.be.revertedWithCustomError(chaincheck, "ClaimNotCommitted");
+
+      // Committing in the claim's own block is too late
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        await commitClaim(otherAccount, serialHashes[0], codes[0]);
+        const frontRun = await chaincheck.connect(otherAccount).claim(serialHashes[0], claimBatchId, [], codes[0], {
+          gasLimit: 1_000_000,
+        });
+        await ethers.provider.send("evm_mine");
+        expect((await ethers.provider.getTransactionReceipt(frontRun.hash)).status).to.equal(0);
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+
+      expect(await chaincheck.claimCommitments(commitment)).to.not.equal(0);
+      await expect(chaincheck.connect(consumer).claim(serialHashes[0], claimBatchId, [], codes[0]))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[0], claimBatchId, true, consumer.address, anyValue, 0, 0);
+      expect(await chaincheck.claimCommitments(commitment)).to.equal(0);
+    });
+
+    it("Should reject claim on serials without a committed code", async function () {
+      await expect(
+        chaincheck.connect(consumer).claim(serialHashes[2], claimBatchId, [], codes[2])
+      ).to.be.revertedWithCustomError(chaincheck, "NoClaimCode");
+    });
+
+    it("Should not let a plain scan consume a protected serial", async function () {
+      await expect(
+        chaincheck.connect(consumer).verify(serialHashes[0], claimBatchId)
+      ).to.be.revertedWithCustomError(chaincheck, "ClaimCodeRequired");
+
+      const results = await chaincheck
+        .connect(consumer)
+        .batchVerify.staticCall([serialHashes[0], serialHashes[2]], [claimBatchId, claimBatchId]);
+      expect(results).to.deep.equal([VerificationStatus.ClaimCodeRequired, VerificationStatus.Authentic]);
+
+      // Serials without a code keep the original scan behaviour
+      await chaincheck.connect(consumer).verify(serialHashes[2], claimBatchId);
+      expect(await chaincheck.isSerialVerified(serialHashes[2], claimBatchId)).to.be.true;
+    });
+
+    it("Should support claim codes on Merkle batches", async function () {
+      const merkleBatchId = 31;
+      const merkleHashes = serials.map((serial) => createSerialHash(merkleBatchId, serial));
+      const tree = buildMerkleTree(merkleHashes);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProductMerkle(merkleBatchId, productName, productBrand, getMerkleRoot(tree), 3, "", "", "", 0, 0);
+
+      const merkleCode = createClaimCodeHash(merkleHashes[1], codes[1]);
+      const proof = getMerkleProof(tree, 1);
+      await expect(
+        chaincheck.connect(manufacturer).commitClaimCodes(merkleBatchId, [merkleHashes[1]], [merkleCode], [])
+      ).to.be.revertedWithCustomError(chaincheck, "ArraysLengthMismatch");
+      await chaincheck.connect(manufacturer).commitClaimCodes(merkleBatchId, [merkleHashes[1]], [merkleCode], [proof]);
+
+      await expect(
+        chaincheck.connect(consumer).verifyWithProof(merkleHashes[1], merkleBatchId, proof)
+      ).to.be.revertedWithCustomError(chaincheck, "ClaimCodeRequired");
+
+      const status = await chaincheck.checkSerial(merkleHashes[1], merkleBatchId, proof);
+      expect(status.registered).to.be.true;
+      expect(status.requiresClaimCode).to.be.true;
+
+      await commitClaim(consumer, merkleHashes[1], codes[1]);
+      expect(
+        await chaincheck.connect(consumer).claim.staticCall(merkleHashes[1], merkleBatchId, proof, codes[1], { blockTag: "pending" })
+      ).to.equal(0); // VerificationStatus.Authentic
+      await expect(
+        chaincheck.connect(consumer).claim(merkleHashes[1], merkleBatchId, [], codes[1])
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+    });
+
+    it("Should not let a Merkle batch manufacturer commit codes for another batch's serials", async function () {
+      const merkleBatchId = 32;
+      const merkleHashes = serials.map((serial) => createSerialHash(merkleBatchId, serial));
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+      await chaincheck
+        .connect(otherAccount)
+        .registerProductMerkle(merkleBatchId, productName, "Other Brand", getMerkleRoot(buildMerkleTree(merkleHashes)), 3, "", "", "", 0, 0);
+
+      // A code the attacker knows would let them claim the victim's unprotected serial
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .commitClaimCodes(merkleBatchId, [serialHashes[2]], [createClaimCodeHash(serialHashes[2], "1234")], [[]])
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidProof");
+      expect(await chaincheck.claimCodeHash(serialKey(claimBatchId, serialHashes[2]))).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should keep codes committed through another batch's tree off the victim's serial", async function () {
+      // The attacker's tree includes the victim's serial hash, so its proof is valid
+      const attackerBatchId = 33;
+      const attackerTree = buildMerkleTree([serialHashes[2], createSerialHash(attackerBatchId, "ATTACK")]);
+      const attackerCodeHash = createClaimCodeHash(serialHashes[2], "1234");
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+      await chaincheck
+        .connect(otherAccount)
+        .registerProductMerkle(attackerBatchId, productName, "Other Brand", getMerkleRoot(attackerTree), 2, "", "", "", 0, 0);
+
+      await chaincheck
+        .connect(otherAccount)
+        .commitClaimCodes(attackerBatchId, [serialHashes[2]], [attackerCodeHash], [getMerkleProof(attackerTree, 0)]);
+
+      // Only the attacker's own copy of the serial has the code
+      expect(await chaincheck.claimCodeHash(serialKey(attackerBatchId, serialHashes[2]))).to.equal(attackerCodeHash);
+      expect(await chaincheck.claimCodeHash(serialKey(claimBatchId, serialHashes[2]))).to.equal(ethers.ZeroHash);
+      await commitClaim(otherAccount, serialHashes[2], "1234");
+      await expect(
+        chaincheck.connect(otherAccount).claim(serialHashes[2], claimBatchId, [], "1234")
+      ).to.be.revertedWithCustomError(chaincheck, "NoClaimCode");
+
+      // The buyer still claims the victim's serial with a plain scan
+      await expect(chaincheck.connect(consumer).verify(serialHashes[2], claimBatchId))
+        .to.emit(chaincheck, "ProductTransferred")
+        .withArgs(serialHashes[2], claimBatchId, ethers.ZeroAddress, consumer.address, anyValue);
+    });
+  });
+
+  describe("Ownership", function () {
+    let serialHash;
+
+    beforeEach(async function () {
+      serialHash = createSerialHash(batchId, serialNumber);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
+    });
+
+    it("Should record the first authentic scanner as owner", async function () {
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(ethers.ZeroAddress);
+
+      await expect(chaincheck.connect(consumer).verify(serialHash, batchId))
+        .to.emit(chaincheck, "ProductTransferred")
+        .withArgs(serialHash, batchId, ethers.ZeroAddress, consumer.address, anyValue);
+
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(consumer.address);
+      expect(await chaincheck.getOwnershipHistory(serialHash, batchId)).to.have.lengthOf(1);
+
+      const status = await chaincheck.checkSerial(serialHash, batchId, []);
+      expect(status.currentOwner).to.equal(consumer.address);
+    });
+
+    it("Should not change owner on later scans", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+      await chaincheck.connect(otherAccount).verify(serialHash, batchId);
+
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(consumer.address);
+      expect(await chaincheck.getOwnershipHistory(serialHash, batchId)).to.have.lengthOf(1);
+    });
+
+    it("Should let the owner transfer and build the provenance chain", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+
+      await expect(chaincheck.connect(consumer).transferProduct(serialHash, batchId, otherAccount.address))
+        .to.emit(chaincheck, "ProductTransferred")
+        .withArgs(serialHash, batchId, consumer.address, otherAccount.address, anyValue);
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(otherAccount.address);
+
+      // The second-hand buyer's scan shows them as the owner
+      await chaincheck.connect(otherAccount).verify(serialHash, batchId);
+
+      const ownership = await chaincheck.getOwnershipHistory(serialHash, batchId);
+      expect(ownership.length).to.equal(2);
+      expect(ownership[0].from).to.equal(ethers.ZeroAddress);
+      expect(ownership[0].to).to.equal(consumer.address);
+      expect(ownership[1].from).to.equal(consumer.address);
+      expect(ownership[1].to).to.equal(otherAccount.address);
+
+      const history = await chaincheck.getVerificationHistory(serialHash, batchId);
+      expect(history[0].owner).to.equal(consumer.address);
+      expect(history[1].verifier).to.equal(otherAccount.address);
+      expect(history[1].isAuthentic).to.be.false;
+      expect(history[1].owner).to.equal(otherAccount.address);
+    });
+
+    it("Should only let the current owner transfer", async function () {
+      await expect(
+        chaincheck.connect(consumer).transferProduct(serialHash, batchId, otherAccount.address)
+      ).to.be.revertedWithCustomError(chaincheck, "NotProductOwner");
+
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+
+      await expect(
+        chaincheck.connect(otherAccount).transferProduct(serialHash, batchId, otherAccount.address)
+      ).to.be.revertedWithCustomError(chaincheck, "NotProductOwner");
+      await expect(
+        chaincheck.connect(consumer).transferProduct(serialHash, batchId, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidAddress");
+      await expect(
+        chaincheck.connect(consumer).transferProduct(serialHash, batchId, consumer.address)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidOwner");
+    });
+
+    it("Should not move an unclaimed serial from the zero address", async function () {
+      // An admin-set ownership token is trusted with the from address it reports
+      await chaincheck.connect(owner).setOwnershipToken(otherAccount.address);
+
+      await expect(
+        chaincheck.connect(otherAccount).syncTokenTransfer(serialHash, batchId, ethers.ZeroAddress, otherAccount.address)
+      ).to.be.revertedWithCustomError(chaincheck, "NotProductOwner");
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(ethers.ZeroAddress);
+
+      // The first scan still claims it
+      await chaincheck.connect(owner).setOwnershipToken(ethers.ZeroAddress);
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(consumer.address);
+    });
+
+    it("Should block transfers while paused", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+      await chaincheck.connect(owner).pause();
+
+      await expect(
+        chaincheck.connect(consumer).transferProduct(serialHash, batchId, otherAccount.address)
+      ).to.be.revertedWithCustomError(chaincheck, "ContractPaused");
+    });
+  });
+
+  describe("Supply Chain Checkpoints", function () {
+    const Role = { None: 0, Manufacturer: 1, Distributor: 2, Retailer: 3 };
+    const Status = { Shipped: 0, Received: 1, Delivered: 2 };
+    const factory = ethers.encodeBytes32String("CNSHA-FACTORY-1");
+    const warehouse = ethers.encodeBytes32String("NLRTM-WH-7");
+    let serialHash;
+
+    beforeEach(async function () {
+      serialHash = createSerialHash(batchId, serialNumber);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
+    });
+
+    it("Should let the owner authorize global partners", async function () {
+      await expect(chaincheck.connect(owner).setSupplyChainPartner(consumer.address, Role.Distributor))
+        .to.emit(chaincheck, "SupplyChainPartnerUpdated")
+        .withArgs(0, consumer.address, Role.Distributor);
+
+      expect(await chaincheck.getSupplyChainRole(batchId, consumer.address)).to.equal(Role.Distributor);
+
+      await expect(
+        chaincheck.connect(manufacturer).setSupplyChainPartner(otherAccount.address, Role.Retailer)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+      await expect(
+        chaincheck.connect(owner).setSupplyChainPartner(otherAccount.address, Role.Manufacturer)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidRole");
+    });
+
+    it("Should let the batch manufacturer authorize partners for its batch", async function () {
+      await expect(
+        chaincheck.connect(manufacturer).setBatchSupplyChainPartner(batchId, otherAccount.address, Role.Retailer)
+      )
+        .to.emit(chaincheck, "SupplyChainPartnerUpdated")
+        .withArgs(batchId, otherAccount.address, Role.Retailer);
+
+      expect(await chaincheck.getSupplyChainRole(batchId, otherAccount.address)).to.equal(Role.Retailer);
+      expect(await chaincheck.getSupplyChainRole(batchId, manufacturer.address)).to.equal(Role.Manufacturer);
+
+      await expect(
+        chaincheck.connect(owner).setBatchSupplyChainPartner(batchId, consumer.address, Role.Retailer)
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
+    });
+
+    it("Should record batch and serial checkpoints into one chronological trail", async function () {
+      await chaincheck.connect(owner).setSupplyChainPartner(consumer.address, Role.Distributor);
+
+      await expect(
+        chaincheck.connect(manufacturer).recordCheckpoint(batchId, ethers.ZeroHash, [], factory, Status.Shipped)
+      )
+        .to.emit(chaincheck, "CheckpointRecorded")
+        .withArgs(batchId, ethers.ZeroHash, manufacturer.address, factory, Role.Manufacturer, Status.Shipped, anyValue);
+
+      await chaincheck.connect(consumer).recordCheckpoint(batchId, serialHash, [], warehouse, Status.Received);
+
+      const trail = await chaincheck.getCheckpointTrail(batchId, serialHash);
+      expect(trail.length).to.equal(2);
+      expect(trail[0].serialHash).to.equal(ethers.ZeroHash);
+      expect(trail[0].locationCode).to.equal(factory);
+      expect(trail[0].status).to.equal(Status.Shipped);
+      expect(trail[1].serialHash).to.equal(serialHash);
+      expect(trail[1].actor).to.equal(consumer.address);
+      expect(trail[1].role).to.equal(Role.Distributor);
+      expect(trail[1].status).to.equal(Status.Received);
+
+      // The batch-wide trail leaves out serial checkpoints
+      expect((await chaincheck.getCheckpointTrail(batchId, ethers.ZeroHash)).length).to.equal(1);
+    });
+
+    it("Should reject checkpoints from unauthorized or revoked addresses", async function () {
+      await expect(
+        chaincheck.connect(consumer).recordCheckpoint(batchId, ethers.ZeroHash, [], warehouse, Status.Received)
+      ).to.be.revertedWithCustomError(chaincheck, "NotSupplyChainPartner");
+
+      await chaincheck.connect(manufacturer).setBatchSupplyChainPartner(batchId, consumer.address, Role.Distributor);
+      await chaincheck.connect(manufacturer).setBatchSupplyChainPartner(batchId, consumer.address, Role.None);
+
+      await expect(
+        chaincheck.connect(consumer).recordCheckpoint(batchId, ethers.ZeroHash, [], warehouse, Status.Received)
+      ).to.be.revertedWithCustomError(chaincheck, "NotSupplyChainPartner");
+    });
+
+    it("Should reject serial checkpoints for serials outside the batch", async function () {
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .recordCheckpoint(batchId, createSerialHash(batchId, "UNKNOWN"), [], factory, Status.Shipped)
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+    });
+  });
+
+  describe("Recalls and Revocations", function () {
+    const Status = VerificationStatus;
+    const Reason = { None: 0, Safety: 1, Quality: 2, Regulatory: 3, Stolen: 4, Voided: 5, Other: 6 };
+    let serialHashes;
+
+    beforeEach(async function () {
+      serialHashes = ["RC001", "RC002", "RC003"].map((serial) => createSerialHash(batchId, serial));
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
+    });
+
+    it("Should recall a batch and report Recalled with the reason", async function () {
+      await expect(chaincheck.connect(manufacturer).recallBatch(batchId, Reason.Safety))
+        .to.emit(chaincheck, "BatchRecalled")
+        .withArgs(batchId, Reason.Safety);
+
+      expect(await chaincheck.connect(consumer).verify.staticCall(serialHashes[0], batchId)).to.equal(Status.Recalled);
+      await expect(chaincheck.connect(consumer).verify(serialHashes[0], batchId))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[0], batchId, false, consumer.address, anyValue, Status.Recalled, Reason.Safety);
+
+      // A recalled scan never claims the product
+      expect(await chaincheck.isSerialVerified(serialHashes[0], batchId)).to.be.false;
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHashes[0]))).to.equal(ethers.ZeroAddress);
+
+      const history = await chaincheck.getVerificationHistory(serialHashes[0], batchId);
+      expect(history[0].status).to.equal(Status.Recalled);
+    });
+
+    it("Should lift a recall with ReasonCode.None", async function () {
+      await chaincheck.connect(manufacturer).recallBatch(batchId, Reason.Quality);
+      await chaincheck.connect(manufacturer).recallBatch(batchId, Reason.None);
+
+      expect(await chaincheck.connect(consumer).verify.staticCall(serialHashes[0], batchId)).to.equal(Status.Authentic);
+    });
+
+    it("Should revoke individual serials with a reason", async function () {
+      await expect(chaincheck.connect(manufacturer).revokeSerials(batchId, [serialHashes[1]], [], Reason.Stolen))
+        .to.emit(chaincheck, "SerialRevoked")
+        .withArgs(serialHashes[1], batchId, Reason.Stolen);
+
+      await expect(chaincheck.connect(consumer).verify(serialHashes[1], batchId))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[1], batchId, false, consumer.address, anyValue, Status.Revoked, Reason.Stolen);
+
+      // Other serials in the batch are unaffected
+      expect(await chaincheck.connect(consumer).verify.staticCall(serialHashes[2], batchId)).to.equal(Status.Authentic);
+
+      const results = await chaincheck
+        .connect(consumer)
+        .batchVerify.staticCall([serialHashes[1], serialHashes[2]], [batchId, batchId]);
+      expect(results).to.deep.equal([Status.Revoked, Status.Authentic]);
+    });
+
+    it("Should prefer revocation over recall", async function () {
+      await chaincheck.connect(manufacturer).revokeSerials(batchId, [serialHashes[0]], [], Reason.Voided);
+      await chaincheck.connect(manufacturer).recallBatch(batchId, Reason.Safety);
+
+      const status = await chaincheck.checkSerial(serialHashes[0], batchId, []);
+      expect(status.status).to.equal(Status.Revoked);
+      expect(status.reason).to.equal(Reason.Voided);
+    });
+
+    it("Should report every status through checkSerial", async function () {
+      let status = await chaincheck.checkSerial(serialHashes[0], batchId, []);
+      expect(status.status).to.equal(Status.Authentic);
+
+      await chaincheck.connect(consumer).verify(serialHashes[0], batchId);
+      status = await chaincheck.checkSerial(serialHashes[0], batchId, []);
+      expect(status.status).to.equal(Status.AlreadyClaimed);
+      expect(status.reason).to.equal(Reason.None);
+
+      status = await chaincheck.checkSerial(createSerialHash(batchId, "FAKE"), batchId, []);
+      expect(status.status).to.equal(Status.Unknown);
+    });
+
+    it("Should only let the batch manufacturer recall or revoke", async function () {
+      await expect(
+        chaincheck.connect(owner).recallBatch(batchId, Reason.Safety)
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
+      await expect(
+        chaincheck.connect(consumer).revokeSerials(batchId, [serialHashes[0]], [], Reason.Stolen)
+      ).to.be.revertedWithCustomError(chaincheck, "NotBatchManufacturer");
+      await expect(
+        chaincheck.connect(manufacturer).revokeSerials(batchId, [createSerialHash(batchId, "OTHER")], [], Reason.Stolen)
+      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+    });
+
+    it("Should not let a Merkle batch manufacturer revoke another manufacturer's serials", async function () {
+      const merkleBatchId = 2;
+      const merkleHashes = ["RCM001", "RCM002"].map((serial) => createSerialHash(merkleBatchId, serial));
+      const tree = buildMerkleTree(merkleHashes);
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+      await chaincheck
+        .connect(otherAccount)
+        .registerProductMerkle(merkleBatchId, productName, "Other Brand", getMerkleRoot(tree), 2, "", "", "", 0, 0);
+
+      // The victim's serial is not in the attacker's Merkle batch
+      await expect(
+        chaincheck.connect(otherAccount).revokeSerials(merkleBatchId, [serialHashes[0]], [[]], Reason.Stolen)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidProof");
+      await expect(
+        chaincheck.connect(otherAccount).revokeSerials(merkleBatchId, [serialHashes[0]], [], Reason.Stolen)
+      ).to.be.revertedWithCustomError(chaincheck, "ArraysLengthMismatch");
+      expect(await chaincheck.connect(consumer).verify.staticCall(serialHashes[0], batchId)).to.equal(Status.Authentic);
+
+      // Its own serials revoke with their proofs
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .revokeSerials(merkleBatchId, [merkleHashes[1]], [getMerkleProof(tree, 1)], Reason.Stolen)
+      )
+        .to.emit(chaincheck, "SerialRevoked")
+        .withArgs(merkleHashes[1], merkleBatchId, Reason.Stolen);
+    });
+
+    it("Should keep a revocation through another batch's tree from reaching the victim's serial", async function () {
+      // The attacker's tree includes the victim's serial hash, so its proof is valid
+      const attackerBatchId = 2;
+      const attackerTree = buildMerkleTree([serialHashes[0], createSerialHash(attackerBatchId, "ATTACK")]);
+      await chaincheck.authorizeManufacturer(otherAccount.address, true);
+      await chaincheck
+        .connect(otherAccount)
+        .registerProductMerkle(attackerBatchId, productName, "Other Brand", getMerkleRoot(attackerTree), 2, "", "", "", 0, 0);
+
+      await expect(
+        chaincheck
+          .connect(otherAccount)
+          .revokeSerials(attackerBatchId, [serialHashes[0]], [getMerkleProof(attackerTree, 0)], Reason.Stolen)
+      )
+        .to.emit(chaincheck, "SerialRevoked")
+        .withArgs(serialHashes[0], attackerBatchId, Reason.Stolen);
+
+      // Only the attacker's own copy of the serial is revoked
+      expect(await chaincheck.serialRevocationReason(serialKey(attackerBatchId, serialHashes[0]))).to.equal(Reason.Stolen);
+      expect(await chaincheck.serialRevocationReason(serialKey(batchId, serialHashes[0]))).to.equal(Reason.None);
+      await expect(chaincheck.connect(consumer).verify(serialHashes[0], batchId))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHashes[0], batchId, true, consumer.address, anyValue, Status.Authentic, Reason.None);
+    });
+  });
+
+  describe("Product Expiry", function () {
+    const Status = VerificationStatus;
+    const serialHash = createSerialHash(batchId, serialNumber);
+    let manufacturedAt;
+    let expiresAt;
+
+    beforeEach(async function () {
+      manufacturedAt = await time.latest();
+      expiresAt = manufacturedAt + 30 * 24 * 60 * 60;
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", manufacturedAt, expiresAt);
+    });
+
+    it("Should store manufacture and expiry dates", async function () {
+      const product = await chaincheck.getProduct(batchId);
+      expect(product.manufacturedAt).to.equal(manufacturedAt);
+      expect(product.expiresAt).to.equal(expiresAt);
+
+      const result = await chaincheck.getProductsBatch([batchId, 999]);
+      expect(result.manufacturedAtArray).to.deep.equal([BigInt(manufacturedAt), 0n]);
+      expect(result.expiresAtArray).to.deep.equal([BigInt(expiresAt), 0n]);
+    });
+
+    it("Should verify normally before the expiry date", async function () {
+      expect(await chaincheck.connect(consumer).verify.staticCall(serialHash, batchId)).to.equal(Status.Authentic);
+    });
+
+    it("Should report Expired once the batch has expired", async function () {
+      await time.increaseTo(expiresAt);
+
+      const status = await chaincheck.checkSerial(serialHash, batchId, []);
+      expect(status.status).to.equal(Status.Expired);
+
+      await expect(chaincheck.connect(consumer).verify(serialHash, batchId))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHash, batchId, false, consumer.address, anyValue, Status.Expired, 0);
+
+      // An expired scan never claims the product
+      expect(await chaincheck.isSerialVerified(serialHash, batchId)).to.be.false;
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(ethers.ZeroAddress);
+      const history = await chaincheck.getVerificationHistory(serialHash, batchId);
+      expect(history[0].status).to.equal(Status.Expired);
+    });
+
+    it("Should report Expired for claimed products after expiry", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+      await time.increaseTo(expiresAt);
+
+      const results = await chaincheck.connect(consumer).batchVerify.staticCall([serialHash], [batchId]);
+      expect(results).to.deep.equal([Status.Expired]);
+    });
+
+    it("Should prefer a recall over expiry", async function () {
+      await chaincheck.connect(manufacturer).recallBatch(batchId, 1);
+      await time.increaseTo(expiresAt);
+
+      const status = await chaincheck.checkSerial(serialHash, batchId, []);
+      expect(status.status).to.equal(Status.Recalled);
+    });
+
+    it("Should never expire batches registered without an expiry date", async function () {
+      const otherHash = createSerialHash(2, serialNumber);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(2, productName, productBrand, [otherHash], "", "", "", 0, 0);
+      await time.increase(10 * 365 * 24 * 60 * 60);
+
+      expect(await chaincheck.connect(consumer).verify.staticCall(otherHash, 2)).to.equal(Status.Authentic);
+    });
+
+    it("Should reject an expiry date that is not after the manufacture date", async function () {
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProduct(2, productName, productBrand, [createSerialHash(2, serialNumber)], "", "", "", manufacturedAt, manufacturedAt)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidShelfLife");
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProductMerkle(2, productName, productBrand, ethers.id("root"), 1, "", "", "", manufacturedAt, manufacturedAt - 1)
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidShelfLife");
+    });
+  });
+
+  describe("Counterfeit Reports", function () {
+    const serialHash = createSerialHash(batchId, serialNumber);
+    // ISO 3166-1 alpha-2 country codes
+    const DE = ethers.hexlify(ethers.toUtf8Bytes("DE"));
+    const FR = ethers.hexlify(ethers.toUtf8Bytes("FR"));
+    const evidenceHash = "QmXoypizjW3WknFiJnKLwHCnL72vedxjQkDDP1mXWo6uco";
+
+    beforeEach(async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
+    });
+
+    it("Should record a report and count it for the batch", async function () {
+      await expect(chaincheck.connect(consumer).reportCounterfeit(serialHash, batchId, DE, evidenceHash))
+        .to.emit(chaincheck, "CounterfeitReported")
+        .withArgs(serialHash, batchId, consumer.address, DE, evidenceHash);
+
+      expect(await chaincheck.batchCounterfeitReports(batchId)).to.equal(1);
+      expect(await chaincheck.counterfeitReported(serialKey(batchId, serialHash), consumer.address)).to.be.true;
+    });
+
+    it("Should accept reports for serials that are not in the batch", async function () {
+      const clonedHash = createSerialHash(batchId, "CLONED");
+      await chaincheck.connect(consumer).reportCounterfeit(clonedHash, batchId, "0x0000", "");
+      await chaincheck.connect(otherAccount).reportCounterfeit(serialHash, batchId, FR, "");
+
+      expect(await chaincheck.batchCounterfeitReports(batchId)).to.equal(2);
+    });
+
+    it("Should allow one report per account and serial", async function () {
+      await chaincheck.connect(consumer).reportCounterfeit(serialHash, batchId, DE, "");
+      await expect(
+        chaincheck.connect(consumer).reportCounterfeit(serialHash, batchId, FR, evidenceHash)
+      ).to.be.revertedWithCustomError(chaincheck, "AlreadyReported");
+    });
+
+    it("Should reject reports for unknown batches or while paused", async function () {
+      await expect(
+        chaincheck.connect(consumer).reportCounterfeit(serialHash, 0, DE, "")
+      ).to.be.revertedWithCustomError(chaincheck, "InvalidBatchId");
+      await expect(
+        chaincheck.connect(consumer).reportCounterfeit(serialHash, 999, DE, "")
+      ).to.be.revertedWithCustomError(chaincheck, "BatchNotFound");
+
+      await chaincheck.pause();
+      await expect(
+        chaincheck.connect(consumer).reportCounterfeit(serialHash, batchId, DE, "")
+      ).to.be.revertedWithCustomError(chaincheck, "ContractPaused");
+    });
+  });
+
+  describe("Digital Twins", function () {
+    const serialHash = createSerialHash(batchId, serialNumber);
+    const tokenId = BigInt(serialKey(batchId, serialHash));
+    let twin;
+
+    beforeEach(async function () {
+      const ChainCheckTwin = await ethers.getContractFactory("ChainCheckTwin");
+      twin = await ChainCheckTwin.deploy(await chaincheck.getAddress());
+      await twin.waitForDeployment();
+      await chaincheck.setOwnershipToken(await twin.getAddress());
+
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "QmMetadata", "", "", 0, 0);
+    });
+
+    it("Should mint a token to the first authentic claimer", async function () {
+      await expect(chaincheck.connect(consumer).verify(serialHash, batchId))
+        .to.emit(twin, "Transfer")
+        .withArgs(ethers.ZeroAddress, consumer.address, tokenId);
+
+      expect(await twin.ownerOf(tokenId)).to.equal(consumer.address);
+      expect(await twin.balanceOf(consumer.address)).to.equal(1);
+      expect(await twin.batchOf(tokenId)).to.equal(batchId);
+      expect(await twin.serialOf(tokenId)).to.equal(serialHash);
+      expect(await twin.tokenIdOf(batchId, serialHash)).to.equal(tokenId);
+      expect(await twin.tokenURI(tokenId)).to.equal("ipfs://QmMetadata");
+      expect(await twin.supportsInterface("0x80ac58cd")).to.be.true;
+
+      // Later scans do not mint again
+      await chaincheck.connect(otherAccount).verify(serialHash, batchId);
+      expect(await twin.balanceOf(otherAccount.address)).to.equal(0);
+    });
+
+    it("Should move the token on ChainCheck resales", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+
+      await expect(chaincheck.connect(consumer).transferProduct(serialHash, batchId, otherAccount.address))
+        .to.emit(twin, "Transfer")
+        .withArgs(consumer.address, otherAccount.address, tokenId);
+      expect(await twin.ownerOf(tokenId)).to.equal(otherAccount.address);
+      expect(await twin.balanceOf(consumer.address)).to.equal(0);
+    });
+
+    it("Should record token transfers as resales", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+      await twin.connect(consumer).approve(manufacturer.address, tokenId);
+
+      await expect(
+        twin.connect(manufacturer).transferFrom(consumer.address, otherAccount.address, tokenId)
+      )
+        .to.emit(chaincheck, "ProductTransferred")
+        .withArgs(serialHash, batchId, consumer.address, otherAccount.address, anyValue);
+
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(otherAccount.address);
+      expect(await twin.ownerOf(tokenId)).to.equal(otherAccount.address);
+      expect(await twin.getApproved(tokenId)).to.equal(ethers.ZeroAddress);
+      expect(await chaincheck.getOwnershipHistory(serialHash, batchId)).to.have.lengthOf(2);
+    });
+
+    it("Should reject token transfers by others or while paused", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+
+      await expect(
+        twin.connect(otherAccount).transferFrom(consumer.address, otherAccount.address, tokenId)
+      ).to.be.revertedWithCustomError(twin, "NotAuthorized");
+
+      await chaincheck.pause();
+      await expect(
+        twin.connect(consumer).transferFrom(consumer.address, otherAccount.address, tokenId)
+      ).to.be.revertedWithCustomError(chaincheck, "ContractPaused");
+    });
+
+    it("Should only accept ownership updates from the linked contracts", async function () {
+      await expect(
+        twin.connect(consumer).onOwnershipRecorded(serialHash, batchId, ethers.ZeroAddress, consumer.address, true)
+      ).to.be.revertedWithCustomError(twin, "NotChainCheck");
+      await expect(
+        chaincheck.connect(consumer).syncTokenTransfer(serialHash, batchId, ethers.ZeroAddress, consumer.address)
+      ).to.be.revertedWithCustomError(chaincheck, "NotOwnershipToken");
+    });
+
+    it("Should only mint on first claims", async function () {
+      // A token linked to an account stands in for ChainCheck reporting updates
+      const ChainCheckTwin = await ethers.getContractFactory("ChainCheckTwin");
+      const standalone = await ChainCheckTwin.deploy(owner.address);
+
+      await standalone.onOwnershipRecorded(serialHash, 0, ethers.ZeroAddress, consumer.address, false);
+      await expect(standalone.ownerOf(tokenId)).to.be.revertedWithCustomError(standalone, "TokenNotFound");
+      expect(await standalone.balanceOf(consumer.address)).to.equal(0);
+
+      await expect(standalone.onOwnershipRecorded(serialHash, batchId, ethers.ZeroAddress, consumer.address, true))
+        .to.emit(standalone, "Transfer")
+        .withArgs(ethers.ZeroAddress, consumer.address, tokenId);
+      expect(await standalone.batchOf(tokenId)).to.equal(batchId);
+
+      // A repeated first claim does not mint twice
+      await standalone.onOwnershipRecorded(serialHash, batchId, ethers.ZeroAddress, otherAccount.address, true);
+      expect(await standalone.ownerOf(tokenId)).to.equal(consumer.address);
+      expect(await standalone.balanceOf(otherAccount.address)).to.equal(0);
+    });
+
+    it("Should only let admins set the ownership token", async function () {
+      await expect(
+        chaincheck.connect(consumer).setOwnershipToken(consumer.address)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+
+      await expect(chaincheck.setOwnershipToken(ethers.ZeroAddress))
+        .to.emit(chaincheck, "OwnershipTokenUpdated")
+        .withArgs(ethers.ZeroAddress);
+
+      // Unlinked claims mint nothing, and later resales skip the missing token
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+      await chaincheck.setOwnershipToken(await twin.getAddress());
+      await chaincheck.connect(consumer).transferProduct(serialHash, batchId, otherAccount.address);
+      await expect(twin.ownerOf(tokenId)).to.be.revertedWithCustomError(twin, "TokenNotFound");
+    });
+  });
+
+  describe("Gasless Verification", function () {
+    let forwarder;
+    let serialHash;
+
+    /**
+     * Helper function to build and sign an EIP-712 forward request
+     */
+    async function signRequest(signer, data, overrides = {}) {
+      const { chainId } = await ethers.provider.getNetwork();
+      const request = {
+        from: signer.address,
+        to: await chaincheck.getAddress(),
+        gas: 500000n,
+        nonce: await forwarder.nonces(signer.address),
+        deadline: BigInt(await time.latest()) + 3600n,
+        data,
+        ...overrides,
+      };
+      const signature = await signer.signTypedData(
+        {
+          name: "ChainCheckForwarder",
+          version: "1",
+          chainId,
+          verifyingContract: await forwarder.getAddress(),
+        },
+        {
+          ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+            { name: "data", type: "bytes" },
+          ],
+        },
+        request
+      );
+      return { request, signature };
+    }
+
+    beforeEach(async function () {
+      const Forwarder = await ethers.getContractFactory("ChainCheckForwarder");
+      forwarder = await Forwarder.deploy();
+      await forwarder.waitForDeployment();
+      await chaincheck.setTrustedForwarder(await forwarder.getAddress());
+
+      serialHash = createSerialHash(batchId, serialNumber);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
+    });
+
+    it("Should verify for the signer while the relayer pays gas", async function () {
+      const data = chaincheck.interface.encodeFunctionData("verify", [serialHash, batchId]);
+      const { request, signature } = await signRequest(consumer, data);
+
+      expect(await forwarder.verify(request, signature)).to.be.true;
+
+      await expect(forwarder.connect(otherAccount).execute(request, signature))
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serialHash, batchId, true, consumer.address, anyValue, 0, 0)
+        .and.to.emit(forwarder, "RequestExecuted")
+        .withArgs(consumer.address, await chaincheck.getAddress(), 0);
+
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(consumer.address);
+      expect(await forwarder.nonces(consumer.address)).to.equal(1);
+    });
+
+    it("Should relay ownership transfers for the signer", async function () {
+      await chaincheck.connect(consumer).verify(serialHash, batchId);
+
+      const data = chaincheck.interface.encodeFunctionData("transferProduct", [serialHash, batchId, owner.address]);
+      const { request, signature } = await signRequest(consumer, data);
+      await forwarder.connect(otherAccount).execute(request, signature);
+
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(owner.address);
+    });
+
+    it("Should relay counterfeit reports for the signer", async function () {
+      const data = chaincheck.interface.encodeFunctionData("reportCounterfeit", [serialHash, batchId, "0x4445", ""]);
+      const { request, signature } = await signRequest(consumer, data);
+
+      await expect(forwarder.connect(otherAccount).execute(request, signature))
+        .to.emit(chaincheck, "CounterfeitReported")
+        .withArgs(serialHash, batchId, consumer.address, "0x4445", "");
+      expect(await chaincheck.counterfeitReported(serialKey(batchId, serialHash), consumer.address)).to.be.true;
+    });
+
+    it("Should reject replayed, expired and forged requests", async function () {
+      const data = chaincheck.interface.encodeFunctionData("verify", [serialHash, batchId]);
+
+      const { request, signature } = await signRequest(consumer, data);
+      await forwarder.connect(otherAccount).execute(request, signature);
+      await expect(
+        forwarder.connect(otherAccount).execute(request, signature)
+      ).to.be.revertedWithCustomError(forwarder, "InvalidSignature");
+
+      const expired = await signRequest(consumer, data, { deadline: BigInt(await time.latest()) - 1n });
+      await expect(
+        forwarder.connect(otherAccount).execute(expired.request, expired.signature)
+      ).to.be.revertedWithCustomError(forwarder, "RequestExpired");
+
+      // Signed by someone other than `from`
+      const forged = await signRequest(otherAccount, data, { from: consumer.address, nonce: 1n });
+      expect(await forwarder.verify(forged.request, forged.signature)).to.be.false;
+      await expect(
+        forwarder.connect(otherAccount).execute(forged.request, forged.signature)
+      ).to.be.revertedWithCustomError(forwarder, "InvalidSignature");
+    });
+
+    it("Should reject requests from the zero address with malformed signatures", async function () {
+      const data = chaincheck.interface.encodeFunctionData("transferProduct", [serialHash, batchId, otherAccount.address]);
+      const { request } = await signRequest(consumer, data, { from: ethers.ZeroAddress });
+
+      // A high-s and a zero signature both recover to the zero address
+      const highS = ethers.concat([ethers.ZeroHash, ethers.toBeHex(ethers.MaxUint256), "0x1b"]);
+      const zero = ethers.concat([ethers.ZeroHash, ethers.ZeroHash, "0x1b"]);
+      for (const signature of [highS, zero, "0x"]) {
+        expect(await forwarder.verify(request, signature)).to.be.false;
+        await expect(
+          forwarder.connect(otherAccount).execute(request, signature)
+        ).to.be.revertedWithCustomError(forwarder, "InvalidSignature");
+      }
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should bubble up the contract's custom errors", async function () {
+      const data = chaincheck.interface.encodeFunctionData("verify", [serialHash, 99]);
+      const { request, signature } = await signRequest(consumer, data);
+
+      await expect(
+        forwarder.connect(otherAccount).execute(request, signature)
+      ).to.be.revertedWithCustomError(chaincheck, "BatchNotFound");
+      // A failed call does not consume the nonce
+      expect(await forwarder.nonces(consumer.address)).to.equal(0);
+    });
+
+    it("Should ignore the appended sender for untrusted forwarders", async function () {
+      await chaincheck.setTrustedForwarder(ethers.ZeroAddress);
+      expect(await chaincheck.isTrustedForwarder(await forwarder.getAddress())).to.be.false;
+
+      const data = chaincheck.interface.encodeFunctionData("verify", [serialHash, batchId]);
+      const { request, signature } = await signRequest(consumer, data);
+      await forwarder.connect(otherAccount).execute(request, signature);
+
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHash))).to.equal(await forwarder.getAddress());
+    });
+
+    it("Should only let admins set the trusted forwarder", async function () {
+      await expect(
+        chaincheck.connect(consumer).setTrustedForwarder(consumer.address)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+
+      await expect(chaincheck.setTrustedForwarder(ethers.ZeroAddress))
+        .to.emit(chaincheck, "TrustedForwarderUpdated")
+        .withArgs(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Batch Statistics", function () {
+    const serialHashes = ["ST001", "ST002", "ST003"].map((serial) => createSerialHash(batchId, serial));
+
+    beforeEach(async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
+    });
+
+    it("Should count serials, claims and duplicate scans per batch", async function () {
+      await chaincheck.connect(consumer).verify(serialHashes[0], batchId);
+      await chaincheck.connect(consumer).verify(serialHashes[1], batchId);
+      // Cloned QR codes scanned again
+      await chaincheck.connect(otherAccount).verify(serialHashes[0], batchId);
+      await chaincheck.connect(otherAccount).verify(serialHashes[0], batchId);
+
+      const stats = await chaincheck.getBatchStats(batchId);
+      expect(stats.serialCount).to.equal(3);
+      expect(stats.claims).to.equal(2);
+      expect(stats.duplicateScans).to.equal(2);
+    });
+
+    it("Should not count scans of recalled serials as duplicates", async function () {
+      await chaincheck.connect(consumer).verify(serialHashes[0], batchId);
+      await chaincheck.connect(manufacturer).recallBatch(batchId, 1);
+      await chaincheck.connect(otherAccount).verify(serialHashes[0], batchId);
+
+      expect((await chaincheck.getBatchStats(batchId)).duplicateScans).to.equal(0);
+    });
+
+    it("Should return stats for multiple batches", async function () {
+      await chaincheck.connect(consumer).verify(serialHashes[0], batchId);
+      await chaincheck.connect(consumer).verify(serialHashes[0], batchId);
+
+      const stats = await chaincheck.getBatchStatsBatch([batchId, 999]);
+      expect(stats.serialCounts).to.deep.equal([3n, 0n]);
+      expect(stats.claims).to.deep.equal([1n, 0n]);
+      expect(stats.duplicateScans).to.deep.equal([1n, 0n]);
+    });
+  });
+
+  describe("Pagination", function () {
+    beforeEach(async function () {
+      for (const id of [1, 2, 3]) {
+        await chaincheck
+          .connect(manufacturer)
+          .registerProduct(id, productName, productBrand, [createSerialHash(id, serialNumber)], "", "", "", 0, 0);
+      }
+      await chaincheck.registerProduct(10, productName, productBrand, [createSerialHash(10, serialNumber)], "", "", "", 0, 0);
+    });
+
+    it("Should page through registered batch IDs", async function () {
+      const first = await chaincheck.getBatchIds(0, 2);
+      expect(first.ids).to.deep.equal([1n, 2n]);
+      expect(first.total).to.equal(4);
+
+      const second = await chaincheck.getBatchIds(2, 10);
+      expect(second.ids).to.deep.equal([3n, 10n]);
+
+      const pastEnd = await chaincheck.getBatchIds(4, 10);
+      expect(pastEnd.ids).to.deep.equal([]);
+      expect(pastEnd.total).to.equal(4);
+    });
+
+    it("Should page through a manufacturer's batch IDs", async function () {
+      const page = await chaincheck.getManufacturerBatchIds(manufacturer.address, 1, 5);
+      expect(page.ids).to.deep.equal([2n, 3n]);
+      expect(page.total).to.equal(3);
+
+      const ownerPage = await chaincheck.getManufacturerBatchIds(owner.address, 0, 5);
+      expect(ownerPage.ids).to.deep.equal([10n]);
+
+      const none = await chaincheck.getManufacturerBatchIds(consumer.address, 0, 5);
+      expect(none.ids).to.deep.equal([]);
+      expect(none.total).to.equal(0);
+    });
+
+    it("Should page through manufacturers with their profiles", async function () {
+      // VerificationTier.Basic
+      await chaincheck.setManufacturerProfile(manufacturer.address, "Acme Footwear", "", "0x0000", "", 1);
+
+      const page = await chaincheck.getManufacturersPage(1, 1);
+      expect(page.makers).to.deep.equal([manufacturer.address]);
+      expect(page.profiles).to.have.lengthOf(1);
+      expect(page.profiles[0].name).to.equal("Acme Footwear");
+      expect(page.total).to.equal(2);
+
+      const first = await chaincheck.getManufacturersPage(0, 1);
+      expect(first.profiles[0].name).to.equal("");
+
+      expect((await chaincheck.getManufacturersPage(0, 0)).makers).to.deep.equal([]);
     });
 
-    it("Should detect fake product on second scan", async function () {
-      // First scan (authentic)
-      const tx1 = await chaincheck.connect(consumer).verify(serialHash, batchId);
-      const receipt1 = await tx1.wait();
-      const timestamp1 = (await ethers.provider.getBlock(receipt1.blockNumber)).timestamp;
-      await expect(tx1)
-        .to.emit(chaincheck, "Verified")
-        .withArgs(serialHash, batchId, true, consumer.address, timestamp1);
+    it("Should page through a serial's verification history", async function () {
+      const serialHash = createSerialHash(1, serialNumber);
+      await chaincheck.connect(consumer).verify(serialHash, 1);
+      await chaincheck.connect(otherAccount).verify(serialHash, 1);
+      await chaincheck.connect(owner).verify(serialHash, 1);
+
+      const page = await chaincheck.getVerificationHistoryPage(serialHash, 1, 1, 5);
+      expect(page.total).to.equal(3);
+      expect(page.records.length).to.equal(2);
+      expect(page.records[0].verifier).to.equal(otherAccount.address);
+      expect(page.records[1].verifier).to.equal(owner.address);
+    });
+  });
 
-      // Second scan (fake - already verified)
-      const tx2 = await chaincheck
-        .connect(otherAccount)
-        .verify(serialHash, batchId);
-      const receipt2 = await tx2.wait();
-      const timestamp2 = (await ethers.provider.getBlock(receipt2.blockNumber)).timestamp;
-      
-      await expect(tx2)
-        .to.emit(chaincheck, "Verified")
-        .withArgs(serialHash, batchId, false, otherAccount.address, timestamp2);
+  describe("Events-only History", function () {
+    let eventsOnly;
+    const serialHash = createSerialHash(batchId, serialNumber);
 
-      expect(await chaincheck.isSerialVerified(serialHash)).to.be.true;
-      expect(await chaincheck.totalVerifications()).to.equal(1);
+    beforeEach(async function () {
+      eventsOnly = await deployChainCheck(false);
+      await eventsOnly.registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
+    });
 
-      // Check verification history has 2 records
-      const history = await chaincheck.getVerificationHistory(serialHash);
-      expect(history.length).to.equal(2);
-      expect(history[0].isAuthentic).to.be.true;
-      expect(history[1].isAuthentic).to.be.false;
-      expect(history[1].verifier).to.equal(otherAccount.address);
+    it("Should store history in storage by default", async function () {
+      expect(await chaincheck.storeHistory()).to.equal(true);
+      expect(await eventsOnly.storeHistory()).to.equal(false);
     });
 
-    it("Should reject verification for non-existent batch", async function () {
-      const nonExistentBatchId = 999;
-      await expect(
-        chaincheck.connect(consumer).verify(serialHash, nonExistentBatchId)
-      ).to.be.revertedWithCustomError(chaincheck, "BatchNotFound");
+    it("Should keep only the compact scan state", async function () {
+      await eventsOnly.connect(consumer).verify(serialHash, batchId);
+      await eventsOnly.connect(otherAccount).verify(serialHash, batchId);
+
+      const scan = await eventsOnly.scanState(serialKey(batchId, serialHash));
+      expect(scan.lastScanner).to.equal(otherAccount.address);
+      expect(scan.scans).to.equal(2);
+      expect(await eventsOnly.getVerificationCount(serialHash, batchId)).to.equal(2);
+      expect(await eventsOnly.isSerialVerified(serialHash, batchId)).to.equal(true);
+      expect(await eventsOnly.getVerificationHistory(serialHash, batchId)).to.deep.equal([]);
     });
 
-    it("Should reject verification with invalid batch ID", async function () {
-      await expect(
-        chaincheck.connect(consumer).verify(serialHash, 0)
-      ).to.be.revertedWithCustomError(chaincheck, "InvalidBatchId");
+    it("Should still claim ownership and count batch statistics", async function () {
+      await eventsOnly.connect(consumer).verify(serialHash, batchId);
+      await eventsOnly.connect(otherAccount).verify(serialHash, batchId);
+
+      expect(await eventsOnly.serialOwner(serialKey(batchId, serialHash))).to.equal(consumer.address);
+      const stats = await eventsOnly.getBatchStats(batchId);
+      expect(stats.claims).to.equal(1);
+      expect(stats.duplicateScans).to.equal(1);
     });
 
-    it("Should reject verification when serial doesn't belong to batch", async function () {
-      // Register a second batch
-      const batchId2 = 2;
-      const serialHash2 = createSerialHash(batchId2, "SN002");
-      await chaincheck
-        .connect(manufacturer)
-        .registerProduct(batchId2, productName, productBrand, [serialHash2], "", "", "");
+    it("Should emit the full record in the Verified event", async function () {
+      await expect(eventsOnly.connect(consumer).verify(serialHash, batchId))
+        .to.emit(eventsOnly, "Verified")
+        .withArgs(serialHash, batchId, true, consumer.address, anyValue, 0, 0);
+    });
 
-      // Try to verify serialHash (from batchId 1) with batchId2
-      await expect(
-        chaincheck.connect(consumer).verify(serialHash, batchId2)
-      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+    it("Should cost less gas than storing history", async function () {
+      await chaincheck.registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
 
-      // Try to verify serialHash2 (from batchId2) with batchId
-      await expect(
-        chaincheck.connect(consumer).verify(serialHash2, batchId)
-      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+      const stored = await (await chaincheck.connect(consumer).verify(serialHash, batchId)).wait();
+      const compact = await (await eventsOnly.connect(consumer).verify(serialHash, batchId)).wait();
+      expect(compact.gasUsed).to.be.lessThan(stored.gasUsed);
     });
+  });
 
-    it("Should reject verification for unregistered serial", async function () {
-      // Create a serial hash that was never registered
-      const unregisteredSerial = createSerialHash(batchId, "UNREGISTERED");
-      
-      await expect(
-        chaincheck.connect(consumer).verify(unregisteredSerial, batchId)
-      ).to.be.revertedWithCustomError(chaincheck, "SerialNotInBatch");
+  describe("Upgradeability", function () {
+    let proxy;
+
+    beforeEach(async function () {
+      proxy = await ethers.getContractAt("ChainCheckProxy", await chaincheck.getAddress(), proxyAdmin);
     });
 
-    it("Should allow anyone to verify products", async function () {
-      // Consumer can verify
-      await chaincheck.connect(consumer).verify(serialHash, batchId);
+    /**
+     * Helper function to deploy a new implementation and install it after the delay
+     */
+    async function upgradeChainCheck() {
+      const implementation = await deployChainCheckImplementation(ethers);
+      await proxy.proposeUpgrade(await implementation.getAddress());
+      await time.increase(await proxy.UPGRADE_DELAY());
+      await proxy.upgrade("0x");
+      return implementation.getAddress();
+    }
+
+    it("Should keep the storage layout compatible with the deployed snapshot", async function () {
+      const errors = compareStorageLayouts(readStorageLayoutSnapshot(), await getStorageLayout(hre));
+      expect(errors).to.deep.equal([]);
+    });
 
-      // Manufacturer can verify
-      const serialHash2 = createSerialHash(batchId, "SN002");
+    it("Should allow appending variables and growing structs held in mappings", async function () {
+      const layout = await getStorageLayout(hre);
+      const upgraded = JSON.parse(JSON.stringify(layout));
+      const last = upgraded.storage[upgraded.storage.length - 1];
+      upgraded.storage.push({ label: "batchOwner", slot: (BigInt(last.slot) + 1n).toString(), offset: 0, type: "address" });
+      const product = upgraded.types["struct ChainCheckStorage.Product"];
+      product.members.push({ label: "owner", slot: product.numberOfBytes / 32, offset: 0, type: "address" });
+      product.numberOfBytes = (Number(product.numberOfBytes) + 32).toString();
+
+      expect(compareStorageLayouts(layout, upgraded)).to.deep.equal([]);
+    });
+
+    it("Should reject storage layout changes that move existing state", async function () {
+      const layout = await getStorageLayout(hre);
+      const clone = () => JSON.parse(JSON.stringify(layout));
+
+      // A variable inserted at the top shifts everything below it
+      const inserted = clone();
+      inserted.storage = [
+        { label: "version", slot: "0", offset: 0, type: "uint256" },
+        ...inserted.storage.map((variable) => ({ ...variable, slot: (BigInt(variable.slot) + 1n).toString() })),
+      ];
+      expect(compareStorageLayouts(layout, inserted)).to.include(
+        "serialVerified: moved from slot 2 offset 0 to slot 3 offset 0"
+      );
+
+      const removed = clone();
+      removed.storage = removed.storage.filter((variable) => variable.label !== "batchSealed");
+      expect(compareStorageLayouts(layout, removed)).to.include("batchSealed: removed or renamed");
+
+      const retyped = clone();
+      retyped.storage.find((variable) => variable.label === "totalProducts").type = "uint128";
+      expect(compareStorageLayouts(layout, retyped)).to.include(
+        "totalProducts: type changed from uint256 to uint128"
+      );
+
+      const reordered = clone();
+      reordered.types["struct ChainCheckStorage.Product"].members.splice(1, 1);
+      expect(compareStorageLayouts(layout, reordered).length).to.be.greaterThan(0);
+
+      // Array elements are laid out back to back, so their structs cannot grow
+      const grown = clone();
+      const record = grown.types["struct ChainCheckStorage.VerificationRecord"];
+      record.members.push({ label: "location", slot: record.numberOfBytes / 32, offset: 0, type: "uint256" });
+      record.numberOfBytes = (Number(record.numberOfBytes) + 32).toString();
+      expect(compareStorageLayouts(layout, grown).join("\n")).to.include("stored in an array");
+    });
+
+    it("Should store the implementation and admin in the ERC-1967 slots", async function () {
+      const implementation = await getImplementationAddress(ethers.provider, await chaincheck.getAddress());
+      expect(await proxy.implementation.staticCall()).to.equal(ethers.getAddress(implementation));
+      expect(await getAdminAddress(ethers.provider, await chaincheck.getAddress())).to.equal(
+        proxyAdmin.address.toLowerCase()
+      );
+    });
+
+    it("Should run extension views on the proxy's storage", async function () {
+      expect((await chaincheck.getManufacturers()).makers).to.include(manufacturer.address);
+
+      const implementation = await ethers.getContractAt(
+        "ChainCheck",
+        await getImplementationAddress(ethers.provider, await chaincheck.getAddress())
+      );
+      const extension = await ethers.getContractAt("ChainCheckExtension", await implementation.extension());
+      expect((await extension.getManufacturers()).makers).to.be.empty;
+    });
+
+    it("Should not initialize twice", async function () {
+      await expect(chaincheck.initialize(false)).to.be.revertedWithCustomError(chaincheck, "AlreadyInitialized");
+
+      const implementation = await ethers.getContractAt(
+        "ChainCheck",
+        await getImplementationAddress(ethers.provider, await chaincheck.getAddress())
+      );
+      await expect(implementation.connect(otherAccount).initialize(true)).to.be.revertedWithCustomError(
+        chaincheck,
+        "AlreadyInitialized"
+      );
+    });
+
+    it("Should keep state after an upgrade", async function () {
+      const serialHashes = [createSerialHash(batchId, "SN1"), createSerialHash(batchId, "SN2")];
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(2, productName, productBrand, [serialHash2], "", "", "");
-      await chaincheck.connect(manufacturer).verify(serialHash2, 2);
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
+      await chaincheck.connect(consumer).verify(serialHashes[0], batchId);
+      await chaincheck.connect(otherAccount).verify(serialHashes[0], batchId);
+
+      const newImplementation = await upgradeChainCheck();
+      expect(await getImplementationAddress(ethers.provider, await chaincheck.getAddress())).to.equal(
+        newImplementation.toLowerCase()
+      );
+
+      expect(await chaincheck.owner()).to.equal(owner.address);
+      expect(await chaincheck.storeHistory()).to.be.true;
+      expect(await chaincheck.authorizedMakers(manufacturer.address)).to.be.true;
+      expect((await chaincheck.getProduct(batchId)).name).to.equal(productName);
+      expect(await chaincheck.serialOwner(serialKey(batchId, serialHashes[0]))).to.equal(consumer.address);
+      expect(await chaincheck.totalVerifications()).to.equal(1);
+      expect((await chaincheck.getVerificationHistory(serialHashes[0], batchId)).length).to.equal(2);
+      expect((await chaincheck.getBatchStats(batchId)).duplicateScans).to.equal(1);
+
+      // The upgraded contract keeps working on the existing state
+      await chaincheck.connect(consumer).verify(serialHashes[1], batchId);
+      expect(await chaincheck.isSerialVerified(serialHashes[1], batchId)).to.be.true;
+      await expect(
+        chaincheck.connect(manufacturer).registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0)
+      ).to.be.revertedWithCustomError(chaincheck, "BatchExists");
     });
 
-    it("Should track verification history", async function () {
-      // First verification
-      await chaincheck.connect(consumer).verify(serialHash, batchId);
-      
-      // Second verification
-      await chaincheck.connect(otherAccount).verify(serialHash, batchId);
+    it("Should timelock upgrades", async function () {
+      const implementation = await deployChainCheckImplementation(ethers);
+      const implementationAddress = await implementation.getAddress();
 
-      // Check history
-      const history = await chaincheck.getVerificationHistory(serialHash);
-      expect(history.length).to.equal(2);
-      expect(history[0].isAuthentic).to.be.true;
-      expect(history[1].isAuthentic).to.be.false;
-      expect(history[0].verifier).to.equal(consumer.address);
-      expect(history[1].verifier).to.equal(otherAccount.address);
+      await expect(proxy.proposeUpgrade(implementationAddress))
+        .to.emit(proxy, "UpgradeProposed")
+        .withArgs(implementationAddress, anyValue);
+      await expect(proxy.upgrade("0x")).to.be.revertedWithCustomError(proxy, "UpgradeNotReady");
 
-      // Check verification count
-      const count = await chaincheck.getVerificationCount(serialHash);
-      expect(count).to.equal(2);
-      
-      // Check batch verification count (only authentic verifications count)
-      const batchCount = await chaincheck.batchVerificationCount(batchId);
-      expect(batchCount).to.equal(1);
+      await expect(proxy.cancelUpgrade())
+        .to.emit(proxy, "UpgradeCancelled")
+        .withArgs(implementationAddress);
+      await time.increase(await proxy.UPGRADE_DELAY());
+      await expect(proxy.upgrade("0x")).to.be.revertedWithCustomError(proxy, "NoPendingUpgrade");
     });
 
-    it("Should return empty history for unverified serial", async function () {
-      const unverifiedHash = createSerialHash(batchId, "UNVERIFIED");
-      const history = await chaincheck.getVerificationHistory(unverifiedHash);
-      expect(history.length).to.equal(0);
-      
-      const count = await chaincheck.getVerificationCount(unverifiedHash);
-      expect(count).to.equal(0);
+    it("Should reject upgrades to addresses without code", async function () {
+      await expect(proxy.proposeUpgrade(otherAccount.address)).to.be.revertedWithCustomError(proxy, "NotContract");
+    });
+
+    it("Should only let the proxy admin upgrade", async function () {
+      const implementation = await deployChainCheckImplementation(ethers);
+
+      // Calls from anyone else are forwarded to ChainCheck, which has no such function
+      await expect(proxy.connect(owner).proposeUpgrade(await implementation.getAddress())).to.be.reverted;
+      await expect(proxy.connect(owner).changeAdmin(owner.address)).to.be.reverted;
+    });
+
+    it("Should not forward calls from the proxy admin", async function () {
+      await expect(chaincheck.connect(proxyAdmin).pause()).to.be.revertedWithCustomError(
+        proxy,
+        "AdminCannotFallback"
+      );
+    });
+
+    it("Should hand over the proxy admin", async function () {
+      await expect(proxy.changeAdmin(otherAccount.address))
+        .to.emit(proxy, "AdminChanged")
+        .withArgs(proxyAdmin.address, otherAccount.address);
+      expect(await getAdminAddress(ethers.provider, await chaincheck.getAddress())).to.equal(
+        otherAccount.address.toLowerCase()
+      );
+
+      // The previous admin is now an ordinary caller
+      expect(await chaincheck.connect(proxyAdmin).totalProducts()).to.equal(0);
     });
   });
 
@@ -423,7 +2723,7 @@ describe("ChainCheck", function () {
       const serialHashes = [createSerialHash(batchId, serialNumber)];
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "");
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
     });
 
     it("Should return correct product information", async function () {
@@ -447,10 +2747,10 @@ describe("ChainCheck", function () {
 
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(1, "Product 1", "Brand A", batch1Serials, "", "", "");
+        .registerProduct(1, "Product 1", "Brand A", batch1Serials, "", "", "", 0, 0);
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(2, "Product 2", "Brand B", batch2Serials, "", "", "");
+        .registerProduct(2, "Product 2", "Brand B", batch2Serials, "", "", "", 0, 0);
 
       expect(await chaincheck.totalProducts()).to.equal(2);
     });
@@ -463,16 +2763,57 @@ describe("ChainCheck", function () {
 
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, largeSerialArray, "", "", "");
+        .registerProduct(batchId, productName, productBrand, largeSerialArray, "", "", "", 0, 0);
 
       expect(await chaincheck.totalProducts()).to.equal(1);
     });
 
+    it("Should report a status for each batchVerify item", async function () {
+      const serials = ["P1", "P2", "P3"].map((serial) => createSerialHash(batchId, serial));
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, serials, "", "", "", 0, 0);
+      await chaincheck.connect(otherAccount).verify(serials[1], batchId);
+
+      const items = [
+        [serials[0], batchId],
+        [serials[1], batchId],
+        [serials[2], 0],
+        [serials[2], 999],
+        [createSerialHash(batchId, "TYPO"), batchId],
+      ];
+      const hashes = items.map(([hash]) => hash);
+      const ids = items.map(([, id]) => id);
+
+      expect(await chaincheck.connect(consumer).batchVerify.staticCall(hashes, ids)).to.deep.equal([
+        VerificationStatus.Authentic,
+        VerificationStatus.AlreadyClaimed,
+        VerificationStatus.InvalidBatchId,
+        VerificationStatus.BatchNotFound,
+        VerificationStatus.SerialNotInBatch,
+      ]);
+
+      const tx = chaincheck.connect(consumer).batchVerify(hashes, ids);
+      await expect(tx)
+        .to.emit(chaincheck, "Verified")
+        .withArgs(serials[1], batchId, false, consumer.address, anyValue, VerificationStatus.AlreadyClaimed, 0);
+      await expect(tx)
+        .to.emit(chaincheck, "VerificationRejected")
+        .withArgs(serials[2], 0, VerificationStatus.InvalidBatchId);
+      await expect(tx)
+        .to.emit(chaincheck, "VerificationRejected")
+        .withArgs(serials[2], 999, VerificationStatus.BatchNotFound);
+
+      // Rejected items are not recorded
+      expect(await chaincheck.getVerificationCount(serials[2], batchId)).to.equal(0);
+      expect(await chaincheck.isSerialVerified(serials[0], batchId)).to.be.true;
+    });
+
     it("Should reject batchVerify with mismatched array lengths", async function () {
       const serialHash = createSerialHash(batchId, serialNumber);
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "");
+        .registerProduct(batchId, productName, productBrand, [serialHash], "", "", "", 0, 0);
 
       await expect(
         chaincheck
@@ -490,29 +2831,31 @@ describe("ChainCheck", function () {
       
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batch1, "Product 1", "Brand A", [serial1], "", "", "");
+        .registerProduct(batch1, "Product 1", "Brand A", [serial1], "", "", "", 0, 0);
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batch2, "Product 2", "Brand B", [serial2], "", "", "");
+        .registerProduct(batch2, "Product 2", "Brand B", [serial2], "", "", "", 0, 0);
 
       // Try to verify serial1 with batch2 and serial2 with batch1
-      // batchVerify returns false for invalid serial-batch combinations (doesn't revert)
-      const tx = await chaincheck
+      // batchVerify reports SerialNotInBatch for invalid serial-batch combinations (doesn't revert)
+      const results = await chaincheck
         .connect(consumer)
-        .batchVerify([serial1, serial2], [batch2, batch1]);
-      await tx.wait();
-      
-      // Call the function again to get the results (or check state)
-      // Since batchVerify doesn't emit events for invalid combinations, we check state
+        .batchVerify.staticCall([serial1, serial2], [batch2, batch1]);
+      expect(results).to.deep.equal([VerificationStatus.SerialNotInBatch, VerificationStatus.SerialNotInBatch]);
+
+      await expect(chaincheck.connect(consumer).batchVerify([serial1, serial2], [batch2, batch1]))
+        .to.emit(chaincheck, "VerificationRejected")
+        .withArgs(serial1, batch2, VerificationStatus.SerialNotInBatch);
+
       // Verify that no verification history was recorded (proves validation worked)
-      const history1 = await chaincheck.getVerificationHistory(serial1);
-      const history2 = await chaincheck.getVerificationHistory(serial2);
+      const history1 = await chaincheck.getVerificationHistory(serial1, batch1);
+      const history2 = await chaincheck.getVerificationHistory(serial2, batch2);
       expect(history1.length).to.equal(0);
       expect(history2.length).to.equal(0);
       
       // Verify serials are still not marked as verified
-      expect(await chaincheck.isSerialVerified(serial1)).to.be.false;
-      expect(await chaincheck.isSerialVerified(serial2)).to.be.false;
+      expect(await chaincheck.isSerialVerified(serial1, batch1)).to.be.false;
+      expect(await chaincheck.isSerialVerified(serial2, batch2)).to.be.false;
     });
   });
 
@@ -522,7 +2865,7 @@ describe("ChainCheck", function () {
       const serialHashes = [createSerialHash(batchId, serialNumber)];
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "");
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
     });
 
     it("Should allow owner to pause contract", async function () {
@@ -533,30 +2876,49 @@ describe("ChainCheck", function () {
       expect(await chaincheck.paused()).to.be.true;
     });
 
-    it("Should allow owner to unpause contract", async function () {
+    it("Should allow owner to unpause contract through the timelock", async function () {
       // Pause first
       await chaincheck.pause();
       expect(await chaincheck.paused()).to.be.true;
 
       // Unpause
-      await expect(chaincheck.unpause())
+      await expect(executeTimelocked(owner, TimelockAction.Unpause))
         .to.emit(chaincheck, "Paused")
         .withArgs(false);
 
       expect(await chaincheck.paused()).to.be.false;
     });
 
+    it("Should queue a timelocked unpause from unpause()", async function () {
+      await chaincheck.pause();
+
+      const actionId = await chaincheck.queuedActionCount();
+      expect(await chaincheck.unpause.staticCall()).to.equal(actionId);
+      await expect(chaincheck.unpause())
+        .to.emit(chaincheck, "ActionQueued")
+        .withArgs(actionId, TimelockAction.Unpause, ethers.ZeroAddress, anyValue);
+      expect(await chaincheck.paused()).to.be.true;
+
+      await expect(chaincheck.executeAction(actionId)).to.be.revertedWithCustomError(chaincheck, "ActionNotReady");
+      await time.increase(await chaincheck.TIMELOCK_DELAY());
+      await expect(chaincheck.executeAction(actionId)).to.emit(chaincheck, "Paused").withArgs(false);
+      expect(await chaincheck.paused()).to.be.false;
+
+      await expect(chaincheck.unpause()).to.be.revertedWithCustomError(chaincheck, "ContractNotPaused");
+      await expect(chaincheck.connect(consumer).unpause()).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+    });
+
     it("Should reject pause from non-owner", async function () {
       await expect(
         chaincheck.connect(consumer).pause()
-      ).to.be.revertedWithCustomError(chaincheck, "NotOwner");
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
     });
 
     it("Should reject unpause from non-owner", async function () {
       await chaincheck.pause();
       await expect(
-        chaincheck.connect(consumer).unpause()
-      ).to.be.revertedWithCustomError(chaincheck, "NotOwner");
+        chaincheck.connect(consumer).queueAction(TimelockAction.Unpause, ethers.ZeroAddress)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
     });
 
     it("Should prevent product registration when paused", async function () {
@@ -566,7 +2928,7 @@ describe("ChainCheck", function () {
       await expect(
         chaincheck
           .connect(manufacturer)
-          .registerProduct(2, "Test Product", "Test Brand", serialHashes, "", "", "")
+          .registerProduct(2, "Test Product", "Test Brand", serialHashes, "", "", "", 0, 0)
       ).to.be.revertedWithCustomError(chaincheck, "ContractPaused");
     });
 
@@ -606,19 +2968,252 @@ describe("ChainCheck", function () {
     });
 
     it("Should reject unpause when not paused", async function () {
-      await expect(chaincheck.unpause()).to.be.revertedWithCustomError(
+      await expect(executeTimelocked(owner, TimelockAction.Unpause)).to.be.revertedWithCustomError(
         chaincheck,
         "ContractNotPaused"
       );
     });
   });
 
+  describe("Granular Pause Controls", function () {
+    const otherBatchId = 2;
+
+    beforeEach(async function () {
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, [createSerialHash(batchId, serialNumber)], "", "", "", 0, 0);
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(otherBatchId, productName, productBrand, [createSerialHash(otherBatchId, serialNumber)], "", "", "", 0, 0);
+    });
+
+    it("Should pause registration without pausing verification", async function () {
+      await expect(chaincheck.setOperationPaused(PausableOperation.Registration, true))
+        .to.emit(chaincheck, "OperationPauseUpdated")
+        .withArgs(PausableOperation.Registration, true);
+      expect(await chaincheck.operationPaused(PausableOperation.Registration)).to.be.true;
+
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProduct(3, productName, productBrand, [createSerialHash(3, serialNumber)], "", "", "", 0, 0)
+      )
+        .to.be.revertedWithCustomError(chaincheck, "OperationPaused")
+        .withArgs(PausableOperation.Registration);
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(batchId, [createSerialHash(batchId, "SN2")])
+      ).to.be.revertedWithCustomError(chaincheck, "OperationPaused");
+
+      await expect(chaincheck.connect(consumer).verify(createSerialHash(batchId, serialNumber), batchId))
+        .to.emit(chaincheck, "Verified");
+    });
+
+    it("Should pause verification and metadata updates independently", async function () {
+      await chaincheck.setOperationPaused(PausableOperation.Verification, true);
+
+      await expect(chaincheck.connect(consumer).verify(createSerialHash(batchId, serialNumber), batchId))
+        .to.be.revertedWithCustomError(chaincheck, "OperationPaused")
+        .withArgs(PausableOperation.Verification);
+      await expect(
+        chaincheck.connect(consumer).batchVerify([createSerialHash(batchId, serialNumber)], [batchId])
+      ).to.be.revertedWithCustomError(chaincheck, "OperationPaused");
+      await expect(chaincheck.connect(manufacturer).updateProductMetadata(batchId, "QmNew", "", ""))
+        .to.emit(chaincheck, "ProductMetadataUpdated");
+
+      await chaincheck.setOperationPaused(PausableOperation.Metadata, true);
+      await expect(chaincheck.connect(manufacturer).updateProductMetadata(batchId, "QmNewer", "", ""))
+        .to.be.revertedWithCustomError(chaincheck, "OperationPaused")
+        .withArgs(PausableOperation.Metadata);
+
+      // Resuming takes effect immediately, without the timelock
+      await expect(chaincheck.setOperationPaused(PausableOperation.Verification, false))
+        .to.emit(chaincheck, "OperationPauseUpdated")
+        .withArgs(PausableOperation.Verification, false);
+      await expect(chaincheck.connect(consumer).verify(createSerialHash(batchId, serialNumber), batchId))
+        .to.emit(chaincheck, "Verified");
+    });
+
+    it("Should freeze a single batch and leave other batches running", async function () {
+      await expect(chaincheck.setBatchFrozen(batchId, true))
+        .to.emit(chaincheck, "BatchFreezeUpdated")
+        .withArgs(batchId, true);
+      expect(await chaincheck.batchFrozen(batchId)).to.be.true;
+
+      await expect(chaincheck.connect(consumer).verify(createSerialHash(batchId, serialNumber), batchId))
+        .to.be.revertedWithCustomError(chaincheck, "BatchIsFrozen")
+        .withArgs(batchId);
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(batchId, [createSerialHash(batchId, "SN2")])
+      ).to.be.revertedWithCustomError(chaincheck, "BatchIsFrozen");
+      await expect(
+        chaincheck.connect(manufacturer).updateProductMetadata(batchId, "QmNew", "", "")
+      ).to.be.revertedWithCustomError(chaincheck, "BatchIsFrozen");
+
+      await expect(
+        chaincheck.connect(consumer).verify(createSerialHash(otherBatchId, serialNumber), otherBatchId)
+      ).to.emit(chaincheck, "Verified");
+
+      await chaincheck.setBatchFrozen(batchId, false);
+      await expect(chaincheck.connect(consumer).verify(createSerialHash(batchId, serialNumber), batchId))
+        .to.emit(chaincheck, "Verified");
+    });
+
+    it("Should skip frozen batch items in batch verifications", async function () {
+      await chaincheck.setBatchFrozen(batchId, true);
+      const serialHashes = [createSerialHash(batchId, serialNumber), createSerialHash(otherBatchId, serialNumber)];
+
+      const statuses = await chaincheck.connect(consumer).batchVerify.staticCall(serialHashes, [batchId, otherBatchId]);
+      expect(statuses.map(Number)).to.deep.equal([VerificationStatus.BatchFrozen, VerificationStatus.Authentic]);
+
+      await expect(chaincheck.connect(consumer).batchVerify(serialHashes, [batchId, otherBatchId]))
+        .to.emit(chaincheck, "VerificationRejected")
+        .withArgs(serialHashes[0], batchId, VerificationStatus.BatchFrozen);
+      expect(await chaincheck.isSerialVerified(serialHashes[0], batchId)).to.be.false;
+      expect(await chaincheck.isSerialVerified(serialHashes[1], otherBatchId)).to.be.true;
+    });
+
+    it("Should only let pausers toggle operations and freeze existing batches", async function () {
+      await expect(
+        chaincheck.connect(manufacturer).setOperationPaused(PausableOperation.Verification, true)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+      await expect(
+        chaincheck.connect(manufacturer).setBatchFrozen(batchId, true)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+
+      await expect(chaincheck.setBatchFrozen(0, true)).to.be.revertedWithCustomError(chaincheck, "InvalidBatchId");
+      await expect(chaincheck.setBatchFrozen(99, true)).to.be.revertedWithCustomError(chaincheck, "BatchNotFound");
+    });
+  });
+
+  describe("Registration Fees", function () {
+    const batchFee = ethers.parseEther("0.01");
+    const serialFee = ethers.parseEther("0.001");
+    const serialHashes = ["FEE001", "FEE002"].map((serial) => createSerialHash(batchId, serial));
+
+    beforeEach(async function () {
+      await expect(chaincheck.setFees(batchFee, serialFee))
+        .to.emit(chaincheck, "FeesUpdated")
+        .withArgs(batchFee, serialFee);
+    });
+
+    it("Should quote and charge a flat batch fee plus a fee per serial", async function () {
+      const fee = batchFee + serialFee * 2n;
+      expect(await chaincheck.quoteRegistrationFee(2, true)).to.equal(fee);
+      expect(await chaincheck.quoteRegistrationFee(2, false)).to.equal(serialFee * 2n);
+
+      const tx = chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0, { value: fee });
+      await expect(tx).to.emit(chaincheck, "RegistrationFeePaid").withArgs(batchId, manufacturer.address, fee);
+      await expect(tx).to.changeEtherBalances([manufacturer, chaincheck], [-fee, fee]);
+
+      const appended = [createSerialHash(batchId, "FEE003")];
+      await expect(
+        chaincheck.connect(manufacturer).appendSerials(batchId, appended, { value: serialFee })
+      ).to.emit(chaincheck, "RegistrationFeePaid").withArgs(batchId, manufacturer.address, serialFee);
+    });
+
+    it("Should charge Merkle registrations per declared serial", async function () {
+      const fee = batchFee + serialFee * 10n;
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProductMerkle(2, productName, productBrand, ethers.id("root"), 10, "", "", "", 0, 0, {
+            value: batchFee,
+          })
+      )
+        .to.be.revertedWithCustomError(chaincheck, "IncorrectFee")
+        .withArgs(fee);
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProductMerkle(2, productName, productBrand, ethers.id("root"), 10, "", "", "", 0, 0, { value: fee })
+      )
+        .to.emit(chaincheck, "RegistrationFeePaid")
+        .withArgs(2, manufacturer.address, fee);
+
+      // The root does not prove the count, so an under-declared batch pays less
+      const underDeclaredFee = batchFee + serialFee;
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProductMerkle(3, productName, productBrand, ethers.id("big root"), 1, "", "", "", 0, 0, {
+            value: underDeclaredFee,
+          })
+      )
+        .to.emit(chaincheck, "RegistrationFeePaid")
+        .withArgs(3, manufacturer.address, underDeclaredFee);
+    });
+
+    it("Should reject registrations that do not pay the exact fee", async function () {
+      const fee = batchFee + serialFee * 2n;
+
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0)
+      )
+        .to.be.revertedWithCustomError(chaincheck, "IncorrectFee")
+        .withArgs(fee);
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0, { value: fee + 1n })
+      ).to.be.revertedWithCustomError(chaincheck, "IncorrectFee");
+    });
+
+    it("Should keep registration free when no fees are set", async function () {
+      await chaincheck.setFees(0, 0);
+
+      await expect(
+        chaincheck
+          .connect(manufacturer)
+          .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0)
+      ).to.not.emit(chaincheck, "RegistrationFeePaid");
+    });
+
+    it("Should let admins withdraw collected fees to the treasury", async function () {
+      const fee = batchFee + serialFee * 2n;
+      await chaincheck
+        .connect(manufacturer)
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0, { value: fee });
+
+      await expect(chaincheck.withdrawFees()).to.be.revertedWithCustomError(chaincheck, "InvalidAddress");
+      await expect(chaincheck.setTreasury(otherAccount.address))
+        .to.emit(chaincheck, "TreasuryUpdated")
+        .withArgs(otherAccount.address);
+
+      const tx = chaincheck.withdrawFees();
+      await expect(tx).to.emit(chaincheck, "FeesWithdrawn").withArgs(otherAccount.address, fee);
+      await expect(tx).to.changeEtherBalances([chaincheck, otherAccount], [-fee, fee]);
+      await expect(chaincheck.withdrawFees()).to.be.revertedWithCustomError(chaincheck, "NoFeesToWithdraw");
+    });
+
+    it("Should only let admins change fees, the treasury and withdraw", async function () {
+      await expect(chaincheck.connect(manufacturer).setFees(0, 0)).to.be.revertedWithCustomError(
+        chaincheck,
+        "MissingRole"
+      );
+      await expect(
+        chaincheck.connect(manufacturer).setTreasury(manufacturer.address)
+      ).to.be.revertedWithCustomError(chaincheck, "MissingRole");
+      await expect(chaincheck.connect(manufacturer).withdrawFees()).to.be.revertedWithCustomError(
+        chaincheck,
+        "MissingRole"
+      );
+      await expect(chaincheck.setTreasury(ethers.ZeroAddress)).to.be.revertedWithCustomError(
+        chaincheck,
+        "InvalidAddress"
+      );
+    });
+  });
+
   describe("Reentrancy Protection", function () {
     beforeEach(async function () {
       const serialHashes = [createSerialHash(batchId, serialNumber)];
       await chaincheck
         .connect(manufacturer)
-        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "");
+        .registerProduct(batchId, productName, productBrand, serialHashes, "", "", "", 0, 0);
     });
 
     it("Should have reentrancy guard on state-changing functions", async function () {
@@ -636,7 +3231,7 @@ describe("ChainCheck", function () {
       expect(receipt2.status).to.equal(1);
       
       // Check that serial is still verified
-      expect(await chaincheck.isSerialVerified(serialHash)).to.be.true;
+      expect(await chaincheck.isSerialVerified(serialHash, batchId)).to.be.true;
     });
   });
 });